@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+/**
+ * Headless PICSY simulation runner
+ * ------------------------------------------------------
+ * ブラウザと同じコア（events.js の dispatch → economy.js → math.js / sparse.js）とシード付きシミュレータで、
+ * シナリオを数千ステップ一気に実行し、ステップごとの指標を JSON Lines か CSV で書き出す。
+ *
+ *   node scripts/simulate.js <scenario.json> [--format jsonl|csv] [--out file] [--every k] [--steps n] [--seed s]
+ *   pnpm simulate scripts/scenarios/example.json --format csv --out run.csv
+ *
+ * シナリオ（JSON）:
+ *   members        ハンドルの配列か人数（"user1".."userN"）
+ *   E              初期の評価行列（省略時: N ≤ 64 なら diag=budget・非対角は均等、それより多ければ各自が
+ *                  evaluationsPerMember 人をランダムに評価する疎行列）
+ *                  密行列は行ごとに正規化する。疎行列 {sparse, n, rows}（sparse.js）は row-stochastic でなければならない
+ *   budget         初期予算（diag E、既定 0.2）
+ *   evaluationsPerMember  疎な初期 E で各自が評価する人数（既定 5）
+ *   tags           各メンバーの最初の投稿に順に付けるタグ（tag affinity 戦略用、既定 ["math","picsy","art"]）
+ *   steps          ステップ数（1ステップ = シミュレータ1回 + 必要なら回収）
+ *   stepMs         1ステップの模擬時間（既定 1000ms。イベントの at と回収スケジュールに使う）
+ *   delta          {min, max}
+ *   recovery       {mode: "manual"|"periodic"|"continuous", gamma, periodMs}（schedule.js と同じ意味）
+ *   seed           乱数のシード（同じシナリオ・同じシードなら同じ出力）
+ *   strategies     {default, byUser: {handle: strategy}}（simulator.js の SIM_STRATEGIES）
+ *   policies       {default, byUser: {handle: policy}}（policies.js の LikePolicy。省略した項目は既定＝制限なし）
+ *   joins          [{step, handle}] そのステップの前にメンバーを追加する
+ *   solver         c を解く方法（power | gaussSeidel | direct、既定 power）。収束しなかったステップ数は最後に表示する
+ *
+ * 出力（1行 = 1ステップ）: step, event（like / skip / …）, recovery（適用した γ）, likes, skipped,
+ *   totalDelta（累計 Σδ）, giniC, giniBudget, c・budgets（ハンドル → 値。メンバーでないときは空）
+ */
+
+import { createWriteStream, readFileSync } from "node:fs";
+import { once } from "node:events";
+import { createWorld, dispatchInPlace, makePost, nextPostId } from "../src/picsy/events.js";
+import { withContributions, solveEconomyContributions, SPARSE_MIN_N } from "../src/picsy/economy.js";
+import { ensureRowStochastic } from "../src/picsy/math.js";
+import { matrixDiag, randomSparseStochastic } from "../src/picsy/sparse.js";
+import { createRng, DEFAULT_STRATEGY, seedState, simulateStep } from "../src/picsy/simulator.js";
+import { DEFAULT_POLICY, SPEND_MODES } from "../src/picsy/policies.js";
+import { compoundGamma, scheduledRecovery } from "../src/picsy/schedule.js";
+import { gini } from "../src/picsy/metrics.js";
+import { toCsv } from "../src/picsy/csv.js";
+import { checkStochastic } from "../src/picsy/snapshot.js";
+import { DEFAULT_SOLVER, SOLVERS } from "../src/picsy/solvers.js";
+
+const USAGE = "Usage: node scripts/simulate.js <scenario.json> [--format jsonl|csv] [--out file] [--every k] [--steps n] [--seed s]";
+
+/**
+ * @param {string[]} argv
+ * @returns {{scenarioPath:string, format:string, out:string|null, every:number, steps?:number, seed?:string}}
+ */
+function parseArgs(argv) {
+  const opts = { scenarioPath: null, format: "jsonl", out: null, every: 1 };
+  for (let k = 0; k < argv.length; k++) {
+    const a = argv[k];
+    const value = () => {
+      if (k + 1 >= argv.length) throw new Error(`${a} needs a value.`);
+      return argv[++k];
+    };
+    if (a === "--format") opts.format = value();
+    else if (a === "--out") opts.out = value();
+    else if (a === "--every") opts.every = Number(value());
+    else if (a === "--steps") opts.steps = Number(value());
+    else if (a === "--seed") opts.seed = value();
+    else if (a === "--help" || a === "-h") opts.help = true;
+    else if (a.startsWith("--")) throw new Error(`Unknown option ${a}.`);
+    else opts.scenarioPath = a;
+  }
+  if (!["jsonl", "csv"].includes(opts.format)) throw new Error(`--format must be jsonl or csv (got ${opts.format}).`);
+  if (!(Number.isInteger(opts.every) && opts.every >= 1)) throw new Error("--every must be a positive integer.");
+  return opts;
+}
+
+/**
+ * シナリオを検証し、既定値を埋める
+ * @param {any} raw
+ * @param {{steps?:number, seed?:string}} overrides
+ */
+function normalizeScenario(raw, overrides) {
+  const handles = Array.isArray(raw.members)
+    ? raw.members.map(String)
+    : Array.from({ length: Number(raw.members ?? 3) }, (_, i) => `user${i + 1}`);
+  if (handles.length < 2) throw new Error("members must have at least two members.");
+  if (new Set(handles).size !== handles.length) throw new Error("members must have unique handles.");
+  const steps = overrides.steps ?? raw.steps ?? 1000;
+  if (!(Number.isInteger(steps) && steps >= 0)) throw new Error("steps must be a non-negative integer.");
+  const delta = { min: 0.02, max: 0.08, ...raw.delta };
+  if (!(delta.min >= 0 && delta.max >= delta.min)) throw new Error("delta must satisfy 0 ≤ min ≤ max.");
+  const recovery = { mode: "manual", gamma: 0.1, periodMs: 60000, ...raw.recovery };
+  if (!["manual", "periodic", "continuous"].includes(recovery.mode)) throw new Error(`Unknown recovery mode "${recovery.mode}".`);
+  if (!(recovery.gamma >= 0 && recovery.gamma < 1)) throw new Error("recovery.gamma must be in [0, 1).");
+  const joins = (raw.joins ?? []).map((j) => ({ step: Number(j.step), handle: String(j.handle) }));
+  const all = [...handles, ...joins.map((j) => j.handle)];
+  if (new Set(all).size !== all.length) throw new Error("joins must use new, unique handles.");
+  const strategies = { default: raw.strategies?.default ?? DEFAULT_STRATEGY, byHandle: raw.strategies?.byUser ?? {} };
+  const policies = raw.policies ? { default: { ...DEFAULT_POLICY, ...raw.policies.default }, byHandle: raw.policies.byUser ?? {} } : null;
+  for (const p of [policies?.default, ...Object.values(policies?.byHandle ?? {})]) {
+    if (p?.spendMode !== undefined && !SPEND_MODES[p.spendMode]) throw new Error(`Unknown spend mode "${p.spendMode}" (expected ${Object.keys(SPEND_MODES).join(", ")}).`);
+  }
+  const solver = raw.solver ?? DEFAULT_SOLVER;
+  if (!SOLVERS[solver]) throw new Error(`Unknown solver "${solver}" (expected ${Object.keys(SOLVERS).join(", ")}).`);
+  if (Array.isArray(raw.E)) {
+    if (raw.E.length !== handles.length || raw.E.some((row) => !Array.isArray(row) || row.length !== handles.length))
+      throw new Error(`E must be ${handles.length}×${handles.length}.`);
+  } else if (raw.E !== undefined && raw.E !== null) {
+    // 疎行列はそのまま economy に渡すので、スナップショットの読み込みと同じ検証をする
+    const errors = [];
+    checkStochastic("E", raw.E, handles.length, errors);
+    if (errors.length > 0) throw new Error(errors.join(" "));
+  }
+  return {
+    handles,
+    E: raw.E ?? null,
+    budget: raw.budget ?? 0.2,
+    evaluationsPerMember: raw.evaluationsPerMember ?? 5,
+    tags: raw.tags ?? ["math", "picsy", "art"],
+    steps,
+    stepMs: raw.stepMs ?? 1000,
+    delta,
+    recovery,
+    seed: String(overrides.seed ?? raw.seed ?? "picsy"),
+    strategies,
+    policies,
+    joins,
+    solver,
+  };
+}
+
+/** id 番目のメンバーの投稿に付けるタグ（tags を順に割り当てる） */
+const tagsFor = (sc, id) => (sc.tags.length > 0 ? [sc.tags[id % sc.tags.length]] : []);
+
+/**
+ * @param {ReturnType<typeof normalizeScenario>} sc
+ * @returns {import("../src/picsy/events.js").Genesis}
+ */
+function makeGenesis(sc) {
+  const n = sc.handles.length;
+  let E = sc.E;
+  if (!E && n <= SPARSE_MIN_N) {
+    E = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? sc.budget : (1 - sc.budget) / (n - 1))));
+  }
+  if (!E) {
+    const rng = createRng(seedState(`${sc.seed}:genesis`));
+    E = randomSparseStochastic(n, sc.evaluationsPerMember, sc.budget, rng.next);
+  } else if (Array.isArray(E)) {
+    E = ensureRowStochastic(E.map((row) => row.slice()));
+  }
+  const members = sc.handles.map((handle, id) => ({ id, handle }));
+  const posts = members.map((m) => makePost(m.id + 1, m.id, `${m.handle}'s first post`, "", "", tagsFor(sc, m.id), 0));
+  return { members, E, posts };
+}
+
+/** c が stale（大きい economy）なら解いて差し替える。指標は常に解いた c で出す */
+function solved(world) {
+  const { economy } = world.state;
+  if (!economy.stale) return world;
+  const { c, diagnostics } = solveEconomyContributions(economy.E, economy.c, { method: economy.solver });
+  return { ...world, state: { ...world.state, economy: withContributions(economy, c, diagnostics) } };
+}
+
+/**
+ * シナリオを実行し、指標の行を1ステップずつ onRow に渡す。
+ * イベントは dispatchInPlace で1つのログに追記する（ステップごとにログ全体を写さない）。
+ * @param {ReturnType<typeof normalizeScenario>} sc
+ * @param {(row:object) => Promise<void>|null} onRow 出力が詰まっていれば、書き出せるまで待つ Promise を返す
+ * @param {number} every
+ * @returns {Promise<{world:object, notConverged:number}>} notConverged: c が収束しなかったステップ数
+ */
+async function runScenario(sc, onRow, every = 1) {
+  let world = solved(createWorld(makeGenesis(sc), { solver: sc.solver }));
+  let rngState = seedState(sc.seed);
+  let likes = 0;
+  let skipped = 0;
+  let totalDelta = 0;
+  let lastRecoveryAt = 0;
+  let notConverged = 0;
+  const idOf = (handle) => world.state.users.find((u) => u.handle === handle)?.id;
+
+  const emit = (step, event, recovery) => {
+    const { economy } = world.state;
+    const budgets = economy.members.map((_, i) => matrixDiag(economy.E, i));
+    const c = {};
+    const b = {};
+    economy.members.forEach((m, i) => {
+      c[m.handle] = economy.c[i];
+      b[m.handle] = budgets[i];
+    });
+    return onRow({
+      step,
+      event,
+      recovery,
+      members: economy.members.length,
+      likes,
+      skipped,
+      totalDelta,
+      giniC: gini(economy.c),
+      giniBudget: gini(budgets),
+      c,
+      budgets: b,
+    });
+  };
+
+  await emit(0, "genesis", null);
+  for (let step = 1; step <= sc.steps; step++) {
+    const at = step * sc.stepMs;
+    // 時計が at まで進むあいだに終わった周期の回収を、このステップの操作より先に記録する
+    let recovery = null;
+    const draft = scheduledRecovery({ ...sc.recovery, anchorAt: lastRecoveryAt, now: at });
+    if (draft) {
+      dispatchInPlace(world, draft, draft.upTo);
+      lastRecoveryAt = draft.upTo;
+      recovery = compoundGamma(draft.gamma, draft.periods);
+    }
+    for (const j of sc.joins.filter((j) => j.step === step)) {
+      const id = world.state.users.length;
+      dispatchInPlace(world, [
+        { type: "addMember", handle: j.handle },
+        { type: "createPost", postId: nextPostId(world.state.posts), author: id, title: `${j.handle}'s first post`, body: "", image: "", tags: tagsFor(sc, id) },
+      ], at);
+    }
+    const byUser = {};
+    for (const [handle, name] of Object.entries(sc.strategies.byHandle)) {
+      const id = idOf(handle);
+      if (id !== undefined) byUser[id] = name;
+    }
+    const policyByUser = {};
+    for (const [handle, policy] of Object.entries(sc.policies?.byHandle ?? {})) {
+      const id = idOf(handle);
+      if (id !== undefined) policyByUser[id] = policy;
+    }
+    const r = simulateStep(world.state, rngState, {
+      strategies: { default: sc.strategies.default, byUser },
+      deltaMin: sc.delta.min,
+      deltaMax: sc.delta.max,
+      policies: sc.policies ? { default: sc.policies.default, byUser: policyByUser } : undefined,
+      at,
+    });
+    rngState = r.rngState;
+    let event = "skip";
+    if (r.draft) {
+      try {
+        dispatchInPlace(world, r.draft, at);
+        likes++;
+        totalDelta += r.draft.delta;
+        event = "like";
+      } catch (e) {
+        skipped++;
+        event = `skip: ${e.message}`;
+      }
+    } else {
+      skipped++;
+      event = `skip: ${r.reason}`;
+    }
+    world = solved(world);
+    if (world.state.economy.diagnostics?.converged === false) notConverged++;
+    if (step % every === 0 || step === sc.steps) {
+      const drained = emit(step, event, recovery);
+      if (drained) await drained;
+    }
+  }
+  return { world, notConverged };
+}
+
+/** JSON Lines の1行 */
+const jsonlRow = (row) => JSON.stringify(row) + "\n";
+
+/**
+ * CSV の列はシナリオに登場する全ハンドル（途中参加を含む）について c_<handle>, budget_<handle>
+ * @param {string[]} handles
+ */
+function csvWriter(handles) {
+  const header = ["step", "event", "recovery", "members", "likes", "skipped", "total_delta", "gini_c", "gini_budget"];
+  return {
+    header: toCsv([[...header, ...handles.map((h) => `c_${h}`), ...handles.map((h) => `budget_${h}`)]]),
+    row: (r) =>
+      toCsv([
+        [
+          r.step,
+          r.event,
+          r.recovery ?? "",
+          r.members,
+          r.likes,
+          r.skipped,
+          r.totalDelta,
+          r.giniC,
+          r.giniBudget,
+          ...handles.map((h) => r.c[h] ?? ""),
+          ...handles.map((h) => r.budgets[h] ?? ""),
+        ],
+      ]),
+  };
+}
+
+async function main() {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`${e.message}\n${USAGE}`);
+    process.exit(2);
+  }
+  if (opts.help || !opts.scenarioPath) {
+    console.error(USAGE);
+    process.exit(opts.help ? 0 : 2);
+  }
+  let sc;
+  try {
+    sc = normalizeScenario(JSON.parse(readFileSync(opts.scenarioPath, "utf8")), opts);
+  } catch (e) {
+    console.error(`Invalid scenario ${opts.scenarioPath}: ${e.message}`);
+    process.exit(2);
+  }
+  const out = opts.out ? createWriteStream(opts.out) : process.stdout;
+  const handles = [...sc.handles, ...sc.joins.map((j) => j.handle)];
+  const csv = csvWriter(handles);
+  if (opts.format === "csv") out.write(csv.header);
+  const started = Date.now();
+  // write が false を返したら（バッファが一杯）'drain' まで次の行を作らない
+  const write = (text) => (out.write(text) ? null : once(out, "drain"));
+  const { world, notConverged } = await runScenario(sc, (row) => write(opts.format === "csv" ? csv.row(row) : jsonlRow(row)), opts.every);
+  if (out !== process.stdout) out.end();
+  console.error(`Simulated ${sc.steps} steps with ${world.state.economy.members.length} members in ${Date.now() - started} ms (seed "${sc.seed}").`);
+  if (notConverged > 0) console.error(`Warning: c did not converge after ${notConverged} step(s) with the ${sc.solver} solver.`);
+}
+
+main();
@@ -1,6 +1,80 @@
 import "./App.css"
 
-import React, { useMemo, useState, useEffect, useRef } from "react";
+import React, { useMemo, useState, useEffect, useRef, useCallback, useSyncExternalStore } from "react";
+import { clamp, effectiveMatrix, sum } from "./picsy/math.js";
+import * as picsy from "./picsy/economy.js";
+import { memberIndex } from "./picsy/economy.js";
+import {
+  isSparse,
+  matrixDiag,
+  matrixEntries,
+  matrixEntry,
+  matrixRowSum,
+  matrixSize,
+  sparseEffectiveMatrix,
+} from "./picsy/sparse.js";
+import { createEigenSolver } from "./picsy/eigenSolver.js";
+import { DEFAULT_SOLVER, DIRECT_MAX_N, SOLVERS } from "./picsy/solvers.js";
+import { buildHistory, userSeries } from "./picsy/history.js";
+import { detectCollusion, flaggedSets } from "./picsy/collusion.js";
+import { forceLayout } from "./graph/forceLayout.js";
+import { parseMarkdown } from "./markdown/markdown.js";
+import { buildIndex, highlight, normalize, search } from "./search/searchIndex.js";
+import { DEFAULT_STRATEGY, SIM_STRATEGIES, seedState, simulateStep, strategyLookup } from "./picsy/simulator.js";
+import { DEFAULT_POLICY, likesBy, planLike, policyDelta, policyLookup, SPEND_MODES } from "./picsy/policies.js";
+import {
+  commentThreads,
+  createWorld,
+  dispatch,
+  ledgerOf,
+  nextPostId,
+  postStatus,
+  recordScheduled,
+  redo,
+  referencedImageIds,
+  restoreWorld,
+  stateAt,
+  undo,
+  UNLIKE_WINDOW_MS,
+  verifyReplay,
+} from "./picsy/events.js";
+import { exportSnapshot, importSnapshot, snapshotImages } from "./picsy/snapshot.js";
+import { contributionsCsv, ledgerCsv, matrixCsv } from "./picsy/csv.js";
+import { downloadText, readFileText } from "./storage/download.js";
+import {
+  blobsOfDataUrls,
+  dataUrlOf,
+  imageBlobs,
+  imageFiles,
+  imageSrc,
+  imagesVersion,
+  MAX_IMAGES_PER_POST,
+  prepareImage,
+  registerImages,
+  subscribeImages,
+} from "./storage/images.js";
+import { effectiveGamma, lastRecoveryAt, nextRecoveryAt, scheduledRecovery } from "./picsy/schedule.js";
+import {
+  COMMUNITY_TEMPLATES,
+  communityGenesis,
+  DEFAULT_COMMUNITY_ID,
+  generatedGenesis,
+  MAX_GENERATED_MEMBERS,
+  membershipsOf,
+  parseHandles,
+  uniqueCommunityId,
+} from "./picsy/communities.js";
+import {
+  deleteCommunity,
+  loadCommunities,
+  loadSaved,
+  putCommunity,
+  saveActiveCommunity,
+  saveAll,
+  saveControls,
+  SNAPSHOT_EVERY,
+  syncEvents,
+} from "./storage/indexedDb.js";
 
 /**
  * PICSY-Note Prototype (Single-file React App)
@@ -10,210 +84,191 @@ import React, { useMemo, useState, useEffect, useRef } from "react";
  * 新要件:
  * - 投稿のリッチ化: 画像/タグ/改行、投稿作成UI、検索(テキスト/タグ)、並び替え(新着/ホット/作者のc)
  * - 誰が誰にLikeしたか: ポスト別履歴、グローバル台帳、Likeフロー行列(Σδ)
- * - 自動価値移転: ランダムLikeシミュレータ(他ユーザーが自動で評価)
+ * - 自動価値移転: シード付きシミュレータ(ユーザーごとの戦略で他ユーザーが自動で評価し、同じシードなら同じ結果)
  * - プロフィール: 任意ユーザーの c / 予算 / PP / 投稿数 / 受領δ / 送信δ を可視化
  * - 既存のPICSYコア(仮想中央銀行法/自然回収/メンバー追加)は維持
+ * - 大規模コミュニティ: E は疎行列、c は Web Worker で再計算し、行列・ベクトル・フィードはページ送りで表示
+ * - 履歴チャート: c / 予算 / PP の推移をログから再構成し、like・回収・メンバー追加を時間軸に表示
+ * - ネットワークグラフ: Σδ または E の非対角を辺にした力学モデルのグラフ（ノードの大きさは c）
+ * - 複数コミュニティ: テンプレートから作成し、ヘッダーで切り替える（メンバー・E・投稿・台帳・回収設定はコミュニティごと）
  *
- * 数学:
- * - E' = E - B + (B D)/(N-1)（左固有ベクトル c, sum(c)=N）
- * - Like: δ = α·c_b ⇒ α = δ / c_b
- * - Recovery: offdiag *= (1-γ), diag ← diag + γ(1-diag)
- * - AddMember: x=1/N (既存 c/予算 不変), 新規 c=1, 予算0
+ * 数学: ./picsy/math.js（純粋関数）と ./picsy/economy.js（E・c・メンバーの状態遷移）を参照
  */
 
 // ---------- Utilities ----------
 const fmt = (x, digits = 3) => (Number.isNaN(x) ? "NaN" : Number(x).toFixed(digits));
-const clamp = (x, lo, hi) => Math.max(lo, Math.min(hi, x));
-const rnd = (lo, hi) => lo + Math.random() * (hi - lo);
-const deepCopy = (E) => E.map((row) => row.slice());
-const sum = (arr) => arr.reduce((a, b) => a + b, 0);
-const zeros = (n, m) => Array.from({ length: n }, () => Array(m).fill(0));
 const nowMs = () => Date.now();
 
-/**
- * 
- * @param {Array<Array<number>>} E 
- * @returns {Array<Array<number>>} Matrix
- */
-const ensureRowStochastic = (E) => {
-  const n = E.length;
-  for (let i = 0; i < n; i++) {
-    let rowSum = sum(E[i]);
-    if (rowSum === 0) {
-      for (let j = 0; j < n; j++) E[i][j] = 1 / n;
-      rowSum = 1;
-    }
-    if (Math.abs(rowSum - 1) > 1e-10) {
-      for (let j = 0; j < n; j++) E[i][j] /= rowSum;
-    }
-  }
-  return E;
+/** 一定間隔で進む時計（表示のためだけの state。使うコンポーネントだけが再描画される） */
+function useClock(intervalMs = 250) {
+  const [now, setNow] = useState(() => nowMs());
+  useEffect(() => {
+    const id = setInterval(() => setNow(nowMs()), intervalMs);
+    return () => clearInterval(id);
+  }, [intervalMs]);
+  return now;
+}
+
+// 永続化される操作パラメータの既定値
+const DEFAULT_CONTROLS = {
+  delta: 0.05,
+  gamma: 0.1,
+  simIntervalMs: 1500,
+  simDeltaMin: 0.02,
+  simDeltaMax: 0.08,
+  simSeed: "picsy",
+  simStrategies: { default: DEFAULT_STRATEGY, byUser: {} }, // byUser: {userId: strategy}
+  recoveryMode: "manual", // manual | periodic | continuous
+  recoveryPeriodMs: 60000,
+  solver: DEFAULT_SOLVER, // power | gaussSeidel | direct
+  unlikeWindowMs: UNLIKE_WINDOW_MS, // like を取り消せる猶予
+  likePolicies: { default: DEFAULT_POLICY, byUser: {} }, // byUser: {userId: LikePolicy}
+};
+
+/** テンプレートの操作パラメータ（DEFAULT_CONTROLS にテンプレートの値を上書き） */
+const templateControls = (template) => ({ ...DEFAULT_CONTROLS, ...COMMUNITY_TEMPLATES[template]?.controls });
+
+// 既定のコミュニティ（一覧が未保存のときもこれだけはある）
+const MAIN_COMMUNITY = {
+  id: DEFAULT_COMMUNITY_ID,
+  name: "Main",
+  template: "starter",
+  options: {},
+  createdAt: 0,
+  handles: COMMUNITY_TEMPLATES.starter.handles,
 };
 
-// ---------- PICSY Math ----------
 /**
- * 
- * @param {number[]} v 
- * @param {number[][]} E 
- * @returns {number[]}
+ * handle の参加と最初の投稿（Add Member と、別のコミュニティへの参加で使う）
+ * @param {import("./picsy/events.js").WorldState} state
+ * @param {string} handle
+ * @returns {object[]} dispatch に渡す下書き
  */
-function leftMultiplyEPrime(v, E) {
-  const n = E.length;
-  if (n <= 1) return v.slice();
-  const out = new Array(n).fill(0);
-  const vE = new Array(n).fill(0);
-  const vB = new Array(n).fill(0);
-  let S = 0;
-  for (let j = 0; j < n; j++) {
-    vB[j] = v[j] * E[j][j];
-    S += vB[j];
-  }
-  for (let j = 0; j < n; j++) {
-    let s = 0;
-    for (let i = 0; i < n; i++) s += v[i] * E[i][j];
-    vE[j] = s;
-  }
-  const inv = 1 / (n - 1);
-  for (let j = 0; j < n; j++) out[j] = vE[j] - vB[j] + inv * (S - vB[j]);
-  return out;
+function joinDrafts(state, handle) {
+  const id = state.users.length;
+  return [
+    { type: "addMember", handle },
+    { type: "createPost", postId: nextPostId(state.posts), author: id, title: `${handle}'s first post`, body: "Hello PICSY!", image: "", tags: ["hello"] },
+  ];
 }
 
 /**
- * 
- * @param {number[]} v 
- * @param {number} targetSum 
- * @returns {number}
+ * イベントを一行で説明する（undo/redo のメッセージ用）
+ * @param {import("./picsy/events.js").PicsyEvent} ev
+ * @param {{handle:string}[]} users
+ * @returns {string}
  */
-function normalizeToSum(v, targetSum) {
-  const s = sum(v);
-  if (s === 0) return v.map(() => targetSum / v.length);
-  const scale = targetSum / s;
-  return v.map((x) => x * scale);
+function describeEvent(ev, users) {
+  const h = (i) => `@${users[i]?.handle ?? i}`;
+  switch (ev.type) {
+    case "like":
+      return `like ${h(ev.from)} → ${h(ev.to)}${ev.commentId != null ? ` on comment #${ev.commentId}` : ""} (δ=${fmt(ev.delta)})`;
+    case "unlike":
+      return `unlike ${h(ev.from)} → ${h(ev.to)} (${ev.mode}, α=${fmt(ev.alpha, 4)})`;
+    case "recovery":
+      return `${ev.scheduled ? `scheduled ${ev.scheduled} ` : ""}recovery (γ=${fmt(ev.gamma, ev.periods === undefined && ev.scheduled === "continuous" ? 4 : 2)}${
+        ev.periods !== undefined && ev.periods !== 1 ? ` × ${fmt(ev.periods, ev.scheduled === "continuous" ? 3 : 0)} periods` : ""
+      })`;
+    case "addMember":
+      return `add member ${ev.handle}`;
+    case "removeMember":
+      return `remove member ${h(ev.userId)}`;
+    case "createPost":
+      return `post "${ev.title}"`;
+    case "editPost":
+      return `edit post #${ev.postId} → "${ev.title}"`;
+    case "deletePost":
+      return `delete post #${ev.postId}`;
+    case "comment":
+      return `${ev.parentId != null ? "reply" : "comment"} by ${h(ev.author)}`;
+    default:
+      return ev.type;
+  }
 }
 
 /**
- * 二つのベクトルの同じインデックスの要素の差を合計する
- * @param {number[]} a 
- * @param {number[]} b 
- * @returns {number}
+ * Like フロー行列 (Σδ, rows=buyer, cols=seller)。ほとんどが 0 なので疎行列で持つ。
+ * @param {{from:number, to:number, delta:number}[]} ledger
+ * @param {number} n
+ * @returns {import("./picsy/sparse.js").SparseMatrix}
  */
-function l1Diff(a, b) {
-  let d = 0;
-  for (let i = 0; i < a.length; i++) d += Math.abs(a[i] - b[i]);
-  return d;
+function computeLikeFlow(ledger, n) {
+  const rows = Array.from({ length: n }, () => ({}));
+  for (const e of ledger) rows[e.from][e.to] = (rows[e.from][e.to] ?? 0) + e.delta;
+  return { sparse: true, n, rows };
 }
 
+/** E'（疎行列の E' は密になるので、表示する範囲だけ計算する遅延評価の行列にする） */
+const effectiveView = (E) => (isSparse(E) ? sparseEffectiveMatrix(E) : effectiveMatrix(E));
+
+/** @returns {number[]} diag(E) */
+const diagonal = (E) => Array.from({ length: matrixSize(E) }, (_, i) => matrixDiag(E, i));
+
 /**
- * 
- * @param {number[][]} E 
- * @param {{maxIter?:number, tol?:number, warmStart:number[]}} opts 
- * @returns 
+ * プロフィール欄の統計（ある時点の状態と台帳から計算する）
+ * @param {number} i user id
+ * @param {{users:{handle:string}[], members:{id:number}[], ledger:object[], posts:object[], c:number[], E:object}} s
  */
-function powerIterationLeft(E, opts = {}) {
-  const n = E.length;
-  const { maxIter = 1000, tol = 1e-10, warmStart } = opts;
-  let v = warmStart && warmStart.length === n ? warmStart.slice() : Array(n).fill(1 / n);
-  v = normalizeToSum(v, 1);
-  for (let k = 0; k < maxIter; k++) {
-    const vNext = leftMultiplyEPrime(v, E);
-    const vNextNorm = normalizeToSum(vNext, 1);
-    if (l1Diff(vNextNorm, v) < tol) {
-      v = vNextNorm;
-      break;
-    }
-    v = vNextNorm;
-  }
-  return v.map((x) => x * n); // sum = n
+function computeProfileStats(i, { users, members, ledger, posts, c, E }) {
+  const handle = users[i]?.handle ?? "";
+  const k = members.findIndex((m) => m.id === i);
+  const sent = ledger.filter((e) => e.from === i);
+  const recv = ledger.filter((e) => e.to === i);
+  const postsBy = posts.filter((p) => p.author === i);
+  const sumSent = sent.reduce((a, e) => a + e.delta, 0);
+  const sumRecv = recv.reduce((a, e) => a + e.delta, 0);
+  const postRecv = postsBy.reduce((a, p) => a + p.likes.reduce((s, e) => (e.retracted ? s : s + e.delta), 0), 0);
+  const commentRecv = recv.reduce((a, e) => (e.commentId != null ? a + e.delta : a), 0);
+  const budget = k < 0 ? 0 : matrixDiag(E, k);
+  return {
+    handle,
+    c: c[k] || 0,
+    budget,
+    pp: budget * (c[k] || 0),
+    posts: postsBy.filter((p) => p.deletedAt === undefined).length,
+    sumSent,
+    sumRecv,
+    postRecv,
+    commentRecv,
+  };
 }
 
-function applyNaturalRecovery(E, gamma) {
-  const n = E.length;
-  const out = deepCopy(E);
-  for (let i = 0; i < n; i++) {
-    for (let j = 0; j < n; j++) {
-      if (i !== j) out[i][j] *= 1 - gamma;
-    }
-    out[i][i] = out[i][i] + gamma * (1 - out[i][i]);
-  }
-  return ensureRowStochastic(out);
-}
-
-function applyLike(E, c, b, s, delta) {
-  if (b === s) throw new Error("Self-like is not allowed.");
-  const alpha = delta / c[b];
-  if (alpha < 0) throw new Error("Negative alpha.");
-  if (alpha > E[b][b] + 1e-12) throw new Error("Insufficient budget.");
-  const out = deepCopy(E);
-  out[b][b] -= alpha;
-  out[b][s] += alpha;
-  return ensureRowStochastic(out);
-}
-
-function addMember(E, c, name) {
-  const N = E.length;
-  const x = 1 / N;
-  const K = N + 1;
-  const Enew = zeros(K, K);
-  for (let i = 0; i < N; i++) {
-    for (let j = 0; j < N; j++) Enew[i][j] = i === j ? E[i][j] : (1 - x) * E[i][j];
-    Enew[i][N] = x * (1 - E[i][i]);
-  }
-  for (let j = 0; j < N; j++) Enew[N][j] = c[j] / N;
-  Enew[N][N] = 0;
-  ensureRowStochastic(Enew);
-  const cnew = powerIterationLeft(Enew, { warmStart: normalizeToSum([...c.map((x) => x / N), 1 / N], 1) });
-  return { E: Enew, c: cnew, addedName: name };
-}
-
-// ---------- Self Tests (console) ----------
-function runSelfTests() {
-  let passed = 0;
-  let failed = 0;
-  const assert = (cond, msg) => {
-    if (!cond) {
-      console.error("TEST FAIL:", msg);
-      failed++;
-    } else {
-      console.log("TEST OK:", msg);
-      passed++;
-    }
+/**
+ * 現在の行列・ベクトルを、表示中（過去）のメンバー順に並べ替える。退出などで現在いない位置は undefined。
+ * 行列は表示する範囲だけ読む遅延評価の行列にする。
+ * @param {{id:number}[]} viewMembers
+ * @param {{id:number}[]} liveMembers
+ */
+function alignByMember(viewMembers, liveMembers) {
+  const pos = new Map(liveMembers.map((m, i) => [m.id, i]));
+  const idx = viewMembers.map((m) => pos.get(m.id));
+  return {
+    vec: (v) => idx.map((k) => (k === undefined ? undefined : v[k])),
+    mat: (M) => ({
+      n: idx.length,
+      get: (i, j) => (idx[i] === undefined || idx[j] === undefined ? undefined : matrixEntry(M, idx[i], idx[j])),
+    }),
   };
-  try {
-    // Base matrix (3x3): diag=0.2, off=0.4
-    const E0 = ensureRowStochastic([
-      [0, 0.65, 0.35],
-      [0.50, 0, 0.50],
-      [0.25, 0.75, 0],
-    ]);
-    assert(E0.every((r) => Math.abs(sum(r) - 1) < 1e-12), "row sums to 1");
-
-    const c0 = powerIterationLeft(E0);
-    console.log("c0", c0);
-    
-    assert(Math.abs(sum(c0) - 3) < 1e-8, "sum(c)=N");
-
-    // applyLike correctness
-    const E1 = applyLike(E0, c0, 0, 1, 0.05);
-    const alpha = 0.05 / c0[0];
-    assert(Math.abs(E1[0][0] - (E0[0][0] - alpha)) < 1e-10, "applyLike reduces buyer diag by alpha");
-    assert(Math.abs(E1[0][1] - (E0[0][1] + alpha)) < 1e-10, "applyLike increases buyer->seller by alpha");
-
-    // recovery monotonicity
-    const E2 = applyNaturalRecovery(E0, 0.1);
-    assert(E2[0][0] > E0[0][0], "recovery increases diag");
-    assert(E2[0][1] < E0[0][1], "recovery decreases off-diag");
-
-    // addMember invariants
-    const { E: E3, c: c3 } = addMember(E0, c0, "new");
-    assert(Math.abs(E3[0][0] - E0[0][0]) < 1e-12, "addMember keeps budgets");
-    assert(Math.abs(sum(c3) - E3.length) < 1e-6, "sum(c)=N after addMember");
-    assert(Math.abs(c3[c3.length - 1] - 1) < 1e-3, "new member c=1");
-  } catch (e) {
-    console.warn("Self-tests exception:", e);
-  }
-  console.log(`PICSY self-tests: passed=${passed}, failed=${failed}`);
 }
 
+const LIKE_ERROR_MESSAGES = {
+  SELF_LIKE: "自身の投稿にはいいねできません。",
+  INSUFFICIENT_BUDGET: "予算不足で実行できません。",
+  NOT_A_MEMBER: "退出したメンバーとはいいねをやり取りできません。",
+  GRACE_EXPIRED: "取り消せる時間を過ぎたいいねです。",
+  ALREADY_RETRACTED: "このいいねはすでに取り消されています。",
+  NOT_YOUR_LIKE: "自分のいいねだけを取り消せます。",
+  POST_DELETED: "削除された投稿です。",
+  NOT_YOUR_POST: "自分の投稿だけを編集・削除できます。",
+};
+
+/** カンマ区切りのタグ */
+const parseTags = (text) =>
+  text
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean);
+
 // ---------- UI Components ----------
 function Section({ title, children, actions, footer }) {
   return (
@@ -228,13 +283,58 @@ function Section({ title, children, actions, footer }) {
   );
 }
 
-function MatrixTable({ title, matrix, highlightDiag = false, c, pp }) {
-  if (!matrix || matrix.length === 0) return null;
-  const n = matrix.length;
+const changed = (x, y) => y === undefined || Math.abs(x - y) > 1e-9;
+
+// 行列・ベクトル・フィードを一度に描画する件数
+const PAGE = 20;
+const FEED_PAGE = 50;
+
+const range = (from, to) => Array.from({ length: Math.max(0, to - from) }, (_, k) => from + k);
+const lastPageStart = (total) => Math.max(0, Math.floor((total - 1) / PAGE) * PAGE);
+
+function Pager({ label, offset, total, onChange }) {
+  if (total <= PAGE) return null;
+  return (
+    <span className="flex items-center gap-1 text-xs text-gray-600">
+      {label}
+      <button onClick={() => onChange(Math.max(0, offset - PAGE))} disabled={offset === 0} className="px-1 rounded border disabled:opacity-40">
+        ‹
+      </button>
+      <span>
+        {offset + 1}–{Math.min(total, offset + PAGE)} / {total}
+      </span>
+      <button
+        onClick={() => onChange(Math.min(lastPageStart(total), offset + PAGE))}
+        disabled={offset + PAGE >= total}
+        className="px-1 rounded border disabled:opacity-40"
+      >
+        ›
+      </button>
+    </span>
+  );
+}
+
+/**
+ * 正方行列の表。密行列・疎行列・遅延評価の行列を受け取り、PAGE×PAGE の範囲だけを描画する。
+ * flagCells（"i→j" の集合）のセルは赤く塗る。
+ */
+function MatrixTable({ title, matrix, highlightDiag = false, c, pp, compare, labels, flagCells }) {
+  const [rowOffset, setRowOffset] = useState(0);
+  const [colOffset, setColOffset] = useState(0);
+  if (!matrix || matrixSize(matrix) === 0) return null;
+  const n = matrixSize(matrix);
+  const r0 = Math.min(rowOffset, lastPageStart(n));
+  const c0 = Math.min(colOffset, lastPageStart(n));
+  const rows = range(r0, Math.min(n, r0 + PAGE));
+  const cols = range(c0, Math.min(n, c0 + PAGE));
   const showStats = Array.isArray(c) && Array.isArray(pp) && c.length === n && pp.length === n;
   return (
     <div className="overflow-auto">
-      <div className="text-sm font-medium mb-2">{title}</div>
+      <div className="mb-2 flex flex-wrap items-center gap-3">
+        <div className="text-sm font-medium">{title}</div>
+        <Pager label="rows" offset={r0} total={n} onChange={setRowOffset} />
+        <Pager label="cols" offset={c0} total={n} onChange={setColOffset} />
+      </div>
       <table className="min-w-max text-right text-sm">
         <thead>
           <tr>
@@ -245,35 +345,41 @@ function MatrixTable({ title, matrix, highlightDiag = false, c, pp }) {
                 <th className="px-2 py-1">購買力PP</th>
               </>
             )}
-            {Array.from({ length: n }, (_, j) => (
-              <th key={j} className="px-2 py-1">{j + 1}</th>
+            {cols.map((j) => (
+              <th key={j} className="px-2 py-1">{labels?.[j] ?? j + 1}</th>
             ))}
             <th className="px-2 py-1">row Σ</th>
           </tr>
         </thead>
         <tbody>
-          {matrix.map((row, i) => (
+          {rows.map((i) => (
             <tr key={i} className="border-t">
-              <td className="px-2 py-1 text-left font-medium">{i + 1}</td>
+              <td className="px-2 py-1 text-left font-medium">{labels?.[i] ?? i + 1}</td>
               {showStats && (
                 <>
                   <td className="px-2 py-1">{fmt(c[i])}</td>
                   <td className="px-2 py-1">{fmt(pp[i])}</td>
                 </>
               )}
-              {row.map((x, j) => (
-                <td
-                  key={j}
-                  className={
-                    "px-2 py-1 " +
-                    (highlightDiag && i === j ? "bg-amber-50 font-semibold" : "")
-                  }
-                  title={`E[${i + 1},${j + 1}]`}
-                >
-                  {fmt(x)}
-                </td>
-              ))}
-              <td className="px-2 py-1 font-semibold">{fmt(sum(row))}</td>
+              {cols.map((j) => {
+                const x = matrixEntry(matrix, i, j);
+                const y = compare ? matrixEntry(compare, i, j) : undefined;
+                return (
+                  <td
+                    key={j}
+                    className={
+                      "px-2 py-1 " +
+                      (highlightDiag && i === j ? "bg-amber-50 font-semibold " : "") +
+                      (flagCells?.has(`${i}→${j}`) ? "bg-rose-100 " : "") +
+                      (compare && changed(x, y) ? "bg-sky-100" : "")
+                    }
+                    title={compare ? `E[${i + 1},${j + 1}] now=${fmt(y ?? 0)}` : `E[${i + 1},${j + 1}]`}
+                  >
+                    {fmt(x)}
+                  </td>
+                );
+              })}
+              <td className="px-2 py-1 font-semibold">{fmt(matrixRowSum(matrix, i))}</td>
             </tr>
           ))}
         </tbody>
@@ -283,18 +389,24 @@ function MatrixTable({ title, matrix, highlightDiag = false, c, pp }) {
 }
 
 
-function VectorTable({ title, vec, scale = 1, totalLabel = "Σ" }) {
+function VectorTable({ title, vec, scale = 1, totalLabel = "Σ", compare, labels }) {
+  const [offset, setOffset] = useState(0);
   if (!vec || vec.length === 0) return null;
   const total = sum(vec) * scale;
+  const o = Math.min(offset, lastPageStart(vec.length));
+  const cols = range(o, Math.min(vec.length, o + PAGE));
   return (
     <div className="overflow-auto">
-      <div className="text-sm font-medium mb-2">{title}</div>
+      <div className="mb-2 flex flex-wrap items-center gap-3">
+        <div className="text-sm font-medium">{title}</div>
+        <Pager offset={o} total={vec.length} onChange={setOffset} />
+      </div>
       <table className="min-w-max text-right text-sm">
         <thead>
           <tr>
-            {vec.map((_, j) => (
+            {cols.map((j) => (
               <th key={j} className="px-2 py-1">
-                {j + 1}
+                {labels?.[j] ?? j + 1}
               </th>
             ))}
             <th className="px-2 py-1">{totalLabel}</th>
@@ -302,9 +414,13 @@ function VectorTable({ title, vec, scale = 1, totalLabel = "Σ" }) {
         </thead>
         <tbody>
           <tr className="border-t">
-            {vec.map((x, j) => (
-              <td key={j} className="px-2 py-1">
-                {fmt(x * scale)}
+            {cols.map((j) => (
+              <td
+                key={j}
+                className={"px-2 py-1 " + (compare && changed(vec[j], compare[j]) ? "bg-sky-100" : "")}
+                title={compare ? `now=${fmt((compare[j] ?? 0) * scale)}` : undefined}
+              >
+                {fmt(vec[j] * scale)}
               </td>
             ))}
             <td className="px-2 py-1 font-semibold">{fmt(total)}</td>
@@ -315,6 +431,317 @@ function VectorTable({ title, vec, scale = 1, totalLabel = "Σ" }) {
   );
 }
 
+function CsvButton({ label = "CSV", onClick }) {
+  return (
+    <button onClick={onClick} className="px-2 py-1 rounded-md border text-xs hover:bg-gray-50" title="Download as CSV">
+      ⤓ {label}
+    </button>
+  );
+}
+
+// ---------- Markdown ----------
+// markdown.js の構文木を React 要素にする（HTML 文字列は使わないので、本文の HTML はそのまま文字として出る）
+const HEADING_CLASS = ["", "text-lg font-semibold", "text-base font-semibold", "font-semibold", "font-medium", "font-medium", "font-medium"];
+
+/** 検索語に当たる部分を <mark> にした文字列 */
+function Highlighted({ text, terms }) {
+  if (!terms?.length) return text;
+  return highlight(text, terms).map((seg, k) =>
+    seg.hit ? (
+      <mark key={k} className="rounded-sm bg-yellow-200 text-inherit">
+        {seg.text}
+      </mark>
+    ) : (
+      seg.text
+    )
+  );
+}
+
+function renderInline(nodes, terms) {
+  return nodes.map((n, k) => {
+    switch (n.type) {
+      case "text":
+        return terms?.length ? <Highlighted key={k} text={n.text} terms={terms} /> : n.text;
+      case "break":
+        return <br key={k} />;
+      case "strong":
+        return <strong key={k}>{renderInline(n.children, terms)}</strong>;
+      case "em":
+        return <em key={k}>{renderInline(n.children, terms)}</em>;
+      case "del":
+        return <del key={k}>{renderInline(n.children, terms)}</del>;
+      case "sup":
+        return <sup key={k}>{renderInline(n.children, terms)}</sup>;
+      case "sub":
+        return <sub key={k}>{renderInline(n.children, terms)}</sub>;
+      case "code":
+        return (
+          <code key={k} className="rounded bg-gray-100 px-1 font-mono text-[0.9em]">
+            {n.text}
+          </code>
+        );
+      case "math":
+        return (
+          <span key={k} className="font-serif italic whitespace-nowrap">
+            {renderInline(n.nodes, terms)}
+          </span>
+        );
+      case "link":
+        return (
+          <a key={k} href={n.href} target="_blank" rel="noopener noreferrer nofollow" className="text-indigo-700 underline">
+            {renderInline(n.children, terms)}
+          </a>
+        );
+      default:
+        return null;
+    }
+  });
+}
+
+function renderBlocks(blocks, terms) {
+  return blocks.map((b, k) => {
+    switch (b.type) {
+      case "heading": {
+        const H = `h${b.level}`;
+        return (
+          <H key={k} className={HEADING_CLASS[b.level]}>
+            {renderInline(b.children, terms)}
+          </H>
+        );
+      }
+      case "paragraph":
+        return <p key={k}>{renderInline(b.children, terms)}</p>;
+      case "codeBlock":
+        return (
+          <pre key={k} className="overflow-auto rounded-md bg-gray-900 p-2 text-xs text-gray-100" data-lang={b.lang || undefined}>
+            <code>{b.text}</code>
+          </pre>
+        );
+      case "mathBlock":
+        return (
+          <div key={k} className="text-center font-serif italic">
+            {renderInline(b.nodes, terms)}
+          </div>
+        );
+      case "list": {
+        const List = b.ordered ? "ol" : "ul";
+        return (
+          <List key={k} start={b.ordered ? b.start : undefined} className={"pl-5 space-y-0.5 " + (b.ordered ? "list-decimal" : "list-disc")}>
+            {b.items.map((item, j) => (
+              <li key={j}>{renderBlocks(item, terms)}</li>
+            ))}
+          </List>
+        );
+      }
+      case "blockquote":
+        return (
+          <blockquote key={k} className="border-l-4 pl-3 text-gray-600">
+            {renderBlocks(b.children, terms)}
+          </blockquote>
+        );
+      case "hr":
+        return <hr key={k} />;
+      default:
+        return null;
+    }
+  });
+}
+
+/**
+ * 投稿本文・コメント・編集前の版の Markdown
+ * @param {{source:string, className?:string, terms?:string[]}} props terms: 検索で強調する語（正規化済み）
+ */
+function Markdown({ source, className = "", terms }) {
+  const blocks = useMemo(() => parseMarkdown(source), [source]);
+  return <div className={"space-y-2 break-words " + className}>{renderBlocks(blocks, terms)}</div>;
+}
+
+/**
+ * Markdown の入力欄と、その場で描画するプレビューのタブ
+ */
+function MarkdownField({ value, onChange, rows = 4, placeholder }) {
+  const [tab, setTab] = useState("write");
+  const tabClass = (t) => "px-2 py-0.5 rounded-t-md border-b-2 " + (tab === t ? "border-gray-900 font-medium" : "border-transparent text-gray-500");
+  return (
+    <div className="grid gap-1">
+      <div className="flex gap-1 text-xs">
+        <button type="button" className={tabClass("write")} onClick={() => setTab("write")}>
+          Write
+        </button>
+        <button type="button" className={tabClass("preview")} onClick={() => setTab("preview")}>
+          Preview
+        </button>
+        <span className="ml-auto text-gray-400">Markdown · $inline math$</span>
+      </div>
+      {tab === "write" ? (
+        <textarea value={value} onChange={(e) => onChange(e.target.value)} className="rounded-md border px-2 py-1" rows={rows} placeholder={placeholder} />
+      ) : (
+        <div className="min-h-[6rem] rounded-md border px-2 py-1 text-sm text-gray-700">
+          {value.trim() ? <Markdown source={value} /> : <span className="text-gray-400">Nothing to preview.</span>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ---------- Images ----------
+/** 添付画像を registry の object URL で表示する（中身がまだ無ければ灰色の枠） */
+function StoredImage({ image, size, className, ...rest }) {
+  useSyncExternalStore(subscribeImages, imagesVersion, imagesVersion);
+  const src = imageSrc(image.id, size);
+  if (!src) return <span className={"inline-block bg-gray-100 " + className} title={image.name} />;
+  return <img src={src} alt={image.name} className={className} {...rest} />;
+}
+
+/**
+ * 添付画像の受け口: 子要素（入力欄）へのドロップ・貼り付けと「Add images」で画像を受け取り、縮小して onChange に渡す。
+ * onChange は state の setter（縮小は非同期なので更新関数で追加する）。
+ */
+function ImageDropZone({ images, onChange, children }) {
+  const [busy, setBusy] = useState(0);
+  const [error, setError] = useState("");
+  const [over, setOver] = useState(false);
+  const input = useRef(null);
+
+  const add = async (files) => {
+    const list = imageFiles(files);
+    const all = Array.from(files ?? []);
+    if (list.length === 0) {
+      if (all.length > 0) setError("Only image files can be attached.");
+      return;
+    }
+    const room = MAX_IMAGES_PER_POST - images.length - busy;
+    const accepted = list.slice(0, Math.max(0, room));
+    setError(list.length > accepted.length ? `A post can have at most ${MAX_IMAGES_PER_POST} images.` : "");
+    setBusy((n) => n + accepted.length);
+    for (const file of accepted) {
+      try {
+        const { image, blobs } = await prepareImage(file);
+        registerImages([blobs]);
+        onChange((prev) => [...prev, image]);
+      } catch (e) {
+        setError(e.message);
+      } finally {
+        setBusy((n) => n - 1);
+      }
+    }
+  };
+
+  const onPaste = (e) => {
+    const files = imageFiles(e.clipboardData?.files);
+    if (files.length === 0) return; // 文字の貼り付けはそのまま
+    e.preventDefault();
+    add(files);
+  };
+  const onDrop = (e) => {
+    e.preventDefault();
+    setOver(false);
+    add(e.dataTransfer?.files);
+  };
+
+  return (
+    <div
+      onPaste={onPaste}
+      onDragOver={(e) => {
+        e.preventDefault();
+        setOver(true);
+      }}
+      onDragLeave={() => setOver(false)}
+      onDrop={onDrop}
+      className={"grid gap-2 rounded-md " + (over ? "outline-2 outline-dashed outline-indigo-400" : "")}
+    >
+      {children}
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        {images.map((im) => (
+          <span key={im.id} className="relative">
+            <StoredImage image={im} size="thumb" title={`${im.name} (${im.width}×${im.height})`} className="h-14 w-14 rounded border object-cover" />
+            <button
+              type="button"
+              onClick={() => onChange((prev) => prev.filter((x) => x.id !== im.id))}
+              className="absolute -right-1.5 -top-1.5 h-4 w-4 rounded-full bg-gray-900 text-[10px] leading-4 text-white"
+              title="Remove image"
+            >
+              ✕
+            </button>
+          </span>
+        ))}
+        {busy > 0 && <span className="text-gray-500">Resizing {busy}…</span>}
+        <button
+          type="button"
+          onClick={() => input.current?.click()}
+          disabled={images.length + busy >= MAX_IMAGES_PER_POST}
+          className="px-2 py-1 rounded-md border hover:bg-gray-50 disabled:opacity-40"
+        >
+          Add images
+        </button>
+        <span className="text-gray-400">or drop / paste (up to {MAX_IMAGES_PER_POST})</span>
+        <input
+          ref={input}
+          type="file"
+          accept="image/*"
+          multiple
+          hidden
+          onChange={(e) => {
+            add(e.target.files);
+            e.target.value = "";
+          }}
+        />
+        {error && <span className="text-red-600">{error}</span>}
+      </div>
+    </div>
+  );
+}
+
+/** 添付画像を大きく表示する（←/→ で前後、Esc で閉じる） */
+function Lightbox({ images, index, onIndex, onClose }) {
+  const im = images[index];
+  const n = images.length;
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === "Escape") onClose();
+      else if (e.key === "ArrowLeft") onIndex((index - 1 + n) % n);
+      else if (e.key === "ArrowRight") onIndex((index + 1) % n);
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [index, n, onIndex, onClose]);
+  if (!im) return null;
+  const nav = "absolute top-1/2 -translate-y-1/2 rounded-full bg-white/20 px-3 py-1 text-2xl text-white hover:bg-white/40";
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 p-6" onClick={onClose} role="dialog" aria-label={im.name}>
+      <StoredImage image={im} size="full" className="max-h-full max-w-full rounded shadow-lg" onClick={(e) => e.stopPropagation()} />
+      <div className="absolute bottom-3 left-0 right-0 text-center text-sm text-white">
+        {im.name} · {im.width}×{im.height} · {index + 1}/{n}
+      </div>
+      <button className="absolute right-4 top-3 text-2xl text-white" onClick={onClose} title="Close (Esc)">
+        ✕
+      </button>
+      {n > 1 && (
+        <>
+          <button
+            className={nav + " left-4"}
+            onClick={(e) => {
+              e.stopPropagation();
+              onIndex((index - 1 + n) % n);
+            }}
+          >
+            ‹
+          </button>
+          <button
+            className={nav + " right-4"}
+            onClick={(e) => {
+              e.stopPropagation();
+              onIndex((index + 1) % n);
+            }}
+          >
+            ›
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
 function Avatar({ name }) {
   const hue = Math.abs(hashCode(name)) % 360;
   const bg = `hsl(${hue}, 70%, 90%)`;
@@ -336,75 +763,783 @@ function hashCode(str) {
   return h;
 }
 
-function CommentList({ post, users, onAdd }) {
+// ---------- Charts ----------
+const userColor = (handle) => `hsl(${Math.abs(hashCode(handle)) % 360}, 65%, 42%)`;
+
+const MARKER_STYLES = {
+  like: { color: "#0ea5e9", label: "like" },
+  recovery: { color: "#f59e0b", label: "recovery" },
+  addMember: { color: "#10b981", label: "member added" },
+  removeMember: { color: "#f43f5e", label: "member removed" },
+  unlike: { color: "#a855f7", label: "like retracted" },
+};
+
+const minOf = (xs) => xs.reduce((a, b) => Math.min(a, b), Infinity);
+const maxOf = (xs) => xs.reduce((a, b) => Math.max(a, b), -Infinity);
+
+/**
+ * 時系列の折れ線グラフ（SVG）。like は下端の短い目盛り、回収・メンバーの増減は縦の点線で示す。
+ * 印は区間ごとにまとめられている（count 件）。
+ * @param {{title:string, series:{id:number, color:string, label:string, points:{at:number, v:number}[]}[],
+ *   markers:{at:number, type:string, count:number}[], range:[number, number], cursorAt?:number|null, height?:number}} props
+ */
+function TimeSeriesChart({ title, series, markers, range, cursorAt = null, height = 140 }) {
+  const W = 600;
+  const H = height;
+  const pad = { l: 44, r: 8, t: 8, b: 26 };
+  const values = series.flatMap((s) => s.points.map((p) => p.v));
+  const [t0, t1] = range;
+  let lo = values.length ? minOf(values) : 0;
+  let hi = values.length ? maxOf(values) : 1;
+  if (hi - lo < 1e-9) {
+    lo -= 0.5;
+    hi += 0.5;
+  }
+  const x = (t) => pad.l + (t1 > t0 ? (t - t0) / (t1 - t0) : 1) * (W - pad.l - pad.r);
+  const y = (v) => pad.t + (1 - (v - lo) / (hi - lo)) * (H - pad.t - pad.b);
+  const base = H - pad.b;
+  return (
+    <div>
+      <div className="text-sm font-medium mb-1">{title}</div>
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto" role="img" aria-label={title}>
+        <line x1={pad.l} y1={base} x2={W - pad.r} y2={base} stroke="#d1d5db" />
+        <line x1={pad.l} y1={pad.t} x2={pad.l} y2={base} stroke="#d1d5db" />
+        {[lo, (lo + hi) / 2, hi].map((v, k) => (
+          <text key={k} x={pad.l - 4} y={y(v) + 3} textAnchor="end" fontSize="10" fill="#6b7280">
+            {fmt(v, 2)}
+          </text>
+        ))}
+        <text x={pad.l} y={H - 6} fontSize="10" fill="#6b7280">
+          {new Date(t0).toLocaleTimeString()}
+        </text>
+        <text x={W - pad.r} y={H - 6} textAnchor="end" fontSize="10" fill="#6b7280">
+          {new Date(t1).toLocaleTimeString()}
+        </text>
+        {markers.map((m, k) =>
+          m.type === "like" ? (
+            <line key={k} x1={x(m.at)} y1={base} x2={x(m.at)} y2={base - 5} stroke={MARKER_STYLES.like.color} strokeOpacity="0.5">
+              <title>{`${MARKER_STYLES.like.label} ×${m.count}`}</title>
+            </line>
+          ) : (
+            <line key={k} x1={x(m.at)} y1={pad.t} x2={x(m.at)} y2={base} stroke={MARKER_STYLES[m.type].color} strokeDasharray="3 3" strokeOpacity="0.8">
+              <title>{`${MARKER_STYLES[m.type].label}${m.count > 1 ? ` ×${m.count}` : ""} · ${new Date(m.at).toLocaleTimeString()}`}</title>
+            </line>
+          )
+        )}
+        {cursorAt !== null && <line x1={x(cursorAt)} y1={pad.t} x2={x(cursorAt)} y2={base} stroke="#111827" strokeWidth="1.5" />}
+        {series.map((s) => (
+          <polyline
+            key={s.id}
+            fill="none"
+            stroke={s.color}
+            strokeWidth="1.5"
+            points={s.points.map((p) => `${x(p.at).toFixed(1)},${y(p.v).toFixed(1)}`).join(" ")}
+          >
+            <title>@{s.label}</title>
+          </polyline>
+        ))}
+      </svg>
+    </div>
+  );
+}
+
+// 凡例に全ユーザーを並べる上限（超えたら選択中のユーザーと追加用のセレクトだけを出す）
+const LEGEND_ALL_MAX = 16;
+
+function ChartLegend({ users, selected, onToggle }) {
+  const chip = (u) => {
+    const on = selected.includes(u.id);
+    return (
+      <button
+        key={u.id}
+        onClick={() => onToggle(u.id)}
+        className={"flex items-center gap-1 px-2 py-0.5 rounded-full border text-xs " + (on ? "bg-white" : "bg-gray-50 text-gray-400")}
+        title={on ? "Hide from charts" : "Show in charts"}
+      >
+        <span className="inline-block w-3 h-0.5" style={{ background: on ? userColor(u.handle) : "#d1d5db" }} />@{u.handle}
+        {u.leftAt !== undefined && " (left)"}
+      </button>
+    );
+  };
+  return (
+    <div className="flex flex-wrap items-center gap-1">
+      {users.length <= LEGEND_ALL_MAX ? (
+        users.map(chip)
+      ) : (
+        <>
+          {selected.filter((id) => users[id]).map((id) => chip(users[id]))}
+          <select className="rounded-md border px-2 py-0.5 text-xs" value="" onChange={(e) => e.target.value !== "" && onToggle(Number(e.target.value))}>
+            <option value="">＋ add user…</option>
+            {users
+              .filter((u) => !selected.includes(u.id))
+              .map((u) => (
+                <option key={u.id} value={u.id}>
+                  @{u.handle}
+                </option>
+              ))}
+          </select>
+        </>
+      )}
+      <span className="ml-2 flex flex-wrap items-center gap-2 text-xs text-gray-500">
+        {Object.entries(MARKER_STYLES).map(([type, st]) => (
+          <span key={type} className="flex items-center gap-1">
+            <span className="inline-block w-0.5 h-3" style={{ background: st.color }} />
+            {st.label}
+          </span>
+        ))}
+      </span>
+    </div>
+  );
+}
+
+// ---------- Network graph ----------
+const GRAPH_W = 600;
+const GRAPH_H = 420;
+const GRAPH_MAX_NODES = 120; // c の大きい順にこの人数まで描く
+const GRAPH_MAX_EDGES = 600; // 重い順にこの本数まで描く
+const EDGE_OUT = "#ea580c";
+const EDGE_IN = "#2563eb";
+const EDGE_FLAGGED = "#dc2626";
+
+/**
+ * 辺の一覧（source/target はユーザー id、weight は最大を 1 に正規化）
+ * @param {"flow"|"E"} mode flow: Like フロー Σδ（users の id で引く）/ E: 評価行列の非対角（members の行順）
+ */
+function graphEdges(mode, { likeFlow, E, members, nodeIds }) {
+  const raw =
+    mode === "flow"
+      ? matrixEntries(likeFlow).map(({ i, j, v }) => ({ source: i, target: j, value: v }))
+      : matrixEntries(E)
+          .filter(({ i, j }) => i !== j)
+          .map(({ i, j, v }) => ({ source: members[i].id, target: members[j].id, value: v }));
+  const edges = raw
+    .filter((e) => e.source !== e.target && nodeIds.has(e.source) && nodeIds.has(e.target))
+    .sort((a, b) => b.value - a.value)
+    .slice(0, GRAPH_MAX_EDGES);
+  const max = edges[0]?.value ?? 1;
+  return edges.map((e) => ({ ...e, weight: e.value / max }));
+}
+
+/**
+ * Like フロー / 評価行列のネットワーク。ホバーで出入りの流れを強調し、クリックでプロフィールを開く。
+ * flagged（なれ合い検出の辺 "from→to" とユーザー id）があれば赤で示す。
+ */
+function NetworkGraph({ mode, members, users, c, E, likeFlow, selectedId, onSelect, flagged }) {
+  const [hoverId, setHoverId] = useState(null);
+  const nodes = useMemo(() => {
+    const all = members.map((m, i) => ({ id: m.id, c: c[i] ?? 0 }));
+    return all.length > GRAPH_MAX_NODES ? all.sort((a, b) => b.c - a.c).slice(0, GRAPH_MAX_NODES) : all;
+  }, [members, c]);
+  const edges = useMemo(
+    () => graphEdges(mode, { likeFlow, E, members, nodeIds: new Set(nodes.map((nd) => nd.id)) }),
+    [mode, likeFlow, E, members, nodes]
+  );
+  // 前回の配置から続けて計算し、操作のたびにノードが飛ばないようにする
+  const positions = useRef(new Map());
+  const layout = useMemo(() => {
+    const init = positions.current;
+    const pos = forceLayout(nodes, edges, { width: GRAPH_W, height: GRAPH_H, iterations: init.size === 0 ? 300 : 60, init });
+    positions.current = pos;
+    return pos;
+  }, [nodes, edges]);
+
+  const maxC = Math.max(1e-9, ...nodes.map((nd) => nd.c));
+  const radius = (nd) => 5 + 13 * Math.sqrt(Math.max(0, nd.c) / maxC);
+  const rById = new Map(nodes.map((nd) => [nd.id, radius(nd)]));
+  const neighbours = new Set(
+    hoverId === null ? [] : edges.filter((e) => e.source === hoverId || e.target === hoverId).flatMap((e) => [e.source, e.target])
+  );
+  const showLabels = nodes.length <= 40;
+
+  if (nodes.length === 0) return null;
+  return (
+    <div>
+      <svg viewBox={`0 0 ${GRAPH_W} ${GRAPH_H}`} className="w-full h-auto border rounded-lg bg-gray-50" role="img" aria-label="network graph">
+        <defs>
+          {[
+            ["arrow", "#9ca3af"],
+            ["arrow-out", EDGE_OUT],
+            ["arrow-in", EDGE_IN],
+            ["arrow-flagged", EDGE_FLAGGED],
+          ].map(([id, color]) => (
+            <marker key={id} id={id} viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+              <path d="M 0 0 L 10 5 L 0 10 z" fill={color} />
+            </marker>
+          ))}
+        </defs>
+        {edges.map((e, k) => {
+          const a = layout.get(e.source);
+          const b = layout.get(e.target);
+          if (!a || !b) return null;
+          const dx = b.x - a.x;
+          const dy = b.y - a.y;
+          const len = Math.max(1, Math.hypot(dx, dy));
+          // 双方向の辺が重ならないよう、進行方向の左に曲げる
+          const mx = (a.x + b.x) / 2 - (dy / len) * len * 0.12;
+          const my = (a.y + b.y) / 2 + (dx / len) * len * 0.12;
+          const ex = mx - b.x;
+          const ey = my - b.y;
+          const el = Math.max(1, Math.hypot(ex, ey));
+          const rb = rById.get(e.target) + 2;
+          const tx = b.x + (ex / el) * rb;
+          const ty = b.y + (ey / el) * rb;
+          const dir = hoverId === null ? null : e.source === hoverId ? "out" : e.target === hoverId ? "in" : "other";
+          const isFlagged = dir === null && flagged?.edges.has(`${e.source}→${e.target}`);
+          const color = dir === "out" ? EDGE_OUT : dir === "in" ? EDGE_IN : isFlagged ? EDGE_FLAGGED : "#9ca3af";
+          return (
+            <path
+              key={k}
+              d={`M ${a.x} ${a.y} Q ${mx} ${my} ${tx} ${ty}`}
+              fill="none"
+              stroke={color}
+              strokeWidth={0.5 + 4 * e.weight}
+              strokeOpacity={dir === "other" ? 0.08 : dir || isFlagged ? 0.9 : 0.45}
+              markerEnd={`url(#${dir === "out" ? "arrow-out" : dir === "in" ? "arrow-in" : isFlagged ? "arrow-flagged" : "arrow"})`}
+            >
+              <title>
+                @{users[e.source]?.handle} → @{users[e.target]?.handle}: {mode === "flow" ? `Σδ=${fmt(e.value)}` : `E=${fmt(e.value)}`}
+              </title>
+            </path>
+          );
+        })}
+        {nodes.map((nd) => {
+          const p = layout.get(nd.id);
+          const u = users[nd.id];
+          const faded = hoverId !== null && nd.id !== hoverId && !neighbours.has(nd.id);
+          return (
+            <g
+              key={nd.id}
+              transform={`translate(${p.x} ${p.y})`}
+              className="cursor-pointer"
+              opacity={faded ? 0.25 : 1}
+              onMouseEnter={() => setHoverId(nd.id)}
+              onMouseLeave={() => setHoverId(null)}
+              onClick={() => onSelect(nd.id)}
+            >
+              <circle
+                r={rById.get(nd.id)}
+                fill={userColor(u.handle)}
+                stroke={nd.id === selectedId ? "#111827" : flagged?.ids.has(nd.id) ? EDGE_FLAGGED : "white"}
+                strokeWidth={flagged?.ids.has(nd.id) ? 3 : 2}
+              />
+              {(showLabels || nd.id === hoverId) && (
+                <text y={rById.get(nd.id) + 11} textAnchor="middle" fontSize="10" fill="#374151">
+                  @{u.handle}
+                </text>
+              )}
+              <title>
+                @{u.handle} · c={fmt(nd.c)}
+              </title>
+            </g>
+          );
+        })}
+      </svg>
+      <div className="mt-1 flex flex-wrap gap-3 text-xs text-gray-500">
+        <span>node size ∝ √c</span>
+        <span style={{ color: EDGE_OUT }}>→ out-flow</span>
+        <span style={{ color: EDGE_IN }}>← in-flow</span>
+        {flagged && <span style={{ color: EDGE_FLAGGED }}>● flagged group</span>}
+        {members.length > nodes.length && <span>showing the top {nodes.length} of {members.length} members by c</span>}
+      </div>
+    </div>
+  );
+}
+
+/** 解き方の表示名（analytic は大きい economy で新メンバーの c を解析的に伸ばしたとき） */
+const solverLabel = (method) => SOLVERS[method]?.label ?? (method === "analytic" ? "Analytic (new member)" : method);
+
+/**
+ * c の解き方の選択と、最後に解いたときの反復回数・残差・収束したか
+ * @param {{economy:import("./picsy/economy.js").Economy, solving:{iter:number, residual:number}|null, method:string,
+ *   onChange:(method:string) => void}} props
+ */
+function SolverDiagnostics({ economy, solving, method, onChange }) {
+  const { E, diagnostics: d, stale } = economy;
+  const n = matrixSize(E);
+  const storage = isSparse(E) ? `sparse, ${E.rows.reduce((a, r) => a + Object.keys(r).length, 0)} non-zeros` : `dense ${n}×${n}`;
+  const rows = [
+    ["N", n],
+    ["E storage", storage],
+    ["Method used", d ? solverLabel(d.method) : "—"],
+    ["Iterations", d ? (d.method === "direct" || d.method === "analytic" ? "— (not iterative)" : d.iterations) : "—"],
+    ["Final residual ‖vE' − v‖₁", d ? d.residual.toExponential(2) : "—"],
+    ["Tolerance", d ? d.tol.toExponential(0) : "—"],
+    ["Time", d ? `${d.ms.toFixed(1)} ms` : "—"],
+  ];
+  return (
+    <div className="grid gap-3 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <span>Solver</span>
+        <select className="rounded-md border px-2 py-1" value={method} onChange={(e) => onChange(e.target.value)}>
+          {Object.entries(SOLVERS).map(([name, sv]) => (
+            <option key={name} value={name} title={sv.description}>
+              {sv.label}
+            </option>
+          ))}
+        </select>
+        <span className="text-xs text-gray-500">{SOLVERS[method]?.description}</span>
+      </div>
+      <dl className="grid grid-cols-2 sm:grid-cols-4 gap-x-4 gap-y-1">
+        {rows.map(([k, v]) => (
+          <div key={k}>
+            <dt className="text-xs text-gray-500">{k}</dt>
+            <dd className="font-mono">{v}</dd>
+          </div>
+        ))}
+        <div>
+          <dt className="text-xs text-gray-500">Status</dt>
+          <dd className={stale ? "text-amber-700" : d?.converged ? "text-green-700" : "text-red-700 font-semibold"}>
+            {stale ? (solving ? `solving… iteration ${solving.iter}` : "solving…") : d?.converged ? "✓ converged" : d ? "⚠ not converged" : "—"}
+          </dd>
+        </div>
+      </dl>
+      {d?.fallback && <div className="text-xs text-gray-500">{d.fallback}</div>}
+      {d && !d.converged && !stale && (
+        <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-red-800">
+          c did not converge: the residual {d.residual.toExponential(2)} is above the tolerance {d.tol.toExponential(0)}
+          {d.iterations > 0 ? ` after ${d.iterations} iterations` : ""}. The c shown may be wrong; E may be nearly reducible.
+          {d.method !== "direct" && n <= DIRECT_MAX_N ? " Try the direct solver." : d.method === "power" ? " Try Gauss–Seidel." : ""}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * コミュニティの一覧（開く・削除）と、テンプレートから新しいコミュニティを作るフォーム
+ * @param {{communities:import("./picsy/communities.js").Community[], activeId:string, onOpen:(id:string) => void,
+ *   onDelete:(id:string) => void, onCreate:(form:{name:string, template:string, handles:string, n:number}) => boolean}} props
+ */
+function CommunityPanel({ communities, activeId, onOpen, onDelete, onCreate }) {
+  const [form, setForm] = useState({ name: "", template: "bookClub", handles: "", n: 1000 });
+  const set = (key) => (e) => setForm((f) => ({ ...f, [key]: e.target.value }));
+  const t = COMMUNITY_TEMPLATES[form.template];
+  const submit = (e) => {
+    e.preventDefault();
+    if (onCreate(form)) setForm((f) => ({ ...f, name: "", handles: "" }));
+  };
+  return (
+    <div className="grid md:grid-cols-2 gap-4 text-sm">
+      <div className="overflow-auto">
+        <table className="min-w-full">
+          <thead>
+            <tr className="text-left text-xs text-gray-500">
+              <th className="py-1 pr-2">Community</th>
+              <th className="py-1 pr-2">Template</th>
+              <th className="py-1 pr-2 text-right">Members</th>
+              <th className="py-1" />
+            </tr>
+          </thead>
+          <tbody>
+            {communities.map((x) => (
+              <tr key={x.id} className={`border-t ${x.id === activeId ? "bg-indigo-50" : ""}`}>
+                <td className="py-1 pr-2 font-medium">{x.name}</td>
+                <td className="py-1 pr-2 text-gray-600">{COMMUNITY_TEMPLATES[x.template]?.label ?? x.template}</td>
+                <td className="py-1 pr-2 text-right font-mono">{x.handles.length}</td>
+                <td className="py-1 text-right whitespace-nowrap">
+                  {x.id === activeId ? (
+                    <span className="text-xs text-indigo-700">open</span>
+                  ) : (
+                    <>
+                      <button onClick={() => onOpen(x.id)} className="px-2 py-0.5 rounded-md border text-xs hover:bg-gray-100">
+                        Open
+                      </button>
+                      {x.id !== DEFAULT_COMMUNITY_ID && (
+                        <button onClick={() => onDelete(x.id)} className="ml-1 px-2 py-0.5 rounded-md border text-xs text-red-700 hover:bg-red-50">
+                          Delete
+                        </button>
+                      )}
+                    </>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <form onSubmit={submit} className="grid gap-2">
+        <div className="font-medium">New community from template</div>
+        <select className="rounded-md border px-2 py-1" value={form.template} onChange={set("template")}>
+          {Object.entries(COMMUNITY_TEMPLATES).map(([key, tpl]) => (
+            <option key={key} value={key}>
+              {tpl.label}
+            </option>
+          ))}
+        </select>
+        <div className="text-xs text-gray-500">{t.description}</div>
+        <input className="rounded-md border px-2 py-1" placeholder={`Name (default: ${t.label})`} value={form.name} onChange={set("name")} />
+        {form.template === "generated" ? (
+          <input
+            type="number"
+            min={2}
+            max={MAX_GENERATED_MEMBERS}
+            className="rounded-md border px-2 py-1"
+            value={form.n}
+            onChange={set("n")}
+            title="Number of members"
+          />
+        ) : (
+          <input
+            className="rounded-md border px-2 py-1"
+            placeholder={`Founders (default: ${t.handles.join(", ")})`}
+            value={form.handles}
+            onChange={set("handles")}
+          />
+        )}
+        <button type="submit" className="justify-self-start px-3 py-1.5 rounded-xl bg-indigo-600 text-white hover:bg-indigo-500">
+          Create &amp; open
+        </button>
+      </form>
+    </div>
+  );
+}
+
+const COLLUSION_KINDS = {
+  pair: "Reciprocal pair",
+  cycle: "Like cycle",
+  newcomer: "Newcomer → single user",
+};
+
+/**
+ * なれ合い検出の結果の表。行をクリックするとそのグループだけをハイライトする（もう一度クリックで解除）。
+ * @param {{groups:import("./picsy/collusion.js").CollusionGroup[], users:{handle:string}[], selectedKey:string|null,
+ *   onSelect:(key:string|null) => void}} props
+ */
+function CollusionTable({ groups, users, selectedKey, onSelect }) {
+  if (groups.length === 0) return <div className="text-sm text-gray-500">No suspicious groups at this threshold.</div>;
+  const handle = (id) => `@${users[id]?.handle ?? id}`;
+  const membersOf = (g) =>
+    g.kind === "cycle"
+      ? [...g.ids, g.ids[0]].map(handle).join(" → ")
+      : g.kind === "newcomer"
+        ? `${g.ids.slice(1).map(handle).join(", ")} → ${handle(g.ids[0])}`
+        : g.ids.map(handle).join(" ⇄ ");
+  return (
+    <div className="overflow-auto">
+      <table className="min-w-max text-sm">
+        <thead>
+          <tr className="text-right">
+            <th className="px-2 py-1 text-left">kind</th>
+            <th className="px-2 py-1 text-left">members</th>
+            <th className="px-2 py-1">Σδ inside</th>
+            <th className="px-2 py-1" title="Share of the members' Σδ sent that stays inside the group">insularity</th>
+            <th className="px-2 py-1" title="Thinnest / thickest edge around the ring">balance</th>
+            <th className="px-2 py-1">score</th>
+            <th className="px-2 py-1 text-left" title="Share of each member's c that comes from the other members (via E')">c from group</th>
+          </tr>
+        </thead>
+        <tbody>
+          {groups.map((g) => (
+            <tr
+              key={g.key}
+              className={"border-t cursor-pointer text-right " + (g.key === selectedKey ? "bg-rose-50" : "hover:bg-gray-50")}
+              onClick={() => onSelect(g.key === selectedKey ? null : g.key)}
+            >
+              <td className="px-2 py-1 text-left">{COLLUSION_KINDS[g.kind]}</td>
+              <td className="px-2 py-1 text-left">{membersOf(g)}</td>
+              <td className="px-2 py-1">{fmt(g.internalDelta)}</td>
+              <td className="px-2 py-1">{fmt(g.insularity, 2)}</td>
+              <td className="px-2 py-1">{g.kind === "newcomer" ? "—" : fmt(g.balance, 2)}</td>
+              <td className="px-2 py-1 font-semibold">{fmt(g.score, 2)}</td>
+              <td className="px-2 py-1 text-left text-xs">
+                {g.ids.map((id) => `${handle(id)} ${g.inGroupShare[id] === null ? "—" : `${(100 * g.inGroupShare[id]).toFixed(0)}%`}`).join(" · ")}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * c / 予算 / PP の3つのチャート
+ * @param {{history:import("./picsy/history.js").History, ids:number[], users:{id:number, handle:string}[], cursorAt:number|null, height?:number}} props
+ */
+function HistoryCharts({ history, ids, users, cursorAt, height }) {
+  const range = [history.points[0].at, Math.max(history.points[0].at, history.tip.at)];
+  const perUser = ids.filter((id) => users[id]).map((id) => ({ id, handle: users[id].handle, points: userSeries(history, id) }));
+  const seriesOf = (key) =>
+    perUser.map((u) => ({ id: u.id, label: u.handle, color: userColor(u.handle), points: u.points.map((p) => ({ at: p.at, v: p[key] })) }));
+  return (
+    <div className="grid gap-3">
+      <TimeSeriesChart title="c over time" series={seriesOf("c")} markers={history.markers} range={range} cursorAt={cursorAt} height={height} />
+      <TimeSeriesChart title="budget (diag E) over time" series={seriesOf("budget")} markers={history.markers} range={range} cursorAt={cursorAt} height={height} />
+      <TimeSeriesChart title="PP over time" series={seriesOf("pp")} markers={history.markers} range={range} cursorAt={cursorAt} height={height} />
+    </div>
+  );
+}
+
+/**
+ * コメントのスレッド。返信は折りたためる。コメントへの Like は投稿と同じ価値移転でコメントの作者に δ を送る。
+ * @param {{post:object, users:{handle:string, leftAt?:number}[], currentUser:number, onAdd:(text:string, parentId:number|null) => void,
+ *   onLike:(commentId:number, author:number) => void, onUnlike:(commentId:number, likeId:number) => void,
+ *   canUnlike:(like:object) => boolean, readOnly:boolean}} props
+ */
+function CommentList({ post, users, currentUser, onAdd, onLike, onUnlike, canUnlike, readOnly, match }) {
   const [text, setText] = useState("");
+  const [replyTo, setReplyTo] = useState(null); // 返信先のコメント id（null なら投稿へのコメント）
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const threads = useMemo(() => commentThreads(post.comments), [post.comments]);
+  const toggle = (id) =>
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  const countReplies = (node) => node.replies.reduce((a, r) => a + 1 + countReplies(r), 0);
+  const replyAuthor = replyTo === null ? null : post.comments.find((x) => x.id === replyTo)?.author;
+
+  const renderNode = ({ comment: c, replies }) => {
+    const author = users[c.author];
+    const active = c.likes.filter((e) => !e.retracted);
+    const sumDelta = active.reduce((a, e) => a + e.delta, 0);
+    const own = c.likes.findLast(canUnlike);
+    const hidden = collapsed.has(c.id);
+    const n = replies.length > 0 ? countReplies({ replies }) : 0;
+    return (
+      <li key={c.id}>
+        <div className="flex justify-between gap-2">
+          <div className="flex items-start gap-2">
+            <Avatar name={author.handle} />
+            <div className="min-w-0">
+              <span className="font-medium">@{author.handle}</span>
+              <Markdown source={c.text} terms={match?.comments.includes(c.id) ? match.terms : undefined} />
+            </div>
+          </div>
+          <span className="flex items-center gap-2 whitespace-nowrap text-xs text-gray-500">
+            {active.length > 0 && (
+              <span title={`${active.length} likes`}>
+                Σδ={fmt(sumDelta, 2)}
+              </span>
+            )}
+            <span>{new Date(c.at).toLocaleTimeString()}</span>
+          </span>
+        </div>
+        <div className="ml-7 flex items-center gap-2 text-xs">
+          {!readOnly && author.leftAt === undefined && (
+            <button onClick={() => onLike(c.id, c.author)} className="text-gray-600 hover:text-gray-900" title={`Send δ to @${author.handle}`}>
+              Like as {users[currentUser].handle}
+            </button>
+          )}
+          {own && (
+            <button onClick={() => onUnlike(c.id, own.id)} className="text-purple-700 hover:text-purple-900" title="Retract your like (within the grace period)">
+              Unlike
+            </button>
+          )}
+          {!readOnly && (
+            <button onClick={() => setReplyTo(c.id)} className="text-gray-600 hover:text-gray-900">
+              Reply
+            </button>
+          )}
+          {n > 0 && (
+            <button onClick={() => toggle(c.id)} className="text-indigo-700 hover:underline">
+              {hidden ? `▸ show ${n} ${n === 1 ? "reply" : "replies"}` : `▾ hide ${n === 1 ? "reply" : "replies"}`}
+            </button>
+          )}
+        </div>
+        {n > 0 && !hidden && <ul className="ml-3 mt-1 space-y-1 border-l pl-3">{replies.map(renderNode)}</ul>}
+      </li>
+    );
+  };
+
+  const submit = () => {
+    const t = text.trim();
+    if (!t) return;
+    if (!onAdd(t, replyTo)) return; // 記録できなければ入力を残す
+    setText("");
+    setReplyTo(null);
+  };
   return (
     <div className="mt-3">
       <div className="text-xs text-gray-500 mb-1">Comments ({post.comments.length})</div>
-      <ul className="text-sm space-y-1 mb-2">
-        {post.comments.slice(-5).map((c) => (
-          <li key={c.id} className="flex justify-between">
-            <span className="flex items-center gap-2">
-              <Avatar name={users[c.author].handle} />@{users[c.author].handle}: {c.text}
-            </span>
-            <span className="text-xs text-gray-500">{new Date(c.at).toLocaleTimeString()}</span>
-          </li>
-        ))}
-      </ul>
+      <ul className="text-sm space-y-1 mb-2">{threads.map(renderNode)}</ul>
+      {!readOnly && (
       <div className="flex items-center gap-2">
+        {replyAuthor !== null && replyAuthor !== undefined && (
+          <button onClick={() => setReplyTo(null)} className="text-xs text-gray-500 whitespace-nowrap" title="Cancel reply">
+            ↳ @{users[replyAuthor].handle} ✕
+          </button>
+        )}
         <input
           className="flex-1 rounded-md border px-2 py-1 text-sm"
           value={text}
           onChange={(e) => setText(e.target.value)}
-          placeholder="Add a comment"
+          onKeyDown={(e) => e.key === "Enter" && submit()}
+          placeholder={replyTo === null ? "Add a comment" : "Write a reply"}
         />
+        <button className="px-2 py-1 rounded-md bg-gray-900 text-white text-xs" onClick={submit}>
+          {replyTo === null ? "Comment" : "Reply"}
+        </button>
+      </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * 投稿の編集フォーム（タイトル・本文・画像・タグ）
+ */
+function PostEditor({ post, onSave, onCancel }) {
+  const [title, setTitle] = useState(post.title);
+  const [body, setBody] = useState(post.body);
+  const [image, setImage] = useState(post.image);
+  const [tags, setTags] = useState(post.tags.join(", "));
+  const [images, setImages] = useState(post.images ?? []);
+  const imageIds = (list) => list.map((im) => im.id).join();
+  const dirty =
+    title !== post.title ||
+    body !== post.body ||
+    image !== post.image ||
+    tags !== post.tags.join(", ") ||
+    imageIds(images) !== imageIds(post.images ?? []);
+  return (
+    <div className="grid gap-2 mt-2 text-sm">
+      <ImageDropZone images={images} onChange={setImages}>
+        <input value={title} onChange={(e) => setTitle(e.target.value)} className="rounded-md border px-2 py-1" placeholder="Title" />
+        <MarkdownField value={body} onChange={setBody} placeholder="Body (Markdown)" />
+        <input value={image} onChange={(e) => setImage(e.target.value)} className="rounded-md border px-2 py-1" placeholder="Image URL (optional)" />
+        <input value={tags} onChange={(e) => setTags(e.target.value)} className="rounded-md border px-2 py-1" placeholder="Tags comma-separated (optional)" />
+      </ImageDropZone>
+      <div className="flex gap-2">
         <button
-          className="px-2 py-1 rounded-md bg-gray-900 text-white text-xs"
-          onClick={() => {
-            const t = text.trim();
-            if (!t) return;
-            onAdd(t);
-            setText("");
-          }}
+          onClick={() => onSave({ title: title.trim() || "Untitled", body: body.trim(), image: image.trim(), tags: parseTags(tags), images })}
+          disabled={!dirty}
+          className="px-3 py-1 rounded-md bg-gray-900 text-white hover:bg-gray-800 disabled:opacity-40"
         >
-          Reply
+          Save
+        </button>
+        <button onClick={onCancel} className="px-3 py-1 rounded-md border hover:bg-gray-50">
+          Cancel
         </button>
       </div>
     </div>
   );
 }
 
-function PostCard({ post, users, currentUser, onLike, onAddComment }) {
+/** 投稿の編集前の版（新しい順） */
+function RevisionList({ post }) {
+  return (
+    <ol className="mt-2 space-y-2 border-l-2 pl-3 text-xs text-gray-600">
+      {post.revisions
+        .slice()
+        .reverse()
+        .map((r, k) => (
+          <li key={k}>
+            <div className="text-gray-500">
+              v{post.revisions.length - k} · {new Date(r.at).toLocaleString()}
+            </div>
+            <div className="font-medium">{r.title}</div>
+            {r.body && <Markdown source={r.body} className="mt-1" />}
+            {r.image && <div className="truncate">image: {r.image}</div>}
+            {r.images?.length > 0 && (
+              <div className="flex gap-1">
+                {r.images.map((im) => (
+                  <StoredImage key={im.id} image={im} size="thumb" className="h-8 w-8 rounded border object-cover" />
+                ))}
+              </div>
+            )}
+            {r.tags.length > 0 && <div>{r.tags.map((t) => `#${t}`).join(" ")}</div>}
+          </li>
+        ))}
+    </ol>
+  );
+}
+
+/**
+ * @param {object} props
+ * @param {{terms:string[], tags:string[], comments:number[]}} [props.match] 検索に当たったときの強調する語・タグ・コメント
+ */
+function PostCard({ post, users, currentUser, onLike, onUnlike, canUnlike, onAddComment, onEdit, onDelete, readOnly, match }) {
+  const [editing, setEditing] = useState(false);
+  const [showRevisions, setShowRevisions] = useState(false);
+  const [lightbox, setLightbox] = useState(null); // 拡大表示している添付画像の位置
+  const images = post.images ?? [];
   const author = users[post.author];
-  const lastLikers = post.likes.slice(-5).reverse();
-  const totalDelta = post.likes.reduce((a, e) => a + (e.delta || 0), 0);
-  const uniqueLikers = new Set(post.likes.map((e) => e.from)).size;
+  const own = !readOnly && post.author === currentUser;
+  const active = post.likes.filter((e) => !e.retracted); // 取り消された like は数えない（ログには残す）
+  const lastLikers = active.slice(-5).reverse();
+  const lastLikes = post.likes.slice(-5).reverse();
+  const totalDelta = active.reduce((a, e) => a + (e.delta || 0), 0);
+  const uniqueLikers = new Set(active.map((e) => e.from)).size;
   return (
     <div className="rounded-xl border p-3 bg-white">
       <div className="flex items-center gap-2 text-sm text-gray-500">
         <Avatar name={author.handle} />
         <div>
-          @{author.handle} · <span className="opacity-70">#{post.id}</span>
+          @{author.handle}
+          {author.leftAt !== undefined && <span className="text-xs"> (left)</span>} · <span className="opacity-70">#{post.id}</span>
         </div>
         <div className="ml-auto text-xs text-gray-500">Σδ={fmt(totalDelta, 2)} · {uniqueLikers} likers</div>
       </div>
-      <div className="font-semibold mt-1">{post.title}</div>
-      {post.image && (
+      {editing ? (
+        <PostEditor
+          post={post}
+          onSave={(fields) => {
+            if (onEdit(post.id, fields)) setEditing(false);
+          }}
+          onCancel={() => setEditing(false)}
+        />
+      ) : (
+        <div className="font-semibold mt-1">
+          <Highlighted text={post.title} terms={match?.terms} />
+        </div>
+      )}
+      {(post.editedAt !== undefined || own) && !editing && (
+        <div className="flex items-center gap-2 text-xs text-gray-500">
+          {post.editedAt !== undefined && (
+            <button onClick={() => setShowRevisions((v) => !v)} className="hover:underline" title="Show earlier versions">
+              edited {new Date(post.editedAt).toLocaleString()} · {post.revisions.length} revision{post.revisions.length === 1 ? "" : "s"}
+            </button>
+          )}
+          {own && (
+            <span className="ml-auto flex gap-2">
+              <button onClick={() => setEditing(true)} className="hover:underline">
+                Edit
+              </button>
+              <button onClick={() => onDelete(post.id)} className="text-red-600 hover:underline">
+                Delete
+              </button>
+            </span>
+          )}
+        </div>
+      )}
+      {showRevisions && post.revisions && <RevisionList post={post} />}
+      {post.image && !editing && (
         <img src={post.image} alt="" className="mt-2 w-full max-h-56 object-cover rounded-lg border" />
       )}
-      <div className="text-sm text-gray-700 mt-2 whitespace-pre-wrap">{post.body}</div>
-      {post.tags && post.tags.length > 0 && (
+      {images.length > 0 && !editing && (
+        <div className={"mt-2 grid gap-1 " + (images.length === 1 ? "grid-cols-1" : "grid-cols-3")}>
+          {images.map((im, k) => (
+            <button key={im.id} onClick={() => setLightbox(k)} className="block" title={`${im.name} — click to enlarge`}>
+              <StoredImage
+                image={im}
+                size={images.length === 1 ? "full" : "thumb"}
+                loading="lazy"
+                className={"w-full rounded-lg border object-cover " + (images.length === 1 ? "max-h-56" : "aspect-square")}
+              />
+            </button>
+          ))}
+        </div>
+      )}
+      {lightbox !== null && <Lightbox images={images} index={lightbox} onIndex={setLightbox} onClose={() => setLightbox(null)} />}
+      {!editing && <Markdown source={post.body} terms={match?.terms} className="text-sm text-gray-700 mt-2" />}
+      {!editing && post.tags && post.tags.length > 0 && (
         <div className="flex flex-wrap gap-1 mt-2">
           {post.tags.map((t, i) => (
-            <span key={i} className="px-2 py-0.5 rounded-full bg-gray-100 text-xs">
-              #{t}
+            <span
+              key={i}
+              className={"px-2 py-0.5 rounded-full text-xs " + (match?.tags.includes(normalize(t)) ? "bg-yellow-200" : "bg-gray-100")}
+            >
+              #<Highlighted text={t} terms={match?.terms} />
             </span>
           ))}
         </div>
       )}
       <div className="flex items-center justify-between mt-3">
         <div className="text-xs text-gray-500 flex items-center gap-2">
-          <span>likes: {post.likes.length}</span>
+          <span>likes: {active.length}</span>
           <div className="flex -space-x-2">
             {lastLikers.map((lk, i) => (
               <div key={i} className="relative flex items-center">
@@ -415,54 +1550,334 @@ function PostCard({ post, users, currentUser, onLike, onAddComment }) {
             ))}
           </div>
         </div>
-        <button
-          onClick={() => onLike(currentUser, post.author, post.id)}
-          className="px-3 py-1 rounded-md bg-black text-white text-sm hover:bg-gray-800"
-        >
-          Like as {users[currentUser].handle}
-        </button>
+        {!readOnly && author.leftAt === undefined && (
+          <button
+            onClick={() => onLike(currentUser, post.author, post.id)}
+            className="px-3 py-1 rounded-md bg-black text-white text-sm hover:bg-gray-800"
+          >
+            Like as {users[currentUser].handle}
+          </button>
+        )}
       </div>
       {post.likes.length > 0 && (
         <div className="mt-3 border-t pt-2">
           <div className="text-xs text-gray-500 mb-1">Recent like log</div>
           <ul className="text-xs space-y-1">
-            {lastLikers.map((lk, i) => (
-              <li key={i} className="flex justify-between">
-                <span>
+            {lastLikes.map((lk, i) => (
+              <li key={i} className="flex justify-between gap-2">
+                <span className={lk.retracted ? "text-gray-400 line-through" : ""}>
                   @{users[lk.from].handle} → @{users[lk.to].handle}
                 </span>
-                <span>
-                  δ={fmt(lk.delta, 2)}, α={fmt(lk.alpha, 3)}
+                <span className="flex items-center gap-2">
+                  {lk.retracted ? (
+                    <span className="text-purple-700">retracted ({lk.retracted.mode})</span>
+                  ) : (
+                    canUnlike(lk) && (
+                      <button onClick={() => onUnlike(post.id, lk.id)} className="text-purple-700 hover:underline" title="Retract your like (within the grace period)">
+                        Unlike
+                      </button>
+                    )
+                  )}
+                  <span className={lk.retracted ? "text-gray-400 line-through" : ""}>
+                    δ={fmt(lk.delta, 2)}, α={fmt(lk.alpha, 3)}
+                  </span>
                 </span>
               </li>
             ))}
           </ul>
         </div>
       )}
-      <CommentList post={post} users={users} onAdd={(text) => onAddComment(post.id, text)} />
+      <CommentList
+        post={post}
+        users={users}
+        currentUser={currentUser}
+        onAdd={(text, parentId) => onAddComment(post.id, text, parentId)}
+        onLike={(commentId, commentAuthor) => onLike(currentUser, commentAuthor, post.id, commentId)}
+        onUnlike={(commentId, likeId) => onUnlike(post.id, likeId, commentId)}
+        canUnlike={canUnlike}
+        readOnly={readOnly}
+        match={match}
+      />
+    </div>
+  );
+}
+
+function PostsList({ posts, users, currentUser, onLike, onUnlike, canUnlike, onAddComment, onEdit, onDelete, readOnly, searchResult }) {
+  const hits = useMemo(() => new Map(searchResult?.hits.map((h) => [h.postId, h])), [searchResult]);
+  return (
+    <div className="grid md:grid-cols-2 gap-4">
+      {posts.map((p) => (
+        <PostCard
+          key={p.id}
+          post={p}
+          users={users}
+          currentUser={currentUser}
+          onLike={onLike}
+          onUnlike={onUnlike}
+          canUnlike={canUnlike}
+          onAddComment={onAddComment}
+          onEdit={onEdit}
+          onDelete={onDelete}
+          readOnly={readOnly}
+          match={hits.has(p.id) ? { terms: searchResult.terms, tags: searchResult.tags, comments: hits.get(p.id).comments } : undefined}
+        />
+      ))}
+    </div>
+  );
+}
+
+/**
+ * ユーザーごとのシミュレータ戦略（既定の戦略と異なるものだけを byUser に持つ）
+ */
+function StrategyTable({ members, strategies, onChange }) {
+  const [offset, setOffset] = useState(0);
+  const strategyOf = strategyLookup(strategies);
+  const o = Math.min(offset, lastPageStart(members.length));
+  const setDefault = (name) => onChange({ ...strategies, default: name });
+  const setUser = (id, name) => {
+    const byUser = { ...strategies.byUser };
+    if (name === strategies.default) delete byUser[id];
+    else byUser[id] = name;
+    onChange({ ...strategies, byUser });
+  };
+  const options = Object.entries(SIM_STRATEGIES).map(([name, st]) => (
+    <option key={name} value={name} title={st.description}>
+      {st.label}
+    </option>
+  ));
+  return (
+    <div className="grid gap-2 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <span>Default strategy</span>
+        <select className="rounded-md border px-2 py-1" value={strategies.default} onChange={(e) => setDefault(e.target.value)}>
+          {options}
+        </select>
+        <span className="text-xs text-gray-500">{SIM_STRATEGIES[strategies.default]?.description}</span>
+        <span className="ml-auto">
+          <Pager label="members" offset={o} total={members.length} onChange={setOffset} />
+        </span>
+      </div>
+      <div className="grid sm:grid-cols-2 gap-x-4 gap-y-1">
+        {members.slice(o, o + PAGE).map((m) => (
+          <label key={m.id} className="flex items-center justify-between gap-2">
+            <span className="flex items-center gap-2">
+              <Avatar name={m.handle} />@{m.handle}
+            </span>
+            <select
+              className={"rounded-md border px-2 py-0.5 text-xs " + (strategies.byUser[m.id] ? "bg-amber-50" : "")}
+              value={strategyOf(m.id)}
+              onChange={(e) => setUser(m.id, e.target.value)}
+            >
+              {options}
+            </select>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/** 空欄は null（制限なし） */
+const numberOrNull = (v) => (v === "" || !Number.isFinite(Number(v)) ? null : Math.max(0, Number(v)));
+
+/**
+ * 次の予定の回収までのカウントダウン（回収は App のタイマーが記録する）
+ */
+function RecoveryStatus({ mode, gamma, periodMs, anchorAt }) {
+  const now = useClock();
+  const left = Math.max(0, Math.ceil((nextRecoveryAt({ mode, periodMs, anchorAt }) - now) / 1000));
+  if (mode === "periodic") {
+    return (
+      <div className="mt-2 text-sm">
+        Next recovery in <span className="font-semibold">{left}s</span> (γ={fmt(gamma, 2)})
+      </div>
+    );
+  }
+  return (
+    <div className="mt-2 text-sm">
+      Since last recovery: <span className="font-semibold">{fmt(Math.max(0, now - anchorAt) / 1000, 1)}s</span> · γ_eff so far ≈{" "}
+      <span className="font-semibold">{fmt(effectiveGamma(gamma, now - anchorAt, periodMs), 5)}</span> · recorded in {left}s
+    </div>
+  );
+}
+
+/**
+ * ユーザーごとの like の方針（既定と異なるユーザーだけを byUser に持つ）
+ */
+function PolicyTable({ members, policies, onChange }) {
+  const [offset, setOffset] = useState(0);
+  const policyOf = policyLookup(policies);
+  const o = Math.min(offset, lastPageStart(members.length));
+  const setDefault = (patch) => onChange({ ...policies, default: { ...policies.default, ...patch } });
+  const setUser = (id, patch) => onChange({ ...policies, byUser: { ...policies.byUser, [id]: { ...policyOf(id), ...patch } } });
+  const resetUser = (id) => {
+    const byUser = { ...policies.byUser };
+    delete byUser[id];
+    onChange({ ...policies, byUser });
+  };
+  const cells = (policy, set) => (
+    <>
+      <td className="px-2 py-1">
+        <select className="rounded-md border px-1 py-0.5" value={policy.spendMode} onChange={(e) => set({ spendMode: e.target.value })}>
+          {Object.entries(SPEND_MODES).map(([mode, m]) => (
+            <option key={mode} value={mode} title={m.description}>
+              {m.label}
+            </option>
+          ))}
+        </select>
+      </td>
+      <td className="px-2 py-1">
+        <input
+          type="number"
+          step="0.01"
+          min="0"
+          className="w-20 rounded-md border px-1 py-0.5"
+          placeholder={policy.spendMode === "fixedDelta" ? "δ input" : SPEND_MODES[policy.spendMode].unit}
+          value={policy.amount ?? ""}
+          onChange={(e) => set({ amount: numberOrNull(e.target.value) })}
+        />
+      </td>
+      <td className="px-2 py-1">
+        <input
+          type="number"
+          step="0.01"
+          min="0"
+          className="w-20 rounded-md border px-1 py-0.5"
+          placeholder="–"
+          value={policy.maxDelta ?? ""}
+          onChange={(e) => set({ maxDelta: numberOrNull(e.target.value) })}
+        />
+      </td>
+      <td className="px-2 py-1">
+        <input
+          type="number"
+          step="0.01"
+          min="0"
+          className="w-20 rounded-md border px-1 py-0.5"
+          placeholder="–"
+          value={policy.dailyAlphaCap ?? ""}
+          onChange={(e) => set({ dailyAlphaCap: numberOrNull(e.target.value) })}
+        />
+      </td>
+      <td className="px-2 py-1">
+        <input
+          type="number"
+          step="10"
+          min="0"
+          className="w-20 rounded-md border px-1 py-0.5"
+          value={policy.sellerCooldownMs / 1000}
+          onChange={(e) => set({ sellerCooldownMs: (numberOrNull(e.target.value) ?? 0) * 1000 })}
+        />
+      </td>
+    </>
+  );
+  return (
+    <div className="grid gap-2 text-sm">
+      <div className="flex justify-end">
+        <Pager label="members" offset={o} total={members.length} onChange={setOffset} />
+      </div>
+      <div className="overflow-auto">
+        <table className="text-xs">
+          <thead>
+            <tr className="text-left text-gray-600">
+              <th className="px-2 py-1">Member</th>
+              <th className="px-2 py-1">Spend mode</th>
+              <th className="px-2 py-1">Amount</th>
+              <th className="px-2 py-1">Max δ / like</th>
+              <th className="px-2 py-1">Daily α cap</th>
+              <th className="px-2 py-1">Cooldown per seller (s)</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            <tr className="border-t bg-gray-50 font-medium">
+              <td className="px-2 py-1">Default</td>
+              {cells({ ...DEFAULT_POLICY, ...policies.default }, setDefault)}
+              <td />
+            </tr>
+            {members.slice(o, o + PAGE).map((m) => (
+              <tr key={m.id} className={"border-t " + (policies.byUser[m.id] ? "bg-amber-50" : "")}>
+                <td className="px-2 py-1">
+                  <span className="flex items-center gap-2">
+                    <Avatar name={m.handle} />@{m.handle}
+                  </span>
+                </td>
+                {cells(policyOf(m.id), (patch) => setUser(m.id, patch))}
+                <td className="px-2 py-1">
+                  {policies.byUser[m.id] && (
+                    <button onClick={() => resetUser(m.id)} className="px-2 rounded border hover:bg-gray-50" title="Use the default policy">
+                      Reset
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function TimelineScrubber({ events, users, cursor, onChange, diff, onDiffChange }) {
+  const total = events.length;
+  const pos = cursor === null ? total : Math.min(cursor, total);
+  const ev = pos > 0 ? events[pos - 1] : null;
+  return (
+    <div className="grid gap-2 text-sm">
+      <div className="flex items-center gap-3">
+        <span className="text-gray-500 w-16">genesis</span>
+        <input
+          type="range"
+          className="flex-1"
+          min={0}
+          max={total}
+          value={pos}
+          onChange={(e) => {
+            const k = Number(e.target.value);
+            onChange(k >= total ? null : k);
+          }}
+        />
+        <span className="text-gray-500 w-16 text-right">now</span>
+      </div>
+      <div className="flex items-center gap-3">
+        <span>
+          {pos}/{total} events
+          {ev && (
+            <span className="text-gray-500">
+              {" "}
+              · #{ev.id} {describeEvent(ev, users)} · {new Date(ev.at).toLocaleTimeString()}
+            </span>
+          )}
+        </span>
+        <label className="ml-auto flex items-center gap-2">
+          <input type="checkbox" checked={diff} onChange={(e) => onDiffChange(e.target.checked)} />
+          diff vs now
+        </label>
+        <button onClick={() => onChange(null)} disabled={pos === total} className="px-2 py-1 rounded-md border text-xs disabled:opacity-40">
+          Back to live
+        </button>
+      </div>
     </div>
   );
 }
 
-function PostsList({ posts, users, currentUser, onLike, delta, onAddComment }) {
+/** 台帳の投稿の欄: 現在のタイトルと、編集・削除されていればその印 */
+function PostRef({ post, postId }) {
+  const status = postStatus(post);
   return (
-    <div className="grid md:grid-cols-2 gap-4">
-      {posts.map((p) => (
-        <PostCard
-          key={p.id}
-          post={p}
-          users={users}
-          currentUser={currentUser}
-          onLike={onLike}
-          delta={delta}
-          onAddComment={onAddComment}
-        />
-      ))}
-    </div>
+    <>
+      {post?.title ?? `#${postId}`}
+      {status && <span className={status === "deleted" ? "text-red-600" : "text-gray-500"}> ({status})</span>}
+    </>
   );
 }
 
-function LedgerTable({ ledger, users, posts }) {
+/**
+ * 台帳（like と、その取り消し）。取り消された like は打ち消し線で表示する。
+ * @param {{ledger:object[], retracted:Set<number>, users:{handle:string}[], posts:{id:number, title:string}[]}} props
+ */
+function LedgerTable({ ledger, retracted, users, posts }) {
   if (ledger.length === 0) return <div className="text-sm text-gray-500">No likes yet.</div>;
   return (
     <div className="overflow-auto">
@@ -481,17 +1896,30 @@ function LedgerTable({ ledger, users, posts }) {
             .slice()
             .reverse()
             .slice(0, 100)
-            .map((e) => (
-              <tr key={e.id} className="border-t">
-                <td className="px-2 py-1 text-left">{new Date(e.at).toLocaleTimeString()}</td>
-                <td className="px-2 py-1 text-left">
-                  @{users[e.from].handle} → @{users[e.to].handle}
-                </td>
-                <td className="px-2 py-1 text-left">{posts.find((p) => p.id === e.postId)?.title ?? `#${e.postId}`}</td>
-                <td className="px-2 py-1">{fmt(e.delta, 3)}</td>
-                <td className="px-2 py-1">{fmt(e.alpha, 3)}</td>
-              </tr>
-            ))}
+            .map((e) => {
+              const isUnlike = e.type === "unlike";
+              const struck = !isUnlike && retracted.has(e.id);
+              return (
+                <tr key={e.id} className={`border-t ${isUnlike ? "bg-purple-50" : ""} ${struck ? "text-gray-400 line-through" : ""}`}>
+                  <td className="px-2 py-1 text-left">{new Date(e.at).toLocaleTimeString()}</td>
+                  <td className="px-2 py-1 text-left">
+                    {isUnlike && <span className="no-underline text-purple-700">↩ </span>}@{users[e.from].handle} → @{users[e.to].handle}
+                  </td>
+                  <td className="px-2 py-1 text-left">
+                    <PostRef post={posts.find((p) => p.id === e.postId)} postId={e.postId} />
+                    {e.commentId != null && <span className="text-gray-500"> · comment #{e.commentId}</span>}
+                    {isUnlike && (
+                      <span className="text-purple-700">
+                        {" "}
+                        · retracts #{e.likeId} ({e.mode})
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-2 py-1">{fmt(e.delta, 3)}</td>
+                  <td className="px-2 py-1">{isUnlike ? `−${fmt(e.alpha, 3)}` : fmt(e.alpha, 3)}</td>
+                </tr>
+              );
+            })}
         </tbody>
       </table>
     </div>
@@ -501,104 +1929,109 @@ function LedgerTable({ ledger, users, posts }) {
 // ---------- Main App ----------
 export default function App() {
   // ---- Initial state ----
-  const [users, setUsers] = useState([
-    { id: 0, handle: "alice" },
-    { id: 1, handle: "bob" },
-    { id: 2, handle: "carol" },
-  ]);
-
-  const makePost = (id, author, title, body, image = "", tags = []) => ({
-    id,
-    author,
-    title,
-    body,
-    image,
-    tags,
-    likes: [],
-    comments: [],
-    createdAt: nowMs(),
-  });
-
-  const [posts, setPosts] = useState([
-    makePost(
-      1,
-      0,
-      "On PICSY",
-      `Foundations & intuition.
-
-– virtual central bank
-– eigenvectors`,
-      "",
-      ["math", "picsy"]
-    ),
-    makePost(
-      2,
-      1,
-      "Eigenvectors 101",
-      `Left vs right.
-Power iteration demo.`,
-      "",
-      ["linear-algebra"]
-    ),
-    makePost(3, 2, "Natural Recovery", "Gamma schedules explained.", "", ["recovery"]),
-  ]);
-
-  // 3x3: diag=0.2, off=0.4
-  const initialE = useMemo(() => {
-    const n = 3;
-    const E = zeros(n, n);
-    for (let i = 0; i < n; i++) for (let j = 0; j < n; j++) E[i][j] = i === j ? 0.2 : 0.4;
-    return ensureRowStochastic(E);
-  }, []);
-
-  const [E, setE] = useState(initialE);
-  const [c, setC] = useState(() => powerIterationLeft(initialE));
+  const [world, setWorld] = useState(() => createWorld(communityGenesis(MAIN_COMMUNITY.template, { at: nowMs() })));
+  const live = world.state;
+
+  // Communities: 表示中のコミュニティの id と一覧（world・操作パラメータは表示中のコミュニティのもの）
+  const [communityId, setCommunityId] = useState(DEFAULT_COMMUNITY_ID);
+  const [communities, setCommunities] = useState([MAIN_COMMUNITY]);
+  const community = communities.find((x) => x.id === communityId) ?? MAIN_COMMUNITY;
+
+  // Time travel: cursor=null は現在、k は先頭 k イベント適用後の状態（読み取り専用）
+  const [cursor, setCursor] = useState(null);
+  const [diffVsNow, setDiffVsNow] = useState(false);
+  const readOnly = cursor !== null && cursor < world.events.length;
+  const showDiff = readOnly && diffVsNow;
+  // 過去の状態は最寄りのチェックポイント（events.js の stateAt）から残りだけを再生する
+  const view = useMemo(
+    () => (readOnly ? stateAt(world.genesis, world.events, cursor, { solver: world.state.economy.solver }) : world.state),
+    [readOnly, cursor, world]
+  );
+  // 大規模 economy の c は Worker で解く。解けるまでは stale な c を表示する
+  const [solving, setSolving] = useState(null); // {iter, residual} | null
+  const [solvedView, setSolvedView] = useState(null); // 過去の表示用に解いた {E, method, c, diagnostics}
+  const viewEconomy = useMemo(
+    () =>
+      view.economy.stale && solvedView?.E === view.economy.E && solvedView.method === view.economy.solver
+        ? picsy.withContributions(view.economy, solvedView.c, solvedView.diagnostics)
+        : view.economy,
+    [view.economy, solvedView]
+  );
+  const { posts, users } = view; // users: 退出者を含む名簿（users[id]）
+  const { E, c, members } = viewEconomy; // members[i] が E の i 行目
+  const memberLabels = useMemo(() => members.map((m) => m.id + 1), [members]);
 
   // Controls
   const [currentUser, setCurrentUser] = useState(0);
-  const [delta, setDelta] = useState(0.05);
-  const [gamma, setGamma] = useState(0.1);
+  const [delta, setDelta] = useState(DEFAULT_CONTROLS.delta);
+  const [unlikeWindowMs, setUnlikeWindowMs] = useState(DEFAULT_CONTROLS.unlikeWindowMs);
+  const [likePolicies, setLikePolicies] = useState(DEFAULT_CONTROLS.likePolicies);
+  const [gamma, setGamma] = useState(DEFAULT_CONTROLS.gamma);
   const [message, setMessage] = useState("");
 
   // Compose
   const [newTitle, setNewTitle] = useState("");
   const [newBody, setNewBody] = useState("");
   const [newImage, setNewImage] = useState("");
+  const [newImages, setNewImages] = useState([]); // 縮小済みの添付画像
   const [newTags, setNewTags] = useState("");
 
   // Search / Sort
   const [q, setQ] = useState("");
-  const [tagFilter, setTagFilter] = useState("");
-  const [sortMode, setSortMode] = useState("new"); // new | hot | author-c
+  const [sortMode, setSortMode] = useState("relevance"); // relevance | new | hot | author-c（relevance は検索語が無ければ new）
+  const [feedLimit, setFeedLimit] = useState(FEED_PAGE);
 
   // Simulation controls
   const [simOn, setSimOn] = useState(false);
-  const [simIntervalMs, setSimIntervalMs] = useState(1500);
-  const [simDeltaMin, setSimDeltaMin] = useState(0.02);
-  const [simDeltaMax, setSimDeltaMax] = useState(0.08);
+  const [simIntervalMs, setSimIntervalMs] = useState(DEFAULT_CONTROLS.simIntervalMs);
+  const [simDeltaMin, setSimDeltaMin] = useState(DEFAULT_CONTROLS.simDeltaMin);
+  const [simDeltaMax, setSimDeltaMax] = useState(DEFAULT_CONTROLS.simDeltaMax);
+  const [simSeed, setSimSeed] = useState(DEFAULT_CONTROLS.simSeed);
+  const [simStrategies, setSimStrategies] = useState(DEFAULT_CONTROLS.simStrategies);
+  const [simBatch, setSimBatch] = useState(100);
+  const simRng = useRef(seedState(DEFAULT_CONTROLS.simSeed)); // 乱数の状態（シードを変えると巻き戻す）
+  const [simStatus, setSimStatus] = useState({ steps: 0, last: "" });
+
+  // Recovery scheduler
+  const [recoveryMode, setRecoveryMode] = useState(DEFAULT_CONTROLS.recoveryMode);
+  const [recoveryPeriodMs, setRecoveryPeriodMs] = useState(DEFAULT_CONTROLS.recoveryPeriodMs);
+  const [solverMethod, setSolverMethod] = useState(DEFAULT_CONTROLS.solver);
+  const [schedulerSince, setSchedulerSince] = useState(() => nowMs()); // スケジューラ開始時刻（前回の回収が無いときの基準）
+
+  // Persistence (IndexedDB): restore once on mount, then save the log incrementally
+  const [hydrated, setHydrated] = useState(false);
+  const persisted = useRef(null); // {communityId, genesis, events, snapshotCount} of what is already in IndexedDB
 
   // Derived
-  const n = E.length;
-  const budgets = useMemo(() => E.map((row, i) => row[i]), [E]);
+  const budgets = useMemo(() => diagonal(E), [E]);
   const pp = useMemo(() => budgets.map((b, i) => b * c[i]), [budgets, c]);
+  // 「As」のユーザーが次の like で使う δ（そのユーザーの方針の spend mode による）
+  const spendDelta = useMemo(() => {
+    const k = memberIndex(live.economy, currentUser);
+    return k < 0 ? delta : policyDelta(policyLookup(likePolicies)(currentUser), live.economy, k, delta);
+  }, [live.economy, currentUser, delta, likePolicies]);
   const likesAvailable = useMemo(() => {
-    const cost = delta / c[currentUser];
-    return Math.max(0, Math.floor(E[currentUser][currentUser] / cost));
-  }, [E, c, currentUser, delta]);
-
-  // Ledger
-  const [ledger, setLedger] = useState([]); // {id, from, to, postId, delta, alpha, at}
-  const nextLedgerId = useRef(1);
-
-  // E' preview (explicit)
-  const EPrimePreview = useMemo(() => {
-    const n = E.length;
-    if (n <= 1) return [[1]];
-    const out = zeros(n, n);
-    for (let i = 0; i < n; i++)
-      for (let j = 0; j < n; j++) out[i][j] = i === j ? 0 : E[i][j] + E[i][i] / (n - 1);
-    return out;
-  }, [E]);
+    const { E: E1, c: c1 } = live.economy;
+    const k = memberIndex(live.economy, currentUser);
+    if (k < 0) return 0;
+    const cost = spendDelta / c1[k];
+    return Math.max(0, Math.floor(matrixDiag(E1, k) / cost));
+  }, [live.economy, currentUser, spendDelta]);
+
+  // 「As」のユーザーが退出・undo でメンバーでなくなったら先頭メンバーに戻す
+  useEffect(() => {
+    if (memberIndex(live.economy, currentUser) < 0) setCurrentUser(live.economy.members[0].id);
+  }, [live.economy, currentUser]);
+
+  // Ledger: like / unlike events of the log {id, from, to, postId, commentId?, delta, alpha, at}
+  // ledger は取り消されていない like だけ（Σδ・フロー・検出の集計用）、book.log は取り消しも含む全記録（台帳の表示・CSV 用）
+  const liveBook = useMemo(() => ledgerOf(world.events), [world.events]);
+  const book = useMemo(() => (readOnly ? ledgerOf(world.events.slice(0, cursor)) : liveBook), [readOnly, cursor, world.events, liveBook]);
+  const liveLedger = liveBook.active;
+  const ledger = book.active;
+
+  // E' preview (explicit; lazy for sparse E)
+  const EPrimePreview = useMemo(() => effectiveView(E), [E]);
 
   // Trending score for posts (exponential decay on δ)
   const trendingScore = useMemo(() => {
@@ -614,156 +2047,347 @@ Power iteration demo.`,
     return (postId) => scores.get(postId) || 0;
   }, [ledger, posts]);
 
-  // Filters & sorting
+  const cById = useMemo(() => new Map(members.map((m, i) => [m.id, c[i]])), [members, c]);
+
+  // Search, filters & sorting
+  const searchIndex = useMemo(() => buildIndex(posts, users), [posts, users]);
+  const searchResult = useMemo(() => (q.trim() ? search(searchIndex, q) : null), [searchIndex, q]);
+
   const visiblePosts = useMemo(() => {
-    let arr = posts.slice();
-    if (q.trim()) {
-      const qq = q.toLowerCase();
-      arr = arr.filter((p) => p.title.toLowerCase().includes(qq) || p.body.toLowerCase().includes(qq));
-    }
-    if (tagFilter.trim()) {
-      arr = arr.filter((p) => p.tags.map((t) => t.toLowerCase()).includes(tagFilter.toLowerCase()));
+    let arr;
+    if (searchResult) {
+      const byId = new Map(posts.map((p) => [p.id, p]));
+      arr = searchResult.hits.map((h) => byId.get(h.postId)); // スコアの高い順
+    } else {
+      arr = posts.filter((p) => p.deletedAt === undefined);
     }
-    if (sortMode === "new") arr.sort((a, b) => b.createdAt - a.createdAt);
+    if (sortMode === "new" || (sortMode === "relevance" && !searchResult)) arr.sort((a, b) => b.createdAt - a.createdAt);
     else if (sortMode === "hot") arr.sort((a, b) => trendingScore(b.id) - trendingScore(a.id));
-    else if (sortMode === "author-c") arr.sort((a, b) => c[b.author] - c[a.author]);
+    else if (sortMode === "author-c") arr.sort((a, b) => (cById.get(b.author) ?? 0) - (cById.get(a.author) ?? 0));
     return arr;
-  }, [posts, q, tagFilter, sortMode, trendingScore, c]);
+  }, [posts, searchResult, sortMode, trendingScore, cById]);
 
   // Like flow matrix (Σδ)
-  const likeFlow = useMemo(() => {
-    const N = users.length;
-    const M = zeros(N, N);
-    for (const e of ledger) M[e.from][e.to] += e.delta;
-    return M;
-  }, [ledger, users.length]);
-
-  // Helpers
-  const recordLike = (b, s, postId, deltaVal, alphaVal) => {
-    setPosts((ps) =>
-      ps.map((p) => (p.id === postId ? { ...p, likes: [...p.likes, { from: b, to: s, delta: deltaVal, alpha: alphaVal, at: nowMs() }] } : p))
-    );
-    setLedger((lg) => [
-      ...lg,
-      { id: nextLedgerId.current++, from: b, to: s, postId, delta: deltaVal, alpha: alphaVal, at: nowMs() },
-    ]);
+  const likeFlow = useMemo(() => computeLikeFlow(ledger, users.length), [ledger, users.length]);
+
+  // Collusion / sybil-ring detection over the ledger and E
+  const [collusionMinScore, setCollusionMinScore] = useState(0.5);
+  const [collusionKey, setCollusionKey] = useState(null); // 選択中のグループ（null なら全グループをハイライト）
+  const [highlightCollusion, setHighlightCollusion] = useState(true);
+  const collusion = useMemo(
+    () => detectCollusion({ ledger, economy: { E, members, c }, genesisIds: world.genesis.members.map((m) => m.id) }, { minScore: collusionMinScore }),
+    [ledger, E, members, c, world.genesis, collusionMinScore]
+  );
+  const selectedGroup = collusion.find((g) => g.key === collusionKey) ?? null;
+  const flagged = useMemo(
+    () => (highlightCollusion && collusion.length > 0 ? flaggedSets(selectedGroup ? [selectedGroup] : collusion) : null),
+    [highlightCollusion, collusion, selectedGroup]
+  );
+
+  // diff vs now: 過去を表示しているときの比較対象（現在の値）
+  const now = useMemo(() => {
+    if (!showDiff) return null;
+    const { E: E1, c: c1, members: liveMembers } = world.state.economy;
+    const budgets1 = diagonal(E1);
+    const align = alignByMember(members, liveMembers);
+    return {
+      E: align.mat(E1),
+      EPrime: align.mat(effectiveView(E1)),
+      c: align.vec(c1),
+      budgets: align.vec(budgets1),
+      pp: align.vec(budgets1.map((b, i) => b * c1[i])),
+      likeFlow: computeLikeFlow(liveLedger, world.state.users.length),
+    };
+  }, [showDiff, world.state, liveLedger, members]);
+
+  // Helpers: every state change goes through the event log
+  // 予定の回収（schedule.js）: たまっていれば独立した tx として記録した world を返す。
+  // タイマーが周期の終わりに呼ぶほか、操作の直前にも呼んで、δ や予算の判定を回収後の状態で行う
+  const withRecovery = useCallback(
+    (w, now = nowMs()) => {
+      if (recoveryMode === "manual") return w;
+      const anchorAt = Math.max(lastRecoveryAt(w.events) ?? 0, schedulerSince);
+      const draft = scheduledRecovery({ mode: recoveryMode, gamma, periodMs: recoveryPeriodMs, anchorAt, now });
+      return draft ? recordScheduled(w, draft) : w;
+    },
+    [recoveryMode, gamma, recoveryPeriodMs, schedulerSince]
+  );
+
+  /** base（既定は回収を記録した今の world）に操作を記録する */
+  const commit = (drafts, base = withRecovery(world)) => {
+    const { world: next, results } = dispatch(base, drafts, nowMs());
+    setWorld(next);
+    return results;
   };
 
-  const handleAddComment = (postId, text) => {
-    const author = currentUser;
-    setPosts((ps) =>
-      ps.map((p) => (p.id === postId ? { ...p, comments: [...p.comments, { id: nowMs(), author, text, at: nowMs() }] } : p))
-    );
+  const handleAddComment = (postId, text, parentId = null) => {
+    try {
+      commit({ type: "comment", postId, author: currentUser, text, ...(parentId !== null ? { parentId } : {}) });
+      return true;
+    } catch (e) {
+      setMessage(LIKE_ERROR_MESSAGES[e.code] ?? `✖ ${e.message}`);
+      return false;
+    }
   };
 
   // Handlers
-  const handleLike = (b, s, postId) => {
+  // δ は buyer の方針（spend mode）で決まり、上限・日次上限・cooldown に触れれば理由を表示して拒否する
+  const handleLike = (b, s, postId, commentId = null) => {
     try {
-      if (b === s) {
-        setMessage("自身の投稿にはいいねできません。");
-        return;
-      }
-      const alpha = delta / c[b];
-      if (alpha > E[b][b] + 1e-12) {
-        setMessage("予算不足で実行できません。");
-        return;
-      }
-      const E2 = applyLike(E, c, b, s, delta);
-      const c2 = powerIterationLeft(E2, { warmStart: normalizeToSum(c.map((x) => x / n), 1) });
-      setE(E2);
-      setC(c2);
-      recordLike(b, s, postId, delta, alpha);
-      setMessage(`✔ Like success: δ=${fmt(delta)} to @${users[s].handle} (α=${fmt(alpha)} by @${users[b].handle}).`);
+      const base = withRecovery(world);
+      const { economy, posts: current } = base.state;
+      const policy = policyLookup(likePolicies)(b);
+      const plan = planLike(policy, {
+        economy,
+        b: memberIndex(economy, b),
+        to: s,
+        at: nowMs(),
+        history: likesBy(current, b),
+        fallbackDelta: delta,
+      });
+      const [result] = commit({ type: "like", from: b, to: s, postId, ...(commentId !== null ? { commentId } : {}), delta: plan.delta }, base);
+      const target = commentId !== null ? `@${live.users[s].handle}'s comment` : `@${live.users[s].handle}`;
+      setMessage(`✔ Like success: δ=${fmt(plan.delta)} to ${target} (α=${fmt(result.alpha)} by @${live.users[b].handle}).`);
     } catch (e) {
-      setMessage(`✖ ${e.message}`);
+      setMessage(LIKE_ERROR_MESSAGES[e.code] ?? `✖ ${e.message}`);
+    }
+  };
+
+  // like の取り消し（猶予 unlikeWindowMs 以内・本人のみ）。E を変えた最後の操作なら完全に戻し、そうでなければ補償の記録になる
+  const canUnlike = (lk) => !readOnly && lk.from === currentUser && !lk.retracted && nowMs() - lk.at <= unlikeWindowMs;
+  const handleUnlike = (postId, likeId, commentId = null) => {
+    try {
+      const [result] = commit({
+        type: "unlike",
+        likeId,
+        from: currentUser,
+        postId,
+        ...(commentId !== null ? { commentId } : {}),
+        windowMs: unlikeWindowMs,
+      });
+      const how = result.mode === "reversal" ? "reversed exactly" : "compensated (other actions happened since)";
+      setMessage(`↩ Like retracted, ${how}: α=${fmt(result.alpha, 4)} returned from @${live.users[result.to].handle} to your budget.`);
+    } catch (e) {
+      setMessage(LIKE_ERROR_MESSAGES[e.code] ?? `✖ ${e.message}`);
     }
   };
 
   const handleRecovery = () => {
-    const E2 = applyNaturalRecovery(E, clamp(gamma, 0.0, 0.99));
-    const c2 = powerIterationLeft(E2, { warmStart: normalizeToSum(c.map((x) => x / n), 1) });
-    setE(E2);
-    setC(c2);
+    commit({ type: "recovery", gamma: clamp(gamma, 0.0, 0.99) });
     setMessage(`↺ Recovery applied (γ=${fmt(gamma, 2)}).`);
   };
 
   const handleAddMember = () => {
-    if (users.length >= 30) {
-      setMessage("定員（30）に達しています。");
-      return;
-    }
-    const newHandle = `user${users.length + 1}`;
-    const { E: E2, c: c2 } = addMember(E, c, newHandle);
-    setE(E2);
-    setC(c2);
-    setUsers((us) => [...us, { id: us.length, handle: newHandle }]);
-    setPosts((ps) => [
-      makePost(
-        Math.max(0, ...ps.map((p) => p.id)) + 1,
-        users.length,
-        `${newHandle}'s first post`,
-        "Hello PICSY!",
-        "",
-        ["hello"]
-      ),
-      ...ps,
-    ]);
+    const newHandle = `user${live.users.length + 1}`;
+    commit(joinDrafts(live, newHandle));
     setMessage(`＋ Added ${newHandle}. Existing budgets & contributions preserved.`);
   };
 
+  const handleRemoveMember = (id) => {
+    const handle = live.users[id]?.handle;
+    if (!window.confirm(`Remove @${handle} from the economy? Their posts and ledger entries stay as history.`)) return;
+    try {
+      commit({ type: "removeMember", userId: id });
+      if (currentUser === id) setCurrentUser(live.economy.members.find((m) => m.id !== id).id);
+      setMessage(`－ @${handle} left. Evaluations given to them were forwarded along their E' row; sum(c)=N−1.`);
+    } catch (e) {
+      setMessage(e.code === "TOO_FEW_MEMBERS" ? "メンバーは最低2人必要です。" : `✖ ${e.message}`);
+    }
+  };
+
   const handleCreatePost = () => {
     const title = newTitle.trim() || "Untitled";
     const body = newBody.trim();
     const img = newImage.trim();
-    const tags = newTags
-      .split(",")
-      .map((t) => t.trim())
-      .filter(Boolean);
-    setPosts((ps) => [makePost(Math.max(0, ...ps.map((p) => p.id)) + 1, currentUser, title, body, img, tags), ...ps]);
+    const tags = parseTags(newTags);
+    commit({ type: "createPost", postId: nextPostId(live.posts), author: currentUser, title, body, image: img, tags, images: newImages });
     setNewTitle("");
     setNewBody("");
     setNewImage("");
     setNewTags("");
+    setNewImages([]);
     setMessage("✚ Post created.");
   };
 
-  // Random like simulator
+  // 編集・削除は作者だけ。like・台帳は投稿 id を指したままで、台帳には (edited) / (deleted) と出る
+  const handleEditPost = (postId, fields) => {
+    try {
+      commit({ type: "editPost", postId, author: currentUser, ...fields });
+      setMessage("✎ Post updated. The previous version is kept in its revision history.");
+      return true;
+    } catch (e) {
+      setMessage(LIKE_ERROR_MESSAGES[e.code] ?? `✖ ${e.message}`);
+      return false;
+    }
+  };
+
+  const handleDeletePost = (postId) => {
+    if (!window.confirm("Delete this post? It disappears from the feed; its likes and ledger entries stay.")) return;
+    try {
+      commit({ type: "deletePost", postId, author: currentUser });
+      setMessage("🗑 Post deleted. Likes it received stay in the ledger.");
+    } catch (e) {
+      setMessage(LIKE_ERROR_MESSAGES[e.code] ?? `✖ ${e.message}`);
+    }
+  };
+
+  const handleVerifyReplay = () => {
+    const r = verifyReplay(world);
+    setMessage(
+      r.ok
+        ? `✔ Replay of ${world.events.length} events matches E and c.`
+        : `✖ Replay mismatch: max row |ΔE|=${r.maxDiffE.toExponential(2)}, |Δc|=${r.diffC.toExponential(2)}, α mismatches=${r.alphaMismatches.length}`
+    );
+  };
+
+  // Undo / redo (Ctrl+Z, Ctrl+Shift+Z / Ctrl+Y)
+  // 予定の回収は undo の対象にならない（取り消すのは利用者の操作だけ）
+  const handleUndo = useCallback(() => {
+    const r = undo(world);
+    if (!r) return;
+    setWorld(r.world);
+    setMessage(`↶ Undid ${describeEvent(r.events.findLast((ev) => !ev.scheduled) ?? r.events[0], world.state.users)}.`);
+  }, [world]);
+
+  const handleRedo = useCallback(() => {
+    try {
+      const r = redo(world);
+      if (!r) return;
+      setWorld(r.world);
+      setMessage(`↷ Redid ${describeEvent(r.events.findLast((ev) => !ev.scheduled) ?? r.events[0], r.world.state.users)}.`);
+    } catch (e) {
+      setMessage(LIKE_ERROR_MESSAGES[e.code] ?? `✖ Could not redo: ${e.message}`);
+    }
+  }, [world]);
+
   useEffect(() => {
-    if (!simOn) return;
-    const id = setInterval(() => {
-      const N = users.length;
-      if (N < 2) return;
-      let b = Math.floor(Math.random() * N);
-      let s = Math.floor(Math.random() * N);
-      if (N > 1) while (s === b) s = Math.floor(Math.random() * N);
-      const candidates = posts.filter((p) => p.author === s);
-      if (candidates.length === 0) return;
-      const post = candidates[Math.floor(Math.random() * candidates.length)];
-      const c_b = c[b];
-      const Ebb = E[b][b];
-      const delta0 = rnd(simDeltaMin, simDeltaMax);
-      const maxDelta = Ebb * c_b;
-      const deltaEff = Math.max(0, Math.min(delta0, maxDelta));
-      if (deltaEff < 1e-6) return;
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      // テキスト入力中はブラウザ標準の undo を優先する
+      if (e.target instanceof HTMLElement && e.target.closest("input, textarea, select, [contenteditable]")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) handleUndo();
+      else if ((key === "z" && e.shiftKey) || key === "y") handleRedo();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [handleUndo, handleRedo]);
+
+  // Seeded simulator: 同じシード・同じ状態・同じ戦略なら同じ like の列になる
+  const restartSimulator = useCallback((seed) => {
+    simRng.current = seedState(seed);
+    setSimStatus({ steps: 0, last: "" });
+  }, []);
+
+  useEffect(() => restartSimulator(simSeed), [simSeed, restartSimulator]);
+
+  /**
+   * シミュレータを steps ステップ進めた world を返す（乱数の状態も進める）
+   * @returns {{world: object, applied: number, skipped: number, last: string}}
+   */
+  const runSimulator = useCallback((from, steps) => {
+    let w = withRecovery(from);
+    let applied = 0;
+    let last = "";
+    for (let k = 0; k < steps; k++) {
+      const step = simulateStep(w.state, simRng.current, {
+        strategies: simStrategies,
+        deltaMin: simDeltaMin,
+        deltaMax: simDeltaMax,
+        policies: likePolicies,
+        at: nowMs(),
+      });
+      simRng.current = step.rngState;
+      const who = step.buyer === null ? "" : `@${w.state.users[step.buyer].handle} (${SIM_STRATEGIES[step.strategy].label})`;
+      if (!step.draft) {
+        last = `${who} skipped: ${step.reason}`;
+        continue;
+      }
       try {
-        const E2 = applyLike(E, c, b, s, deltaEff);
-        const c2 = powerIterationLeft(E2, { warmStart: normalizeToSum(c.map((x) => x / n), 1) });
-        setE(E2);
-        setC(c2);
-        const alpha = deltaEff / c[b];
-        setPosts((ps) =>
-          ps.map((p) => (p.id === post.id ? { ...p, likes: [...p.likes, { from: b, to: s, delta: deltaEff, alpha, at: nowMs() }] } : p))
-        );
-        setLedger((lg) => [
-          ...lg,
-          { id: nextLedgerId.current++, from: b, to: s, postId: post.id, delta: deltaEff, alpha, at: nowMs() },
-        ]);
-      } catch {
-        /* ignore */
+        w = dispatch(w, step.draft, nowMs()).world;
+        applied++;
+        last = `${who} → @${w.state.users[step.draft.to].handle} δ=${fmt(step.draft.delta)}`;
+      } catch (e) {
+        last = `${who} skipped: ${e.message}`;
       }
+    }
+    return { world: w, applied, skipped: steps - applied, last };
+  }, [simStrategies, simDeltaMin, simDeltaMax, likePolicies, withRecovery]);
+
+  useEffect(() => {
+    if (!simOn) return;
+    const id = setInterval(() => {
+      const r = runSimulator(world, 1);
+      if (r.applied > 0) setWorld(r.world);
+      setSimStatus((st) => ({ steps: st.steps + 1, last: r.last }));
     }, simIntervalMs);
     return () => clearInterval(id);
-  }, [simOn, simIntervalMs, users.length, posts, E, c, simDeltaMin, simDeltaMax, n]);
+  }, [simOn, simIntervalMs, world, runSimulator]);
+
+  const handleRunSimulator = () => {
+    const r = runSimulator(world, simBatch);
+    setWorld(r.world);
+    setSimStatus((st) => ({ steps: st.steps + simBatch, last: r.last }));
+    setMessage(`⚙ Simulated ${simBatch} steps (seed "${simSeed}"): ${r.applied} likes, ${r.skipped} skipped.`);
+  };
+
+  // Recovery scheduler: 周期（continuous では tick）の終わりにタイマーで予定の回収を記録する
+  const recoveryAnchorAt = useMemo(
+    () => (recoveryMode === "manual" ? null : Math.max(lastRecoveryAt(world.events) ?? 0, schedulerSince)),
+    [recoveryMode, world.events, schedulerSince]
+  );
+  const [recoveryTimerRuns, setRecoveryTimerRuns] = useState(0);
+  useEffect(() => {
+    if (!hydrated || recoveryAnchorAt === null) return;
+    const at = nextRecoveryAt({ mode: recoveryMode, periodMs: recoveryPeriodMs, anchorAt: recoveryAnchorAt });
+    const id = setTimeout(() => {
+      setWorld((w) => withRecovery(w));
+      setRecoveryTimerRuns((n) => n + 1); // まだ期限前だった（時計のずれ）ときもタイマーを掛け直す
+    }, Math.max(0, at - nowMs()));
+    return () => clearTimeout(id);
+  }, [hydrated, recoveryAnchorAt, recoveryMode, recoveryPeriodMs, withRecovery, recoveryTimerRuns]);
+
+  const handleSolverChange = (method) => {
+    setSolverMethod(method);
+    setWorld((w) => (w.state.economy.solver === method ? w : { ...w, state: { ...w.state, economy: picsy.withSolver(w.state.economy, method) } }));
+  };
+
+  // モードを変える前に、それまでのモードでたまった回収を記録する（切り替えで減衰が消えないように）
+  const handleRecoveryMode = (mode) => {
+    const at = nowMs();
+    setWorld((w) => withRecovery(w, at));
+    setRecoveryMode(mode);
+    setSchedulerSince(at);
+  };
+
+  // Eigenvector solver (Web Worker): stale な c を解き、結果が今の E のものなら world に書き戻す
+  const solver = useRef(null);
+  useEffect(() => {
+    const s = createEigenSolver({
+      onProgress: ({ iter, residual }) => setSolving({ iter, residual }),
+      onResult: ({ E: solvedE, method, c: solvedC, diagnostics }) => {
+        setSolving(null);
+        setSolvedView({ E: solvedE, method, c: solvedC, diagnostics });
+        setWorld((w) =>
+          w.state.economy.E === solvedE && w.state.economy.solver === method
+            ? { ...w, state: { ...w.state, economy: picsy.withContributions(w.state.economy, solvedC, diagnostics) } }
+            : w
+        );
+      },
+      onError: ({ error }) => {
+        setSolving(null);
+        setMessage(`✖ Could not solve c: ${error.message}`);
+      },
+    });
+    solver.current = s;
+    return () => s.terminate();
+  }, []);
+
+  useEffect(() => {
+    if (view.economy.stale) solver.current?.solve(view.economy.E, view.economy.c, view.economy.solver);
+  }, [view.economy]);
 
   // Auto-clear messages after a few seconds
   useEffect(() => {
@@ -772,40 +2396,310 @@ Power iteration demo.`,
     return () => clearTimeout(t);
   }, [message]);
 
-  // Run self tests once on mount
+  const applyControls = useCallback((ctl) => {
+    setDelta(ctl.delta);
+    setGamma(ctl.gamma);
+    setSimIntervalMs(ctl.simIntervalMs);
+    setSimDeltaMin(ctl.simDeltaMin);
+    setSimDeltaMax(ctl.simDeltaMax);
+    setSimSeed(ctl.simSeed);
+    setSimStrategies(ctl.simStrategies);
+    setRecoveryMode(ctl.recoveryMode);
+    setRecoveryPeriodMs(ctl.recoveryPeriodMs);
+    setSolverMethod(ctl.solver);
+    setUnlikeWindowMs(ctl.unlikeWindowMs);
+    setLikePolicies(ctl.likePolicies);
+  }, []);
+
+  /**
+   * コミュニティを開く。保存データが無ければテンプレート（または genesis）から始める。
+   * handle を渡すとそのユーザーを選び、join なら未参加のときに参加させる。
+   * @param {import("./picsy/communities.js").Community} entry
+   * @param {object|null} saved loadSaved の結果
+   * @param {{genesis?:object, handle?:string, join?:boolean}} [opts]
+   */
+  const openCommunity = useCallback(
+    (entry, saved, { genesis, handle, join = false } = {}) => {
+      const ctl = { ...templateControls(entry.template), ...saved?.controls };
+      registerImages(saved?.images ?? []);
+      let next = saved
+        ? restoreWorld(saved.genesis, saved.events, saved.snapshot, { solver: ctl.solver })
+        : createWorld(genesis ?? communityGenesis(entry.template, { ...entry.options, at: nowMs() }), { solver: ctl.solver });
+      const isMember = (w) => w.state.economy.members.some((m) => m.handle === handle);
+      if (join && handle && !isMember(next)) next = dispatch(next, joinDrafts(next.state, handle), nowMs()).world;
+      const selected = handle ? next.state.economy.members.find((m) => m.handle === handle) : null;
+      persisted.current = saved
+        ? { communityId: entry.id, genesis: saved.genesis, events: saved.events, snapshotCount: saved.snapshot?.eventCount ?? 0 }
+        : null;
+      setSimOn(false);
+      setCommunityId(entry.id);
+      setWorld(next);
+      applyControls(ctl);
+      restartSimulator(ctl.simSeed);
+      setCursor(null);
+      setCurrentUser(selected?.id ?? next.state.economy.members[0].id);
+      setProfileIdx(selected?.id ?? 0);
+      setFeedLimit(FEED_PAGE);
+    },
+    [applyControls, restartSimulator]
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      const { communities: list, activeId } = await loadCommunities();
+      const all = list.some((x) => x.id === DEFAULT_COMMUNITY_ID) ? list : [MAIN_COMMUNITY, ...list];
+      const entry = all.find((x) => x.id === activeId) ?? all[0];
+      const saved = await loadSaved(entry.id);
+      if (cancelled) return;
+      setCommunities(all);
+      openCommunity(entry, saved);
+    })()
+      .catch((e) => !cancelled && setMessage(`✖ Could not restore saved economy: ${e.message}`))
+      .finally(() => !cancelled && setHydrated(true));
+    return () => {
+      cancelled = true;
+    };
+  }, [openCommunity]);
+
+  useEffect(() => {
+    if (!hydrated) return;
+    const prev = persisted.current;
+    const { genesis, events, state } = world;
+    const same = prev && prev.communityId === communityId && prev.genesis === genesis;
+    // 保存済みのログと同じイベント（オブジェクト）が並ぶ先頭の件数。undo・redo・回収の振り直しで変わった位置から書き直す
+    let keep = same ? Math.min(prev.events.length, events.length) : 0;
+    while (keep > 0 && events[keep - 1] !== prev.events[keep - 1]) keep--;
+    if (same && keep === events.length && keep === prev.events.length) return;
+    // keep より後を含むスナップショットは消えるので、そのときは今の状態で書き直す
+    const snapshotCount = same && prev.snapshotCount <= keep ? prev.snapshotCount : 0;
+    const snapshot = events.length > 0 && (!same || events.length - snapshotCount >= SNAPSHOT_EVERY) ? { eventCount: events.length, state } : undefined;
+    persisted.current = { communityId, genesis, events, snapshotCount: snapshot ? events.length : snapshotCount };
+    // 添付画像は id ごとに1回だけ書く（新しいイベントが参照するもの、全体を書き直すときは参照されているものすべて）
+    const blobsOf = (ids) => [...ids].map(imageBlobs).filter(Boolean);
+    const save = same
+      ? syncEvents(events, keep, snapshot, communityId, blobsOf(referencedImageIds(events.slice(keep))))
+      : saveAll({ genesis, events, snapshot, images: blobsOf(referencedImageIds(events, genesis.posts)) }, communityId);
+    save.catch((e) => setMessage(`✖ Could not save: ${e.message}`));
+  }, [hydrated, world, communityId]);
+
+  useEffect(() => {
+    if (!hydrated) return;
+    saveControls(
+      { delta, gamma, simIntervalMs, simDeltaMin, simDeltaMax, simSeed, simStrategies, recoveryMode, recoveryPeriodMs, solver: solverMethod, unlikeWindowMs, likePolicies },
+      communityId
+    ).catch((e) => setMessage(`✖ Could not save: ${e.message}`));
+  }, [
+    hydrated,
+    communityId,
+    delta,
+    gamma,
+    simIntervalMs,
+    simDeltaMin,
+    simDeltaMax,
+    simSeed,
+    simStrategies,
+    recoveryMode,
+    recoveryPeriodMs,
+    solverMethod,
+    unlikeWindowMs,
+    likePolicies,
+  ]);
+
+  useEffect(() => {
+    if (!hydrated) return;
+    saveActiveCommunity(communityId).catch((e) => setMessage(`✖ Could not save: ${e.message}`));
+  }, [hydrated, communityId]);
+
+  // 一覧の handles を現在のメンバーに合わせる（参加・退出があったときだけ書く）
+  const liveMembers = live.economy.members;
   useEffect(() => {
+    if (!hydrated) return;
+    const entry = communities.find((x) => x.id === communityId);
+    if (!entry) return;
+    const handles = liveMembers.map((m) => m.handle);
+    if (handles.length === entry.handles.length && handles.every((h, i) => h === entry.handles[i])) return;
+    const next = { ...entry, handles };
+    setCommunities((list) => list.map((x) => (x.id === next.id ? next : x)));
+    putCommunity(next).catch((e) => setMessage(`✖ Could not save: ${e.message}`));
+  }, [hydrated, communityId, communities, liveMembers]);
+
+  const startOver = (genesis, ctl = null) => {
+    const solver = ctl?.solver ?? solverMethod;
+    setSimOn(false);
+    setWorld(createWorld(genesis, { solver }));
+    if (ctl) applyControls(ctl);
+    restartSimulator(ctl?.simSeed ?? simSeed);
+    setCursor(null);
+    setCurrentUser(0);
+    setProfileIdx(0);
+    setFeedLimit(FEED_PAGE);
+  };
+
+  const handleSwitchCommunity = async (id, { handle, join = false } = {}) => {
+    const entry = communities.find((x) => x.id === id);
+    if (!entry) return;
+    if (id === communityId && !join) {
+      const selected = live.economy.members.find((m) => m.handle === handle);
+      if (selected) setProfileIdx(selected.id);
+      return;
+    }
     try {
-      runSelfTests();
+      openCommunity(entry, await loadSaved(id), { handle, join });
+      setMessage(join ? `⇄ @${handle} joined ${entry.name} with a fresh c and budget.` : `⇄ Switched to ${entry.name}.`);
     } catch (e) {
-      console.warn("Self-tests threw", e);
+      setMessage(`✖ Could not open ${entry.name}: ${e.message}`);
     }
-  }, []);
+  };
+
+  const handleCreateCommunity = ({ name, template, handles, n }) => {
+    try {
+      const options = template === "generated" ? { n: Math.round(Number(n)) } : { handles: parseHandles(handles) };
+      const genesis = communityGenesis(template, { ...options, at: nowMs() });
+      const label = name.trim() || COMMUNITY_TEMPLATES[template].label;
+      const entry = {
+        id: uniqueCommunityId(label, communities.map((x) => x.id)),
+        name: label,
+        template,
+        options,
+        createdAt: nowMs(),
+        handles: genesis.members.map((m) => m.handle),
+      };
+      setCommunities((list) => [...list, entry]);
+      putCommunity(entry).catch((e) => setMessage(`✖ Could not save: ${e.message}`));
+      openCommunity(entry, null, { genesis });
+      setMessage(`＋ Created ${entry.name} (${COMMUNITY_TEMPLATES[template].label}, ${genesis.members.length} members).`);
+      return true;
+    } catch (e) {
+      setMessage(`✖ ${e.message}`);
+      return false;
+    }
+  };
+
+  const handleDeleteCommunity = async (id) => {
+    const entry = communities.find((x) => x.id === id);
+    if (!entry || id === DEFAULT_COMMUNITY_ID || id === communityId) return;
+    if (!window.confirm(`Delete ${entry.name}? Its members, posts and history will be lost.`)) return;
+    try {
+      await deleteCommunity(id);
+      setCommunities((list) => list.filter((x) => x.id !== id));
+      setMessage(`－ Deleted ${entry.name}.`);
+    } catch (e) {
+      setMessage(`✖ Could not delete ${entry.name}: ${e.message}`);
+    }
+  };
+
+  const handleResetGenesis = () => {
+    if (!window.confirm(`Reset ${community.name} to genesis? All members, posts and history will be lost.`)) return;
+    startOver(communityGenesis(community.template, { ...community.options, at: nowMs() }), templateControls(community.template));
+    setMessage("⟲ Reset to genesis.");
+  };
+
+  const handleGenerateCommunity = () => {
+    const input = window.prompt(`Generate a community of how many members (2–${MAX_GENERATED_MEMBERS})? Each member evaluates 5 random others.`, "1000");
+    if (input === null) return;
+    const n = Math.round(Number(input));
+    if (!(n >= 2 && n <= MAX_GENERATED_MEMBERS)) {
+      setMessage(`✖ Enter a number of members between 2 and ${MAX_GENERATED_MEMBERS}.`);
+      return;
+    }
+    if (!window.confirm(`Replace the current economy with ${n} generated members? All members, posts and history will be lost.`)) return;
+    startOver(generatedGenesis(n, 5, nowMs()));
+    setMessage(`⚙ Generated ${n} members with a sparse E.`);
+  };
+
+  // JSON export / import
+  const importInput = useRef(null);
+
+  const handleExportJson = async () => {
+    try {
+      // 参照されている添付画像を id ごとに1回だけ data URL にして入れる
+      const images = {};
+      for (const id of referencedImageIds(world.events, world.genesis.posts)) {
+        const blobs = imageBlobs(id);
+        if (blobs) images[id] = { thumb: await dataUrlOf(blobs.thumb), full: await dataUrlOf(blobs.full) };
+      }
+      const doc = exportSnapshot(world, nowMs(), images);
+      const stamp = doc.exportedAt.replace(/[:.]/g, "-");
+      downloadText(`picsy-economy-${stamp}.json`, JSON.stringify(doc, null, 2), "application/json");
+      setMessage(`⤓ Exported ${live.economy.members.length} users and ${world.events.length} events.`);
+    } catch (e) {
+      setMessage(`✖ Could not export: ${e.message}`);
+    }
+  };
+
+  const handleImportJson = async (file) => {
+    if (!file) return;
+    try {
+      let doc;
+      try {
+        doc = JSON.parse(await readFileText(file));
+      } catch {
+        throw new Error(`Invalid economy file:\n- ${file.name} is not valid JSON.`);
+      }
+      const next = importSnapshot(doc, { solver: solverMethod });
+      registerImages(blobsOfDataUrls(snapshotImages(doc)));
+      setSimOn(false);
+      setWorld(next);
+      restartSimulator(simSeed);
+      setCursor(null);
+      setCurrentUser(0);
+      setProfileIdx(0);
+      setFeedLimit(FEED_PAGE);
+      setMessage(`⤒ Imported ${next.state.economy.members.length} users and ${next.events.length} events from ${file.name}.`);
+    } catch (e) {
+      setMessage(`✖ ${e.message}`);
+    }
+  };
+
+  // CSV export
+  const downloadCsv = (name, text) => downloadText(`picsy-${name}.csv`, text, "text/csv");
 
   // Profile view derived stats
   const [profileIdx, setProfileIdx] = useState(0);
-  const profileStats = useMemo(() => {
-    const i = profileIdx;
-    const handle = users[i]?.handle ?? "";
-    const sent = ledger.filter((e) => e.from === i);
-    const recv = ledger.filter((e) => e.to === i);
-    const postsBy = posts.filter((p) => p.author === i);
-    const sumSent = sent.reduce((a, e) => a + e.delta, 0);
-    const sumRecv = recv.reduce((a, e) => a + e.delta, 0);
-    const postRecv = postsBy.reduce((a, p) => a + p.likes.reduce((s, e) => s + e.delta, 0), 0);
-    return {
-      handle,
-      c: c[i] || 0,
-      budget: E[i]?.[i] || 0,
-      pp: (E[i]?.[i] || 0) * (c[i] || 0),
-      posts: postsBy.length,
-      sumSent,
-      sumRecv,
-      postRecv,
-    };
-  }, [profileIdx, users, ledger, posts, c, E]);
+  const profileStats = useMemo(
+    () => computeProfileStats(profileIdx, { users, members, ledger, posts, c, E }),
+    [profileIdx, users, members, ledger, posts, c, E]
+  );
+  const liveProfileStats = useMemo(() => {
+    if (!showDiff) return null;
+    const { economy: eco, users: us, posts: ps } = world.state;
+    return computeProfileStats(profileIdx, { users: us, members: eco.members, ledger: liveLedger, posts: ps, c: eco.c, E: eco.E });
+  }, [showDiff, profileIdx, world.state, liveLedger]);
+  // プロフィールのハンドルが参加しているコミュニティ（c と予算はコミュニティごとに別）
+  const profileHandle = users[profileIdx]?.leftAt === undefined ? users[profileIdx]?.handle : undefined;
+  const profileMemberships = useMemo(() => (profileHandle ? membershipsOf(profileHandle, communities) : []), [profileHandle, communities]);
+  const joinable = communities.filter((x) => !profileMemberships.includes(x));
+  const profileValue = (key, digits) => (
+    <>
+      <span className="font-semibold">{digits === 0 ? profileStats[key] : fmt(profileStats[key], digits)}</span>
+      {liveProfileStats && changed(profileStats[key], liveProfileStats[key]) && (
+        <span className="ml-1 text-xs text-sky-700">
+          → now {digits === 0 ? liveProfileStats[key] : fmt(liveProfileStats[key], digits)}
+        </span>
+      )}
+    </>
+  );
 
-  // Like flow matrix toggle
-  const [showLikeFlow, setShowLikeFlow] = useState(true);
+  // History charts: ログの追記分だけを再生して推移を更新する
+  const historyCache = useRef(null);
+  const history = useMemo(() => {
+    const h = buildHistory(world.genesis, world.events, historyCache.current, { solver: world.state.economy.solver });
+    historyCache.current = h;
+    return h;
+  }, [world.genesis, world.events, world.state.economy.solver]);
+  const [chartIds, setChartIds] = useState([0, 1, 2, 3, 4]);
+  const toggleChartId = (id) => setChartIds((ids) => (ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id]));
+  const cursorAt = readOnly ? (cursor > 0 ? world.events[cursor - 1].at : history.points[0].at) : null;
+
+  // Like flow view: graph | table | hidden、グラフの辺: flow (Σδ) | E
+  const [likeFlowView, setLikeFlowView] = useState("graph");
+  const [graphEdgeMode, setGraphEdgeMode] = useState("flow");
+  const profileSection = useRef(null);
+  const openProfile = (id) => {
+    setProfileIdx(id);
+    profileSection.current?.scrollIntoView({ behavior: "smooth", block: "start" });
+  };
 
   // ---- UI ----
   return (
@@ -814,19 +2708,116 @@ Power iteration demo.`,
         <header className="mb-6 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
           <div>
             <h1 className="text-2xl font-bold">PICSY-Note Prototype</h1>
-            <p className="text-sm text-gray-600">Virtual Central Bank · N ≤ 30 · Live random likes</p>
+            <p className="text-sm text-gray-600">Virtual Central Bank · Sparse E · Live random likes</p>
+            <label className="mt-1 flex items-center gap-2 text-sm">
+              Community
+              <select
+                className="rounded-md border px-2 py-1"
+                value={communityId}
+                disabled={!hydrated}
+                onChange={(e) => handleSwitchCommunity(e.target.value)}
+              >
+                {communities.map((x) => (
+                  <option key={x.id} value={x.id}>
+                    {x.name}
+                  </option>
+                ))}
+              </select>
+            </label>
           </div>
           <div className="flex items-center gap-3">
             <div className="text-sm text-gray-600">
-              Users: <span className="font-semibold">{users.length}</span>/30
+              Users: <span className="font-semibold">{live.economy.members.length}</span>
             </div>
-            <button onClick={handleAddMember} className="px-4 py-2 rounded-xl bg-indigo-600 text-white hover:bg-indigo-500 text-sm">
+            <button onClick={handleAddMember} disabled={readOnly} className="px-4 py-2 rounded-xl bg-indigo-600 text-white hover:bg-indigo-500 text-sm disabled:opacity-40">
               Add Member
             </button>
+            <button
+              onClick={handleUndo}
+              disabled={world.events.length === 0}
+              className="px-3 py-2 rounded-xl border text-sm hover:bg-gray-100 disabled:opacity-40"
+              title="Undo (Ctrl+Z)"
+            >
+              ↶ Undo
+            </button>
+            <button
+              onClick={handleRedo}
+              disabled={world.redo.length === 0}
+              className="px-3 py-2 rounded-xl border text-sm hover:bg-gray-100 disabled:opacity-40"
+              title="Redo (Ctrl+Shift+Z / Ctrl+Y)"
+            >
+              ↷ Redo
+            </button>
+            <button onClick={handleExportJson} className="px-4 py-2 rounded-xl border text-sm hover:bg-gray-100">
+              Export JSON
+            </button>
+            <button onClick={() => importInput.current?.click()} className="px-4 py-2 rounded-xl border text-sm hover:bg-gray-100">
+              Import JSON
+            </button>
+            <input
+              ref={importInput}
+              type="file"
+              accept="application/json,.json"
+              className="hidden"
+              onChange={(e) => {
+                handleImportJson(e.target.files?.[0]);
+                e.target.value = "";
+              }}
+            />
+            <button onClick={handleResetGenesis} className="px-4 py-2 rounded-xl border text-sm hover:bg-gray-100">
+              Reset to genesis
+            </button>
+            <button onClick={handleGenerateCommunity} className="px-4 py-2 rounded-xl border text-sm hover:bg-gray-100">
+              Generate community
+            </button>
           </div>
         </header>
 
-        {message && <div className="mb-4 rounded-xl border bg-white p-3 text-sm">{message}</div>}
+        {!hydrated && <div className="mb-4 text-sm text-gray-500">Loading saved economy…</div>}
+        {message && <div className="mb-4 rounded-xl border bg-white p-3 text-sm whitespace-pre-line">{message}</div>}
+        {viewEconomy.stale && (
+          <div className="mb-4 rounded-xl border border-amber-200 bg-amber-50 p-3 text-sm">
+            Recomputing c for N={members.length} in the background
+            {solving ? ` · iteration ${solving.iter}, residual ${solving.residual.toExponential(2)}` : "…"} · c shown below may be out of date.
+          </div>
+        )}
+        {viewEconomy.diagnostics && !viewEconomy.diagnostics.converged && (
+          <div className="mb-4 rounded-xl border border-red-200 bg-red-50 p-3 text-sm text-red-800">
+            ⚠ c did not converge ({solverLabel(viewEconomy.diagnostics.method)}, residual {viewEconomy.diagnostics.residual.toExponential(2)}). The
+            values below may be wrong; see Solver Diagnostics.
+          </div>
+        )}
+
+        <Section
+          title="Communities"
+          footer="Each community has its own members, E, posts, ledger and recovery settings. The same handle can join several communities with an independent c and budget in each."
+        >
+          <CommunityPanel
+            communities={communities}
+            activeId={communityId}
+            onOpen={(id) => handleSwitchCommunity(id)}
+            onDelete={handleDeleteCommunity}
+            onCreate={handleCreateCommunity}
+          />
+        </Section>
+
+        <Section
+          title="Timeline"
+          footer={
+            readOnly
+              ? "Read-only: the views below show the economy as it was after the selected event. Actions are disabled until you return to live."
+              : "Drag to inspect E, c, the feed and the ledger at any point in history."
+          }
+        >
+          <TimelineScrubber
+            events={world.events}
+            users={live.users}
+            cursor={cursor}
+            onChange={setCursor}
+            diff={diffVsNow}
+            onDiffChange={setDiffVsNow}
+          />
+        </Section>
 
         <div className="grid lg:grid-cols-5 gap-6">
           {/* Left column */}
@@ -838,7 +2829,7 @@ Power iteration demo.`,
                   <label className="flex items-center gap-2">
                     <span>As</span>
                     <select className="rounded-md border px-2 py-1" value={currentUser} onChange={(e) => setCurrentUser(Number(e.target.value))}>
-                      {users.map((u) => (
+                      {live.economy.members.map((u) => (
                         <option key={u.id} value={u.id}>
                           @{u.handle}
                         </option>
@@ -846,23 +2837,39 @@ Power iteration demo.`,
                     </select>
                   </label>
                   <span className="text-gray-500">likes available ≈ {likesAvailable}</span>
-                  <span className="text-gray-500">α≈ {fmt(delta / c[currentUser], 4)}</span>
+                  <span className="text-gray-500">
+                    δ={fmt(spendDelta)} α≈ {fmt(spendDelta / live.economy.c[memberIndex(live.economy, currentUser)], 4)}
+                  </span>
                 </div>
               }
             >
               <div className="grid gap-2">
-                <input value={newTitle} onChange={(e) => setNewTitle(e.target.value)} className="rounded-md border px-2 py-1" placeholder="Title" />
-                <textarea value={newBody} onChange={(e) => setNewBody(e.target.value)} className="rounded-md border px-2 py-1" rows={4} placeholder="Body (supports line breaks)" />
-                <input value={newImage} onChange={(e) => setNewImage(e.target.value)} className="rounded-md border px-2 py-1" placeholder="Image URL (optional)" />
-                <input value={newTags} onChange={(e) => setNewTags(e.target.value)} className="rounded-md border px-2 py-1" placeholder="Tags comma-separated (optional)" />
+                <ImageDropZone images={newImages} onChange={setNewImages}>
+                  <input value={newTitle} onChange={(e) => setNewTitle(e.target.value)} className="rounded-md border px-2 py-1" placeholder="Title" />
+                  <MarkdownField value={newBody} onChange={setNewBody} placeholder="Body (Markdown: headings, lists, code, links, $inline math$)" />
+                  <input value={newImage} onChange={(e) => setNewImage(e.target.value)} className="rounded-md border px-2 py-1" placeholder="Image URL (optional)" />
+                  <input value={newTags} onChange={(e) => setNewTags(e.target.value)} className="rounded-md border px-2 py-1" placeholder="Tags comma-separated (optional)" />
+                </ImageDropZone>
                 <div className="flex items-center gap-2">
-                  <button onClick={handleCreatePost} className="px-3 py-1 rounded-md bg-gray-900 text-white hover:bg-gray-800 text-sm">
+                  <button onClick={handleCreatePost} disabled={readOnly} className="px-3 py-1 rounded-md bg-gray-900 text-white hover:bg-gray-800 text-sm disabled:opacity-40">
                     Publish
                   </button>
                   <div className="flex items-center gap-2 text-sm">
                     <span>δ</span>
                     <input type="number" step="0.01" min="0.01" max="0.50" value={delta} onChange={(e) => setDelta(clamp(Number(e.target.value), 0.01, 0.5))} className="w-24 rounded-md border px-2 py-1" />
                   </div>
+                  <label className="flex items-center gap-2 text-sm" title="How long after a like it can still be retracted">
+                    <span>Unlike within</span>
+                    <input
+                      type="number"
+                      step="10"
+                      min="0"
+                      value={unlikeWindowMs / 1000}
+                      onChange={(e) => setUnlikeWindowMs(Math.max(0, Number(e.target.value) || 0) * 1000)}
+                      className="w-20 rounded-md border px-2 py-1"
+                    />
+                    <span>s</span>
+                  </label>
                 </div>
               </div>
             </Section>
@@ -871,9 +2878,15 @@ Power iteration demo.`,
               title="Search & Sort"
               actions={
                 <div className="flex items-center gap-2 text-sm">
-                  <input className="rounded-md border px-2 py-1" placeholder="Search text" value={q} onChange={(e) => setQ(e.target.value)} />
-                  <input className="rounded-md border px-2 py-1" placeholder="Filter tag" value={tagFilter} onChange={(e) => setTagFilter(e.target.value)} />
+                  <input
+                    type="search"
+                    className="w-72 rounded-md border px-2 py-1"
+                    placeholder="固有 tag:math -tag:draft author:alice"
+                    value={q}
+                    onChange={(e) => setQ(e.target.value)}
+                  />
                   <select className="rounded-md border px-2 py-1" value={sortMode} onChange={(e) => setSortMode(e.target.value)}>
+                    <option value="relevance">Relevance</option>
                     <option value="new">New</option>
                     <option value="hot">Hot (recent δ)</option>
                     <option value="author-c">Author c</option>
@@ -881,15 +2894,46 @@ Power iteration demo.`,
                 </div>
               }
             >
-              <div className="text-sm text-gray-600">検索語/タグで絞り込み、並び替えを選べます。Hotは近時のδを指数減衰で加重。</div>
+              <div className="text-sm text-gray-600 space-y-1">
+                <div>
+                  タイトル・本文・タグ・コメントを検索します。空白区切りの語はすべて含む投稿（AND）、<code>OR</code> でどれか、<code>"…"</code> で語句、
+                  <code>tag:</code> <code>author:</code> で絞り込み、先頭の <code>-</code> で除外。
+                </div>
+                <div>Relevance は検索語が無いときは New と同じ。Hotは近時のδを指数減衰で加重。</div>
+                {searchResult && (
+                  <div className="text-gray-500">
+                    {searchResult.hits.length} post{searchResult.hits.length === 1 ? "" : "s"} match.
+                  </div>
+                )}
+              </div>
             </Section>
 
-            <Section title="Feed">
-              <PostsList posts={visiblePosts} users={users} currentUser={currentUser} onLike={handleLike} delta={delta} onAddComment={handleAddComment} />
+            <Section
+              title="Feed"
+              footer={visiblePosts.length > feedLimit ? `Showing ${feedLimit} of ${visiblePosts.length} posts.` : undefined}
+            >
+              <PostsList
+                posts={visiblePosts.slice(0, feedLimit)}
+                users={users}
+                currentUser={currentUser}
+                onLike={handleLike}
+                onUnlike={handleUnlike}
+                canUnlike={canUnlike}
+                onAddComment={handleAddComment}
+                onEdit={handleEditPost}
+                onDelete={handleDeletePost}
+                readOnly={readOnly}
+                searchResult={searchResult}
+              />
+              {visiblePosts.length > feedLimit && (
+                <button onClick={() => setFeedLimit((k) => k + FEED_PAGE)} className="mt-4 w-full px-3 py-2 rounded-md border text-sm hover:bg-gray-50">
+                  Show more
+                </button>
+              )}
             </Section>
 
             <Section
-              title="Random Like Simulator"
+              title="Like Simulator"
               actions={
                 <div className="flex items-center gap-2 text-sm">
                   <label className="flex items-center gap-2">
@@ -908,11 +2952,39 @@ Power iteration demo.`,
                     <span>δ max</span>
                     <input type="number" step="0.01" className="w-20 rounded-md border px-2 py-1" value={simDeltaMax} onChange={(e) => setSimDeltaMax(clamp(Number(e.target.value), simDeltaMin, 0.5))} />
                   </label>
+                  <label className="flex items-center gap-1">
+                    <span>seed</span>
+                    <input className="w-24 rounded-md border px-2 py-1" value={simSeed} onChange={(e) => setSimSeed(e.target.value)} />
+                  </label>
                 </div>
               }
-              footer={"他メンバーが自動で価値を移転（いいね）します。予算が不足する場合はスキップします。"}
+              footer={"他メンバーが自動で価値を移転（いいね）します。予算が不足する場合はスキップします。同じシード・同じ状態・同じ戦略なら同じ結果になります。"}
+            >
+              <div className="text-sm text-gray-600 mb-3">
+                毎ステップ buyer を1人選び、その buyer の戦略が投稿とδを決めます。δは[min,max]から選び、α=δ/c_b が予算内なら適用します。
+              </div>
+              <StrategyTable members={live.economy.members} strategies={simStrategies} onChange={setSimStrategies} />
+              <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+                <button onClick={handleRunSimulator} disabled={readOnly} className="px-3 py-1 rounded-md bg-gray-900 text-white hover:bg-gray-800 disabled:opacity-40">
+                  Run
+                </button>
+                <input type="number" min="1" className="w-20 rounded-md border px-2 py-1" value={simBatch} onChange={(e) => setSimBatch(clamp(Math.round(Number(e.target.value)), 1, 10000))} />
+                <span>steps</span>
+                <button onClick={() => restartSimulator(simSeed)} className="px-3 py-1 rounded-md border hover:bg-gray-50">
+                  Restart from seed
+                </button>
+                <span className="text-xs text-gray-500">
+                  step {simStatus.steps}
+                  {simStatus.last && ` · last: ${simStatus.last}`}
+                </span>
+              </div>
+            </Section>
+
+            <Section
+              title="Like Policies"
+              footer="Blank limits mean no limit. The daily cap counts α spent in the last 24 hours (retracted likes excluded). Manual likes and the simulator both follow these policies; a refused like shows why."
             >
-              <div className="text-sm text-gray-600">乱択で buyer≠seller を選び、投稿を1つ選択。δは[min,max]から選び、α=δ/c_b が予算内なら適用します。</div>
+              <PolicyTable members={live.economy.members} policies={likePolicies} onChange={setLikePolicies} />
             </Section>
 
             <Section
@@ -923,87 +2995,240 @@ Power iteration demo.`,
                     <span>γ</span>
                     <input type="number" step="0.01" min="0.01" max="0.50" value={gamma} onChange={(e) => setGamma(clamp(Number(e.target.value), 0.01, 0.5))} className="w-24 rounded-md border px-2 py-1" />
                   </label>
-                  <button onClick={handleRecovery} className="px-3 py-1 rounded-md bg-gray-900 text-white hover:bg-gray-800">
+                  <select className="rounded-md border px-2 py-1" value={recoveryMode} onChange={(e) => handleRecoveryMode(e.target.value)}>
+                    <option value="manual">Manual</option>
+                    <option value="periodic">Periodic</option>
+                    <option value="continuous">Continuous</option>
+                  </select>
+                  {recoveryMode !== "manual" && (
+                    <label className="flex items-center gap-1">
+                      <span>period(s)</span>
+                      <input
+                        type="number"
+                        min="5"
+                        className="w-20 rounded-md border px-2 py-1"
+                        value={recoveryPeriodMs / 1000}
+                        onChange={(e) => setRecoveryPeriodMs(clamp(Number(e.target.value), 5, 86400) * 1000)}
+                      />
+                    </label>
+                  )}
+                  <button onClick={handleRecovery} disabled={readOnly} className="px-3 py-1 rounded-md bg-gray-900 text-white hover:bg-gray-800 disabled:opacity-40">
                     Apply Recovery
                   </button>
                 </div>
               }
+              footer={
+                recoveryMode === "continuous"
+                  ? "Continuous: γ_eff = 1 − (1−γ)^(Δt/T) for the time since the last recovery is recorded on a clock several times per period T, so off-diagonals decay by (1−γ) per period. Scheduled recoveries are not undone."
+                  : recoveryMode === "periodic"
+                    ? "Periodic: γ is applied on a clock at the end of every period and recorded as its own event. Scheduled recoveries are not undone."
+                    : undefined
+              }
             >
               <div className="text-sm text-gray-600">Off-diagonal × (1−γ) / Diagonal ← Diagonal + γ(1−Diagonal)</div>
+              {recoveryAnchorAt !== null && <RecoveryStatus mode={recoveryMode} gamma={gamma} periodMs={recoveryPeriodMs} anchorAt={recoveryAnchorAt} />}
             </Section>
           </div>
 
           {/* Right column */}
           <div className="lg:col-span-2 space-y-6">
-            <Section title="Contributions (c) & Budgets & PP">
+            <Section
+              title="Contributions (c) & Budgets & PP"
+              actions={<CsvButton onClick={() => downloadCsv("contributions", contributionsCsv(members, c, budgets, pp))} />}
+            >
               <div className="grid grid-cols-1 gap-4">
-                <VectorTable title="c (sum = N)" vec={c} />
-                <VectorTable title="budgets (diag E)" vec={budgets} />
-                <VectorTable title="PP = budget × c" vec={pp} />
+                <VectorTable title="c (sum = N)" vec={c} compare={now?.c} labels={memberLabels} />
+                <VectorTable title="budgets (diag E)" vec={budgets} compare={now?.budgets} labels={memberLabels} />
+                <VectorTable title="PP = budget × c" vec={pp} compare={now?.pp} labels={memberLabels} />
+                <div className="border-t pt-3 grid gap-3">
+                  <div className="text-sm font-medium">History</div>
+                  <ChartLegend users={world.state.users} selected={chartIds} onToggle={toggleChartId} />
+                  <HistoryCharts history={history} ids={chartIds} users={world.state.users} cursorAt={cursorAt} />
+                </div>
               </div>
             </Section>
 
-            <Section title="Matrices">
+            <Section
+              title="Solver Diagnostics"
+              footer="Every solver reports the same residual ‖vE' − v‖₁ with v = c/N, so methods can be compared directly."
+            >
+              <SolverDiagnostics economy={viewEconomy} solving={solving} method={solverMethod} onChange={handleSolverChange} />
+            </Section>
+
+            <Section
+              title="Matrices"
+              actions={
+                <>
+                  <CsvButton label="E" onClick={() => downloadCsv("E", matrixCsv(E, members))} />
+                  <CsvButton label="E'" onClick={() => downloadCsv("E-effective", matrixCsv(EPrimePreview, members))} />
+                  <button onClick={handleVerifyReplay} className="px-3 py-1 rounded-md border text-sm hover:bg-gray-50">
+                    Verify replay
+                  </button>
+                </>
+              }
+              footer={`Event log: ${world.events.length} events. Verify replay rebuilds E and c from genesis and compares them with what is shown.`}
+            >
               <div className="grid grid-cols-1 gap-4">
-                <MatrixTable title="E (evaluation matrix)" matrix={E} highlightDiag c={c} pp={pp} />
-                <MatrixTable title="E' (effective)" matrix={EPrimePreview} />
+                <MatrixTable title="E (evaluation matrix)" matrix={E} highlightDiag c={c} pp={pp} compare={now?.E} labels={memberLabels} />
+                <MatrixTable title="E' (effective)" matrix={EPrimePreview} compare={now?.EPrime} labels={memberLabels} />
               </div>
             </Section>
 
-            <Section title="Global Like Ledger">
-              <LedgerTable ledger={ledger} users={users} posts={posts} />
+            <Section
+              title="Global Like Ledger"
+              actions={<CsvButton onClick={() => downloadCsv("ledger", ledgerCsv(book.log, users, posts))} />}
+              footer={book.log.length > 100 ? `Showing the latest 100 of ${book.log.length} entries. The CSV contains all of them.` : undefined}
+            >
+              <LedgerTable ledger={book.log} retracted={book.retracted} users={users} posts={posts} />
             </Section>
 
-            <Section title="Profile">
-              <div className="flex items-center gap-2 mb-2">
-                <span className="text-sm">User</span>
-                <select className="rounded-md border px-2 py-1 text-sm" value={profileIdx} onChange={(e) => setProfileIdx(Number(e.target.value))}>
-                  {users.map((u, i) => (
-                    <option key={u.id} value={i}>
-                      @{u.handle}
-                    </option>
-                  ))}
-                </select>
-              </div>
-              <div className="grid grid-cols-2 gap-2 text-sm">
-                <div>
-                  c: <span className="font-semibold">{fmt(profileStats.c)}</span>
-                </div>
-                <div>
-                  budget: <span className="font-semibold">{fmt(profileStats.budget)}</span>
-                </div>
-                <div>
-                  PP: <span className="font-semibold">{fmt(profileStats.pp)}</span>
-                </div>
-                <div>
-                  posts: <span className="font-semibold">{profileStats.posts}</span>
-                </div>
-                <div>
-                  δ received (posts): <span className="font-semibold">{fmt(profileStats.postRecv, 2)}</span>
+            <div ref={profileSection}>
+              <Section title="Profile">
+                <div className="flex items-center gap-2 mb-2">
+                  <span className="text-sm">User</span>
+                  <select className="rounded-md border px-2 py-1 text-sm" value={profileIdx} onChange={(e) => setProfileIdx(Number(e.target.value))}>
+                    {users.map((u) => (
+                      <option key={u.id} value={u.id}>
+                        @{u.handle}
+                        {u.leftAt !== undefined ? " (left)" : ""}
+                      </option>
+                    ))}
+                  </select>
+                  {!readOnly && live.users[profileIdx] && live.users[profileIdx].leftAt === undefined && (
+                    <button
+                      onClick={() => handleRemoveMember(profileIdx)}
+                      disabled={live.economy.members.length <= 2}
+                      className="ml-auto px-2 py-1 rounded-md border text-xs text-red-700 hover:bg-red-50 disabled:opacity-40"
+                    >
+                      Remove member
+                    </button>
+                  )}
                 </div>
-                <div>
-                  δ received (direct): <span className="font-semibold">{fmt(profileStats.sumRecv, 2)}</span>
+                <div className="grid grid-cols-2 gap-2 text-sm">
+                  <div>
+                    c: {profileValue("c")}
+                  </div>
+                  <div>
+                    budget: {profileValue("budget")}
+                  </div>
+                  <div>
+                    PP: {profileValue("pp")}
+                  </div>
+                  <div>
+                    posts: {profileValue("posts", 0)}
+                  </div>
+                  <div>
+                    δ received (posts): {profileValue("postRecv", 2)}
+                  </div>
+                  <div>
+                    δ received (comments): {profileValue("commentRecv", 2)}
+                  </div>
+                  <div>
+                    δ received (direct): {profileValue("sumRecv", 2)}
+                  </div>
+                  <div>
+                    δ sent: {profileValue("sumSent", 2)}
+                  </div>
                 </div>
-                <div>
-                  δ sent: <span className="font-semibold">{fmt(profileStats.sumSent, 2)}</span>
+                {profileHandle && (
+                  <div className="mt-3 flex flex-wrap items-center gap-2 border-t pt-3 text-sm">
+                    <span className="text-gray-500">Communities</span>
+                    {profileMemberships.map((x) => (
+                      <button
+                        key={x.id}
+                        onClick={() => handleSwitchCommunity(x.id, { handle: profileHandle })}
+                        className={`px-2 py-0.5 rounded-full border text-xs ${x.id === communityId ? "bg-indigo-50 border-indigo-200" : "hover:bg-gray-100"}`}
+                        title={x.id === communityId ? "Current community" : `Open ${x.name} as @${profileHandle}`}
+                      >
+                        {x.name}
+                      </button>
+                    ))}
+                    {!readOnly && joinable.length > 0 && (
+                      <select
+                        className="ml-auto rounded-md border px-2 py-1 text-xs"
+                        value=""
+                        onChange={(e) => e.target.value && handleSwitchCommunity(e.target.value, { handle: profileHandle, join: true })}
+                      >
+                        <option value="">Join another community as @{profileHandle}…</option>
+                        {joinable.map((x) => (
+                          <option key={x.id} value={x.id}>
+                            {x.name}
+                          </option>
+                        ))}
+                      </select>
+                    )}
+                  </div>
+                )}
+                <div className="mt-3 border-t pt-3">
+                  <HistoryCharts history={history} ids={[profileIdx]} users={world.state.users} cursorAt={cursorAt} height={110} />
                 </div>
-              </div>
+              </Section>
+            </div>
+
+            <Section
+              title="Collusion & Sybil Rings"
+              actions={
+                <>
+                  <label className="flex items-center gap-1 text-sm">
+                    min score
+                    <input
+                      type="number"
+                      min="0"
+                      max="1"
+                      step="0.05"
+                      className="w-20 rounded-md border px-2 py-1"
+                      value={collusionMinScore}
+                      onChange={(e) => setCollusionMinScore(clamp(Number(e.target.value) || 0, 0, 1))}
+                    />
+                  </label>
+                  <label className="flex items-center gap-1 text-sm">
+                    <input type="checkbox" checked={highlightCollusion} onChange={(e) => setHighlightCollusion(e.target.checked)} />
+                    highlight in like flow
+                  </label>
+                </>
+              }
+              footer="Pairs and cycles score insularity × balance; newcomer groups score the share of the newcomers' Σδ that went to that one user. Click a row to highlight only that group."
+            >
+              <CollusionTable groups={collusion} users={users} selectedKey={selectedGroup?.key ?? null} onSelect={setCollusionKey} />
             </Section>
 
             <Section
               title="Who-Liked-Whom (Σδ)"
               actions={
-                <label className="text-sm flex items-center gap-2">
-                  <input type="checkbox" checked={showLikeFlow} onChange={(e) => setShowLikeFlow(e.target.checked)} />
-                  Show
-                </label>
+                <>
+                  <CsvButton onClick={() => downloadCsv("like-flow", matrixCsv(likeFlow, users, "buyer\\seller"))} />
+                  {likeFlowView === "graph" && (
+                    <select className="rounded-md border px-2 py-1 text-sm" value={graphEdgeMode} onChange={(e) => setGraphEdgeMode(e.target.value)} title="Edge weights">
+                      <option value="flow">edges: Σδ</option>
+                      <option value="E">edges: E</option>
+                    </select>
+                  )}
+                  <select className="rounded-md border px-2 py-1 text-sm" value={likeFlowView} onChange={(e) => setLikeFlowView(e.target.value)}>
+                    <option value="graph">Graph</option>
+                    <option value="table">Table</option>
+                    <option value="hidden">Hidden</option>
+                  </select>
+                </>
               }
+              footer={likeFlowView === "graph" ? "Hover a user to highlight their in- and out-flows; click to open their profile." : undefined}
             >
-              {showLikeFlow ? (
-                <MatrixTable title="Like Flow Σδ (rows=buyer, cols=seller)" matrix={likeFlow} />
-              ) : (
-                <div className="text-sm text-gray-500">hidden</div>
+              {likeFlowView === "graph" && (
+                <NetworkGraph
+                  mode={graphEdgeMode}
+                  members={members}
+                  users={users}
+                  c={c}
+                  E={E}
+                  likeFlow={likeFlow}
+                  selectedId={profileIdx}
+                  onSelect={openProfile}
+                  flagged={flagged}
+                />
+              )}
+              {likeFlowView === "table" && (
+                <MatrixTable title="Like Flow Σδ (rows=buyer, cols=seller)" matrix={likeFlow} compare={now?.likeFlow} flagCells={flagged?.edges} />
               )}
+              {likeFlowView === "hidden" && <div className="text-sm text-gray-500">hidden</div>}
             </Section>
           </div>
         </div>
@@ -1011,6 +3236,7 @@ Power iteration demo.`,
         <footer className="mt-10 text-xs text-gray-500">
           <div>
             Math: δ = α·c_b ⇒ α = δ / c_b. c is the left eigenvector of E' (sum = N). Add member uses x = 1/N; new row = c/N; new col = x(1−E_ii).
+            Remove member k drops row/col k and forwards E_ik along E'_k· (E_ij += E_ik·E'_kj), so sum(c) = N−1.
           </div>
         </footer>
       </div>
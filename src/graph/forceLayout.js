@@ -0,0 +1,99 @@
+/**
+ * Force-directed layout (framework-free)
+ * ------------------------------------------------------
+ * Fruchterman–Reingold 法: 全ノード間の斥力 k²/d と、辺に沿った引力 d²/k·(重み) で位置を動かし、
+ * 1回の移動量を温度で制限して少しずつ冷やす。
+ * 中心への引力 g·r は、斥力の合計 ≈ n·k²/r と釣り合う半径が枠の 0.4 倍になるよう g = n·k²/R² にする。
+ * 前回の位置を init に渡すとそこから少ない反復で続ける（Like のたびにグラフが飛ばないように）。
+ * 初期位置は円周上に置くので、同じ入力なら同じ結果になる。
+ */
+
+/**
+ * @typedef {{id:number}} LayoutNode
+ * @typedef {{source:number, target:number, weight:number}} LayoutEdge  source/target はノードの id
+ * @typedef {{x:number, y:number}} Point
+ */
+
+/**
+ * @param {LayoutNode[]} nodes
+ * @param {LayoutEdge[]} edges weight は 0..1 に正規化しておく
+ * @param {{width:number, height:number, iterations?:number, init?:Map<number, Point>}} opts
+ * @returns {Map<number, Point>} id → 位置
+ */
+export function forceLayout(nodes, edges, { width, height, iterations = 300, init } = {}) {
+  const n = nodes.length;
+  const pos = new Map();
+  if (n === 0) return pos;
+  const cx = width / 2;
+  const cy = height / 2;
+  nodes.forEach((node, i) => {
+    const p = init?.get(node.id);
+    const a = (2 * Math.PI * i) / n;
+    pos.set(node.id, p ? { ...p } : { x: cx + (width / 3) * Math.cos(a), y: cy + (height / 3) * Math.sin(a) });
+  });
+  if (n === 1) return new Map([[nodes[0].id, { x: cx, y: cy }]]);
+
+  const k = 0.8 * Math.sqrt((width * height) / n);
+  const R = 0.4 * Math.min(width, height);
+  const gravity = (n * k * k) / (R * R);
+  const ids = nodes.map((node) => node.id);
+  let temp = width / 10;
+  const cool = temp / (iterations + 1);
+  for (let it = 0; it < iterations; it++) {
+    const disp = new Map(ids.map((id) => [id, { x: 0, y: 0 }]));
+    for (let a = 0; a < n; a++) {
+      const pa = pos.get(ids[a]);
+      for (let b = a + 1; b < n; b++) {
+        const pb = pos.get(ids[b]);
+        let dx = pa.x - pb.x;
+        let dy = pa.y - pb.y;
+        let d = Math.hypot(dx, dy);
+        if (d < 0.01) {
+          // 重なったノードは決まった方向にずらす
+          dx = 0.01 * ((a % 3) - 1 || 1);
+          dy = 0.01;
+          d = Math.hypot(dx, dy);
+        }
+        const f = (k * k) / d;
+        const da = disp.get(ids[a]);
+        const db = disp.get(ids[b]);
+        da.x += (dx / d) * f;
+        da.y += (dy / d) * f;
+        db.x -= (dx / d) * f;
+        db.y -= (dy / d) * f;
+      }
+    }
+    for (const e of edges) {
+      const ps = pos.get(e.source);
+      const pt = pos.get(e.target);
+      if (!ps || !pt || e.source === e.target) continue;
+      const dx = ps.x - pt.x;
+      const dy = ps.y - pt.y;
+      const d = Math.max(0.01, Math.hypot(dx, dy));
+      const f = ((d * d) / k) * e.weight;
+      const ds = disp.get(e.source);
+      const dt = disp.get(e.target);
+      ds.x -= (dx / d) * f;
+      ds.y -= (dy / d) * f;
+      dt.x += (dx / d) * f;
+      dt.y += (dy / d) * f;
+    }
+    for (const id of ids) {
+      const p = pos.get(id);
+      const v = disp.get(id);
+      // 中心へ引き戻して、つながりの無いノードが外へ流れ出ないようにする
+      v.x += (cx - p.x) * gravity;
+      v.y += (cy - p.y) * gravity;
+      const len = Math.hypot(v.x, v.y);
+      if (len > 0) {
+        const step = Math.min(len, temp);
+        p.x += (v.x / len) * step;
+        p.y += (v.y / len) * step;
+      }
+      p.x = Math.min(width - 20, Math.max(20, p.x));
+      p.y = Math.min(height - 20, Math.max(20, p.y));
+    }
+    temp = Math.max(temp - cool, 0.5);
+  }
+  return pos;
+}
@@ -0,0 +1,116 @@
+import fc from "fast-check";
+import { describe, expect, it } from "vitest";
+import { MAX_DEPTH, parseInline, parseMarkdown, parseMath, safeUrl } from "../markdown.js";
+
+const text = (t) => ({ type: "text", text: t });
+
+describe("parseMarkdown", () => {
+  it("parses headings, lists, code blocks and quotes", () => {
+    const blocks = parseMarkdown("# On PICSY\n\n- virtual *central* bank\n- eigenvectors\n\n1. one\n2. two\n\n```js\nconst c = 1;\n```\n\n> quoted\n\n---");
+    expect(blocks.map((b) => b.type)).toEqual(["heading", "list", "list", "codeBlock", "blockquote", "hr"]);
+    expect(blocks[0]).toEqual({ type: "heading", level: 1, children: [text("On PICSY")] });
+    expect(blocks[1].items[0]).toEqual([{ type: "paragraph", children: [text("virtual "), { type: "em", children: [text("central")] }, text(" bank")] }]);
+    expect(blocks[2]).toMatchObject({ ordered: true, start: 1 });
+    expect(blocks[3]).toEqual({ type: "codeBlock", lang: "js", text: "const c = 1;" });
+  });
+
+  it("keeps line breaks inside a paragraph", () => {
+    expect(parseMarkdown("Left vs right.\nPower iteration demo.")).toEqual([
+      { type: "paragraph", children: [text("Left vs right."), { type: "break" }, text("Power iteration demo.")] },
+    ]);
+  });
+
+  it("nests indented list items", () => {
+    const [list] = parseMarkdown("- a\n  - b\n- c");
+    expect(list.items).toHaveLength(2);
+    expect(list.items[0][1]).toMatchObject({ type: "list", items: [[{ type: "paragraph", children: [text("b")] }]] });
+  });
+});
+
+describe("parseInline", () => {
+  it("parses emphasis, code, links and escapes", () => {
+    expect(parseInline("**bold** ~~old~~ `a*b` \\*not em\\* snake_case_name")).toEqual([
+      { type: "strong", children: [text("bold")] },
+      text(" "),
+      { type: "del", children: [text("old")] },
+      text(" "),
+      { type: "code", text: "a*b" },
+      text(" *not em* snake_case_name"),
+    ]);
+    expect(parseInline("[paper](https://example.com/picsy)")).toEqual([{ type: "link", href: "https://example.com/picsy", children: [text("paper")] }]);
+  });
+
+  it("parses inline math but not prices", () => {
+    const [, math] = parseInline("c is $E' = E - B + BD/(N-1)$.");
+    expect(math.type).toBe("math");
+    expect(math.nodes).toEqual([text("E′ = E − B + BD/(N−1)")]);
+    expect(parseInline("$5 and $6")).toEqual([text("$5 and $6")]);
+  });
+});
+
+describe("parseMath", () => {
+  it("turns commands, superscripts and subscripts into nodes", () => {
+    expect(parseMath("\\alpha = \\delta / c_b")).toEqual([text("α = δ / c"), { type: "sub", children: [text("b")] }]);
+    expect(parseMath("(1-\\gamma)^{t/T}")).toEqual([text("(1−γ)"), { type: "sup", children: [text("t/T")] }]);
+  });
+});
+
+describe("sanitization", () => {
+  it("drops links with unsafe schemes", () => {
+    for (const url of ["javascript:alert(1)", "JaVaScRiPt:alert(1)", "java\tscript:alert(1)", " javascript:alert(1)", "data:text/html,<script>", "vbscript:x"]) {
+      expect(safeUrl(url)).toBeNull();
+    }
+    expect(safeUrl("/docs#picsy")).toBe("/docs#picsy");
+    expect(safeUrl("mailto:alice@example.com")).toBe("mailto:alice@example.com");
+    expect(parseInline("[click](javascript:alert(1))")).toEqual([text("click"), text(")")]);
+  });
+
+  it("never produces a link node with an unsafe href", () => {
+    const walk = (nodes, out = []) => {
+      for (const n of nodes) {
+        if (n.type === "link") out.push(n.href);
+        for (const key of ["children", "nodes"]) if (n[key]) walk(n[key], out);
+        if (n.items) n.items.forEach((item) => walk(item, out));
+      }
+      return out;
+    };
+    fc.assert(
+      fc.property(fc.string(), fc.constantFrom("javascript", "JAVASCRIPT", "data", "vbscript", "java\nscript"), (label, scheme) => {
+        const hrefs = walk(parseMarkdown(`- [${label}](${scheme}:alert(1))\n\n> [x](${scheme}:y)`));
+        for (const href of hrefs) expect(safeUrl(href)).toBe(href);
+      })
+    );
+  });
+});
+
+describe("deeply nested input", () => {
+  /** 構文木の深さ */
+  const depthOf = (nodes) =>
+    nodes.reduce((d, n) => {
+      const kids = [n.children, n.nodes, ...(n.items ?? [])].filter(Boolean);
+      return Math.max(d, 1 + kids.reduce((m, k) => Math.max(m, depthOf(k)), 0));
+    }, 0);
+
+  it("stops nesting quotes, lists and math braces at MAX_DEPTH and keeps the rest as text", () => {
+    for (const source of [">".repeat(20000) + " x", "- ".repeat(20000) + "x", "$" + "{".repeat(20000) + "$"]) {
+      const blocks = parseMarkdown(source);
+      expect(depthOf(blocks)).toBeLessThanOrEqual(2 * MAX_DEPTH + 3);
+      expect(JSON.stringify(blocks)).toMatch(/x"|\{\{/);
+    }
+    const quote = parseMarkdown(">".repeat(20000) + " x");
+    let b = quote[0];
+    for (let d = 0; d < MAX_DEPTH; d++) b = b.children[0];
+    expect(b).toEqual({ type: "paragraph", children: [text(">".repeat(20000 - MAX_DEPTH) + " x")] });
+  });
+
+  it("keeps shallow nesting as before", () => {
+    expect(parseMath("{{a}}^{{b}}")).toEqual([text("a"), { type: "sup", children: [text("b")] }]);
+    expect(parseMarkdown("> > quoted")[0].children[0]).toMatchObject({ type: "blockquote", children: [{ type: "paragraph" }] });
+  });
+
+  it("scans unclosed link brackets in linear time", () => {
+    const start = performance.now();
+    expect(parseInline("[".repeat(20000))).toEqual([text("[".repeat(20000))]);
+    expect(performance.now() - start).toBeLessThan(1000);
+  });
+});
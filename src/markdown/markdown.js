@@ -0,0 +1,343 @@
+/**
+ * Markdown subset parser (framework-free)
+ * ------------------------------------------------------
+ * 投稿本文とコメントの Markdown を構文木にする。HTML 文字列は作らず、描画側（React）が木を要素にするので、
+ * 本文中の <script> などの生の HTML はただの文字として表示される。リンクの URL は safeUrl で許可した
+ * スキーム（http / https / mailto）と相対 URL だけを残し、それ以外（javascript: など）はリンクにしない。
+ *
+ * ブロック: 見出し（#）、段落（改行はそのまま改行）、箇条書き（- * +）、番号付きリスト（1.）、引用（>）、
+ *          コードブロック（```）、区切り線（---）、数式ブロック（$$ … $$）
+ * インライン: **太字**、*斜体*、~~取り消し線~~、`コード`、[リンク](url)、$数式$、\ でのエスケープ
+ * 数式は TeX の一部（ギリシャ文字・演算子・上付き ^・下付き _・\frac）を Unicode と上付き・下付きの節点にする。
+ *
+ * 入れ子（引用・リスト・強調・数式の {…}）は MAX_DEPTH 段まで。それより深い部分は書かれたままの文字にする
+ * （本文はイベントログに残り、開くたびに解析されるので、どんな入力でも例外やスタックの溢れを起こさないこと）。
+ */
+
+/**
+ * @typedef {{type:"text", text:string} | {type:"break"} | {type:"code", text:string} | {type:"math", nodes:Inline[]}
+ *   | {type:"strong"|"em"|"del"|"sup"|"sub", children:Inline[]} | {type:"link", href:string, children:Inline[]}} Inline
+ * @typedef {{type:"heading", level:number, children:Inline[]} | {type:"paragraph", children:Inline[]}
+ *   | {type:"codeBlock", lang:string, text:string} | {type:"mathBlock", nodes:Inline[]}
+ *   | {type:"list", ordered:boolean, start:number, items:Block[][]} | {type:"blockquote", children:Block[]} | {type:"hr"}} Block
+ */
+
+const SAFE_SCHEMES = ["http", "https", "mailto"];
+
+/** 入れ子の最大の深さ */
+export const MAX_DEPTH = 16;
+
+/** リンクの [文字] と (URL) の最大の長さ（"[[[[…" で先を読み続けないため） */
+const MAX_LINK_TEXT = 1000;
+const MAX_LINK_URL = 2048;
+
+const plain = (s) => (s ? [{ type: "text", text: s }] : []);
+
+/**
+ * リンク先として安全な URL（制御文字・空白を除いた上で、許可したスキームか相対 URL）。安全でなければ null。
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function safeUrl(url) {
+  // ブラウザは URL 中のタブ・改行を無視するので（"java\tscript:"）、除いてからスキームを見る
+  const cleaned = String(url).replace(/[\p{Cc}\s]+/gu, "");
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(cleaned)?.[1].toLowerCase();
+  if (scheme !== undefined && !SAFE_SCHEMES.includes(scheme)) return null;
+  return cleaned === "" ? null : cleaned;
+}
+
+// ---------- Math ----------
+const TEX_SYMBOLS = {
+  alpha: "α", beta: "β", gamma: "γ", delta: "δ", epsilon: "ε", zeta: "ζ", eta: "η", theta: "θ", iota: "ι", kappa: "κ",
+  lambda: "λ", mu: "μ", nu: "ν", xi: "ξ", pi: "π", rho: "ρ", sigma: "σ", tau: "τ", phi: "φ", chi: "χ", psi: "ψ", omega: "ω",
+  Gamma: "Γ", Delta: "Δ", Theta: "Θ", Lambda: "Λ", Pi: "Π", Sigma: "Σ", Phi: "Φ", Psi: "Ψ", Omega: "Ω",
+  sum: "Σ", prod: "Π", int: "∫", infty: "∞", partial: "∂", nabla: "∇", sqrt: "√",
+  cdot: "·", times: "×", div: "÷", pm: "±", mp: "∓", le: "≤", leq: "≤", ge: "≥", geq: "≥", ne: "≠", neq: "≠",
+  approx: "≈", equiv: "≡", sim: "∼", propto: "∝", to: "→", rightarrow: "→", leftarrow: "←", Rightarrow: "⇒", mapsto: "↦",
+  in: "∈", notin: "∉", subset: "⊂", subseteq: "⊆", cup: "∪", cap: "∩", forall: "∀", exists: "∃", emptyset: "∅",
+  ldots: "…", cdots: "⋯", top: "⊤", quad: " ", ",": " ", ";": " ", " ": " ", "{": "{", "}": "}", "%": "%", "$": "$",
+};
+
+/**
+ * TeX の一部を節点にする（知らないコマンドは \ を付けたまま文字にする）
+ * @param {string} tex
+ * @param {number} [depth] {…} の入れ子の深さ
+ * @returns {Inline[]}
+ */
+export function parseMath(tex, depth = 0) {
+  if (depth >= MAX_DEPTH) return plain(tex);
+  let k = 0;
+  // {…} か1文字（コマンドなら1語）を読む
+  const group = () => {
+    while (tex[k] === " ") k++;
+    if (tex[k] === "{") {
+      let open = 1;
+      const start = ++k;
+      while (k < tex.length && open > 0) {
+        if (tex[k] === "\\") k++;
+        else if (tex[k] === "{") open++;
+        else if (tex[k] === "}") open--;
+        k++;
+      }
+      return parseMath(tex.slice(start, open === 0 ? k - 1 : k), depth + 1);
+    }
+    const start = k;
+    if (tex[k] === "\\") k += /^\\([a-zA-Z]+|.)/.exec(tex.slice(k))?.[0].length ?? 1;
+    else k++;
+    return parseMath(tex.slice(start, k), depth + 1);
+  };
+  const out = [];
+  let text = "";
+  const flush = () => {
+    if (text) out.push({ type: "text", text });
+    text = "";
+  };
+  while (k < tex.length) {
+    const ch = tex[k];
+    if (ch === "^" || ch === "_") {
+      flush();
+      k++;
+      out.push({ type: ch === "^" ? "sup" : "sub", children: group() });
+    } else if (ch === "{" || ch === "}") {
+      if (ch === "{") {
+        flush();
+        out.push(...group());
+      } else k++;
+    } else if (ch === "\\") {
+      const name = /^\\([a-zA-Z]+|.)/.exec(tex.slice(k))?.[1] ?? "";
+      k += name.length + 1;
+      if (name === "frac") {
+        flush();
+        const num = group();
+        const den = group();
+        out.push({ type: "text", text: "(" }, ...num, { type: "text", text: ")/(" }, ...den, { type: "text", text: ")" });
+      } else if (name === "left" || name === "right") {
+        // \left( → (
+      } else {
+        text += TEX_SYMBOLS[name] ?? `\\${name}`;
+      }
+    } else {
+      text += ch === "-" ? "−" : ch === "'" ? "′" : ch;
+      k++;
+    }
+  }
+  flush();
+  return out;
+}
+
+// ---------- Inline ----------
+const ESCAPABLE = "\\`*_{}[]()#+-.!~$>|";
+
+/**
+ * 閉じの区切りの位置（\ でエスケープされたものは飛ばす）
+ * @param {string} s
+ * @param {string} delim
+ * @param {number} from
+ */
+function findClose(s, delim, from) {
+  for (let k = from; k <= s.length - delim.length; k++) {
+    if (s[k] === "\\") k++;
+    else if (s.startsWith(delim, k)) return k;
+  }
+  return -1;
+}
+
+const LINK = new RegExp(`^\\[((?:\\\\.|[^\\]\\\\]){0,${MAX_LINK_TEXT}})\\]\\(\\s*([^\\s)]{0,${MAX_LINK_URL}})(?:\\s+"[^"]*")?\\s*\\)`);
+
+/**
+ * @param {string} s
+ * @param {number} [depth] 強調・リンクの入れ子の深さ
+ * @returns {Inline[]}
+ */
+export function parseInline(s, depth = 0) {
+  if (depth >= MAX_DEPTH) return plain(s);
+  const out = [];
+  let text = "";
+  const flush = () => {
+    if (text) out.push({ type: "text", text });
+    text = "";
+  };
+  const push = (node) => {
+    flush();
+    out.push(node);
+  };
+  let k = 0;
+  while (k < s.length) {
+    const ch = s[k];
+    const rest = s.slice(k);
+    if (ch === "\\" && k + 1 < s.length && ESCAPABLE.includes(s[k + 1])) {
+      text += s[k + 1];
+      k += 2;
+      continue;
+    }
+    if (ch === "\n") {
+      push({ type: "break" });
+      k++;
+      continue;
+    }
+    if (ch === "`") {
+      const ticks = /^`+/.exec(rest)[0];
+      const end = s.indexOf(ticks, k + ticks.length);
+      if (end >= 0) {
+        push({ type: "code", text: s.slice(k + ticks.length, end).replace(/^ (.*) $/s, "$1") });
+        k = end + ticks.length;
+        continue;
+      }
+    }
+    // $…$: 中身が空白で始まる・終わるものは数式にしない（"$5 and $6" を数式にしないため）
+    if (ch === "$" && s[k + 1] !== "$") {
+      const end = findClose(s, "$", k + 1);
+      const tex = end > k + 1 ? s.slice(k + 1, end) : "";
+      if (tex && !/^\s|\s$/.test(tex) && !tex.includes("\n")) {
+        push({ type: "math", nodes: parseMath(tex) });
+        k = end + 1;
+        continue;
+      }
+    }
+    if (ch === "[") {
+      const m = LINK.exec(rest);
+      if (m) {
+        const href = safeUrl(m[2]);
+        if (href) push({ type: "link", href, children: parseInline(m[1], depth + 1) });
+        else {
+          flush();
+          out.push(...parseInline(m[1], depth + 1));
+        }
+        k += m[0].length;
+        continue;
+      }
+    }
+    const pair = rest.startsWith("**") ? "**" : rest.startsWith("__") ? "__" : rest.startsWith("~~") ? "~~" : ch === "*" || ch === "_" ? ch : null;
+    if (pair && rest.length > pair.length && !/\s/.test(rest[pair.length])) {
+      // _ は単語の途中（snake_case）では強調にしない
+      const inWord = pair[0] === "_" && /[\p{L}\p{N}]/u.test(s[k - 1] ?? "");
+      const end = inWord ? -1 : findClose(s, pair, k + pair.length);
+      if (end > k + pair.length && !/\s/.test(s[end - 1])) {
+        const type = pair === "~~" ? "del" : pair.length === 2 ? "strong" : "em";
+        push({ type, children: parseInline(s.slice(k + pair.length, end), depth + 1) });
+        k = end + pair.length;
+        continue;
+      }
+    }
+    text += ch;
+    k++;
+  }
+  flush();
+  return out;
+}
+
+// ---------- Blocks ----------
+const FENCE = /^ {0,3}(```+|~~~+)\s*([\w+-]*)/;
+const HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const HR = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])(\s+|$)(.*)$/;
+const QUOTE = /^ {0,3}> ?(.*)$/;
+
+const isBlank = (line) => line.trim() === "";
+
+/** 段落を終わらせる行（次のブロックの始まり） */
+const interrupts = (line) => FENCE.test(line) || HEADING.test(line) || HR.test(line) || QUOTE.test(line) || LIST_ITEM.test(line) || line.trim().startsWith("$$");
+
+/**
+ * @param {string[]} lines
+ * @param {number} depth 引用・リストの入れ子の深さ
+ * @returns {Block[]}
+ */
+function parseLines(lines, depth) {
+  if (depth >= MAX_DEPTH) return [{ type: "paragraph", children: plain(lines.join("\n").trim()) }];
+  const blocks = [];
+  let k = 0;
+  while (k < lines.length) {
+    const line = lines[k];
+    if (isBlank(line)) {
+      k++;
+      continue;
+    }
+    const fence = FENCE.exec(line);
+    if (fence) {
+      const body = [];
+      k++;
+      while (k < lines.length && !lines[k].trim().startsWith(fence[1])) body.push(lines[k++]);
+      k++;
+      blocks.push({ type: "codeBlock", lang: fence[2], text: body.join("\n") });
+      continue;
+    }
+    if (line.trim().startsWith("$$")) {
+      const first = line.trim().slice(2);
+      const body = [];
+      if (first.endsWith("$$")) {
+        body.push(first.slice(0, -2));
+        k++;
+      } else {
+        if (first) body.push(first);
+        k++;
+        while (k < lines.length && !lines[k].trim().endsWith("$$")) body.push(lines[k++]);
+        if (k < lines.length) body.push(lines[k++].trim().slice(0, -2));
+      }
+      blocks.push({ type: "mathBlock", nodes: parseMath(body.join(" ").trim()) });
+      continue;
+    }
+    const heading = HEADING.exec(line);
+    if (heading) {
+      blocks.push({ type: "heading", level: heading[1].length, children: parseInline(heading[2] ?? "") });
+      k++;
+      continue;
+    }
+    if (HR.test(line)) {
+      blocks.push({ type: "hr" });
+      k++;
+      continue;
+    }
+    if (QUOTE.test(line)) {
+      const body = [];
+      while (k < lines.length && QUOTE.test(lines[k])) body.push(QUOTE.exec(lines[k++])[1]);
+      blocks.push({ type: "blockquote", children: parseLines(body, depth + 1) });
+      continue;
+    }
+    const item = LIST_ITEM.exec(line);
+    if (item) {
+      const ordered = /\d/.test(item[2]);
+      const list = { type: "list", ordered, start: ordered ? parseInt(item[2], 10) : 1, items: [] };
+      while (k < lines.length) {
+        const m = LIST_ITEM.exec(lines[k]);
+        if (!m || /\d/.test(m[2]) !== ordered) break;
+        // 項目の続き: 字下げされた行（空行を挟んでもよい）
+        const indent = m[1].length + m[2].length + Math.max(1, Math.min(m[3].length, 4));
+        const body = [m[4]];
+        k++;
+        while (k < lines.length) {
+          const next = lines[k];
+          if (isBlank(next)) {
+            if (k + 1 < lines.length && /^\s+/.test(lines[k + 1]) && !isBlank(lines[k + 1])) {
+              body.push("");
+              k++;
+              continue;
+            }
+            break;
+          }
+          const lead = /^\s*/.exec(next)[0].length;
+          if (lead >= Math.min(indent, 2)) body.push(next.slice(Math.min(lead, indent)));
+          else if (!interrupts(next)) body.push(next.trim());
+          else break;
+          k++;
+        }
+        list.items.push(parseLines(body, depth + 1));
+        if (k < lines.length && isBlank(lines[k]) && LIST_ITEM.test(lines[k + 1] ?? "")) k++;
+      }
+      blocks.push(list);
+      continue;
+    }
+    const para = [];
+    while (k < lines.length && !isBlank(lines[k]) && (para.length === 0 || !interrupts(lines[k]))) para.push(lines[k++].trim());
+    blocks.push({ type: "paragraph", children: parseInline(para.join("\n")) });
+  }
+  return blocks;
+}
+
+/**
+ * @param {string} source
+ * @returns {Block[]}
+ */
+export function parseMarkdown(source) {
+  return parseLines(String(source ?? "").replace(/\r\n?/g, "\n").replace(/\t/g, "    ").split("\n"), 0);
+}
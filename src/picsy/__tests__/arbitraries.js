@@ -0,0 +1,47 @@
+/**
+ * Shared fast-check arbitraries and assertions for the PICSY tests
+ * ------------------------------------------------------
+ * ランダムな行確率行列（対角 = 予算は必ず正。非対角は 0 を含む）。
+ * 予算が正なら E' の非対角はすべて正なので、c は一意に決まる。
+ */
+
+import fc from "fast-check";
+import { expect } from "vitest";
+import { ensureRowStochastic } from "../math.js";
+
+/** 非対角の要素（疎な行列も出るよう、半分くらいは 0） */
+const offDiagonal = fc.oneof(fc.constant(0), fc.double({ min: 0, max: 1, noNaN: true }));
+
+/**
+ * @param {{minN?:number, maxN?:number}} [opts]
+ * @returns {fc.Arbitrary<number[][]>}
+ */
+export const rowStochastic = ({ minN = 2, maxN = 8 } = {}) =>
+  fc
+    .integer({ min: minN, max: maxN })
+    .chain((n) =>
+      fc.tuple(
+        fc.array(fc.double({ min: 0.05, max: 1, noNaN: true }), { minLength: n, maxLength: n }),
+        fc.array(fc.array(offDiagonal, { minLength: n, maxLength: n }), { minLength: n, maxLength: n })
+      )
+    )
+    .map(([diag, rows]) => ensureRowStochastic(rows.map((row, i) => row.map((x, j) => (i === j ? diag[i] : x)))));
+
+/**
+ * 行確率行列と、その中の異なる2人 (b, s)
+ * @returns {fc.Arbitrary<{E:number[][], b:number, s:number}>}
+ */
+export const matrixWithPair = (opts = {}) =>
+  rowStochastic(opts).chain((E) =>
+    fc
+      .tuple(fc.nat({ max: E.length - 1 }), fc.nat({ max: E.length - 2 }))
+      .map(([b, k]) => ({ E, b, s: k >= b ? k + 1 : k }))
+  );
+
+/** 行和が 1 で、要素が非負 */
+export const expectRowStochastic = (E, tol = 1e-9) => {
+  for (const row of E) {
+    expect(Math.abs(row.reduce((a, x) => a + x, 0) - 1)).toBeLessThan(tol);
+    for (const x of row) expect(x).toBeGreaterThanOrEqual(-1e-12);
+  }
+};
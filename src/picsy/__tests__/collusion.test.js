@@ -0,0 +1,49 @@
+import { describe, expect, it } from "vitest";
+import { detectCollusion, flaggedSets } from "../collusion.js";
+
+/** n 人の一様な economy（E_ii = 0.5、c はすべて 1） */
+function economy(n) {
+  const E = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 0.5 : 0.5 / (n - 1))));
+  return { E, members: Array.from({ length: n }, (_, id) => ({ id })), c: Array(n).fill(1) };
+}
+
+const like = (from, to, delta = 0.1) => ({ from, to, delta });
+
+describe("detectCollusion", () => {
+  it("flags a pair that only likes each other", () => {
+    const ledger = [like(0, 1), like(1, 0), like(0, 1), like(1, 0), like(2, 3), like(3, 4)];
+    const groups = detectCollusion({ ledger, economy: economy(5), genesisIds: [0, 1, 2, 3, 4] });
+    expect(groups.map((g) => g.key)).toEqual(["pair:0-1"]);
+    expect(groups[0]).toMatchObject({ insularity: 1, balance: 1, score: 1, internalDelta: expect.closeTo(0.4, 12) });
+    // c_0 のうち bob から来る分: E'_10 = E_10 + E_11/(N−1)
+    expect(groups[0].inGroupShare[0]).toBeCloseTo(0.125 + 0.5 / 4, 12);
+  });
+
+  it("finds a ring once, whatever member it starts from", () => {
+    const ledger = [like(2, 0), like(0, 1), like(1, 2), like(2, 0), like(0, 1), like(1, 2)];
+    const groups = detectCollusion({ ledger, economy: economy(4), genesisIds: [0, 1, 2, 3] });
+    expect(groups).toHaveLength(1);
+    expect(groups[0]).toMatchObject({ kind: "cycle", ids: [0, 1, 2], score: 1 });
+    expect(flaggedSets(groups)).toEqual({ edges: new Set(["0→1", "1→2", "2→0"]), ids: new Set([0, 1, 2]) });
+  });
+
+  it("does not report groups that mostly like outsiders", () => {
+    const ledger = [like(0, 1, 0.05), like(1, 0, 0.05), like(0, 2, 0.5), like(1, 3, 0.5)];
+    expect(detectCollusion({ ledger, economy: economy(4), genesisIds: [0, 1, 2, 3] })).toEqual([]);
+  });
+
+  it("groups newcomers whose first likes all go to the same member", () => {
+    const ledger = [like(3, 0), like(3, 0), like(4, 0), like(4, 0), like(4, 0), like(4, 1), like(1, 2)];
+    const groups = detectCollusion({ ledger, economy: economy(5), genesisIds: [0, 1, 2] });
+    const newcomer = groups.find((g) => g.kind === "newcomer");
+    expect(newcomer.ids).toEqual([0, 3, 4]);
+    expect(newcomer.score).toBeCloseTo(0.5 / 0.6, 12);
+  });
+
+  it("stops searching for cycles after maxCyclePaths", () => {
+    const ledger = [like(0, 1), like(1, 2), like(2, 0)];
+    const input = { ledger, economy: economy(3), genesisIds: [0, 1, 2] };
+    expect(detectCollusion(input)).toHaveLength(1);
+    expect(detectCollusion(input, { maxCyclePaths: 2 })).toEqual([]);
+  });
+});
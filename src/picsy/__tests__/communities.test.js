@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest";
+import { COMMUNITY_TEMPLATES, communityGenesis, membershipsOf, parseHandles, uniqueCommunityId } from "../communities.js";
+import { memberIndex } from "../economy.js";
+import { createWorld, dispatch } from "../events.js";
+import { sum } from "../math.js";
+import { matrixDiag, toDense } from "../sparse.js";
+import { expectRowStochastic } from "./arbitraries.js";
+
+describe("community templates", () => {
+  it("build a valid genesis with the default founders", () => {
+    for (const [key, template] of Object.entries(COMMUNITY_TEMPLATES)) {
+      const genesis = communityGenesis(key, { n: 80 });
+      expectRowStochastic(toDense(genesis.E));
+      if (template.handles.length) expect(genesis.members.map((m) => m.handle)).toEqual(template.handles);
+      for (const p of genesis.posts) expect(genesis.members.some((m) => m.id === p.author)).toBe(true);
+    }
+  });
+
+  it("use the chosen founders", () => {
+    const genesis = communityGenesis("researchGroup", { handles: parseHandles("@alice, zoe  yuki") });
+    expect(genesis.members).toEqual([
+      { id: 0, handle: "alice" },
+      { id: 1, handle: "zoe" },
+      { id: 2, handle: "yuki" },
+    ]);
+  });
+
+  it("reject too few founders and out-of-range sizes", () => {
+    expect(() => communityGenesis("bookClub", { handles: ["solo"] })).toThrow("at least two founding members");
+    expect(() => communityGenesis("generated", { n: 1 })).toThrow("between 2 and");
+    expect(() => communityGenesis("nope")).toThrow("Unknown community template");
+  });
+});
+
+describe("memberships", () => {
+  it("keep c and budget independent for the same handle", () => {
+    let starter = createWorld(communityGenesis("starter"));
+    const club = createWorld(communityGenesis("bookClub"));
+    const alice = (w) => memberIndex(w.state.economy, w.state.economy.members.find((m) => m.handle === "alice").id);
+    starter = dispatch(starter, { type: "like", from: 0, to: 1, delta: 0.1 }).world;
+    expect(matrixDiag(starter.state.economy.E, alice(starter))).toBeLessThan(0.2);
+    expect(matrixDiag(club.state.economy.E, alice(club))).toBeCloseTo(0.3, 12);
+    expect(club.state.economy.c[alice(club)]).toBeCloseTo(1, 8);
+    expect(sum(club.state.economy.c)).toBeCloseTo(4, 8);
+  });
+
+  it("lists the communities a handle belongs to", () => {
+    const list = [
+      { id: "main", handles: ["alice", "bob"] },
+      { id: "club", handles: ["alice", "dave"] },
+    ];
+    expect(membershipsOf("alice", list).map((x) => x.id)).toEqual(["main", "club"]);
+    expect(membershipsOf("dave", list).map((x) => x.id)).toEqual(["club"]);
+  });
+});
+
+describe("uniqueCommunityId", () => {
+  it("slugs the name and avoids taken ids", () => {
+    expect(uniqueCommunityId("Book Club!", [])).toBe("book-club");
+    expect(uniqueCommunityId("Book club", ["book-club", "book-club-2"])).toBe("book-club-3");
+    expect(uniqueCommunityId("読書会", [])).toBe("読書会");
+    expect(uniqueCommunityId("  ", [])).toBe("community");
+  });
+});
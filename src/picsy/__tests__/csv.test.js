@@ -0,0 +1,48 @@
+import { describe, expect, it } from "vitest";
+import { contributionsCsv, ledgerCsv, matrixCsv, toCsv } from "../csv.js";
+import { makePost } from "../events.js";
+import { toSparse } from "../sparse.js";
+
+const users = [{ handle: "alice" }, { handle: "bob" }];
+
+describe("toCsv", () => {
+  it("quotes cells with commas, quotes and line breaks", () => {
+    expect(toCsv([["a", 'say "hi"', "x,y"], [1, null, "two\nlines"]])).toBe('a,"say ""hi""","x,y"\r\n1,,"two\nlines"\r\n');
+  });
+});
+
+describe("ledgerCsv", () => {
+  it("writes likes and unlikes with handles and the post's current status", () => {
+    const post = { ...makePost(1, 0, "Hello, world", "", "", [], 0), deletedAt: 5 };
+    const ledger = [
+      { type: "like", id: 1, at: 0, from: 1, to: 0, postId: 1, delta: 0.1, alpha: 0.1, mode: "fixed" },
+      { type: "unlike", id: 2, at: 1000, from: 1, to: 0, postId: 1, delta: -0.1, alpha: 0.1, likeId: 1 },
+    ];
+    const [header, ...rows] = ledgerCsv(ledger, users, [post]).trimEnd().split("\r\n");
+    expect(header).toBe("time,type,event_id,from,to,post_id,post_title,post_status,comment_id,delta,alpha,retracts,mode");
+    expect(rows).toEqual([
+      '1970-01-01T00:00:00.000Z,like,1,bob,alice,1,"Hello, world",deleted,,0.1,0.1,,fixed',
+      '1970-01-01T00:00:01.000Z,unlike,2,bob,alice,1,"Hello, world",deleted,,-0.1,0.1,1,',
+    ]);
+  });
+});
+
+describe("matrixCsv", () => {
+  it("labels rows and columns with handles and writes sparse matrices densely", () => {
+    const E = [
+      [0.75, 0.25],
+      [0.5, 0.5],
+    ];
+    const expected = "buyer\\seller,alice,bob\r\nalice,0.75,0.25\r\nbob,0.5,0.5\r\n";
+    expect(matrixCsv(E, users, "buyer\\seller")).toBe(expected);
+    expect(matrixCsv(toSparse(E), users, "buyer\\seller")).toBe(expected);
+  });
+});
+
+describe("contributionsCsv", () => {
+  it("writes one row per user without rounding", () => {
+    expect(contributionsCsv(users, [1 / 3, 5 / 3], [0.75, 0.5], [0.25, 5 / 6])).toBe(
+      `user,c,budget,pp\r\nalice,${1 / 3},0.75,0.25\r\nbob,${5 / 3},0.5,${5 / 6}\r\n`
+    );
+  });
+});
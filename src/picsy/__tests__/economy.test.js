@@ -0,0 +1,102 @@
+import fc from "fast-check";
+import { describe, expect, it } from "vitest";
+import { addMember, createEconomy, like, maxDelta, PicsyError, recover, removeMember } from "../economy.js";
+import { sum } from "../math.js";
+import { matrixDiag, matrixRowSum, matrixSize, toDense } from "../sparse.js";
+import { expectRowStochastic, rowStochastic } from "./arbitraries.js";
+
+const membersOf = (n) => Array.from({ length: n }, (_, id) => ({ id, handle: `user${id + 1}` }));
+
+/** どの操作の後でも成り立つべきこと */
+function expectInvariants(economy) {
+  const n = economy.members.length;
+  expect(matrixSize(economy.E)).toBe(n);
+  expectRowStochastic(toDense(economy.E));
+  expect(economy.stale).toBe(false);
+  expect(sum(economy.c)).toBeCloseTo(n, 6);
+  economy.c.forEach((x) => expect(x).toBeGreaterThanOrEqual(0));
+}
+
+// 操作列: 対象は [0,1) の数で持ち、適用する時点のメンバー数に合わせて index にする
+const operation = fc.oneof(
+  fc.record({ type: fc.constant("like"), b: fc.double({ min: 0, max: 0.999, noNaN: true }), s: fc.double({ min: 0, max: 0.999, noNaN: true }), share: fc.double({ min: 0, max: 1, noNaN: true }) }),
+  fc.record({ type: fc.constant("recovery"), gamma: fc.double({ min: 0, max: 0.5, noNaN: true }) }),
+  fc.record({ type: fc.constant("addMember") }),
+  fc.record({ type: fc.constant("removeMember"), k: fc.double({ min: 0, max: 0.999, noNaN: true }) })
+);
+
+function applyOperation(economy, op) {
+  const n = economy.members.length;
+  switch (op.type) {
+    case "like": {
+      const b = Math.floor(op.b * n);
+      const s = (b + 1 + Math.floor(op.s * (n - 1))) % n;
+      return like(economy, b, s, op.share * maxDelta(economy, b)).economy;
+    }
+    case "recovery":
+      return recover(economy, op.gamma).economy;
+    case "addMember":
+      return addMember(economy, `user${n + 1}`).economy;
+    case "removeMember":
+      return n > 2 ? removeMember(economy, economy.members[Math.floor(op.k * n)].id).economy : economy;
+  }
+}
+
+describe("economy operations", () => {
+  it("keep row sums 1, sum(c) = N and non-negativity after every operation", () => {
+    fc.assert(
+      fc.property(rowStochastic({ maxN: 6 }), fc.array(operation, { maxLength: 12 }), (E, ops) => {
+        let economy = createEconomy(membersOf(E.length), E);
+        expectInvariants(economy);
+        for (const op of ops) {
+          economy = applyOperation(economy, op);
+          expectInvariants(economy);
+        }
+      }),
+      { numRuns: 60 }
+    );
+  });
+
+  it("keep the invariants across the switch to a sparse E", () => {
+    const n = 63;
+    const E = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 0.3 : 0.7 / (n - 1))));
+    let economy = createEconomy(membersOf(n), E);
+    economy = addMember(economy, "user64").economy;
+    economy = addMember(economy, "user65").economy;
+    expect(economy.E.sparse).toBe(true);
+    economy = like(economy, 0, 64, maxDelta(economy, 0) / 2).economy;
+    economy = recover(economy, 0.1).economy;
+    economy = removeMember(economy, 10).economy;
+    expectInvariants(economy);
+  });
+});
+
+describe("like", () => {
+  const economy = () =>
+    createEconomy(membersOf(3), [
+      [0.2, 0.4, 0.4],
+      [0.4, 0.2, 0.4],
+      [0.4, 0.4, 0.2],
+    ]);
+
+  it("moves α from the buyer's budget and reports it", () => {
+    const before = economy();
+    const { economy: after, result } = like(before, 0, 2, 0.05);
+    expect(result.alpha).toBeCloseTo(0.05 / before.c[0], 12);
+    expect(matrixDiag(after.E, 0)).toBeCloseTo(0.2 - result.alpha, 12);
+    expect(matrixRowSum(after.E, 0)).toBeCloseTo(1, 12);
+  });
+
+  it("rejects δ beyond the buyer's budget with INSUFFICIENT_BUDGET", () => {
+    const e = economy();
+    expect(() => like(e, 0, 1, maxDelta(e, 0) * 1.01)).toThrow(PicsyError);
+    expect(() => like(e, 0, 1, maxDelta(e, 0) * 1.01)).toThrow(expect.objectContaining({ code: "INSUFFICIENT_BUDGET" }));
+    expect(() => like(e, 0, 1, maxDelta(e, 0))).not.toThrow();
+  });
+
+  it("rejects self-likes and invalid δ", () => {
+    expect(() => like(economy(), 1, 1, 0.01)).toThrow(expect.objectContaining({ code: "SELF_LIKE" }));
+    expect(() => like(economy(), 0, 1, -1)).toThrow(expect.objectContaining({ code: "INVALID_DELTA" }));
+    expect(() => like(economy(), 0, 1, NaN)).toThrow(expect.objectContaining({ code: "INVALID_DELTA" }));
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, expect, it, vi } from "vitest";
+import { createEconomy } from "../economy.js";
+import { createEigenSolver } from "../eigenSolver.js";
+
+const members = ["alice", "bob", "carol"].map((handle, id) => ({ id, handle }));
+const E = [
+  [0.2, 0.4, 0.4],
+  [0.4, 0.2, 0.4],
+  [0.4, 0.4, 0.2],
+];
+const uniform = [1, 1, 1];
+
+/** postMessage のたびに決めた失敗を起こす偽の Worker */
+function failingWorker(kind) {
+  const w = {
+    posted: 0,
+    terminated: false,
+    postMessage() {
+      w.posted++;
+      setTimeout(() => (kind === "error" ? w.onerror({ message: "out of memory", preventDefault() {} }) : w.onmessageerror({})), 0);
+    },
+    terminate() {
+      w.terminated = true;
+    },
+  };
+  return w;
+}
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+describe("createEigenSolver", () => {
+  it.each(["error", "messageerror"])("solves on the main thread when the worker fails (%s) and keeps draining the queue", async (kind) => {
+    const workers = [];
+    const onResult = vi.fn();
+    const s = createEigenSolver({
+      onResult,
+      createWorker: () => {
+        workers.push(failingWorker(kind));
+        return workers.at(-1);
+      },
+    });
+    const E2 = [
+      [0.5, 0.25, 0.25],
+      [0.25, 0.5, 0.25],
+      [0.25, 0.25, 0.5],
+    ];
+    s.solve(E, uniform);
+    s.solve(E2, uniform); // 1件目の実行中に来た依頼は待たせる
+    await settle();
+    expect(onResult.mock.calls.map(([r]) => r.E)).toEqual([E, E2]);
+    expect(onResult.mock.calls[0][0].c.reduce((a, x) => a + x, 0)).toBeCloseTo(3, 9);
+    expect(workers).toHaveLength(2); // 落ちた Worker は捨て、次の依頼で作り直す
+    expect(workers.every((w) => w.terminated && w.posted === 1)).toBe(true);
+  });
+
+  it("reports jobs that cannot be solved and moves on to the next one", async () => {
+    const onResult = vi.fn();
+    const onError = vi.fn();
+    const s = createEigenSolver({ onResult, onError, createWorker: () => failingWorker("error") });
+    s.solve({ sparse: true, n: 3, rows: null }, uniform);
+    s.solve(E, uniform);
+    await settle();
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].error).toBeInstanceOf(Error);
+    expect(onResult.mock.calls.map(([r]) => r.c)).toEqual([createEconomy(members, E).c]);
+  });
+});
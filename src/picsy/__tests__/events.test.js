@@ -0,0 +1,249 @@
+import { describe, expect, it } from "vitest";
+import { matrixDiag, matrixEntry, matrixRowSum } from "../sparse.js";
+import {
+  CHECKPOINT_EVERY,
+  commentThreads,
+  createWorld,
+  dispatch,
+  dispatchInPlace,
+  ledgerOf,
+  makePost,
+  referencedImageIds,
+  replay,
+  splitImageData,
+  stateAt,
+  undo,
+  verifyReplay,
+} from "../events.js";
+
+const genesis = () => ({
+  members: ["alice", "bob", "carol"].map((handle, id) => ({ id, handle })),
+  E: [
+    [0.2, 0.4, 0.4],
+    [0.4, 0.2, 0.4],
+    [0.4, 0.4, 0.2],
+  ],
+  posts: [makePost(1, 0, "Question", "How does recovery work?", "", [], 0)],
+});
+
+/** alice の投稿に bob がコメントし、carol がそれに返信した world */
+function thread() {
+  let world = createWorld(genesis());
+  world = dispatch(world, { type: "comment", postId: 1, author: 1, text: "Answer" }).world;
+  const answerId = world.events.at(-1).id;
+  world = dispatch(world, { type: "comment", postId: 1, author: 2, text: "Thanks!", parentId: answerId }).world;
+  return { world, answerId };
+}
+
+describe("comments", () => {
+  it("nest replies under their parent", () => {
+    const { world, answerId } = thread();
+    const [root, ...rest] = commentThreads(world.state.posts[0].comments);
+    expect(rest).toEqual([]);
+    expect(root.comment).toMatchObject({ id: answerId, parentId: null, likes: [] });
+    expect(root.replies.map((r) => r.comment.text)).toEqual(["Thanks!"]);
+  });
+
+  it("reject replies to a comment that does not exist", () => {
+    const world = createWorld(genesis());
+    expect(() => dispatch(world, { type: "comment", postId: 1, author: 1, text: "?", parentId: 99 })).toThrow("Comment #99 is not on post #1.");
+  });
+});
+
+describe("comment likes", () => {
+  it("transfer δ to the comment author and record the comment id", () => {
+    const { world: w0, answerId } = thread();
+    const { world, events } = dispatch(w0, { type: "like", from: 2, to: 1, postId: 1, commentId: answerId, delta: 0.05 });
+    expect(events[0]).toMatchObject({ type: "like", commentId: answerId });
+    const post = world.state.posts[0];
+    expect(post.likes).toEqual([]);
+    expect(post.comments.find((c) => c.id === answerId).likes).toEqual([expect.objectContaining({ from: 2, to: 1, delta: 0.05 })]);
+    expect(matrixDiag(world.state.economy.E, 2)).toBeCloseTo(0.2 - events[0].alpha, 12);
+    expect(replay(world.genesis, world.events).posts).toEqual(world.state.posts);
+  });
+
+  it("must go to the comment's author", () => {
+    const { world, answerId } = thread();
+    expect(() => dispatch(world, { type: "like", from: 2, to: 0, postId: 1, commentId: answerId, delta: 0.05 })).toThrow("must go to its author");
+  });
+
+  it("are removed from the comment by undo", () => {
+    const { world: w0, answerId } = thread();
+    const liked = dispatch(w0, { type: "like", from: 0, to: 1, postId: 1, commentId: answerId, delta: 0.05 }).world;
+    const undone = undo(liked).world;
+    expect(undone.state.posts[0].comments.find((c) => c.id === answerId).likes).toEqual([]);
+  });
+});
+
+describe("unlike", () => {
+  const likeAt = (world, at) => dispatch(world, { type: "like", from: 1, to: 0, postId: 1, delta: 0.05 }, at);
+  const unlikeAt = (world, likeId, at, extra = {}) => dispatch(world, { type: "unlike", likeId, from: 1, postId: 1, windowMs: 60_000, ...extra }, at);
+
+  it("reverses the transfer exactly when nothing else changed E", () => {
+    const w0 = dispatch(createWorld(genesis()), { type: "comment", postId: 1, author: 2, text: "+1" }, 0).world;
+    const { world: w1, events } = likeAt(w0, 1000);
+    const { world: w2, events: [ev] } = unlikeAt(w1, events[0].id, 2000);
+    expect(ev).toMatchObject({ type: "unlike", mode: "reversal", to: 0, delta: -0.05 });
+    expect(ev.alpha).toBeCloseTo(events[0].alpha, 12);
+    expect(matrixEntry(w2.state.economy.E, 1, 1)).toBeCloseTo(0.2, 12);
+    expect(matrixEntry(w2.state.economy.E, 1, 0)).toBeCloseTo(0.4, 12);
+    w2.state.economy.c.forEach((x, i) => expect(x).toBeCloseTo(w0.state.economy.c[i], 8));
+    expect(w2.state.posts[0].likes[0].retracted).toMatchObject({ at: 2000, mode: "reversal" });
+    const { log, active } = ledgerOf(w2.events);
+    expect(log.map((e) => e.type)).toEqual(["like", "unlike"]);
+    expect(active).toEqual([]);
+    expect(verifyReplay(w2).ok).toBe(true);
+  });
+
+  it("returns only what is left after later recoveries as a compensating entry", () => {
+    const { world: w1, events } = likeAt(createWorld(genesis()), 0);
+    const w2 = dispatch(w1, { type: "recovery", gamma: 0.1 }, 100).world;
+    const before = matrixEntry(w2.state.economy.E, 1, 0);
+    const { world: w3, events: [ev] } = unlikeAt(w2, events[0].id, 200);
+    expect(ev.mode).toBe("compensation");
+    expect(ev.alpha).toBeCloseTo(events[0].alpha * 0.9, 12);
+    expect(matrixEntry(w3.state.economy.E, 1, 0)).toBeCloseTo(before - ev.alpha, 12);
+    expect(matrixRowSum(w3.state.economy.E, 1)).toBeCloseTo(1, 12);
+  });
+
+  it("is refused after the grace period, twice, or by someone else", () => {
+    const { world, events } = likeAt(createWorld(genesis()), 0);
+    const id = events[0].id;
+    expect(() => unlikeAt(world, id, 60_001)).toThrow(expect.objectContaining({ code: "GRACE_EXPIRED" }));
+    expect(() => unlikeAt(world, id, 10, { from: 2 })).toThrow(expect.objectContaining({ code: "NOT_YOUR_LIKE" }));
+    const retracted = unlikeAt(world, id, 10).world;
+    expect(() => unlikeAt(retracted, id, 20)).toThrow(expect.objectContaining({ code: "ALREADY_RETRACTED" }));
+    expect(() => unlikeAt(world, 999, 10)).toThrow(expect.objectContaining({ code: "LIKE_NOT_FOUND" }));
+  });
+});
+
+describe("editing and deleting posts", () => {
+  const edit = (world, patch = {}, at = 100) =>
+    dispatch(world, { type: "editPost", postId: 1, author: 0, title: "Question (fixed)", body: "How does recovery work?", image: "", tags: ["faq"], ...patch }, at);
+
+  it("keep earlier versions and the likes the post received", () => {
+    const liked = dispatch(createWorld(genesis()), { type: "like", from: 1, to: 0, postId: 1, delta: 0.05 }, 10).world;
+    const edited = edit(liked).world;
+    const post = edited.state.posts[0];
+    expect(post).toMatchObject({ title: "Question (fixed)", tags: ["faq"], editedAt: 100 });
+    expect(post.revisions).toEqual([{ title: "Question", body: "How does recovery work?", image: "", tags: [], images: [], at: 0 }]);
+    expect(post.likes).toHaveLength(1);
+    expect(edit(edited, { title: "v3" }, 200).world.state.posts[0].revisions.map((r) => [r.title, r.at])).toEqual([
+      ["Question", 0],
+      ["Question (fixed)", 100],
+    ]);
+    expect(verifyReplay(edited).ok).toBe(true);
+  });
+
+  it("store attached images with the post and its revisions", () => {
+    const image = (id) => ({ id, name: `${id}.png`, width: 4, height: 3 });
+    const created = dispatch(
+      createWorld(genesis()),
+      { type: "createPost", postId: 2, author: 1, title: "Chart", body: "", image: "", tags: [], images: [image("a"), image("b")] },
+      10
+    ).world;
+    expect(created.state.posts[0].images.map((im) => im.id)).toEqual(["a", "b"]);
+    const edited = dispatch(created, { type: "editPost", postId: 2, author: 1, title: "Chart", body: "", image: "", tags: [], images: [image("b")] }, 20).world;
+    expect(edited.state.posts[0].images.map((im) => im.id)).toEqual(["b"]);
+    expect(edited.state.posts[0].revisions[0].images.map((im) => im.id)).toEqual(["a", "b"]);
+    expect(replay(edited.genesis, edited.events).posts).toEqual(edited.state.posts);
+    expect([...referencedImageIds(edited.events)]).toEqual(["a", "b"]);
+  });
+
+  it("move image data out of events that embedded it", () => {
+    const legacy = { id: "a", name: "a.png", width: 4, height: 3, thumb: "data:image/webp;base64,AA==", full: "data:image/webp;base64,AAAA" };
+    const comment = { id: 2, type: "comment", postId: 1, author: 1, text: "hi" };
+    const created = { id: 1, type: "createPost", postId: 2, author: 1, title: "Chart", images: [legacy] };
+    const { events, images } = splitImageData([created, comment]);
+    expect(events[0].images).toEqual([{ id: "a", name: "a.png", width: 4, height: 3 }]);
+    expect(events[1]).toBe(comment);
+    expect(images).toEqual({ a: { thumb: legacy.thumb, full: legacy.full } });
+    expect(splitImageData(events).events[0]).toBe(events[0]);
+  });
+
+  it("soft-delete a post without touching E or the ledger", () => {
+    const liked = dispatch(createWorld(genesis()), { type: "like", from: 1, to: 0, postId: 1, delta: 0.05 }, 10).world;
+    const deleted = dispatch(liked, { type: "deletePost", postId: 1, author: 0 }, 20).world;
+    expect(deleted.state.posts[0]).toMatchObject({ id: 1, deletedAt: 20 });
+    expect(deleted.state.economy.E).toEqual(liked.state.economy.E);
+    expect(ledgerOf(deleted.events).active).toHaveLength(1);
+    expect(() => dispatch(deleted, { type: "like", from: 2, to: 0, postId: 1, delta: 0.05 })).toThrow(expect.objectContaining({ code: "POST_DELETED" }));
+    expect(() => dispatch(deleted, { type: "comment", postId: 1, author: 2, text: "?" })).toThrow(expect.objectContaining({ code: "POST_DELETED" }));
+    expect(() => edit(deleted)).toThrow(expect.objectContaining({ code: "POST_DELETED" }));
+  });
+
+  it("are only allowed for the author", () => {
+    const world = createWorld(genesis());
+    expect(() => edit(world, { author: 1 })).toThrow(expect.objectContaining({ code: "NOT_YOUR_POST" }));
+    expect(() => dispatch(world, { type: "deletePost", postId: 1, author: 2 })).toThrow(expect.objectContaining({ code: "NOT_YOUR_POST" }));
+    expect(() => dispatch(world, { type: "deletePost", postId: 9, author: 0 })).toThrow("Post #9 does not exist.");
+  });
+});
+
+describe("checkpoints", () => {
+  /** like とコメントを交互に n 件記録した world と、各件数での状態 */
+  function logged(n) {
+    let world = createWorld(genesis());
+    const states = [world.state];
+    for (let k = 1; k <= n; k++) {
+      const draft = k % 2 ? { type: "like", from: k % 4 === 1 ? 1 : 2, to: 0, postId: 1, delta: 0.001 } : { type: "comment", postId: 1, author: 1, text: `#${k}` };
+      world = dispatch(world, draft, k).world;
+      states.push(world.state);
+    }
+    return { world, states };
+  }
+
+  it("are kept while recording and reused for a prefix of the log", () => {
+    const { world, states } = logged(2 * CHECKPOINT_EVERY + 30);
+    expect(stateAt(world.genesis, world.events, 2 * CHECKPOINT_EVERY)).toBe(states[2 * CHECKPOINT_EVERY]);
+    const tail = stateAt(world.genesis, world.events, 2 * CHECKPOINT_EVERY + 10);
+    expect(tail.posts).toEqual(states[2 * CHECKPOINT_EVERY + 10].posts);
+    expect(tail.economy.E).toEqual(states[2 * CHECKPOINT_EVERY + 10].economy.E);
+  });
+
+  it("give undo the same state as replaying from genesis", () => {
+    const { world } = logged(CHECKPOINT_EVERY + 5);
+    const undone = undo(world).world;
+    const fresh = replay(world.genesis, structuredClone(undone.events));
+    expect(undone.state.posts).toEqual(fresh.posts);
+    expect(undone.state.economy.E).toEqual(fresh.economy.E);
+    expect(undone.state.decayLog).toBe(fresh.decayLog);
+  });
+
+  it("are not used for another genesis", () => {
+    const { world } = logged(CHECKPOINT_EVERY);
+    const other = { ...genesis(), posts: [makePost(1, 0, "Other", "", "", [], 0)] };
+    expect(stateAt(other, world.events).posts[0].title).toBe("Other");
+  });
+});
+
+describe("dispatchInPlace", () => {
+  it("appends to the same log and records the same events as dispatch", () => {
+    const draft = { type: "like", from: 1, to: 0, postId: 1, delta: 0.05 };
+    const copied = dispatch(createWorld(genesis()), draft, 10);
+    const world = createWorld(genesis());
+    const log = world.events;
+    const { events } = dispatchInPlace(world, draft, 10);
+    expect(world.events).toBe(log);
+    expect(events).toEqual(copied.events);
+    expect(world.state.economy.E).toEqual(copied.world.state.economy.E);
+    expect(() => dispatchInPlace(world, [{ type: "comment", postId: 1, author: 1, text: "ok" }, { type: "like", from: 9, to: 0, postId: 1, delta: 0.05 }], 20)).toThrow();
+    expect(world.events).toHaveLength(1);
+  });
+});
+
+describe("addMember", () => {
+  it("keeps decayLog finite when the economy had a single member", () => {
+    const solo = { members: [{ id: 0, handle: "alice" }], E: [[1]], posts: [makePost(1, 0, "Hello", "", "", [], 0)] };
+    let world = dispatch(createWorld(solo), [
+      { type: "addMember", handle: "bob" },
+      { type: "createPost", postId: 2, author: 1, title: "Hi", body: "", image: "", tags: [] },
+    ], 0).world;
+    expect(world.state.decayLog).toBe(0);
+    world = dispatch(world, { type: "like", from: 0, to: 1, postId: 2, delta: 0.05 }, 10).world;
+    const likeId = world.events.at(-1).id;
+    const { events } = dispatch(world, { type: "unlike", likeId, from: 0, postId: 2, windowMs: 60_000 }, 20);
+    expect(Number.isFinite(events[0].alpha)).toBe(true);
+    expect(events[0].alpha).toBeCloseTo(world.events.at(-1).alpha, 12);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, expect, it } from "vitest";
+import { createWorld, dispatch, makePost } from "../events.js";
+import { buildHistory, userSeries } from "../history.js";
+
+const genesis = () => ({
+  members: ["alice", "bob", "carol"].map((handle, id) => ({ id, handle })),
+  E: [
+    [0.2, 0.4, 0.4],
+    [0.4, 0.2, 0.4],
+    [0.4, 0.4, 0.2],
+  ],
+  posts: [makePost(1, 0, "Question", "", "", [], 0)],
+});
+
+/** alice への like を n 回（10 回ごとに回収を挟む） */
+function liked(n, solver) {
+  let world = createWorld(genesis(), { solver });
+  for (let k = 1; k <= n; k++) {
+    const drafts = [{ type: "like", from: 1 + (k % 2), to: 0, postId: 1, delta: 0.001 }];
+    if (k % 10 === 0) drafts.push({ type: "recovery", gamma: 0.01 });
+    world = dispatch(world, drafts, k * 1000).world;
+  }
+  return world;
+}
+
+describe("buildHistory", () => {
+  it("records c and budgets from genesis to the tip", () => {
+    const world = liked(5);
+    const history = buildHistory(world.genesis, world.events);
+    expect(history.points.map((p) => p.index)).toEqual([0, 1, 2, 3, 4, 5]);
+    expect(history.tip.c).toEqual(world.state.economy.c);
+    const series = userSeries(history, 0);
+    expect(series).toHaveLength(6);
+    expect(series.at(-1).pp).toBeCloseTo(series.at(-1).c * series.at(-1).budget, 12);
+  });
+
+  it("uses the world's solver and rebuilds when it changes", () => {
+    const world = liked(5, "direct");
+    const history = buildHistory(world.genesis, world.events, null, { solver: "direct" });
+    expect(history.state.economy.solver).toBe("direct");
+    const power = buildHistory(world.genesis, world.events, history, { solver: "power" });
+    expect(power.state.economy.solver).toBe("power");
+    expect(power.tip.c.every((c, i) => Math.abs(c - history.tip.c[i]) < 1e-6)).toBe(true);
+  });
+
+  it("continues from the previous result when the log was only appended", () => {
+    const world = liked(30);
+    const prefix = buildHistory(world.genesis, world.events.slice(0, 20));
+    const extended = buildHistory(world.genesis, world.events, prefix);
+    expect(extended.points[0]).toBe(prefix.points[0]);
+    const full = buildHistory(world.genesis, world.events);
+    expect(extended.points).toEqual(full.points);
+    expect(extended.markers).toEqual(full.markers);
+  });
+
+  it("aggregates markers per stride instead of keeping one per event", () => {
+    const world = liked(400);
+    const history = buildHistory(world.genesis, world.events, null, { maxPoints: 20 });
+    expect(history.points.length).toBeLessThanOrEqual(20);
+    expect(history.markers.length).toBeLessThanOrEqual(2 * 21);
+    const total = (type) => history.markers.filter((m) => m.type === type).reduce((s, m) => s + m.count, 0);
+    expect(total("like")).toBe(400);
+    expect(total("recovery")).toBe(40);
+    expect(history.markers.map((m) => m.index)).toEqual([...history.markers.map((m) => m.index)].sort((a, b) => a - b));
+  });
+});
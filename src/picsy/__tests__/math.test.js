@@ -0,0 +1,210 @@
+import fc from "fast-check";
+import { describe, expect, it } from "vitest";
+import {
+  addMember,
+  applyLike,
+  applyNaturalRecovery,
+  directSolveLeft,
+  effectiveMatrix,
+  ensureRowStochastic,
+  leftMultiplyEPrime,
+  powerIterationLeft,
+  removeMember,
+  sum,
+} from "../math.js";
+import { expectRowStochastic, matrixWithPair, rowStochastic } from "./arbitraries.js";
+
+// 3×3 の固定例（diag = 0）
+const E3 = () =>
+  ensureRowStochastic([
+    [0, 0.65, 0.35],
+    [0.5, 0, 0.5],
+    [0.25, 0.75, 0],
+  ]);
+
+describe("ensureRowStochastic", () => {
+  it("normalizes rows to sum 1", () => {
+    const E = ensureRowStochastic([
+      [1, 1],
+      [3, 1],
+    ]);
+    expect(E).toEqual([
+      [0.5, 0.5],
+      [0.75, 0.25],
+    ]);
+  });
+
+  it("replaces an all-zero row with a uniform row", () => {
+    expect(ensureRowStochastic([[0, 0], [0.2, 0.8]])[0]).toEqual([0.5, 0.5]);
+  });
+});
+
+describe("powerIterationLeft", () => {
+  it("returns c with sum(c) = N on a fixed example", () => {
+    const c = powerIterationLeft(E3());
+    expect(sum(c)).toBeCloseTo(3, 8);
+  });
+
+  it("returns a non-negative fixed point of c·E' = c", () => {
+    fc.assert(
+      fc.property(rowStochastic(), (E) => {
+        const c = powerIterationLeft(E);
+        expect(sum(c)).toBeCloseTo(E.length, 8);
+        c.forEach((x) => expect(x).toBeGreaterThanOrEqual(0));
+        const next = leftMultiplyEPrime(c, E);
+        next.forEach((x, j) => expect(x).toBeCloseTo(c[j], 6));
+      })
+    );
+  });
+
+  it("agrees with the direct solver", () => {
+    fc.assert(
+      fc.property(rowStochastic(), (E) => {
+        const power = powerIterationLeft(E, { tol: 1e-13, maxIter: 10000 });
+        const direct = directSolveLeft(E);
+        direct.forEach((x, j) => expect(power[j]).toBeCloseTo(x, 6));
+      })
+    );
+  });
+});
+
+describe("directSolveLeft", () => {
+  it("solves c·E' = c with sum(c) = N", () => {
+    const E = E3();
+    const c = directSolveLeft(E);
+    const Ep = effectiveMatrix(E);
+    expect(sum(c)).toBeCloseTo(3, 12);
+    for (let j = 0; j < 3; j++) expect(c.reduce((a, ci, i) => a + ci * Ep[i][j], 0)).toBeCloseTo(c[j], 12);
+  });
+});
+
+describe("applyLike", () => {
+  it("moves α = δ/c_b from the buyer's budget to the seller", () => {
+    const E0 = ensureRowStochastic([
+      [0.2, 0.4, 0.4],
+      [0.4, 0.2, 0.4],
+      [0.4, 0.4, 0.2],
+    ]);
+    const c0 = powerIterationLeft(E0);
+    const E1 = applyLike(E0, c0, 0, 1, 0.05);
+    const alpha = 0.05 / c0[0];
+    expect(E1[0][0]).toBeCloseTo(E0[0][0] - alpha, 10);
+    expect(E1[0][1]).toBeCloseTo(E0[0][1] + alpha, 10);
+    expect(E1[1]).toEqual(E0[1]);
+  });
+
+  it("keeps E row-stochastic and sum(c) = N for any affordable δ", () => {
+    fc.assert(
+      fc.property(matrixWithPair(), fc.double({ min: 0, max: 1, noNaN: true }), ({ E, b, s }, share) => {
+        const c = powerIterationLeft(E);
+        const delta = share * E[b][b] * c[b];
+        const E1 = applyLike(E, c, b, s, delta);
+        expectRowStochastic(E1);
+        expect(sum(powerIterationLeft(E1))).toBeCloseTo(E.length, 8);
+      })
+    );
+  });
+
+  it("rejects α beyond the buyer's budget", () => {
+    fc.assert(
+      fc.property(matrixWithPair(), fc.double({ min: 1e-6, max: 1, noNaN: true }), ({ E, b, s }, extra) => {
+        const c = powerIterationLeft(E);
+        expect(() => applyLike(E, c, b, s, (E[b][b] + extra) * c[b])).toThrow("Insufficient budget.");
+      })
+    );
+  });
+
+  it("rejects self-likes and negative α", () => {
+    const E = E3();
+    const c = powerIterationLeft(E);
+    expect(() => applyLike(E, c, 1, 1, 0.01)).toThrow("Self-like is not allowed.");
+    expect(() => applyLike(E, c, 0, 1, -0.01)).toThrow("Negative alpha.");
+  });
+});
+
+describe("applyNaturalRecovery", () => {
+  it("raises every budget and lowers every evaluation", () => {
+    fc.assert(
+      fc.property(rowStochastic(), fc.double({ min: 0, max: 0.99, noNaN: true }), (E, gamma) => {
+        const E1 = applyNaturalRecovery(E, gamma);
+        expectRowStochastic(E1);
+        E.forEach((row, i) =>
+          row.forEach((x, j) => {
+            if (i === j) expect(E1[i][j]).toBeGreaterThanOrEqual(x - 1e-12);
+            else expect(E1[i][j]).toBeLessThanOrEqual(x + 1e-12);
+          })
+        );
+        expect(sum(powerIterationLeft(E1))).toBeCloseTo(E.length, 8);
+      })
+    );
+  });
+
+  it("recovers more with a larger γ", () => {
+    fc.assert(
+      fc.property(rowStochastic(), fc.double({ min: 0, max: 0.5, noNaN: true }), fc.double({ min: 0, max: 0.49, noNaN: true }), (E, g1, dg) => {
+        const low = applyNaturalRecovery(E, g1);
+        const high = applyNaturalRecovery(E, g1 + dg);
+        E.forEach((_, i) => expect(high[i][i]).toBeGreaterThanOrEqual(low[i][i] - 1e-12));
+      })
+    );
+  });
+});
+
+describe("addMember", () => {
+  it("keeps existing budgets and gives sum(c) = N+1", () => {
+    fc.assert(
+      fc.property(rowStochastic(), (E) => {
+        const c = powerIterationLeft(E);
+        const { E: E1, c: c1 } = addMember(E, c, "new");
+        expect(E1.length).toBe(E.length + 1);
+        expectRowStochastic(E1);
+        E.forEach((row, i) => expect(E1[i][i]).toBeCloseTo(row[i], 12));
+        expect(E1[E.length][E.length]).toBe(0);
+        expect(sum(c1)).toBeCloseTo(E.length + 1, 6);
+        c1.forEach((x) => expect(x).toBeGreaterThanOrEqual(0));
+      })
+    );
+  });
+
+  it("gives the new member c = 1", () => {
+    const E = E3();
+    const { c } = addMember(E, powerIterationLeft(E), "new");
+    expect(c[3]).toBeCloseTo(1, 3);
+  });
+});
+
+describe("removeMember", () => {
+  it("drops the row and column and keeps the invariants", () => {
+    fc.assert(
+      fc.property(
+        rowStochastic({ minN: 3 }).chain((E) => fc.record({ E: fc.constant(E), k: fc.nat({ max: E.length - 1 }) })),
+        ({ E, k }) => {
+          const { E: E1, c: c1 } = removeMember(E, powerIterationLeft(E), k);
+          expect(E1.length).toBe(E.length - 1);
+          E1.forEach((row) => expect(row.length).toBe(E1.length));
+          expectRowStochastic(E1);
+          expect(sum(c1)).toBeCloseTo(E.length - 1, 6);
+        }
+      )
+    );
+  });
+
+  it("leaves the other entries unchanged when nobody evaluated the leaving member", () => {
+    const E = ensureRowStochastic([
+      [0.5, 0.5, 0, 0],
+      [0.2, 0.3, 0.5, 0],
+      [0.3, 0.3, 0.4, 0],
+      [0.1, 0.3, 0.3, 0.3],
+    ]);
+    const { E: E1 } = removeMember(E, powerIterationLeft(E), 3);
+    E1.forEach((row, i) => row.forEach((x, j) => expect(x).toBeCloseTo(E[i][j], 12)));
+  });
+
+  it("refuses to go below two members", () => {
+    const E = [
+      [0.5, 0.5],
+      [0.5, 0.5],
+    ];
+    expect(() => removeMember(E, [1, 1], 0)).toThrow("At least two members must remain.");
+  });
+});
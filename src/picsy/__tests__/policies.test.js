@@ -0,0 +1,77 @@
+import { describe, expect, it } from "vitest";
+import { createEconomy, maxDelta } from "../economy.js";
+import { createWorld, dispatch, makePost } from "../events.js";
+import { DEFAULT_POLICY, likesBy, planLike, policyLookup } from "../policies.js";
+import { simulateStep } from "../simulator.js";
+import { matrixDiag } from "../sparse.js";
+
+const members = ["alice", "bob", "carol"].map((handle, id) => ({ id, handle }));
+const E = [
+  [0.4, 0.3, 0.3],
+  [0.3, 0.4, 0.3],
+  [0.3, 0.3, 0.4],
+];
+const economy = createEconomy(members, E);
+const policy = (patch) => ({ ...DEFAULT_POLICY, ...patch });
+const plan = (patch, ctx = {}) => planLike(policy(patch), { economy, b: 0, to: 1, at: 0, history: [], fallbackDelta: 0.05, ...ctx });
+
+describe("spend modes", () => {
+  it("derive δ from a fixed δ, a fixed α or a share of the budget", () => {
+    expect(plan({}).delta).toBe(0.05);
+    expect(plan({ amount: 0.02 }).delta).toBe(0.02);
+    expect(plan({ spendMode: "fixedAlpha", amount: 0.1 }).alpha).toBeCloseTo(0.1, 12);
+    const pct = plan({ spendMode: "percentBudget", amount: 25 });
+    expect(pct.alpha).toBeCloseTo(0.25 * matrixDiag(economy.E, 0), 12);
+    expect(pct.delta).toBeCloseTo(maxDelta(economy, 0) / 4, 12);
+  });
+
+  it("let users override the default policy", () => {
+    const lookup = policyLookup({ default: policy({ maxDelta: 0.1 }), byUser: { 1: { spendMode: "fixedAlpha", amount: 0.05 } } });
+    expect(lookup(0)).toMatchObject({ spendMode: "fixedDelta", maxDelta: 0.1 });
+    expect(lookup(1)).toMatchObject({ spendMode: "fixedAlpha", amount: 0.05, maxDelta: 0.1 });
+  });
+});
+
+describe("limits", () => {
+  it("refuse a δ above the per-like maximum", () => {
+    expect(() => plan({ maxDelta: 0.04 })).toThrow(expect.objectContaining({ code: "POLICY_MAX_DELTA" }));
+    expect(plan({ maxDelta: 0.05 }).delta).toBe(0.05);
+  });
+
+  it("refuse liking the same seller again within the cooldown", () => {
+    const history = [{ to: 1, alpha: 0.05, at: 1000 }];
+    expect(() => plan({ sellerCooldownMs: 10_000 }, { history, at: 5000 })).toThrow("wait 6s more");
+    expect(plan({ sellerCooldownMs: 10_000 }, { history, at: 11_000 }).delta).toBe(0.05);
+    expect(plan({ sellerCooldownMs: 10_000 }, { history, at: 5000, to: 2 }).delta).toBe(0.05);
+  });
+
+  it("cap the α spent in a rolling 24 hours", () => {
+    const history = [
+      { to: 1, alpha: 0.1, at: 0 },
+      { to: 2, alpha: 0.1, at: 3_600_000 },
+    ];
+    const alpha = plan({}).alpha;
+    expect(() => plan({ dailyAlphaCap: 0.2 + alpha / 2 }, { history, at: 7_200_000 })).toThrow(expect.objectContaining({ code: "POLICY_DAILY_CAP" }));
+    expect(plan({ dailyAlphaCap: 0.1 + alpha }, { history, at: 86_400_001 }).alpha).toBeCloseTo(alpha, 12);
+  });
+
+  it("do not count retracted likes", () => {
+    let world = createWorld({ members, E, posts: [makePost(1, 1, "Post", "", "", [], 0)] });
+    const { world: w1, events } = dispatch(world, { type: "like", from: 0, to: 1, postId: 1, delta: 0.05 }, 0);
+    expect(likesBy(w1.state.posts, 0)).toHaveLength(1);
+    world = dispatch(w1, { type: "unlike", likeId: events[0].id, from: 0, postId: 1, windowMs: 60_000 }, 10).world;
+    expect(likesBy(world.state.posts, 0)).toEqual([]);
+  });
+});
+
+describe("simulator", () => {
+  it("skips likes the buyer's policy refuses and says why", () => {
+    const world = createWorld({ members, E, posts: members.map((m) => makePost(m.id + 1, m.id, "Post", "", "", [], 0)) });
+    const opts = { strategies: { default: "uniform", byUser: {} }, deltaMin: 0.05, deltaMax: 0.05 };
+    const free = simulateStep(world.state, 1, opts);
+    expect(free.draft).not.toBeNull();
+    const capped = simulateStep(world.state, 1, { ...opts, policies: { default: policy({ maxDelta: 0.01 }), byUser: {} } });
+    expect(capped).toMatchObject({ draft: null, buyer: free.buyer, rngState: free.rngState });
+    expect(capped.reason).toMatch(/over this user's limit/);
+  });
+});
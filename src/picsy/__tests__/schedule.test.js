@@ -0,0 +1,128 @@
+import { describe, expect, it } from "vitest";
+import { createWorld, dispatch, makePost, recordScheduled, redo, replay, undo } from "../events.js";
+import { matrixEntry } from "../sparse.js";
+import { CONTINUOUS_TICK_MS, compoundGamma, dueRecovery, effectiveGamma, lastRecoveryAt, nextRecoveryAt, scheduledRecovery } from "../schedule.js";
+
+const genesis = () => ({
+  members: ["alice", "bob", "carol"].map((handle, id) => ({ id, handle })),
+  E: [
+    [0.2, 0.4, 0.4],
+    [0.4, 0.2, 0.4],
+    [0.4, 0.4, 0.2],
+  ],
+  posts: [makePost(1, 0, "Question", "", "", [], 0)],
+});
+
+const schedule = (patch) => ({ mode: "continuous", gamma: 0.1, periodMs: 60_000, anchorAt: 0, now: 0, ...patch });
+
+/** 時計が now まで進んだときの予定の回収を記録する */
+const tick = (world, patch) => {
+  const draft = scheduledRecovery(schedule({ anchorAt: lastRecoveryAt(world.events) ?? 0, ...patch }));
+  return draft ? recordScheduled(world, draft) : world;
+};
+
+describe("dueRecovery", () => {
+  it("waits for a whole tick in continuous mode", () => {
+    expect(nextRecoveryAt(schedule())).toBe(60_000 / 12);
+    expect(dueRecovery(schedule({ now: 60_000 / 12 - 1 }))).toBeNull();
+    expect(dueRecovery(schedule({ periodMs: 6000, now: CONTINUOUS_TICK_MS - 1 }))).toBeNull();
+    expect(dueRecovery(schedule({ now: 30_000 }))).toEqual({ gamma: 0.1, periods: 0.5, elapsedMs: 30_000, upTo: 30_000 });
+  });
+
+  it("decays by (1−γ) per period however the time is split", () => {
+    const once = 1 - effectiveGamma(0.1, 60_000, 60_000);
+    const halves = (1 - effectiveGamma(0.1, 30_000, 60_000)) ** 2;
+    expect(once).toBeCloseTo(0.9, 12);
+    expect(halves).toBeCloseTo(0.9, 12);
+  });
+
+  it("counts whole periods in periodic mode and keeps the period grid", () => {
+    const periodic = schedule({ mode: "periodic", anchorAt: 1000 });
+    expect(dueRecovery({ ...periodic, now: 60_999 })).toBeNull();
+    expect(dueRecovery({ ...periodic, now: 150_000 })).toEqual({ gamma: 0.1, periods: 2, elapsedMs: 120_000, upTo: 121_000 });
+  });
+
+  it("is never due in manual mode", () => {
+    expect(nextRecoveryAt(schedule({ mode: "manual" }))).toBeNull();
+    expect(scheduledRecovery(schedule({ mode: "manual", now: 1e9 }))).toBeNull();
+  });
+});
+
+describe("compoundGamma", () => {
+  it("is 1 − (1 − γ)^n without a cap", () => {
+    expect(compoundGamma(0.1, 0)).toBe(0);
+    expect(compoundGamma(0.1, 1)).toBe(0.1);
+    expect(compoundGamma(0.1, 2)).toBeCloseTo(1 - 0.81, 12);
+    expect(compoundGamma(0.5, 20)).toBeCloseTo(1 - 0.5 ** 20, 15);
+    expect(compoundGamma(0.5, 20)).toBeGreaterThan(0.99);
+  });
+});
+
+describe("scheduled recoveries", () => {
+  const comment = { type: "comment", postId: 1, author: 1, text: "hi" };
+
+  it("are recorded as their own transaction at the end of the period", () => {
+    const world = tick(createWorld(genesis()), { mode: "periodic", now: 130_000 });
+    expect(world.events).toEqual([expect.objectContaining({ type: "recovery", id: 1, tx: 1, at: 120_000, periods: 2, scheduled: "periodic" })]);
+    expect(lastRecoveryAt(world.events)).toBe(120_000);
+    expect(matrixEntry(world.state.economy.E, 0, 1)).toBeCloseTo(0.4 * 0.9 ** 2, 12);
+  });
+
+  it("apply every elapsed period when many have passed", () => {
+    const n = 1000;
+    const world = tick(createWorld(genesis()), { mode: "periodic", gamma: 0.01, now: n * 60_000 });
+    expect(world.events[0].periods).toBe(n);
+    expect(matrixEntry(world.state.economy.E, 0, 1)).toBeCloseTo(0.4 * 0.99 ** n, 12);
+    expect(world.state.decayLog).toBeCloseTo(n * Math.log(0.99), 9);
+    const replayed = replay(world.genesis, world.events);
+    expect(Number.isFinite(replayed.decayLog)).toBe(true);
+    expect(matrixEntry(replayed.economy.E, 0, 1)).toBeCloseTo(0.4 * 0.99 ** n, 12);
+  });
+
+  it("are not rolled back when the user's action is undone", () => {
+    let world = dispatch(createWorld(genesis()), comment, 10_000).world;
+    world = tick(world, { now: 20_000 });
+    world = tick(world, { now: 30_000 });
+    const back = undo(world);
+    expect(back.events.map((e) => e.type)).toEqual(["comment"]);
+    expect(back.world.events.map((e) => [e.type, e.id, e.tx])).toEqual([
+      ["recovery", 1, 1],
+      ["recovery", 2, 2],
+    ]);
+    expect(lastRecoveryAt(back.world.events)).toBe(30_000);
+    expect(matrixEntry(back.world.state.economy.E, 0, 1)).toBeCloseTo(0.4 * 0.9 ** 0.5, 12);
+    expect(undo(back.world)).toBeNull();
+  });
+
+  it("keep the redo stack, and redo renumbers and relinks what comes after them", () => {
+    let world = dispatch(createWorld(genesis()), comment, 1000).world;
+    const commentId = world.events.at(-1).id;
+    world = dispatch(world, { type: "like", from: 2, to: 1, postId: 1, commentId, delta: 0.05 }, 2000).world;
+    world = undo(undo(world).world).world;
+    world = tick(world, { now: 10_000 });
+    expect(world.redo).toHaveLength(2);
+    const first = redo(world);
+    expect(first.events[0]).toMatchObject({ type: "comment", id: 2, at: 1000 });
+    const second = redo(first.world);
+    expect(second.events[0]).toMatchObject({ type: "like", id: 3, commentId: 2 });
+    expect(second.world.state.posts[0].comments[0].likes).toEqual([expect.objectContaining({ from: 2, to: 1 })]);
+  });
+
+  it("do not mistake a redone id for one still on the redo stack", () => {
+    let world = dispatch(createWorld(genesis()), comment, 1000).world;
+    world = dispatch(world, { type: "like", from: 2, to: 1, postId: 1, commentId: 1, delta: 0.05 }, 2000).world;
+    world = undo(undo(world).world).world;
+    world = tick(world, { now: 10_000 });
+    world = redo(world).world;
+    // コメントの id（2）が、スタックに残る like の元の id と重なる
+    world = undo(tick(world, { now: 20_000 })).world;
+    world = redo(redo(world).world).world;
+    expect(world.events.map((e) => [e.type, e.id])).toEqual([
+      ["recovery", 1],
+      ["recovery", 2],
+      ["comment", 3],
+      ["like", 4],
+    ]);
+    expect(world.events[3].commentId).toBe(3);
+  });
+});
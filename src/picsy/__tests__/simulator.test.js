@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest";
+import { createWorld, makePost } from "../events.js";
+import { createRng, seedState, simulateStep } from "../simulator.js";
+
+const world = () =>
+  createWorld({
+    members: ["alice", "bob", "carol"].map((handle, id) => ({ id, handle })),
+    E: [
+      [0.4, 0.3, 0.3],
+      [0.3, 0.4, 0.3],
+      [0.3, 0.3, 0.4],
+    ],
+    posts: [0, 1, 2].map((author) => makePost(author + 1, author, `Post by ${author}`, "", "", [], 0)),
+  });
+
+/** n 回引いたあとの乱数の状態 */
+const advanced = (state, n) => {
+  const rng = createRng(state);
+  for (let k = 0; k < n; k++) rng.next();
+  return rng.state;
+};
+
+describe("simulateStep", () => {
+  it.each(["uniform", "preferential", "reciprocity", "tagAffinity"])("draws buyer, δ and one post with the %s strategy", (name) => {
+    const rngState = seedState("picsy");
+    const step = simulateStep(world().state, rngState, { strategies: { default: name, byUser: {} }, deltaMin: 0.01, deltaMax: 0.02 });
+    expect(step.draft).not.toBeNull();
+    expect(step.rngState).toBe(advanced(rngState, 3));
+  });
+
+  it("falls back to a uniform pick with the same draw when all weights are zero", () => {
+    const rngState = seedState(7);
+    const rng = createRng(rngState);
+    expect(rng.weighted(["a", "b", "c"], [0, 0, 0], { uniform: true })).toBe(["a", "b", "c"][Math.floor(createRng(rngState).next() * 3)]);
+    expect(rng.state).toBe(advanced(rngState, 1));
+    expect(createRng(rngState).weighted(["a"], [0])).toBeNull();
+  });
+});
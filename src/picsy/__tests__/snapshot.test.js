@@ -0,0 +1,93 @@
+import { describe, expect, it } from "vitest";
+import { createWorld, dispatch, makePost } from "../events.js";
+import { exportSnapshot, importSnapshot, snapshotImages, validateSnapshot } from "../snapshot.js";
+
+const genesis = () => ({
+  members: ["alice", "bob", "carol"].map((handle, id) => ({ id, handle })),
+  E: [
+    [0.2, 0.4, 0.4],
+    [0.4, 0.2, 0.4],
+    [0.4, 0.4, 0.2],
+  ],
+  posts: [makePost(1, 0, "Question", "How does recovery work?", "", [], 0)],
+});
+
+/** JSON を通した（ファイルから読んだのと同じ）エクスポート文書 */
+function exported() {
+  let world = createWorld(genesis());
+  world = dispatch(world, { type: "like", from: 1, to: 0, postId: 1, delta: 0.05 }, 10).world;
+  world = dispatch(world, { type: "recovery", gamma: 0.1 }, 20).world;
+  world = dispatch(world, { type: "like", from: 2, to: 0, postId: 1, delta: 0.02 }, 30).world;
+  return { world, doc: JSON.parse(JSON.stringify(exportSnapshot(world, 0))) };
+}
+
+describe("validateSnapshot", () => {
+  it("accepts an exported economy and imports it with a single replay", () => {
+    const { world, doc } = exported();
+    expect(validateSnapshot(doc)).toEqual([]);
+    const imported = importSnapshot(doc);
+    expect(imported.events).toHaveLength(world.events.length);
+    expect(imported.state.economy.E).toEqual(world.state.economy.E);
+    expect(imported.redo).toEqual([]);
+  });
+
+  it("reports malformed entries instead of throwing", () => {
+    const { doc } = exported();
+    for (const [patch, message] of [
+      [{ ledger: [null] }, "ledger entry 1 must be an object."],
+      [{ posts: [null] }, "post 1 must be an object."],
+      [{ events: [null] }, "event 1 must be an object."],
+      [{ users: [null, 3] }, "users[0] must have id 0."],
+      [{ genesis: "x" }, "genesis must contain members, E and posts."],
+    ]) {
+      expect(() => validateSnapshot({ ...doc, ...patch })).not.toThrow();
+      expect(validateSnapshot({ ...doc, ...patch })).toContain(message);
+    }
+    expect(validateSnapshot(null)).toEqual(["File is not a JSON object."]);
+    expect(validateSnapshot({ ledger: [null], posts: [null], events: [null] }).length).toBeGreaterThan(0);
+  });
+
+  it("rejects a ledger that does not match the events", () => {
+    const { doc } = exported();
+    const tampered = { ...doc, ledger: doc.ledger.map((e, k) => (k === 1 ? { ...e, to: 1 } : e)) };
+    expect(validateSnapshot(tampered)).toEqual([`ledger entry 2 does not match event #${doc.ledger[1].id}.`]);
+    expect(validateSnapshot({ ...doc, ledger: doc.ledger.slice(1) })[0]).toMatch(/^ledger has 1 entries/);
+  });
+
+  it("rejects E or c that do not match the replayed events", () => {
+    const { doc } = exported();
+    const E = doc.E.map((row) => [...row]);
+    [E[1][0], E[1][2]] = [E[1][2], E[1][0]];
+    expect(validateSnapshot({ ...doc, E })[0]).toMatch(/^E does not match/);
+    expect(() => importSnapshot({ ...doc, E })).toThrow("Invalid economy file");
+  });
+});
+
+describe("snapshot images", () => {
+  const data = { thumb: "data:image/webp;base64,AA==", full: "data:image/webp;base64,AAAA" };
+  const ref = { id: "a", name: "a.png", width: 4, height: 3 };
+  const post = { type: "createPost", postId: 2, author: 1, title: "Chart", body: "", image: "", tags: [] };
+
+  it("stores image data once and references it by id", () => {
+    let world = createWorld(genesis());
+    world = dispatch(world, { ...post, images: [ref] }, 10).world;
+    world = dispatch(world, { ...post, type: "editPost", title: "Chart v2", images: [ref] }, 20).world;
+    const doc = JSON.parse(JSON.stringify(exportSnapshot(world, 0, { a: data })));
+    expect(JSON.stringify(doc).split(data.full).length - 1).toBe(1);
+    expect(validateSnapshot(doc)).toEqual([]);
+    expect(importSnapshot(doc).state.posts[0].revisions[0].images).toEqual([ref]);
+    expect(snapshotImages(doc)).toEqual({ a: data });
+    expect(validateSnapshot({ ...doc, images: { a: { thumb: "x" } } })).toEqual(["image a must have thumb and full image data URLs."]);
+  });
+
+  it("imports files that embedded image data in events", () => {
+    let world = createWorld(genesis());
+    world = dispatch(world, { ...post, images: [{ ...ref, ...data }] }, 10).world;
+    const doc = JSON.parse(JSON.stringify(exportSnapshot(world, 0)));
+    delete doc.images;
+    const imported = importSnapshot(doc);
+    expect(imported.events[0].images).toEqual([ref]);
+    expect(imported.state.posts[0].images).toEqual([ref]);
+    expect(snapshotImages(doc)).toEqual({ a: data });
+  });
+});
@@ -0,0 +1,108 @@
+import fc from "fast-check";
+import { describe, expect, it } from "vitest";
+import { createEconomy, like, maxDelta, withSolver } from "../economy.js";
+import { createWorld, dispatch, undo } from "../events.js";
+import { sum } from "../math.js";
+import { createRng } from "../simulator.js";
+import { randomSparseStochastic, toSparse } from "../sparse.js";
+import { DIRECT_MAX_N, SOLVERS, solveContributions, stationaryResidual } from "../solvers.js";
+import { rowStochastic } from "./arbitraries.js";
+
+const methods = Object.keys(SOLVERS);
+
+// 2人と3人のグループの間の評価がごく小さい（ほぼ可約な）E。グループの大きさが違うので c は一様にならない
+const nearlyReducible = (eps) => {
+  const group = (i) => (i < 2 ? 0 : 1);
+  const size = [2, 3];
+  return Array.from({ length: 5 }, (_, i) =>
+    Array.from({ length: 5 }, (_, j) => {
+      if (i === j) return 0.001;
+      const inside = size[group(i)] - 1;
+      const outside = 5 - size[group(i)];
+      return group(i) === group(j) ? (0.999 - eps) / inside : eps / outside;
+    })
+  );
+};
+
+describe("solveContributions", () => {
+  it("agrees across methods and reports a converged residual", () => {
+    fc.assert(
+      fc.property(rowStochastic(), (E) => {
+        const results = methods.map((method) => solveContributions(E, { method }));
+        for (const { c, diagnostics } of results) {
+          expect(diagnostics.converged).toBe(true);
+          expect(diagnostics.residual).toBeLessThan(diagnostics.tol);
+          expect(sum(c)).toBeCloseTo(E.length, 8);
+          c.forEach((x, j) => expect(x).toBeCloseTo(results[0].c[j], 6));
+        }
+      })
+    );
+  });
+
+  it("reports the method, iterations and residual it used", () => {
+    const E = nearlyReducible(0.01);
+    const power = solveContributions(E, { method: "power" }).diagnostics;
+    const gs = solveContributions(E, { method: "gaussSeidel" }).diagnostics;
+    const direct = solveContributions(E, { method: "direct" }).diagnostics;
+    expect(power).toMatchObject({ method: "power", converged: true });
+    expect(gs).toMatchObject({ method: "gaussSeidel", converged: true });
+    expect(direct).toMatchObject({ method: "direct", iterations: 0, converged: true });
+    expect(power.iterations).toBeGreaterThan(1);
+  });
+
+  it("flags non-convergence instead of failing silently", () => {
+    const E = nearlyReducible(1e-4);
+    const { c, diagnostics } = solveContributions(E, { method: "power" });
+    expect(diagnostics.converged).toBe(false);
+    expect(diagnostics.iterations).toBe(1000);
+    expect(diagnostics.residual).toBeGreaterThan(diagnostics.tol);
+    expect(stationaryResidual(E, c)).toBeGreaterThan(diagnostics.tol);
+    // 打ち切られた c は正しい c から目に見えてずれている
+    const exact = solveContributions(E, { method: "direct" });
+    expect(exact.diagnostics.converged).toBe(true);
+    expect(Math.abs(c[0] - exact.c[0])).toBeGreaterThan(1e-3);
+  });
+
+  it("solves sparse matrices with every method", () => {
+    const S = randomSparseStochastic(120, 4, 0.2, createRng(7).next);
+    const ref = solveContributions(S, { method: "direct" }).c;
+    for (const method of methods) {
+      const { c, diagnostics } = solveContributions(S, { method });
+      expect(diagnostics.converged).toBe(true);
+      c.forEach((x, j) => expect(x).toBeCloseTo(ref[j], 6));
+    }
+  });
+
+  it("falls back to power iteration when the direct solve is too large", () => {
+    const S = randomSparseStochastic(DIRECT_MAX_N + 1, 3, 0.2, createRng(3).next);
+    const { diagnostics } = solveContributions(S, { method: "direct" });
+    expect(diagnostics.method).toBe("power");
+    expect(diagnostics.fallback).toMatch(/Direct solve is limited/);
+  });
+});
+
+describe("economy solver selection", () => {
+  const E = [
+    [0.2, 0.5, 0.3],
+    [0.3, 0.2, 0.5],
+    [0.5, 0.3, 0.2],
+  ];
+  const members = ["a", "b", "c"].map((handle, id) => ({ id, handle }));
+
+  it("keeps the chosen solver and its diagnostics across operations", () => {
+    let economy = withSolver(createEconomy(members, E), "gaussSeidel");
+    expect(economy.diagnostics.method).toBe("gaussSeidel");
+    economy = like(economy, 0, 1, maxDelta(economy, 0) / 2).economy;
+    expect(economy.solver).toBe("gaussSeidel");
+    expect(economy.diagnostics).toMatchObject({ method: "gaussSeidel", converged: true });
+  });
+
+  it("replays with the world's solver on undo", () => {
+    let world = createWorld({ members, E: toSparse(E), posts: [] }, { solver: "direct" });
+    world = dispatch(world, { type: "recovery", gamma: 0.1 }).world;
+    world = dispatch(world, { type: "recovery", gamma: 0.1 }).world;
+    const undone = undo(world).world;
+    expect(undone.state.economy.solver).toBe("direct");
+    expect(undone.state.economy.diagnostics.method).toBe("direct");
+  });
+});
@@ -0,0 +1,107 @@
+import fc from "fast-check";
+import { describe, expect, it } from "vitest";
+import {
+  addMember,
+  applyLike,
+  applyNaturalRecovery,
+  effectiveMatrix,
+  leftMultiplyEPrime,
+  powerIterationLeft,
+  removeMember,
+  sum,
+} from "../math.js";
+import {
+  maxRowL1Diff,
+  randomSparseStochastic,
+  sparseAddMember,
+  sparseApplyLike,
+  sparseApplyNaturalRecovery,
+  sparseApplyUnlike,
+  sparseEffectiveMatrix,
+  sparseLeftMultiplyEPrime,
+  sparsePowerIterationLeft,
+  sparseRemoveMember,
+  toDense,
+  toSparse,
+} from "../sparse.js";
+import { expectRowStochastic, matrixWithPair, rowStochastic } from "./arbitraries.js";
+
+const expectSameMatrix = (S, E) => expect(maxRowL1Diff(S, E)).toBeLessThan(1e-9);
+const expectSameVector = (a, b) => b.forEach((x, i) => expect(a[i]).toBeCloseTo(x, 6));
+
+describe("sparse matrices agree with the dense operations", () => {
+  it("round-trips through toSparse / toDense", () => {
+    fc.assert(
+      fc.property(rowStochastic(), (E) => {
+        expect(toDense(toSparse(E))).toEqual(E);
+      })
+    );
+  });
+
+  it("v·E' and c", () => {
+    fc.assert(
+      fc.property(rowStochastic(), (E) => {
+        const S = toSparse(E);
+        const v = E.map((_, i) => i + 1);
+        expectSameVector(sparseLeftMultiplyEPrime(v, S), leftMultiplyEPrime(v, E));
+        expectSameVector(sparsePowerIterationLeft(S), powerIterationLeft(E));
+        const Ep = effectiveMatrix(E);
+        const lazy = sparseEffectiveMatrix(S);
+        Ep.forEach((row, i) => row.forEach((x, j) => expect(lazy.get(i, j)).toBeCloseTo(x, 12)));
+      })
+    );
+  });
+
+  it("like and recovery", () => {
+    fc.assert(
+      fc.property(matrixWithPair(), fc.double({ min: 0, max: 0.9, noNaN: true }), ({ E, b, s }, gamma) => {
+        const S = toSparse(E);
+        const c = powerIterationLeft(E);
+        const delta = 0.5 * E[b][b] * c[b];
+        expectSameMatrix(sparseApplyLike(S, c, b, s, delta), applyLike(E, c, b, s, delta));
+        expectSameMatrix(sparseApplyNaturalRecovery(S, gamma), applyNaturalRecovery(E, gamma));
+      })
+    );
+  });
+
+  it("adding and removing members", () => {
+    fc.assert(
+      fc.property(
+        rowStochastic({ minN: 3 }).chain((E) => fc.record({ E: fc.constant(E), k: fc.nat({ max: E.length - 1 }) })),
+        ({ E, k }) => {
+          const S = toSparse(E);
+          const c = powerIterationLeft(E);
+          const added = sparseAddMember(S, c, "new");
+          const dense = addMember(E, c, "new");
+          expectSameMatrix(added.E, dense.E);
+          expectSameVector(added.c, dense.c);
+          const removed = sparseRemoveMember(S, c, k);
+          expectSameMatrix(removed.E, removeMember(E, c, k).E);
+        }
+      )
+    );
+  });
+});
+
+describe("randomSparseStochastic", () => {
+  it("builds a row-stochastic matrix with the requested budget", () => {
+    const S = randomSparseStochastic(200, 5, 0.2);
+    const E = toDense(S);
+    expectRowStochastic(E);
+    E.forEach((row, i) => expect(row[i]).toBeCloseTo(0.2, 12));
+    expect(sum(sparsePowerIterationLeft(S))).toBeCloseTo(200, 6);
+  });
+});
+
+describe("sparse operations", () => {
+  it("leave the previous matrix untouched, even rows that get renormalized", () => {
+    // 行0以外は行和が 1 からわずかにずれている（保存データの丸めなど）
+    const S = { sparse: true, n: 3, rows: [{ 0: 0.2, 1: 0.4, 2: 0.4 }, { 0: 0.4, 1: 0.2, 2: 0.40001 }, { 0: 0.4, 1: 0.4, 2: 0.20001 }] };
+    const before = JSON.stringify(S);
+    const liked = sparseApplyLike(S, [1, 1, 1], 0, 1, 0.05);
+    sparseApplyUnlike(liked, 0, 1, 0.05);
+    sparseApplyNaturalRecovery(S, 0.1);
+    expect(JSON.stringify(S)).toBe(before);
+    expectRowStochastic(toDense(liked));
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Collusion / sybil-ring detection (framework-free)
+ * ------------------------------------------------------
+ * Like の台帳（Σδ のフロー）と E から、なれ合いの疑いがあるグループを探す。
+ * - pair:     互いに Like し合う2人
+ * - cycle:    a → b → c (→ d) → a と Like が一周する 3〜maxCycleLength 人
+ * - newcomer: 途中参加したメンバーの最初の Like がすべて同じ1人に向かっている（同じ相手に向かう新人はまとめる）
+ *
+ * スコア（0..1）:
+ *   pair / cycle: insularity × balance
+ *     insularity = グループ内の Σδ / メンバーが送った Σδ の合計（外に Like していないほど 1）
+ *     balance    = 輪の上で一番細い辺 / 一番太い辺（一方通行でなく同じくらい回しているほど 1）
+ *   newcomer:     新人が送った Σδ のうち、その相手に向かった割合
+ *
+ * c の内訳: c_j = Σ_i c_i·E'_ij（E' の対角は 0）なので、グループの他のメンバー i からの項の和 / c_j を
+ * 「グループ内から来ている c の割合」とする。
+ */
+
+import { matrixDiag, matrixEntry } from "./sparse.js";
+
+export const COLLUSION_DEFAULTS = {
+  minScore: 0.5, // これ未満のグループは報告しない
+  minDelta: 0.05, // グループ内の Σδ がこれ未満なら報告しない
+  maxCycleLength: 4,
+  newcomerLikes: 3, // 新人の最初の何件の Like を見るか（2件以上あるときだけ判定する）
+  maxGroups: 50,
+  maxCyclePaths: 20000, // 閉路探索で辿る経路数の上限（大きい台帳で止まらないように）
+};
+
+/**
+ * @typedef {{from:number, to:number, delta:number}} FlowEdge
+ * @typedef {{key:string, kind:"pair"|"cycle"|"newcomer", ids:number[], edges:FlowEdge[], internalDelta:number,
+ *   insularity:number, balance:number, score:number, inGroupShare:Record<number, number|null>}} CollusionGroup
+ *   ids: user id（cycle は輪の順、newcomer は [相手, ...新人]）。edges: グループ内の Like の流れ（Σδ）
+ *   inGroupShare: c のうちグループ内から来ている割合（現メンバーでない・c が 0 なら null）
+ */
+
+/**
+ * 台帳を from → (to → Σδ) にまとめる
+ * @param {{from:number, to:number, delta:number}[]} ledger
+ */
+function flowOf(ledger) {
+  const out = new Map();
+  const sent = new Map();
+  for (const e of ledger) {
+    if (e.from === e.to) continue;
+    if (!out.has(e.from)) out.set(e.from, new Map());
+    const row = out.get(e.from);
+    row.set(e.to, (row.get(e.to) ?? 0) + e.delta);
+    sent.set(e.from, (sent.get(e.from) ?? 0) + e.delta);
+  }
+  return { out, sent };
+}
+
+const flowBetween = (flow, a, b) => flow.out.get(a)?.get(b) ?? 0;
+
+/** ids の間の Like の流れと Σδ、insularity */
+function internalFlow(flow, ids) {
+  const set = new Set(ids);
+  const edges = [];
+  let internal = 0;
+  let sent = 0;
+  for (const a of ids) {
+    sent += flow.sent.get(a) ?? 0;
+    for (const [b, d] of flow.out.get(a) ?? []) {
+      if (!set.has(b)) continue;
+      edges.push({ from: a, to: b, delta: d });
+      internal += d;
+    }
+  }
+  return { edges, internalDelta: internal, insularity: sent > 0 ? internal / sent : 0 };
+}
+
+/**
+ * 各メンバーの c のうちグループの他のメンバーから来ている割合
+ * @param {number[]} ids
+ * @param {{E:object, members:{id:number}[], c:number[]}} economy
+ */
+function inGroupShares(ids, { E, members, c }) {
+  const n = members.length;
+  const index = new Map(members.map((m, k) => [m.id, k]));
+  // E'_ij = E_ij + E_ii/(N−1)（i ≠ j）
+  const ePrime = (i, j) => matrixEntry(E, i, j) + matrixDiag(E, i) / (n - 1);
+  const out = {};
+  for (const id of ids) {
+    const j = index.get(id);
+    if (j === undefined || n < 2 || !(c[j] > 0)) {
+      out[id] = null;
+      continue;
+    }
+    let fromGroup = 0;
+    for (const other of ids) {
+      const i = index.get(other);
+      if (other !== id && i !== undefined) fromGroup += c[i] * ePrime(i, j);
+    }
+    out[id] = fromGroup / c[j];
+  }
+  return out;
+}
+
+/** 互いに Like し合う2人 */
+function findPairs(flow) {
+  const groups = [];
+  for (const [a, row] of flow.out) {
+    for (const [b, ab] of row) {
+      if (b <= a) continue;
+      const ba = flowBetween(flow, b, a);
+      if (ba <= 0) continue;
+      groups.push({ kind: "pair", ids: [a, b], balance: Math.min(ab, ba) / Math.max(ab, ba) });
+    }
+  }
+  return groups;
+}
+
+/**
+ * 長さ 3..maxLen の有向閉路。同じメンバーの組は一つにまとめる（一番 balance の高い向き・順を残す）。
+ * 閉路は最小の id から始め、それより大きい id だけを辿るので、同じ閉路を重複して数えない。
+ */
+function findCycles(flow, maxLen, maxPaths) {
+  const best = new Map();
+  let paths = 0;
+  const starts = [...flow.out.keys()].sort((x, y) => x - y);
+  for (const s of starts) {
+    const stack = [[s]];
+    while (stack.length > 0 && paths < maxPaths) {
+      const path = stack.pop();
+      paths++;
+      const last = path.at(-1);
+      for (const [next] of flow.out.get(last) ?? []) {
+        if (next === s && path.length >= 3) {
+          const weights = path.map((a, k) => flowBetween(flow, a, path[(k + 1) % path.length]));
+          const balance = Math.min(...weights) / Math.max(...weights);
+          const key = [...path].sort((x, y) => x - y).join(",");
+          if (!best.has(key) || best.get(key).balance < balance) best.set(key, { kind: "cycle", ids: path, balance });
+        } else if (next > s && path.length < maxLen && !path.includes(next)) {
+          stack.push([...path, next]);
+        }
+      }
+    }
+  }
+  return [...best.values()];
+}
+
+/**
+ * 途中参加のメンバーのうち、最初の Like がすべて同じ相手に向かっている人を相手ごとにまとめる
+ * @param {{from:number, to:number, delta:number}[]} ledger 時刻順
+ * @param {Set<number>} genesisIds
+ */
+function findNewcomers(ledger, flow, genesisIds, firstLikes) {
+  const first = new Map();
+  for (const e of ledger) {
+    if (genesisIds.has(e.from) || e.from === e.to) continue;
+    const list = first.get(e.from) ?? [];
+    if (list.length < firstLikes) first.set(e.from, [...list, e.to]);
+  }
+  const byTarget = new Map();
+  for (const [id, targets] of first) {
+    if (targets.length < 2 || targets.some((t) => t !== targets[0])) continue;
+    byTarget.set(targets[0], [...(byTarget.get(targets[0]) ?? []), id]);
+  }
+  return [...byTarget].map(([target, newcomers]) => {
+    const toTarget = newcomers.reduce((s, id) => s + flowBetween(flow, id, target), 0);
+    const sent = newcomers.reduce((s, id) => s + (flow.sent.get(id) ?? 0), 0);
+    return { kind: "newcomer", ids: [target, ...newcomers], balance: 1, share: sent > 0 ? toTarget / sent : 0 };
+  });
+}
+
+/**
+ * @param {{ledger:{from:number, to:number, delta:number}[], economy:{E:object, members:{id:number}[], c:number[]},
+ *   genesisIds:Iterable<number>}} input ledger は時刻順
+ * @param {Partial<typeof COLLUSION_DEFAULTS>} [opts]
+ * @returns {CollusionGroup[]} スコアの高い順
+ */
+export function detectCollusion({ ledger, economy, genesisIds }, opts = {}) {
+  const o = { ...COLLUSION_DEFAULTS, ...opts };
+  const flow = flowOf(ledger);
+  const candidates = [
+    ...findPairs(flow),
+    ...findCycles(flow, o.maxCycleLength, o.maxCyclePaths),
+    ...findNewcomers(ledger, flow, new Set(genesisIds), o.newcomerLikes),
+  ];
+  const groups = [];
+  for (const g of candidates) {
+    const { edges, internalDelta, insularity } = internalFlow(flow, g.ids);
+    const score = g.kind === "newcomer" ? g.share : insularity * g.balance;
+    if (internalDelta < o.minDelta || score < o.minScore) continue;
+    groups.push({
+      key: `${g.kind}:${g.ids.join("-")}`,
+      kind: g.kind,
+      ids: g.ids,
+      edges,
+      internalDelta,
+      insularity,
+      balance: g.balance,
+      score,
+    });
+  }
+  groups.sort((a, b) => b.score - a.score || b.internalDelta - a.internalDelta);
+  return groups.slice(0, o.maxGroups).map((g) => ({ ...g, inGroupShare: inGroupShares(g.ids, economy) }));
+}
+
+/**
+ * ハイライト用: 報告されたグループに含まれる Like の辺（"from→to"）とユーザー id
+ * @param {CollusionGroup[]} groups
+ * @returns {{edges:Set<string>, ids:Set<number>}}
+ */
+export function flaggedSets(groups) {
+  const edges = new Set();
+  const ids = new Set();
+  for (const g of groups) {
+    g.ids.forEach((id) => ids.add(id));
+    g.edges.forEach((e) => edges.add(`${e.from}→${e.to}`));
+  }
+  return { edges, ids };
+}
@@ -0,0 +1,190 @@
+/**
+ * Communities (framework-free)
+ * ------------------------------------------------------
+ * 1つのアプリで独立した PICSY コミュニティを複数持つ。コミュニティごとにメンバー・E・投稿・台帳・回収設定が別々で、
+ * 同じハンドルが複数のコミュニティに参加しても c や予算は共有しない（それぞれの genesis / イベントログの中の別ユーザー）。
+ *
+ * - COMMUNITY_TEMPLATES: 新しいコミュニティの初期状態（genesis）と操作パラメータの既定値
+ * - Community: 一覧に出すための情報（id / 名前 / テンプレート / 現在のメンバーのハンドル）
+ */
+
+import { ensureRowStochastic, zeros } from "./math.js";
+import { makePost } from "./events.js";
+import { randomSparseStochastic } from "./sparse.js";
+
+/** 最初からある（以前の単一コミュニティのデータを引き継ぐ）コミュニティ */
+export const DEFAULT_COMMUNITY_ID = "main";
+
+/** 生成できるコミュニティの最大人数 */
+export const MAX_GENERATED_MEMBERS = 5000;
+
+/**
+ * @typedef {{id:string, name:string, template:string, options:TemplateOptions, createdAt:number, handles:string[]}} Community
+ *   options: 作成時にテンプレートに渡した値（genesis へのリセットで使う）
+ *   handles: 現在のメンバー（退出者を除く）。どのコミュニティに誰がいるかを、ログを読み込まずに引くために持つ
+ * @typedef {{handles?:string[], n?:number, at?:number}} TemplateOptions
+ * @typedef {{label:string, description:string, handles:string[], controls:object,
+ *   genesis:(opts?:TemplateOptions) => import("./events.js").Genesis}} CommunityTemplate
+ *   handles: 既定の創設メンバー（空ならハンドルを指定できない）。controls: DEFAULT_CONTROLS に上書きする値
+ */
+
+/**
+ * 小さなコミュニティの genesis: 自己評価（予算）が budget で残りを他のメンバーに均等に配った E と、
+ * seeds の投稿を先頭のメンバーから順に1件ずつ
+ * @param {string[]} handles
+ * @param {number} budget
+ * @param {{title:string, body:string, tags:string[]}[]} seeds
+ * @param {number} at
+ * @returns {import("./events.js").Genesis}
+ */
+function smallGenesis(handles, budget, seeds, at) {
+  const n = handles.length;
+  const E = zeros(n, n);
+  for (let i = 0; i < n; i++) for (let j = 0; j < n; j++) E[i][j] = i === j ? budget : (1 - budget) / (n - 1);
+  return {
+    members: handles.map((handle, id) => ({ id, handle })),
+    E: ensureRowStochastic(E),
+    posts: seeds.map((p, k) => makePost(k + 1, k % n, p.title, p.body, "", p.tags, at)),
+  };
+}
+
+/**
+ * 大規模コミュニティの初期状態: n 人がそれぞれ k 人をランダムに評価する疎な E と、各メンバーの最初の投稿
+ * @param {number} n
+ * @param {number} [k]
+ * @param {number} [at]
+ * @returns {import("./events.js").Genesis}
+ */
+export function generatedGenesis(n, k = 5, at = Date.now()) {
+  const members = Array.from({ length: n }, (_, id) => ({ id, handle: `user${id + 1}` }));
+  return {
+    members,
+    E: randomSparseStochastic(n, k),
+    posts: members.map((m) => makePost(m.id + 1, m.id, `${m.handle}'s first post`, "Hello PICSY!", "", ["hello"], at)),
+  };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** @type {Record<string, CommunityTemplate>} */
+export const COMMUNITY_TEMPLATES = {
+  starter: {
+    label: "Starter",
+    description: "Three members (diag 0.2) and three posts about PICSY itself. Manual recovery.",
+    handles: ["alice", "bob", "carol"],
+    controls: {},
+    genesis: ({ handles = COMMUNITY_TEMPLATES.starter.handles, at = Date.now() } = {}) =>
+      smallGenesis(
+        handles,
+        0.2,
+        [
+          {
+            title: "On PICSY",
+            body: "## Foundations & intuition\n\n- virtual central bank: $E' = E - B + BD/(N-1)$\n- contributions are the left eigenvector $c = cE'$",
+            tags: ["math", "picsy"],
+          },
+          { title: "Eigenvectors 101", body: "**Left** vs *right*.\n\n```\nc ← c E' / |c E'|\n```\nPower iteration demo.", tags: ["linear-algebra"] },
+          { title: "Natural Recovery", body: "Gamma schedules explained: off-diagonals shrink by $(1-\\gamma)$ each period.", tags: ["recovery"] },
+        ],
+        at
+      ),
+  },
+  bookClub: {
+    label: "Book club",
+    description: "A small reading circle with a larger budget (0.3) and a gentle daily recovery (γ = 0.05).",
+    handles: ["alice", "dave", "erin", "frank"],
+    controls: { gamma: 0.05, recoveryMode: "periodic", recoveryPeriodMs: DAY_MS },
+    genesis: ({ handles = COMMUNITY_TEMPLATES.bookClub.handles, at = Date.now() } = {}) =>
+      smallGenesis(
+        handles,
+        0.3,
+        [
+          { title: "This month's book", body: "Vote for the next title in the comments.", tags: ["books", "meta"] },
+          { title: "Chapter 1 notes", body: "Quotes and questions from the first chapter.", tags: ["books", "notes"] },
+        ],
+        at
+      ),
+  },
+  researchGroup: {
+    label: "Research group",
+    description: "Five researchers sharing drafts (budget 0.2) with a weekly recovery (γ = 0.1).",
+    handles: ["alice", "bob", "grace", "heidi", "ivan"],
+    controls: { recoveryMode: "periodic", recoveryPeriodMs: 7 * DAY_MS },
+    genesis: ({ handles = COMMUNITY_TEMPLATES.researchGroup.handles, at = Date.now() } = {}) =>
+      smallGenesis(
+        handles,
+        0.2,
+        [
+          { title: "Reading list", body: "Papers for this term.", tags: ["reading", "meta"] },
+          { title: "Draft: contribution metrics", body: "Comparing c with citation counts.", tags: ["draft", "picsy"] },
+          { title: "Lab notes", body: "Simulation results from last week.", tags: ["notes"] },
+        ],
+        at
+      ),
+  },
+  generated: {
+    label: "Generated (sparse)",
+    description: "n members user1…user n, each evaluating 5 random others (sparse E). Founders cannot be chosen.",
+    handles: [],
+    controls: {},
+    genesis: ({ n = 1000, at = Date.now() } = {}) => generatedGenesis(n, 5, at),
+  },
+};
+
+/**
+ * 入力欄の文字列を創設メンバーのハンドルにする（カンマ・空白区切り、先頭の @ は外し、重複は除く）
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseHandles(text) {
+  const handles = String(text)
+    .split(/[\s,]+/)
+    .map((h) => h.replace(/^@/, ""))
+    .filter(Boolean);
+  return [...new Set(handles)];
+}
+
+/**
+ * テンプレートから新しいコミュニティの genesis を作る
+ * @param {string} template COMMUNITY_TEMPLATES のキー
+ * @param {TemplateOptions} [opts]
+ * @returns {import("./events.js").Genesis}
+ */
+export function communityGenesis(template, opts = {}) {
+  const t = COMMUNITY_TEMPLATES[template];
+  if (!t) throw new Error(`Unknown community template: ${template}`);
+  if (template === "generated") {
+    const n = Math.round(Number(opts.n));
+    if (!(n >= 2 && n <= MAX_GENERATED_MEMBERS)) throw new Error(`Enter a number of members between 2 and ${MAX_GENERATED_MEMBERS}.`);
+    return t.genesis({ ...opts, n });
+  }
+  const handles = opts.handles?.length ? opts.handles : t.handles;
+  if (handles.length < 2) throw new Error("A community needs at least two founding members.");
+  return t.genesis({ ...opts, handles });
+}
+
+/**
+ * 名前から一覧の中で重複しない id を作る（"Book club" → "book-club"、重複すれば "-2", "-3", …）
+ * @param {string} name
+ * @param {string[]} taken
+ * @returns {string}
+ */
+export function uniqueCommunityId(name, taken) {
+  const base =
+    String(name)
+      .toLowerCase()
+      .normalize("NFKC")
+      .replace(/[^\p{L}\p{N}]+/gu, "-")
+      .replace(/^-+|-+$/g, "") || "community";
+  let id = base;
+  for (let k = 2; taken.includes(id); k++) id = `${base}-${k}`;
+  return id;
+}
+
+/**
+ * handle が参加しているコミュニティ
+ * @param {string} handle
+ * @param {Community[]} communities
+ * @returns {Community[]}
+ */
+export const membershipsOf = (handle, communities) => communities.filter((c) => c.handles.includes(handle));
@@ -0,0 +1,78 @@
+/**
+ * CSV export of ledger / matrices / vectors (framework-free)
+ * ------------------------------------------------------
+ * 表計算や pandas で読めるよう、ヘッダーにはインデックスではなくハンドル名を使う。
+ * 数値は丸めずにそのまま出力する。
+ */
+
+import { postStatus } from "./events.js";
+import { matrixEntry, matrixSize } from "./sparse.js";
+
+/**
+ * RFC 4180 形式で1セルをエスケープする
+ * @param {unknown} v
+ * @returns {string}
+ */
+const cell = (v) => {
+  const s = v === null || v === undefined ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * @param {unknown[][]} rows 先頭行がヘッダー
+ * @returns {string}
+ */
+export const toCsv = (rows) => rows.map((r) => r.map(cell).join(",")).join("\r\n") + "\r\n";
+
+/**
+ * 全台帳（like と unlike のイベント）。unlike の行は delta が負で、retracts に取り消した like のイベント id が入る。
+ * post_status は投稿が編集・削除されていれば edited / deleted（post_title は現在のタイトル）。
+ * @param {{type:string, id:number, at:number, from:number, to:number, postId:number, commentId?:number, delta:number, alpha:number,
+ *   likeId?:number, mode?:string}[]} ledger
+ * @param {{handle:string}[]} users
+ * @param {import("./events.js").Post[]} posts
+ */
+export function ledgerCsv(ledger, users, posts) {
+  const byId = new Map(posts.map((p) => [p.id, p]));
+  return toCsv([
+    ["time", "type", "event_id", "from", "to", "post_id", "post_title", "post_status", "comment_id", "delta", "alpha", "retracts", "mode"],
+    ...ledger.map((e) => [
+      new Date(e.at).toISOString(),
+      e.type ?? "like",
+      e.id,
+      users[e.from].handle,
+      users[e.to].handle,
+      e.postId,
+      byId.get(e.postId)?.title ?? "",
+      postStatus(byId.get(e.postId)),
+      e.commentId ?? "",
+      e.delta,
+      e.alpha,
+      e.likeId ?? "",
+      e.mode ?? "",
+    ]),
+  ]);
+}
+
+/**
+ * 行・列ともにハンドル名を付けた正方行列（E, E', Likeフロー Σδ）。疎行列・遅延評価の行列も密に書き出す。
+ * @param {number[][]|import("./sparse.js").SparseMatrix|import("./sparse.js").LazyMatrix} M
+ * @param {{handle:string}[]} users
+ * @param {string} [corner] 左上セル（例: "buyer\\seller"）
+ */
+export function matrixCsv(M, users, corner = "row\\col") {
+  const n = matrixSize(M);
+  const rows = Array.from({ length: n }, (_, i) => [users[i].handle, ...Array.from({ length: n }, (_, j) => matrixEntry(M, i, j))]);
+  return toCsv([[corner, ...users.map((u) => u.handle)], ...rows]);
+}
+
+/**
+ * ユーザーごとの c / 予算 / PP
+ * @param {{handle:string}[]} users
+ * @param {number[]} c
+ * @param {number[]} budgets
+ * @param {number[]} pp
+ */
+export function contributionsCsv(users, c, budgets, pp) {
+  return toCsv([["user", "c", "budget", "pp"], ...users.map((u, i) => [u.handle, c[i], budgets[i], pp[i]])]);
+}
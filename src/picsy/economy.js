@@ -0,0 +1,277 @@
+/**
+ * PICSY economy (framework-free)
+ * ------------------------------------------------------
+ * E・c・メンバーを一つの economy オブジェクトにまとめ、状態遷移を型付きの操作として提供する。
+ * 各操作は入力を変更せず { economy, result } を返す（result は台帳などに記録する結果レコード）。
+ * members[i] が E の i 行目に対応する。メンバーの id は退出後も再利用しない安定した識別子で、
+ * 退出が起きるまでは index と一致する。
+ * React UI・Node スクリプト・テストが同じコアを使えるよう、DOM には依存しない。
+ *
+ * E は密行列（number[][]）か疎行列（sparse.js）。メンバーが SPARSE_MIN_N を超えると疎行列に切り替える。
+ * メンバーが SYNC_SOLVE_MAX_N を超える economy では操作ごとに c を解き直さず、stale: true を付けて
+ * 直前の c を残す（UI は Worker で解いてから c を差し替える）。このとき like は記録済みの α を使うので、
+ * ログの再生結果の E は c の計算のタイミングに依存しない。
+ *
+ * c を解く方法は economy.solver（solvers.js の SOLVERS の名前）で選び、最後に解いたときの反復回数・残差・
+ * 収束したかを economy.diagnostics に残す（stale の間は null）。
+ */
+
+import {
+  addMember as extendMatrix,
+  applyLike,
+  applyNaturalRecovery,
+  applyUnlike,
+  normalizeToSum,
+  removeMember as contractMatrix,
+} from "./math.js";
+import {
+  isSparse,
+  matrixDiag,
+  matrixEntry,
+  matrixSize,
+  sparseAddMember,
+  sparseApplyLike,
+  sparseApplyNaturalRecovery,
+  sparseApplyUnlike,
+  sparseRemoveMember,
+  toSparse,
+} from "./sparse.js";
+import { DEFAULT_SOLVER, SOLVE_TOL, solveContributions, stationaryResidual } from "./solvers.js";
+
+export { DEFAULT_SOLVER };
+
+/** これより多いメンバーの economy は疎行列で持つ */
+export const SPARSE_MIN_N = 64;
+/** これより多いメンバーの economy では c の再計算を呼び出し側（Worker）に任せる */
+export const SYNC_SOLVE_MAX_N = 300;
+
+const DENSE_OPS = {
+  applyLike,
+  applyUnlike,
+  applyNaturalRecovery,
+  addMember: extendMatrix,
+  removeMember: contractMatrix,
+};
+
+const SPARSE_OPS = {
+  applyLike: sparseApplyLike,
+  applyUnlike: sparseApplyUnlike,
+  applyNaturalRecovery: sparseApplyNaturalRecovery,
+  addMember: sparseAddMember,
+  removeMember: sparseRemoveMember,
+};
+
+const opsFor = (E) => (isSparse(E) ? SPARSE_OPS : DENSE_OPS);
+
+/**
+ * @typedef {{id:number, handle:string}} Member
+ * @typedef {{E:number[][]|import("./sparse.js").SparseMatrix, c:number[], members:Member[], stale:boolean, solver:string,
+ *   diagnostics:import("./solvers.js").SolveDiagnostics|null}} Economy
+ * @typedef {{type:"like", buyer:number, seller:number, delta:number, alpha:number}} LikeResult
+ * @typedef {{type:"unlike", buyer:number, seller:number, alpha:number}} UnlikeResult
+ * @typedef {{type:"recovery", gamma:number}} RecoveryResult
+ * @typedef {{type:"addMember", member:Member, index:number}} AddMemberResult
+ * @typedef {{type:"removeMember", member:Member, index:number}} RemoveMemberResult
+ */
+
+/** 操作が拒否された理由を code で判別できるエラー */
+export class PicsyError extends Error {
+  /**
+   * @param {"SELF_LIKE"|"INSUFFICIENT_BUDGET"|"INVALID_DELTA"|"NOT_A_MEMBER"|"TOO_FEW_MEMBERS"|"LIKE_NOT_FOUND"|"NOT_YOUR_LIKE"
+   *   |"ALREADY_RETRACTED"|"GRACE_EXPIRED"|"POLICY_MAX_DELTA"|"POLICY_DAILY_CAP"|"POLICY_COOLDOWN"
+   *   |"NOT_YOUR_POST"|"POST_DELETED"} code
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "PicsyError";
+    this.code = code;
+  }
+}
+
+/**
+ * E から c を計算して economy を作る（大きい economy では c=1 の stale な状態で作る）
+ * @param {Member[]} members
+ * @param {number[][]|import("./sparse.js").SparseMatrix} E row-stochastic
+ * @param {string} [solver] c を解く方法（solvers.js の SOLVERS）
+ * @returns {Economy}
+ */
+export function createEconomy(members, E, solver = DEFAULT_SOLVER) {
+  return withMatrix({ members, solver }, E, Array(matrixSize(E)).fill(1));
+}
+
+/**
+ * id のメンバーの E 上の index（退出済み・存在しなければ -1）
+ * @param {Economy} economy
+ * @param {number} id
+ * @returns {number}
+ */
+export const memberIndex = (economy, id) => economy.members.findIndex((m) => m.id === id);
+
+/**
+ * 直前の c をウォームスタートに c を再計算し、反復回数・残差などの診断と一緒に返す
+ * @param {number[][]|import("./sparse.js").SparseMatrix} E
+ * @param {number[]} prevC
+ * @param {{method?:string, onProgress?:(iter:number, residual:number) => void}} [opts] method の既定は power
+ * @returns {{c:number[], diagnostics:import("./solvers.js").SolveDiagnostics}}
+ */
+export function solveEconomyContributions(E, prevC, opts = {}) {
+  return solveContributions(E, { ...opts, warmStart: normalizeToSum(prevC, 1) });
+}
+
+/**
+ * 直前の c をウォームスタートに c を再計算する（c だけが必要なとき）
+ * @param {number[][]|import("./sparse.js").SparseMatrix} E
+ * @param {number[]} prevC
+ * @param {{method?:string, onProgress?:(iter:number, residual:number) => void}} [opts]
+ * @returns {number[]}
+ */
+export const recomputeContributions = (E, prevC, opts = {}) => solveEconomyContributions(E, prevC, opts).c;
+
+/**
+ * E を更新した economy を返す。小さい economy では c を解き直し、大きい economy では stale にする。
+ * @param {Economy} economy
+ * @param {Economy["E"]} E
+ * @param {number[]} c 解き直す前の c（ウォームスタート）
+ * @returns {Economy}
+ */
+function withMatrix(economy, E, c) {
+  if (matrixSize(E) > SYNC_SOLVE_MAX_N) return { ...economy, E, c, stale: true, diagnostics: null };
+  const solved = solveEconomyContributions(E, c, { method: economy.solver });
+  return { ...economy, E, c: solved.c, stale: false, diagnostics: solved.diagnostics };
+}
+
+/**
+ * Worker などで解いた c を差し替える
+ * @param {Economy} economy
+ * @param {number[]} c
+ * @param {import("./solvers.js").SolveDiagnostics|null} [diagnostics]
+ * @returns {Economy}
+ */
+export const withContributions = (economy, c, diagnostics = null) => ({ ...economy, c, stale: false, diagnostics });
+
+/**
+ * c を解く方法を切り替える。小さい economy はその方法で解き直し、大きい economy は stale にして Worker に任せる。
+ * @param {Economy} economy
+ * @param {string} solver
+ * @returns {Economy}
+ */
+export const withSolver = (economy, solver) => withMatrix({ ...economy, solver }, economy.E, economy.c);
+
+/**
+ * buyer b が現在の予算で支払える最大の δ（= E[b][b]·c_b）
+ * @param {Economy} economy
+ * @param {number} b
+ * @returns {number}
+ */
+export function maxDelta(economy, b) {
+  return matrixDiag(economy.E, b) * economy.c[b];
+}
+
+/**
+ * b から s へ δ を移転する（α = δ / c_b を E[b][b] から E[b][s] へ）
+ * @param {Economy} economy
+ * @param {number} b buyer index
+ * @param {number} s seller index
+ * @param {number} delta
+ * @param {number} [recordedAlpha] ログの再生時に、記録された α をそのまま使う（c が stale のとき）
+ * @returns {{economy: Economy, result: LikeResult}}
+ */
+export function like(economy, b, s, delta, recordedAlpha) {
+  const { E, c } = economy;
+  if (b === s) throw new PicsyError("SELF_LIKE", "Self-like is not allowed.");
+  if (!(delta >= 0)) throw new PicsyError("INVALID_DELTA", "Invalid delta.");
+  const alpha = recordedAlpha ?? delta / c[b];
+  if (alpha > matrixDiag(E, b) + 1e-12) throw new PicsyError("INSUFFICIENT_BUDGET", "Insufficient budget.");
+  const E2 = opsFor(E).applyLike(E, c, b, s, delta, alpha);
+  return {
+    economy: withMatrix(economy, E2, c),
+    result: { type: "like", buyer: b, seller: s, delta, alpha },
+  };
+}
+
+/**
+ * like の取り消し: α を E[b][s] から E[b][b] に戻す。E[b][s] が α より小さくなっていれば E[b][s] までしか戻さない。
+ * @param {Economy} economy
+ * @param {number} b buyer index
+ * @param {number} s seller index
+ * @param {number} alpha
+ * @returns {{economy: Economy, result: UnlikeResult}}
+ */
+export function unlike(economy, b, s, alpha) {
+  const { E, c } = economy;
+  if (!(alpha >= 0)) throw new PicsyError("INVALID_DELTA", "Invalid alpha.");
+  const back = Math.min(alpha, matrixEntry(E, b, s));
+  return {
+    economy: withMatrix(economy, opsFor(E).applyUnlike(E, b, s, back), c),
+    result: { type: "unlike", buyer: b, seller: s, alpha: back },
+  };
+}
+
+/**
+ * 自然回収を適用する
+ * @param {Economy} economy
+ * @param {number} gamma 0 ≤ γ < 1
+ * @returns {{economy: Economy, result: RecoveryResult}}
+ */
+export function recover(economy, gamma) {
+  const E2 = opsFor(economy.E).applyNaturalRecovery(economy.E, gamma);
+  return {
+    economy: withMatrix(economy, E2, economy.c),
+    result: { type: "recovery", gamma },
+  };
+}
+
+/**
+ * 新メンバーを末尾に追加する（既存の c と予算は不変、新規 c=1, 予算0）
+ * SYNC_SOLVE_MAX_N を超える economy では c を解き直さない（理論上 [...c, 1] のまま）。SPARSE_MIN_N を超えると疎行列に切り替える。
+ * 新しい行が c に依存するので、c が stale ならここで同期的に解く。
+ * @param {Economy} economy
+ * @param {string} handle
+ * @param {number} [id] 省略時は現メンバーの最大 id + 1（退出者の id と重ならないよう呼び出し側で渡す）
+ * @returns {{economy: Economy, result: AddMemberResult}}
+ */
+export function addMember(economy, handle, id = Math.max(-1, ...economy.members.map((m) => m.id)) + 1) {
+  const from = economy.members.length >= SPARSE_MIN_N && !isSparse(economy.E) ? toSparse(economy.E) : economy.E;
+  // 新しい行は c/N なので、c が stale なら先に解く（ログの再生でも同じ E になるように）
+  const c0 = economy.stale ? recomputeContributions(economy.E, economy.c, { method: economy.solver }) : economy.c;
+  const { E, c } = opsFor(from).addMember(from, c0, handle);
+  const index = economy.members.length;
+  const member = { id, handle };
+  const members = [...economy.members, member];
+  // 大きい economy では c を解き直さず、解析的に伸ばした c の残差だけを記録する
+  const residual = matrixSize(E) > SYNC_SOLVE_MAX_N ? stationaryResidual(E, c) : null;
+  return {
+    economy:
+      residual === null
+        ? withMatrix({ ...economy, members }, E, c)
+        : {
+            ...economy,
+            E,
+            c,
+            members,
+            stale: false,
+            diagnostics: { method: "analytic", iterations: 0, residual, converged: residual < SOLVE_TOL, ms: 0, tol: SOLVE_TOL },
+          },
+    result: { type: "addMember", member, index },
+  };
+}
+
+/**
+ * メンバーを退出させる（行と列を削除し、sum(c) = N−1 で c を再計算。規則は math.js の removeMember を参照）
+ * @param {Economy} economy
+ * @param {number} id 退出するメンバーの id
+ * @returns {{economy: Economy, result: RemoveMemberResult}}
+ */
+export function removeMember(economy, id) {
+  const index = memberIndex(economy, id);
+  if (index < 0) throw new PicsyError("NOT_A_MEMBER", `User ${id} is not a member.`);
+  if (economy.members.length <= 2) throw new PicsyError("TOO_FEW_MEMBERS", "At least two members must remain.");
+  const { E, c } = opsFor(economy.E).removeMember(economy.E, economy.c, index);
+  const member = economy.members[index];
+  const members = economy.members.filter((_, i) => i !== index);
+  return {
+    economy: withMatrix({ ...economy, members }, E, c),
+    result: { type: "removeMember", member, index },
+  };
+}
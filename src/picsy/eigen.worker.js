@@ -0,0 +1,26 @@
+/**
+ * Web Worker: c（E' の左固有ベクトル）の再計算
+ * ------------------------------------------------------
+ * 受信: {id, E, warmStart, method}（E は密行列か疎行列、method は solvers.js の SOLVERS）
+ * 送信: {id, type: "progress", iter, residual}（PROGRESS_EVERY_MS ごと）
+ *       {id, type: "done", c, diagnostics}
+ */
+
+import { solveEconomyContributions } from "./economy.js";
+
+const PROGRESS_EVERY_MS = 100;
+
+self.onmessage = ({ data }) => {
+  const { id, E, warmStart, method } = data;
+  let lastReport = 0;
+  const { c, diagnostics } = solveEconomyContributions(E, warmStart, {
+    method,
+    onProgress: (iter, residual) => {
+      const t = performance.now();
+      if (t - lastReport < PROGRESS_EVERY_MS) return;
+      lastReport = t;
+      self.postMessage({ id, type: "progress", iter, residual });
+    },
+  });
+  self.postMessage({ id, type: "done", c, diagnostics });
+};
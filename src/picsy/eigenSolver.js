@@ -0,0 +1,121 @@
+/**
+ * Off-main-thread eigenvector solver
+ * ------------------------------------------------------
+ * eigen.worker.js に c の再計算を依頼する。実行中に新しい依頼が来たら最新の1件だけを待たせ、
+ * 古い依頼は捨てる（シミュレータなどで E が次々に変わっても計算が溜まらない）。
+ * 直前に解いた c があれば、それをウォームスタートに使う。
+ * Worker が使えない環境（Node など）では同じ計算をメインスレッドで非同期に実行する。
+ * Worker が落ちたとき（例外・メモリ不足・受け取れないメッセージ）は、その依頼をメインスレッドで解き直し、
+ * 次の依頼からは新しい Worker を使う。メインスレッドでも解けなければ onError に渡し、待っている依頼に進む。
+ */
+
+import { solveEconomyContributions } from "./economy.js";
+
+/**
+ * @typedef {{id:number, E:object, warmStart:number[], method?:string}} SolveJob
+ * @typedef {{E:object, method?:string, c:number[], diagnostics:import("./solvers.js").SolveDiagnostics}} SolveResult
+ *   method: 依頼したときの方法（diagnostics.method は実際に使った方法）
+ * @typedef {{E:object, method?:string, error:Error}} SolveFailure
+ */
+
+/**
+ * @param {{onProgress?:(p:{E:object, iter:number, residual:number}) => void, onResult:(r:SolveResult) => void,
+ *   onError?:(f:SolveFailure) => void, createWorker?:() => Worker|null}} handlers
+ *   createWorker: Worker を作る関数（テスト用。既定は eigen.worker.js、Worker が無ければ null）
+ * @returns {{solve:(E:object, warmStart:number[], method?:string) => void, terminate:() => void}}
+ */
+export function createEigenSolver({ onProgress, onResult, onError, createWorker = defaultWorker }) {
+  let seq = 0;
+  let running = null; // SolveJob
+  let pending = null; // SolveJob
+  let worker = null;
+  let lastC = null;
+
+  // 待っている依頼に進む
+  const drain = () => {
+    if (pending) {
+      const job = pending;
+      pending = null;
+      start(job);
+    }
+  };
+
+  const finish = (data) => {
+    if (!running || data.id !== running.id) return;
+    const { E, method } = running;
+    running = null;
+    lastC = data.c;
+    onResult({ E, method, c: data.c, diagnostics: data.diagnostics });
+    drain();
+  };
+
+  const fail = (job, error) => {
+    if (running !== job) return;
+    running = null;
+    onError?.({ E: job.E, method: job.method, error });
+    drain();
+  };
+
+  // メインスレッドで解く（Worker が無いとき・Worker が落ちたとき）
+  const solveHere = (job) =>
+    setTimeout(() => {
+      if (running !== job) return;
+      let result;
+      try {
+        result = solveEconomyContributions(job.E, job.warmStart, { method: job.method });
+      } catch (e) {
+        fail(job, e);
+        return;
+      }
+      finish({ id: job.id, ...result });
+    }, 0);
+
+  const workerFailed = (w) => {
+    if (w !== worker) return;
+    w.terminate();
+    worker = null; // 次の依頼で作り直す
+    if (running) solveHere(running);
+  };
+
+  function spawn() {
+    const w = createWorker();
+    if (!w) return null;
+    w.onmessage = ({ data }) => {
+      if (data.type === "progress") {
+        if (running && data.id === running.id) onProgress?.({ E: running.E, iter: data.iter, residual: data.residual });
+      } else finish(data);
+    };
+    w.onerror = (ev) => {
+      ev.preventDefault?.(); // メインスレッドで解き直すので、未処理のエラーとして報告しない
+      workerFailed(w);
+    };
+    w.onmessageerror = () => workerFailed(w);
+    return w;
+  }
+
+  function start(job0) {
+    const job = lastC && lastC.length === job0.warmStart.length ? { ...job0, warmStart: lastC } : job0;
+    running = job;
+    worker ??= spawn();
+    if (worker) worker.postMessage(job);
+    else solveHere(job);
+  }
+
+  return {
+    solve(E, warmStart, method) {
+      const job = { id: ++seq, E, warmStart, method };
+      if (running) pending = job;
+      else start(job);
+    },
+    terminate() {
+      worker?.terminate();
+      worker = null;
+      running = null;
+      pending = null;
+    },
+  };
+}
+
+function defaultWorker() {
+  return typeof Worker === "undefined" ? null : new Worker(new URL("./eigen.worker.js", import.meta.url), { type: "module" });
+}
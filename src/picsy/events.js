@@ -0,0 +1,603 @@
+/**
+ * Event-sourced PICSY world (framework-free)
+ * ------------------------------------------------------
+ * 状態を変える操作はすべて追記専用のイベントログに記録し、E・c・ユーザー・投稿は
+ * genesis からログを再生（replay）して導出する。
+ *
+ * world = { genesis, events, state, redo }
+ * - genesis: 初期メンバー・初期 E・初期投稿
+ * - events:  追記専用のイベント列（id は 1 から連番、tx は同じ dispatch で記録されたイベントの先頭 id）
+ * - state:   { economy, users, posts } … genesis に events を順に適用した結果
+ *            users は退出者も含む全ユーザーの名簿（users[id]）。投稿の author、like の from/to は
+ *            この id を指す（E 上の位置ではない）。退出者には leftAt が付く。
+ * - redo:    undo で取り消したイベント群のスタック（新しい操作を記録すると空になる）
+ *
+ * イベント種別:
+ * - like         {from, to, postId, commentId?, delta, alpha}
+ *                                                  α は適用時に計算して記録する（c が stale な再生では記録値を使う）
+ *                                                  commentId があればコメントへの like（to はコメントの作者）
+ * - unlike       {likeId, from, to, postId, commentId?, windowMs, delta, alpha, mode}
+ *                                                  like の取り消し（like から windowMs 以内、本人だけ）。delta は元の δ の符号を反転した値、
+ *                                                  alpha は E[b][s] から E[b][b] に戻した量、mode は reversal | compensation
+ * - recovery     {gamma, periods?, scheduled?, elapsedMs?, upTo?}
+ *                                                  非対角に (1−γ)^periods を掛ける（periods の既定は 1）。
+ *                                                  scheduled: 予定の回収のモード。upTo: その時刻までの減衰を適用した（schedule.js）。
+ *                                                  scheduled の付いた回収は undo の対象にならない
+ * - addMember    {handle}                          新しい id = users.length
+ * - removeMember {userId}
+ * - createPost   {postId, author, title, body, image, tags, images?}
+ *                                                  images: 添付画像の参照（storage/images.js の PostImage。中身は id ごとに別に保存する）
+ * - editPost     {postId, author, title, body, image, tags, images?}
+ *                                                  作者だけ。直前の版を revisions に残す（like・コメント・台帳は投稿 id を指したまま）
+ * - deletePost   {postId, author}                  作者だけのソフト削除。deletedAt を付けてフィードから隠し、like・台帳はそのまま残す
+ * - comment      {postId, author, text, parentId?} コメント id = イベント id、parentId は返信先のコメント id
+ */
+
+import { l1Diff } from "./math.js";
+import { matrixSize, maxRowL1Diff } from "./sparse.js";
+import * as picsy from "./economy.js";
+import { PicsyError, memberIndex } from "./economy.js";
+import { compoundGamma } from "./schedule.js";
+
+/**
+ * @typedef {import("./economy.js").Economy} Economy
+ * @typedef {{id:number, from:number, to:number, delta:number, alpha:number, at:number, decayLog:number,
+ *   retracted?:{at:number, alpha:number, mode:string}}} PostLike
+ *   id: like イベントの id。decayLog: like の時点の WorldState.decayLog
+ * @typedef {{id:number, author:number, text:string, at:number, parentId:number|null, likes:PostLike[]}} Comment
+ *   parentId: 返信先のコメント（null なら投稿への直接のコメント）
+ * @typedef {{id:number, author:number, title:string, body:string, image:string, tags:string[],
+ *   images:PostImage[], likes:PostLike[], comments:Comment[], createdAt:number, editedAt?:number, revisions?:PostRevision[],
+ *   deletedAt?:number}} Post
+ *   image: 画像の URL（以前からの欄）、images: 添付画像（古い保存データの投稿には無いことがある）
+ *   revisions: 編集前の版（古い順）。editedAt / deletedAt は編集・削除されたときだけ付く
+ * @typedef {import("../storage/images.js").PostImage} PostImage
+ * @typedef {{title:string, body:string, image:string, tags:string[], images:PostImage[], at:number}} PostRevision
+ *   at: その版を書いた時刻
+ * @typedef {{members:import("./economy.js").Member[], E:number[][], posts:Post[]}} Genesis
+ * @typedef {{id:number, type:string, at:number} & Record<string, any>} PicsyEvent
+ * @typedef {{id:number, handle:string, leftAt?:number}} User
+ * @typedef {{economy:Economy, users:User[], posts:Post[], decayLog:number, lastEconomyEventId:number}} WorldState
+ *   decayLog: これまでに E の非対角（評価）全体に掛かった倍率の log（回収で log(1−γ)、参加で log(1−1/N)）
+ *   lastEconomyEventId: E を最後に変えたイベントの id（0 なら genesis のまま）
+ * @typedef {{genesis:Genesis, events:PicsyEvent[], state:WorldState, redo:PicsyEvent[][]}} World
+ * @typedef {{solver?:string}} ReplayOptions solver: c を解く方法（solvers.js の SOLVERS、既定は power）
+ */
+
+export const EVENT_TYPES = ["like", "unlike", "recovery", "addMember", "removeMember", "createPost", "editPost", "deletePost", "comment"];
+
+/** like を取り消せる既定の猶予（ms） */
+export const UNLIKE_WINDOW_MS = 60_000;
+
+export const makePost = (id, author, title, body, image = "", tags = [], createdAt = Date.now(), images = []) => ({
+  id,
+  author,
+  title,
+  body,
+  image,
+  tags,
+  images,
+  likes: [],
+  comments: [],
+  createdAt,
+});
+
+/**
+ * @param {Post[]} posts
+ * @returns {number} 次に使う投稿 id
+ */
+export const nextPostId = (posts) => Math.max(0, ...posts.map((p) => p.id)) + 1;
+
+/** 画像を参照しうるイベント */
+const hasImages = (ev) => (ev.type === "createPost" || ev.type === "editPost") && Array.isArray(ev.images) && ev.images.length > 0;
+
+/**
+ * イベントと投稿が参照する添付画像の id
+ * @param {PicsyEvent[]} events
+ * @param {Post[]} [posts] genesis の投稿
+ * @returns {Set<string>}
+ */
+export function referencedImageIds(events, posts = []) {
+  const ids = new Set();
+  for (const p of posts) for (const im of p.images ?? []) ids.add(im.id);
+  for (const ev of events) if (hasImages(ev)) for (const im of ev.images) ids.add(im.id);
+  return ids;
+}
+
+/**
+ * 画像の中身（thumb / full の data URL）を埋め込んだ古いイベントから中身を外す
+ * @param {PicsyEvent[]} events
+ * @returns {{events:PicsyEvent[], images:Record<string, {thumb:string, full:string}>}} 中身の無いイベントは同じオブジェクトのまま
+ */
+export function splitImageData(events) {
+  const images = {};
+  const out = events.map((ev) => {
+    if (!hasImages(ev) || !ev.images.some((im) => im?.thumb !== undefined || im?.full !== undefined)) return ev;
+    return {
+      ...ev,
+      images: ev.images.map((im) => {
+        if (!im || typeof im !== "object") return im;
+        const { thumb, full, ...ref } = im;
+        if (typeof thumb === "string" && typeof full === "string") images[ref.id] = { thumb, full };
+        return ref;
+      }),
+    };
+  });
+  return { events: out, images };
+}
+
+/**
+ * @param {Genesis} genesis
+ * @param {ReplayOptions} [opts]
+ * @returns {WorldState}
+ */
+export function initialState(genesis, opts = {}) {
+  return {
+    economy: picsy.createEconomy(genesis.members, genesis.E, opts.solver),
+    users: genesis.members.map((m) => ({ id: m.id, handle: m.handle })),
+    posts: genesis.posts,
+    decayLog: 0,
+    lastEconomyEventId: 0,
+  };
+}
+
+const updatePost = (posts, postId, fn) => posts.map((p) => (p.id === postId ? fn(p) : p));
+
+/** 削除された投稿への like・コメントは受け付けない（id の無い投稿への like はこれまで通り通す） */
+function assertNotDeleted(posts, postId) {
+  if (posts.find((p) => p.id === postId)?.deletedAt !== undefined) throw new PicsyError("POST_DELETED", `Post #${postId} has been deleted.`);
+}
+
+/**
+ * 作者が編集・削除できる投稿を取り出す
+ * @param {Post[]} posts
+ * @param {number} postId
+ * @param {number} author 操作したユーザー
+ * @returns {Post}
+ */
+function ownPost(posts, postId, author) {
+  const post = posts.find((p) => p.id === postId);
+  if (!post) throw new Error(`Post #${postId} does not exist.`);
+  if (post.author !== author) throw new PicsyError("NOT_YOUR_POST", "Only the author can edit or delete a post.");
+  assertNotDeleted(posts, postId);
+  return post;
+}
+
+/**
+ * 投稿のコメントを取り出す（無ければエラー）
+ * @param {Post[]} posts
+ * @param {number} postId
+ * @param {number} commentId
+ * @returns {Comment}
+ */
+function findComment(posts, postId, commentId) {
+  const comment = posts.find((p) => p.id === postId)?.comments.find((c) => c.id === commentId);
+  if (!comment) throw new Error(`Comment #${commentId} is not on post #${postId}.`);
+  return comment;
+}
+
+/**
+ * 投稿（commentId があればそのコメント）の like を取り出す
+ * @param {Post[]} posts
+ * @param {{postId:number, commentId?:number, likeId:number}} ref
+ * @returns {PostLike}
+ */
+function findLike(posts, { postId, commentId, likeId }) {
+  const target = commentId != null ? findComment(posts, postId, commentId) : posts.find((p) => p.id === postId);
+  const lk = target?.likes.find((x) => x.id === likeId);
+  if (!lk) throw new PicsyError("LIKE_NOT_FOUND", `Like #${likeId} is not on ${commentId != null ? `comment #${commentId}` : `post #${postId}`}.`);
+  return lk;
+}
+
+/** 投稿（commentId があればそのコメント）の like を fn で置き換える */
+const updateLikes = (posts, postId, commentId, fn) =>
+  updatePost(posts, postId, (p) =>
+    commentId != null
+      ? { ...p, comments: p.comments.map((c) => (c.id === commentId ? { ...c, likes: fn(c.likes) } : c)) }
+      : { ...p, likes: fn(p.likes) }
+  );
+
+/**
+ * like の取り消しで E[b][s] から戻す α。like の後の回収・参加で評価は一律に縮むので、
+ * その分（exp(decayLog の差)）だけ縮めた α を戻す。like が E を変えた最後の操作なら α そのままで、完全に元に戻る。
+ * @param {WorldState} state
+ * @param {PostLike} lk
+ */
+const remainingAlpha = (state, lk) => lk.alpha * Math.exp(state.decayLog - lk.decayLog);
+
+/**
+ * 台帳で投稿に添える状態（削除・編集されていなければ空文字）
+ * @param {Post|undefined} post
+ * @returns {""|"edited"|"deleted"}
+ */
+export const postStatus = (post) => (post?.deletedAt !== undefined ? "deleted" : post?.revisions?.length ? "edited" : "");
+
+/**
+ * コメントを返信のツリーにする（兄弟は投稿順）。返信先が見つからないコメントは最上位に置く。
+ * @param {Comment[]} comments
+ * @returns {{comment:Comment, replies:object[]}[]} replies も同じ形
+ */
+export function commentThreads(comments) {
+  const nodes = new Map(comments.map((c) => [c.id, { comment: c, replies: [] }]));
+  const roots = [];
+  for (const c of comments) {
+    const parent = c.parentId != null ? nodes.get(c.parentId) : undefined;
+    (parent ? parent.replies : roots).push(nodes.get(c.id));
+  }
+  return roots;
+}
+
+/**
+ * イベントを一つ適用する。入力は変更しない。
+ * @param {WorldState} state
+ * @param {PicsyEvent} event
+ * @returns {{state: WorldState, result: object}}
+ */
+export function applyEvent(state, event) {
+  const { economy, posts } = state;
+  switch (event.type) {
+    case "like": {
+      const b = memberIndex(economy, event.from);
+      const s = memberIndex(economy, event.to);
+      if (b < 0 || s < 0) throw new PicsyError("NOT_A_MEMBER", "Both users must be current members.");
+      assertNotDeleted(posts, event.postId);
+      const onComment = event.commentId != null;
+      if (onComment && findComment(posts, event.postId, event.commentId).author !== event.to) {
+        throw new Error(`A like on comment #${event.commentId} must go to its author.`);
+      }
+      const { economy: next, result } = picsy.like(economy, b, s, event.delta, economy.stale ? event.alpha : undefined);
+      const lk = { id: event.id, from: event.from, to: event.to, delta: result.delta, alpha: result.alpha, at: event.at, decayLog: state.decayLog };
+      return {
+        state: {
+          ...state,
+          economy: next,
+          posts: updateLikes(posts, event.postId, event.commentId, (likes) => [...likes, lk]),
+          lastEconomyEventId: event.id,
+        },
+        result,
+      };
+    }
+    case "unlike": {
+      const lk = findLike(posts, event);
+      if (lk.from !== event.from) throw new PicsyError("NOT_YOUR_LIKE", "Only the user who liked can retract the like.");
+      if (lk.retracted) throw new PicsyError("ALREADY_RETRACTED", `Like #${lk.id} has already been retracted.`);
+      const windowMs = event.windowMs ?? UNLIKE_WINDOW_MS;
+      if (event.at - lk.at > windowMs) throw new PicsyError("GRACE_EXPIRED", `Likes can only be retracted within ${Math.round(windowMs / 1000)}s.`);
+      const b = memberIndex(economy, lk.from);
+      const s = memberIndex(economy, lk.to);
+      if (b < 0 || s < 0) throw new PicsyError("NOT_A_MEMBER", "Both users must be current members.");
+      const mode = state.lastEconomyEventId === lk.id ? "reversal" : "compensation";
+      const { economy: next, result } = picsy.unlike(economy, b, s, remainingAlpha(state, lk));
+      const retracted = { at: event.at, alpha: result.alpha, mode };
+      return {
+        state: {
+          ...state,
+          economy: next,
+          posts: updateLikes(posts, event.postId, event.commentId, (likes) => likes.map((x) => (x.id === lk.id ? { ...x, retracted } : x))),
+          lastEconomyEventId: event.id,
+        },
+        result: { ...result, to: lk.to, delta: -lk.delta, mode },
+      };
+    }
+    case "recovery": {
+      // 何周期分かまとめた回収は (1−γ)^periods を掛ける。decayLog は log で足すので γ_eff が 1 に丸まっても有限のまま
+      const periods = event.periods ?? 1;
+      const { economy: next, result } = picsy.recover(economy, compoundGamma(event.gamma, periods));
+      const decayLog = state.decayLog + periods * Math.log1p(-event.gamma);
+      return { state: { ...state, economy: next, decayLog, lastEconomyEventId: event.id }, result };
+    }
+    case "addMember": {
+      const { economy: next, result } = picsy.addMember(economy, event.handle, state.users.length);
+      // 参加で非対角は (1 − 1/N) 倍になる。N ≤ 1 では非対角（縮む評価）が無いので decayLog は変えない
+      const n = economy.members.length;
+      const decayLog = n > 1 ? state.decayLog + Math.log1p(-1 / n) : state.decayLog;
+      return { state: { ...state, economy: next, users: [...state.users, { ...result.member }], decayLog, lastEconomyEventId: event.id }, result };
+    }
+    case "removeMember": {
+      const { economy: next, result } = picsy.removeMember(economy, event.userId);
+      const users = state.users.map((u) => (u.id === event.userId ? { ...u, leftAt: event.at } : u));
+      return { state: { ...state, economy: next, users, lastEconomyEventId: event.id }, result };
+    }
+    case "createPost": {
+      const post = makePost(event.postId, event.author, event.title, event.body, event.image, event.tags, event.at, event.images ?? []);
+      return { state: { ...state, posts: [post, ...posts] }, result: { type: "createPost", post } };
+    }
+    case "editPost": {
+      const prev = ownPost(posts, event.postId, event.author);
+      const revision = { title: prev.title, body: prev.body, image: prev.image, tags: prev.tags, images: prev.images ?? [], at: prev.editedAt ?? prev.createdAt };
+      const post = {
+        ...prev,
+        title: event.title,
+        body: event.body,
+        image: event.image,
+        tags: event.tags,
+        images: event.images ?? prev.images ?? [],
+        editedAt: event.at,
+        revisions: [...(prev.revisions ?? []), revision],
+      };
+      return { state: { ...state, posts: updatePost(posts, event.postId, () => post) }, result: { type: "editPost", post } };
+    }
+    case "deletePost": {
+      const post = { ...ownPost(posts, event.postId, event.author), deletedAt: event.at };
+      return { state: { ...state, posts: updatePost(posts, event.postId, () => post) }, result: { type: "deletePost", post } };
+    }
+    case "comment": {
+      assertNotDeleted(posts, event.postId);
+      const parentId = event.parentId ?? null;
+      if (parentId !== null) findComment(posts, event.postId, parentId);
+      const comment = { id: event.id, author: event.author, text: event.text, at: event.at, parentId, likes: [] };
+      return {
+        state: { ...state, posts: updatePost(posts, event.postId, (p) => ({ ...p, comments: [...p.comments, comment] })) },
+        result: { type: "comment", comment },
+      };
+    }
+    default:
+      throw new Error(`Unknown event type: ${event.type}`);
+  }
+}
+
+/**
+ * 台帳: like と unlike のイベント（log、ログ順）と、取り消されていない like だけの列（active）
+ * @param {PicsyEvent[]} events
+ * @returns {{log:PicsyEvent[], active:PicsyEvent[], retracted:Set<number>}} retracted: 取り消された like の id
+ */
+export function ledgerOf(events) {
+  const log = events.filter((e) => e.type === "like" || e.type === "unlike");
+  const retracted = new Set(log.filter((e) => e.type === "unlike").map((e) => e.likeId));
+  return { log, active: log.filter((e) => e.type === "like" && !retracted.has(e.id)), retracted };
+}
+
+/** この件数ごとに、その位置までを適用した状態をメモリに残す（undo・履歴の表示は最寄りの位置から再生する） */
+export const CHECKPOINT_EVERY = 100;
+
+/**
+ * チェックポイント: 位置 CHECKPOINT_EVERY·k にあるイベント → そこまでを適用した {genesis, count, state}。
+ * イベントはログの位置を変えるとき（undo の振り直し、redo）に作り直すので、同じオブジェクトなら手前のログも同じ。
+ * @type {WeakMap<PicsyEvent, {genesis:Genesis, count:number, state:WorldState}>}
+ */
+const checkpoints = new WeakMap();
+
+/** count 件目のイベント ev まで適用した状態を、区切りの位置ならチェックポイントに残す */
+function checkpoint(genesis, ev, count, state) {
+  if (count % CHECKPOINT_EVERY === 0) checkpoints.set(ev, { genesis, count, state });
+}
+
+/**
+ * ログの先頭 count 件を適用した状態。最寄りのチェックポイントから残りだけを再生する（無ければ genesis から）
+ * @param {Genesis} genesis
+ * @param {PicsyEvent[]} events
+ * @param {number} [count]
+ * @param {ReplayOptions} [opts]
+ * @returns {WorldState}
+ */
+export function stateAt(genesis, events, count = events.length, opts = {}) {
+  let from = 0;
+  let state = null;
+  for (let p = count - (count % CHECKPOINT_EVERY); p > 0 && state === null; p -= CHECKPOINT_EVERY) {
+    const cp = checkpoints.get(events[p - 1]);
+    if (cp && cp.genesis === genesis && cp.count === p) ({ count: from, state } = cp);
+  }
+  if (state === null) state = initialState(genesis, opts);
+  const solver = opts.solver ?? picsy.DEFAULT_SOLVER;
+  if (state.economy.solver !== solver) state = { ...state, economy: picsy.withSolver(state.economy, solver) };
+  for (let p = from; p < count; p++) {
+    state = applyEvent(state, events[p]).state;
+    checkpoint(genesis, events[p], p + 1, state);
+  }
+  return state;
+}
+
+/**
+ * genesis からイベントログを再生して状態を導出する（途中のチェックポイントがあればそこから）
+ * @param {Genesis} genesis
+ * @param {PicsyEvent[]} events
+ * @param {ReplayOptions} [opts]
+ * @returns {WorldState}
+ */
+export function replay(genesis, events, opts = {}) {
+  return stateAt(genesis, events, events.length, opts);
+}
+
+/**
+ * @param {Genesis} genesis
+ * @param {ReplayOptions} [opts]
+ * @returns {World}
+ */
+export function createWorld(genesis, opts = {}) {
+  return { genesis, events: [], state: initialState(genesis, opts), redo: [] };
+}
+
+/**
+ * 保存済みのログから world を復元する。スナップショットがあればそれ以降のイベントだけを再生する。
+ * @param {Genesis} genesis
+ * @param {PicsyEvent[]} events
+ * @param {{eventCount:number, state:WorldState}|null} [snapshot]
+ * @param {ReplayOptions} [opts]
+ * @returns {World}
+ */
+export function restoreWorld(genesis, events, snapshot = null, opts = {}) {
+  if (!snapshot || snapshot.eventCount > events.length) return { genesis, events, state: replay(genesis, events, opts), redo: [] };
+  let state = snapshot.state;
+  const solver = opts.solver ?? picsy.DEFAULT_SOLVER;
+  if (state.economy.solver !== solver) state = { ...state, economy: picsy.withSolver(state.economy, solver) };
+  for (let p = snapshot.eventCount; p < events.length; p++) {
+    state = applyEvent(state, events[p]).state;
+    checkpoint(genesis, events[p], p + 1, state);
+  }
+  return { genesis, events, state, redo: [] };
+}
+
+/**
+ * 操作をイベントとしてログに追記し、状態を進める。
+ * 複数の draft を渡すと順に適用し、途中で失敗した場合はどれも記録しない。
+ * 同じ呼び出しで記録したイベントは同じ tx を持ち、undo/redo ではまとめて扱われる。
+ * @param {World} world
+ * @param {object|object[]} drafts {type, ...payload}（id と at は付与される）
+ * @param {number} [at]
+ * @returns {{world: World, events: PicsyEvent[], results: object[]}}
+ */
+export function dispatch(world, drafts, at = Date.now()) {
+  const list = (Array.isArray(drafts) ? drafts : [drafts]).map((draft) => ({ ...draft, at }));
+  const { state, events, results } = appendTx(world, list);
+  return { world: { ...world, events: [...world.events, ...events], state, redo: [] }, events, results };
+}
+
+/**
+ * dispatch と同じだが、ログを写さずに world.events へ直接追記し、world.state を差し替える。
+ * ログを他と共有しないバッチ実行（scripts/simulate.js）用で、1件ごとに O(ログ長) のコピーをしない。
+ * @param {World} world 書き換える
+ * @param {object|object[]} drafts
+ * @param {number} [at]
+ * @returns {{world: World, events: PicsyEvent[], results: object[]}}
+ */
+export function dispatchInPlace(world, drafts, at = Date.now()) {
+  const list = (Array.isArray(drafts) ? drafts : [drafts]).map((draft) => ({ ...draft, at }));
+  const { state, events, results } = appendTx(world, list);
+  for (const ev of events) world.events.push(ev);
+  world.state = state;
+  world.redo = [];
+  return { world, events, results };
+}
+
+/**
+ * world の末尾に1つの tx としてイベントを適用する（id・tx を付け、適用時に決まる α などを記録する）
+ * @param {World} world
+ * @param {object[]} list at の付いた draft
+ */
+function appendTx({ genesis, events: log, state }, list) {
+  const events = [];
+  const results = [];
+  const states = [];
+  let id = log.length + 1;
+  const tx = id;
+  for (const draft of list) {
+    const ev = { ...draft, id: id++, tx };
+    const applied = applyEvent(state, ev);
+    if (ev.type === "like") ev.alpha = applied.result.alpha;
+    if (ev.type === "unlike") Object.assign(ev, { to: applied.result.to, delta: applied.result.delta, alpha: applied.result.alpha, mode: applied.result.mode });
+    state = applied.state;
+    states.push(state);
+    events.push(ev);
+    results.push(applied.result);
+  }
+  // 途中で失敗した tx は記録しないので、チェックポイントは全部適用できてから残す
+  states.forEach((after, k) => checkpoint(genesis, events[k], log.length + k + 1, after));
+  return { state, events, results };
+}
+
+/**
+ * 時計で記録する予定の回収（schedule.js の scheduledRecovery）を独立した tx として追記する。
+ * at は減衰を適用し終えた時刻 upTo。利用者の操作ではないので redo のスタックは残す。
+ * @param {World} world
+ * @param {object} draft
+ * @returns {World}
+ */
+export function recordScheduled(world, draft) {
+  const { state, events } = appendTx(world, [{ ...draft, at: draft.upTo }]);
+  return { ...world, events: [...world.events, ...events], state };
+}
+
+const txOf = (ev) => ev.tx ?? ev.id;
+
+/** 時計で記録された予定の回収（undo の対象にならない） */
+const isScheduled = (ev) => ev.type === "recovery" && ev.scheduled !== undefined;
+
+/** 他のイベントの id を指す欄（undo / redo で付け替える） */
+const REF_FIELDS = ["likeId", "commentId", "parentId"];
+
+/**
+ * redo のスタックにある（まだログに無い）イベントを指す参照。スタックの深さと group 内の位置で表すので、
+ * 予定の回収で id がずれたり、同じ id で undo し直したりしてもログの id と取り違えない。
+ */
+const pendingRef = (depth, k) => `redo:${depth}:${k}`;
+
+/**
+ * ログの位置に合わせて id と tx を振り直す（予定の回収だけに使う。回収の id を指すイベントは無い）
+ * @param {PicsyEvent[]} events
+ * @param {number} count 前にあるイベントの数
+ */
+function renumber(events, count) {
+  const txs = new Map();
+  return events.map((ev, k) => {
+    const id = count + k + 1;
+    if (!txs.has(txOf(ev))) txs.set(txOf(ev), id);
+    return ev.id === id ? ev : { ...ev, id, tx: txs.get(txOf(ev)) };
+  });
+}
+
+/** ids にある参照を付け替える（変わらなければ同じオブジェクトを返す） */
+const relink = (ev, ids) => {
+  const moved = REF_FIELDS.filter((f) => ids.has(ev[f]) && ids.get(ev[f]) !== ev[f]);
+  return moved.length === 0 ? ev : { ...ev, ...Object.fromEntries(moved.map((f) => [f, ids.get(ev[f])])) };
+};
+
+/**
+ * 最後の操作（同じ tx のイベント群）を取り消す。状態は最寄りのチェックポイント（stateAt）から再生し直す。
+ * 予定の回収（scheduled）は取り消さない: それより後に記録された回収はログに残し、位置に合わせて id を振り直す。
+ * @param {World} world
+ * @returns {{world: World, events: PicsyEvent[]} | null} 取り消すものがなければ null
+ */
+export function undo(world) {
+  const { genesis, events } = world;
+  let end = events.length;
+  while (end > 0 && isScheduled(events[end - 1])) end--;
+  if (end === 0) return null;
+  const tx = txOf(events[end - 1]);
+  let k = end;
+  while (k > 0 && txOf(events[k - 1]) === tx) k--;
+  const undone = events.slice(k, end).filter((ev) => !isScheduled(ev));
+  const later = [...events.slice(k, end).filter(isScheduled), ...events.slice(end)];
+  const kept = [...events.slice(0, k), ...renumber(later, k)];
+  const stack = world.redo ?? [];
+  const ids = new Map(undone.map((ev, j) => [ev.id, pendingRef(stack.length, j)]));
+  const relinked = (group) => group.map((ev) => relink(ev, ids));
+  return {
+    world: { genesis, events: kept, state: stateAt(genesis, kept, kept.length, { solver: world.state.economy.solver }), redo: [...stack.map(relinked), relinked(undone)] },
+    events: undone,
+  };
+}
+
+/**
+ * undo で取り消した操作をやり直す（元の時刻のまま、ログの末尾に1つの tx として再適用する）。
+ * その間に予定の回収が記録されて id がずれていれば振り直し、まだ redo に残る操作の参照も付け替える。
+ * @param {World} world
+ * @returns {{world: World, events: PicsyEvent[]} | null} やり直すものがなければ null
+ */
+export function redo(world) {
+  const stack = world.redo ?? [];
+  if (stack.length === 0) return null;
+  const depth = stack.length - 1;
+  const group = stack[depth];
+  const ids = new Map(group.map((_, k) => [pendingRef(depth, k), world.events.length + k + 1]));
+  const { state, events } = appendTx(world, group.map((ev) => relink(ev, ids)));
+  return {
+    world: { ...world, events: [...world.events, ...events], state, redo: stack.slice(0, -1).map((g) => g.map((ev) => relink(ev, ids))) },
+    events,
+  };
+}
+
+/**
+ * ログの再生結果が現在の状態（画面に出ている E・c）と一致するか検証する。
+ * like イベントに記録された α も再計算値と照合する（c が stale で記録値を使った like は照合できないので除く）。
+ * 再生結果の c が stale なら解き直してから、反復の収束誤差を見込んだ許容誤差（tol·N と 1e-6·N の大きい方）で比べる
+ * （途中で解く方法を切り替えると、同じ E でもウォームスタートの違いで c が収束誤差の範囲でずれるため）。
+ * @param {World} world
+ * @param {number} [tol]
+ * @returns {{ok:boolean, maxDiffE:number, diffC:number, alphaMismatches:number[]}}
+ */
+export function verifyReplay(world, tol = 1e-9) {
+  let state = initialState(world.genesis, { solver: world.state.economy.solver });
+  const alphaMismatches = [];
+  for (const ev of world.events) {
+    const applied = applyEvent(state, ev);
+    const checkAlpha = (ev.type === "like" && !state.economy.stale) || ev.type === "unlike";
+    if (checkAlpha && Math.abs(applied.result.alpha - ev.alpha) > tol) alphaMismatches.push(ev.id);
+    state = applied.state;
+  }
+  const replayed = state.economy;
+  const maxDiffE = maxRowL1Diff(world.state.economy.E, replayed.E);
+  const c1 = replayed.stale ? picsy.recomputeContributions(replayed.E, replayed.c) : replayed.c;
+  const diffC = c1.length === world.state.economy.c.length ? l1Diff(c1, world.state.economy.c) : Infinity;
+  const cTol = Math.max(tol, 1e-6) * matrixSize(replayed.E);
+  return { ok: maxDiffE <= tol && diffC <= cTol && alphaMismatches.length === 0, maxDiffE, diffC, alphaMismatches };
+}
@@ -0,0 +1,140 @@
+/**
+ * Time series of c / budgets from the event log (framework-free)
+ * ------------------------------------------------------
+ * genesis からログを再生しながら、各時点の c と予算（diag E）を記録する。
+ * 長いログでも点数が maxPoints を超えないよう、stride イベントごとに1点を記録し、
+ * 超えたら1点おきに間引いて stride を倍にする。
+ * 時間軸の印も同じ stride の区間ごとに種別ごと1つにまとめ（count 件）、点と一緒に粗くする。
+ * 前回の結果を渡すと、ログが追記されただけなら新しいイベントだけを適用する（undo などで変わったら作り直す）。
+ *
+ * 大きい economy の c は再生中に解かれない（stale）ので、記録する時点でだけ直前の点をウォームスタートに解く。
+ * 解き方は live の world と同じ solver を使う（opts.solver）。
+ * 解いた c は記録にだけ使い、再生中の state には戻さない（like は記録済みの α で再生され続ける）。
+ */
+
+import { applyEvent, initialState } from "./events.js";
+import { DEFAULT_SOLVER, recomputeContributions } from "./economy.js";
+import { matrixDiag, matrixSize } from "./sparse.js";
+
+export const HISTORY_MAX_POINTS = 240;
+
+/** 時間軸に印を付けるイベント種別 */
+export const HISTORY_MARKER_TYPES = ["like", "unlike", "recovery", "addMember", "removeMember"];
+
+/**
+ * @typedef {{index:number, at:number, ids:number[], c:number[], budgets:number[]}} HistoryPoint
+ *   index: 適用済みのイベント数（0 = genesis）。ids[i] が c[i]・budgets[i] のユーザー id
+ * @typedef {{index:number, at:number, type:string, count:number}} HistoryMarker
+ *   index / at: 区間の最後のイベント、count: 区間内のその種別のイベント数
+ * @typedef {{genesis:object, solver:string, count:number, last:object|null, state:object, stride:number, points:HistoryPoint[],
+ *   markers:HistoryMarker[], tip:HistoryPoint}} History
+ *   tip: 最新の状態の点（stride の倍数でなくても常にある）
+ */
+
+/**
+ * genesis の時刻（初期投稿の作成時刻、無ければ最初のイベントの時刻）
+ * @param {object} genesis
+ * @param {object[]} events
+ * @returns {number}
+ */
+const genesisAt = (genesis, events) =>
+  genesis.posts.length > 0 ? Math.min(...genesis.posts.map((p) => p.createdAt)) : events[0]?.at ?? Date.now();
+
+function pointOf(state, index, at, prevC) {
+  const { E, members, stale } = state.economy;
+  let c = state.economy.c;
+  if (stale) c = recomputeContributions(E, prevC && prevC.length === c.length ? prevC : c, { method: state.economy.solver });
+  return {
+    index,
+    at,
+    ids: members.map((m) => m.id),
+    c,
+    budgets: Array.from({ length: matrixSize(E) }, (_, i) => matrixDiag(E, i)),
+  };
+}
+
+/** 印が入る区間（stride イベントごと、区間の終わりの index） */
+const bucketOf = (index, stride) => Math.ceil(index / stride) * stride;
+
+/**
+ * 印を区間・種別ごとに1つにまとめる（markers は index 順）
+ * @param {HistoryMarker[]} markers
+ * @param {number} stride
+ * @returns {HistoryMarker[]}
+ */
+function mergeMarkers(markers, stride) {
+  const byKey = new Map();
+  for (const m of markers) {
+    const key = `${bucketOf(m.index, stride)}:${m.type}`;
+    const seen = byKey.get(key);
+    byKey.set(key, seen ? { ...m, count: seen.count + m.count } : m);
+  }
+  return [...byKey.values()].sort((a, b) => a.index - b.index);
+}
+
+/**
+ * @param {object} genesis
+ * @param {object[]} events
+ * @param {History|null} [prev] 前回の結果（同じ genesis・solver でログが追記されただけなら続きから計算する）
+ * @param {{solver?:string, maxPoints?:number}} [opts] solver: c を解く方法（live の world と同じものを渡す）
+ * @returns {History}
+ */
+export function buildHistory(genesis, events, prev = null, { solver = DEFAULT_SOLVER, maxPoints = HISTORY_MAX_POINTS } = {}) {
+  const extendsPrev =
+    prev &&
+    prev.genesis === genesis &&
+    prev.solver === solver &&
+    prev.count <= events.length &&
+    (prev.count === 0 || events[prev.count - 1] === prev.last);
+  let state, stride, points, markers, count;
+  if (extendsPrev) {
+    ({ state, stride, count } = prev);
+    points = prev.points.slice();
+    markers = prev.markers.slice();
+  } else {
+    state = initialState(genesis, { solver });
+    stride = 1;
+    count = 0;
+    points = [pointOf(state, 0, genesisAt(genesis, events), null)];
+    markers = [];
+  }
+  while (count < events.length) {
+    const ev = events[count];
+    state = applyEvent(state, ev).state;
+    count++;
+    if (HISTORY_MARKER_TYPES.includes(ev.type)) {
+      // 同じ区間に同じ種別の印があれば、それを数に足して末尾へ移す（index 順を保つ）
+      const k = markers.findLastIndex((m) => m.type === ev.type);
+      const same = k >= 0 && bucketOf(markers[k].index, stride) === bucketOf(count, stride);
+      const n = same ? markers.splice(k, 1)[0].count : 0;
+      markers.push({ index: count, at: ev.at, type: ev.type, count: n + 1 });
+    }
+    if (count % stride !== 0) continue;
+    points.push(pointOf(state, count, ev.at, points.at(-1).c));
+    if (points.length > maxPoints) {
+      stride *= 2;
+      points = points.filter((p) => p.index % stride === 0);
+      markers = mergeMarkers(markers, stride);
+    }
+  }
+  const last = points.at(-1);
+  const tip = last.index === count ? last : pointOf(state, count, events[count - 1].at, last.c);
+  return { genesis, solver, count, last: events[count - 1] ?? null, state, stride, points, markers, tip };
+}
+
+/**
+ * あるユーザーの系列を取り出す（メンバーでなかった時点は含めない）
+ * @param {History} history
+ * @param {number} id
+ * @returns {{at:number, index:number, c:number, budget:number, pp:number}[]}
+ */
+export function userSeries(history, id) {
+  const out = [];
+  const all = history.tip === history.points.at(-1) ? history.points : [...history.points, history.tip];
+  for (const p of all) {
+    const k = p.ids.indexOf(id);
+    if (k < 0) continue;
+    out.push({ at: p.at, index: p.index, c: p.c[k], budget: p.budgets[k], pp: p.c[k] * p.budgets[k] });
+  }
+  return out;
+}
@@ -0,0 +1,252 @@
+/**
+ * PICSY math core (framework-free)
+ * ------------------------------------------------------
+ * 評価行列 E と貢献度ベクトル c を扱う純粋関数群。React にも DOM にも依存しない。
+ *
+ * - E' = E - B + (B D)/(N-1)（左固有ベクトル c, sum(c)=N）
+ * - Like: δ = α·c_b ⇒ α = δ / c_b
+ * - Recovery: offdiag *= (1-γ), diag ← diag + γ(1-diag)
+ * - AddMember: x=1/N (既存 c/予算 不変), 新規 c=1, 予算0
+ * - RemoveMember: k の行と列を削除し、k への評価 E[i][k] を k の実効評価 E'[k][j] に沿って転送
+ */
+
+// ---------- Utilities ----------
+export const clamp = (x, lo, hi) => Math.max(lo, Math.min(hi, x));
+export const deepCopy = (E) => E.map((row) => row.slice());
+export const sum = (arr) => arr.reduce((a, b) => a + b, 0);
+export const zeros = (n, m) => Array.from({ length: n }, () => Array(m).fill(0));
+
+/**
+ * 
+ * @param {Array<Array<number>>} E 
+ * @returns {Array<Array<number>>} Matrix
+ */
+export const ensureRowStochastic = (E) => {
+  const n = E.length;
+  for (let i = 0; i < n; i++) {
+    let rowSum = sum(E[i]);
+    if (rowSum === 0) {
+      for (let j = 0; j < n; j++) E[i][j] = 1 / n;
+      rowSum = 1;
+    }
+    if (Math.abs(rowSum - 1) > 1e-10) {
+      for (let j = 0; j < n; j++) E[i][j] /= rowSum;
+    }
+  }
+  return E;
+};
+
+// ---------- PICSY Math ----------
+/**
+ * 
+ * @param {number[]} v 
+ * @param {number[][]} E 
+ * @returns {number[]}
+ */
+export function leftMultiplyEPrime(v, E) {
+  const n = E.length;
+  if (n <= 1) return v.slice();
+  const out = new Array(n).fill(0);
+  const vE = new Array(n).fill(0);
+  const vB = new Array(n).fill(0);
+  let S = 0;
+  for (let j = 0; j < n; j++) {
+    vB[j] = v[j] * E[j][j];
+    S += vB[j];
+  }
+  for (let j = 0; j < n; j++) {
+    let s = 0;
+    for (let i = 0; i < n; i++) s += v[i] * E[i][j];
+    vE[j] = s;
+  }
+  const inv = 1 / (n - 1);
+  for (let j = 0; j < n; j++) out[j] = vE[j] - vB[j] + inv * (S - vB[j]);
+  return out;
+}
+
+/**
+ * 
+ * @param {number[]} v 
+ * @param {number} targetSum 
+ * @returns {number}
+ */
+export function normalizeToSum(v, targetSum) {
+  const s = sum(v);
+  if (s === 0) return v.map(() => targetSum / v.length);
+  const scale = targetSum / s;
+  return v.map((x) => x * scale);
+}
+
+/**
+ * 二つのベクトルの同じインデックスの要素の差を合計する
+ * @param {number[]} a 
+ * @param {number[]} b 
+ * @returns {number}
+ */
+export function l1Diff(a, b) {
+  let d = 0;
+  for (let i = 0; i < a.length; i++) d += Math.abs(a[i] - b[i]);
+  return d;
+}
+
+/**
+ * べき乗法で c を求める。反復回数・最後の残差 ‖vE' − v‖₁（v は和 1）・収束したかも返す。
+ * maxIter に達しても収束しなければ、その時点の c を converged: false で返す。
+ * @param {number[][]} E 
+ * @param {{maxIter?:number, tol?:number, warmStart?:number[], n?:number, multiply?:Function,
+ *   onProgress?:(iter:number, residual:number) => void}} opts
+ *   n / multiply: 密行列以外（sparse.js）で使う行列サイズと v E' の計算
+ *   onProgress: 各反復の後に呼ばれる（Worker からの進捗報告用）
+ * @returns {{c:number[], iterations:number, residual:number, converged:boolean}} c の和は n
+ */
+export function powerIteration(E, opts = {}) {
+  const { maxIter = 1000, tol = 1e-10, warmStart, n = E.length, multiply = leftMultiplyEPrime, onProgress } = opts;
+  let v = warmStart && warmStart.length === n ? warmStart.slice() : Array(n).fill(1 / n);
+  v = normalizeToSum(v, 1);
+  let iterations = 0;
+  let residual = Infinity;
+  for (let k = 0; k < maxIter; k++) {
+    const vNextNorm = normalizeToSum(multiply(v, E), 1);
+    residual = l1Diff(vNextNorm, v);
+    iterations = k + 1;
+    onProgress?.(iterations, residual);
+    v = vNextNorm;
+    if (residual < tol) break;
+  }
+  return { c: v.map((x) => x * n), iterations, residual, converged: residual < tol };
+}
+
+/**
+ * べき乗法の c だけを返す（sum = n）
+ * @param {number[][]} E
+ * @param {object} [opts] powerIteration と同じ
+ * @returns {number[]}
+ */
+export const powerIterationLeft = (E, opts = {}) => powerIteration(E, opts).c;
+
+/**
+ * c を連立一次方程式として直接解く（ガウスの消去法、部分ピボット）。O(N³) なので小さい行列と検証用。
+ *   c·E' = c  ⇔  (E'ᵀ − I)·cᵀ = 0 の1行を Σc = N に置き換える
+ * @param {number[][]} E
+ * @returns {number[]} sum = N
+ */
+export function directSolveLeft(E) {
+  const n = E.length;
+  if (n <= 1) return Array(n).fill(1);
+  const Ep = effectiveMatrix(E);
+  // A[j] = (E'ᵀ − I) の j 行目 | 右辺
+  const A = Array.from({ length: n }, (_, j) => [...Array.from({ length: n }, (_, i) => Ep[i][j] - (i === j ? 1 : 0)), 0]);
+  A[n - 1] = [...Array(n).fill(1), n];
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(A[r][col]) > Math.abs(A[pivot][col])) pivot = r;
+    if (Math.abs(A[pivot][col]) < 1e-14) throw new Error("Singular system: c is not unique.");
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const f = A[r][col] / A[col][col];
+      if (f === 0) continue;
+      for (let k = col; k <= n; k++) A[r][k] -= f * A[col][k];
+    }
+  }
+  return A.map((row, i) => row[n] / row[i]);
+}
+
+/**
+ * 実効行列 E'（対角を 0 にし、予算 E_ii を他メンバーへ均等に配分したもの）
+ * @param {number[][]} E
+ * @returns {number[][]}
+ */
+export function effectiveMatrix(E) {
+  const n = E.length;
+  if (n <= 1) return [[1]];
+  const out = zeros(n, n);
+  for (let i = 0; i < n; i++)
+    for (let j = 0; j < n; j++) out[i][j] = i === j ? 0 : E[i][j] + E[i][i] / (n - 1);
+  return out;
+}
+
+export function applyNaturalRecovery(E, gamma) {
+  const n = E.length;
+  const out = deepCopy(E);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      if (i !== j) out[i][j] *= 1 - gamma;
+    }
+    out[i][i] = out[i][i] + gamma * (1 - out[i][i]);
+  }
+  return ensureRowStochastic(out);
+}
+
+export function applyLike(E, c, b, s, delta, alpha = delta / c[b]) {
+  if (b === s) throw new Error("Self-like is not allowed.");
+  if (alpha < 0) throw new Error("Negative alpha.");
+  if (alpha > E[b][b] + 1e-12) throw new Error("Insufficient budget.");
+  const out = deepCopy(E);
+  out[b][b] -= alpha;
+  out[b][s] += alpha;
+  return ensureRowStochastic(out);
+}
+
+/**
+ * like の取り消し: α を E[b][s] から E[b][b] に戻す（applyLike の逆）
+ * @param {number[][]} E
+ * @param {number} b
+ * @param {number} s
+ * @param {number} alpha
+ * @returns {number[][]}
+ */
+export function applyUnlike(E, b, s, alpha) {
+  if (alpha < 0) throw new Error("Negative alpha.");
+  if (alpha > E[b][s] + 1e-12) throw new Error("Cannot return more than E[b][s].");
+  const out = deepCopy(E);
+  out[b][s] -= alpha;
+  out[b][b] += alpha;
+  return ensureRowStochastic(out);
+}
+
+export function addMember(E, c, name) {
+  const N = E.length;
+  const x = 1 / N;
+  const K = N + 1;
+  const Enew = zeros(K, K);
+  for (let i = 0; i < N; i++) {
+    for (let j = 0; j < N; j++) Enew[i][j] = i === j ? E[i][j] : (1 - x) * E[i][j];
+    Enew[i][N] = x * (1 - E[i][i]);
+  }
+  for (let j = 0; j < N; j++) Enew[N][j] = c[j] / N;
+  Enew[N][N] = 0;
+  ensureRowStochastic(Enew);
+  const cnew = powerIterationLeft(Enew, { warmStart: normalizeToSum([...c.map((x) => x / N), 1 / N], 1) });
+  return { E: Enew, c: cnew, addedName: name };
+}
+
+/**
+ * メンバー k の退出（addMember の逆操作）
+ *
+ * 規則: k の行（k が出した評価）は消える。各 i が k に与えていた評価 E[i][k] は、
+ * k がさらに誰を評価していたか（実効行列の行 E'[k][j] = E[k][j] + E[k][k]/(N-1), j≠k）に比例して転送する:
+ *
+ *   E_new[i][j] = E[i][j] + E[i][k] · E'[k][j]   (i, j ≠ k)
+ *
+ * これは E' のマルコフ連鎖から状態 k を消去した stochastic complement（E'[k][k]=0 なので
+ * 1ステップで閉じる）と同じで、k を経由していた価値の流れはそのまま残る。
+ * j = i の分（k が i を評価していた分）は i の予算 E[i][i] に戻る。
+ * 行和は (1 − E[i][k]) + E[i][k]·1 = 1 で保たれる。c は sum(c) = N−1 で再計算する。
+ *
+ * @param {number[][]} E
+ * @param {number[]} c
+ * @param {number} k 退出するメンバーの index
+ * @returns {{E:number[][], c:number[]}}
+ */
+export function removeMember(E, c, k) {
+  const N = E.length;
+  if (N <= 2) throw new Error("At least two members must remain.");
+  const ePrimeK = effectiveMatrix(E)[k];
+  const keep = [];
+  for (let i = 0; i < N; i++) if (i !== k) keep.push(i);
+  const Enew = keep.map((i) => keep.map((j) => E[i][j] + E[i][k] * ePrimeK[j]));
+  ensureRowStochastic(Enew);
+  const cnew = powerIterationLeft(Enew, { warmStart: normalizeToSum(keep.map((i) => c[i]), 1) });
+  return { E: Enew, c: cnew };
+}
@@ -0,0 +1,25 @@
+/**
+ * Distribution metrics (framework-free)
+ * ------------------------------------------------------
+ * c や予算の分布を一つの数値で比べるための指標。
+ */
+
+import { sum } from "./math.js";
+
+/**
+ * ジニ係数（0 = 完全に平等、1 に近いほど一人に集中）
+ *   G = 2·Σ i·x_(i) / (n·Σx) − (n+1)/n   （x_(i) は昇順、i は 1 から）
+ * @param {number[]} values 非負
+ * @returns {number}
+ */
+export function gini(values) {
+  const n = values.length;
+  const total = sum(values);
+  if (n === 0 || total <= 0) return 0;
+  const sorted = values.slice().sort((a, b) => a - b);
+  let weighted = 0;
+  sorted.forEach((x, i) => {
+    weighted += (i + 1) * x;
+  });
+  return Math.max(0, (2 * weighted) / (n * total) - (n + 1) / n);
+}
@@ -0,0 +1,104 @@
+/**
+ * Per-user like policies (framework-free)
+ * ------------------------------------------------------
+ * ユーザーごとの「いいね」の使い方の制限。handleLike とシミュレータの両方が like を作る前に通す。
+ * - spendMode: 1回の δ の決め方
+ *     fixedDelta     δ = amount（null なら画面の δ / シミュレータが選んだ δ）
+ *     fixedAlpha     α = amount（δ = α · c_b）
+ *     percentBudget  α = 残りの予算 E[b][b] の amount %
+ * - maxDelta:         1回の δ の上限
+ * - dailyAlphaCap:    直近24時間に使った α の合計の上限（取り消した like は数えない）
+ * - sellerCooldownMs: 同じ相手への like の最小間隔
+ * null の上限は「制限なし」。制限はイベントを作る時点の判断で、記録済みのログの再生には関わらない。
+ */
+
+import { PicsyError } from "./economy.js";
+import { matrixDiag } from "./sparse.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {"fixedDelta"|"fixedAlpha"|"percentBudget"} SpendMode
+ * @typedef {{spendMode:SpendMode, amount:number|null, maxDelta:number|null, dailyAlphaCap:number|null,
+ *   sellerCooldownMs:number}} LikePolicy
+ * @typedef {{default:LikePolicy, byUser:Record<number, Partial<LikePolicy>>}} PolicyAssignment
+ *   byUser: 既定と異なる項目だけを持つ
+ * @typedef {{to:number, alpha:number, at:number}} PastLike
+ */
+
+/** @type {Record<SpendMode, {label:string, unit:string, description:string}>} */
+export const SPEND_MODES = {
+  fixedDelta: { label: "Fixed δ", unit: "δ", description: "Spend the same δ every time (blank: the δ from Compose / the simulator)." },
+  fixedAlpha: { label: "Fixed α", unit: "α", description: "Spend the same share α of the budget row every time (δ = α · c)." },
+  percentBudget: { label: "% of budget", unit: "%", description: "Spend a percentage of the remaining budget E[b][b]." },
+};
+
+/** @type {LikePolicy} */
+export const DEFAULT_POLICY = { spendMode: "fixedDelta", amount: null, maxDelta: null, dailyAlphaCap: null, sellerCooldownMs: 0 };
+
+/**
+ * @param {PolicyAssignment} policies
+ * @returns {(id:number) => LikePolicy}
+ */
+export const policyLookup = (policies) => (id) => ({ ...DEFAULT_POLICY, ...policies?.default, ...policies?.byUser?.[id] });
+
+/**
+ * buyerId がまだ取り消していない like（投稿とコメントの両方）
+ * @param {object[]} posts state.posts
+ * @param {number} buyerId
+ * @returns {PastLike[]}
+ */
+export function likesBy(posts, buyerId) {
+  const out = [];
+  const add = (lk) => lk.from === buyerId && !lk.retracted && out.push(lk);
+  for (const p of posts) {
+    p.likes.forEach(add);
+    for (const cm of p.comments) cm.likes.forEach(add);
+  }
+  return out;
+}
+
+/**
+ * 方針にしたがった今回の δ
+ * @param {LikePolicy} policy
+ * @param {import("./economy.js").Economy} economy
+ * @param {number} b buyer index
+ * @param {number} fallbackDelta fixedDelta で amount が無いときの δ
+ * @returns {number}
+ */
+export function policyDelta(policy, economy, b, fallbackDelta) {
+  const c = economy.c[b];
+  if (policy.spendMode === "fixedAlpha") return (policy.amount ?? 0) * c;
+  if (policy.spendMode === "percentBudget") return ((policy.amount ?? 0) / 100) * matrixDiag(economy.E, b) * c;
+  return policy.amount ?? fallbackDelta;
+}
+
+/**
+ * 方針で like の δ を決め、制限に触れれば理由つきの PicsyError を投げる
+ * @param {LikePolicy} policy
+ * @param {{economy:import("./economy.js").Economy, b:number, to:number, at:number, history:PastLike[], fallbackDelta:number}} ctx
+ *   history: buyer の取り消していない like（likesBy）
+ * @returns {{delta:number, alpha:number}}
+ */
+export function planLike(policy, { economy, b, to, at, history, fallbackDelta }) {
+  const delta = policyDelta(policy, economy, b, fallbackDelta);
+  const alpha = delta / economy.c[b];
+  if (policy.maxDelta !== null && delta > policy.maxDelta + 1e-12) {
+    throw new PicsyError("POLICY_MAX_DELTA", `δ=${delta.toFixed(3)} is over this user's limit of ${policy.maxDelta} per like.`);
+  }
+  if (policy.sellerCooldownMs > 0) {
+    const last = history.reduce((t, lk) => (lk.to === to && lk.at > t ? lk.at : t), -Infinity);
+    const wait = last + policy.sellerCooldownMs - at;
+    if (wait > 0) throw new PicsyError("POLICY_COOLDOWN", `Cooldown: wait ${Math.ceil(wait / 1000)}s more before liking the same member again.`);
+  }
+  if (policy.dailyAlphaCap !== null) {
+    const spent = history.reduce((s, lk) => (lk.at > at - DAY_MS ? s + lk.alpha : s), 0);
+    if (spent + alpha > policy.dailyAlphaCap + 1e-12) {
+      throw new PicsyError(
+        "POLICY_DAILY_CAP",
+        `Daily cap: α=${alpha.toFixed(4)} would bring the last 24h to ${(spent + alpha).toFixed(4)} (cap ${policy.dailyAlphaCap}).`
+      );
+    }
+  }
+  return { delta, alpha };
+}
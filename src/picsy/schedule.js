@@ -0,0 +1,107 @@
+/**
+ * Recovery scheduling (framework-free)
+ * ------------------------------------------------------
+ * 自然回収を時計で自動適用するための計算。
+ * - periodic:   周期 T ごとに γ を1回適用する（n 周期たまっていれば 1 − (1 − γ)^n）
+ * - continuous: 前回の回収からの経過時間 Δt に応じた γ_eff を適用する
+ *
+ *   γ_eff = 1 − (1 − γ)^(Δt / T)
+ *
+ * 回収は非対角を (1−γ) 倍するので、Δt ごとに γ_eff を適用し続けると周期 T あたりちょうど
+ * (1−γ) 倍になり、何回に分けて適用しても periodic と同じ減衰になる。
+ *
+ * 予定の回収は時計（App のタイマー、scripts/simulate.js のステップ）で、周期（continuous では tick）が終わるたびに
+ * 利用者の操作とは別の tx のイベントとして記録する（scheduledRecovery）。イベントの at は減衰を適用し終えた時刻 upTo。
+ * scheduled の付いた回収は undo の対象にならない（events.js の undo）ので、操作を取り消しても経過した回収は残る。
+ * 何周期分かたまっていれば1つのイベントに periods として入れ、(1 − γ)^periods をそのまま掛ける（上限で丸めない）。
+ */
+
+export const RECOVERY_MODES = ["manual", "periodic", "continuous"];
+
+/** continuous モードで回収を記録する最小間隔 */
+export const CONTINUOUS_TICK_MS = 1000;
+/** continuous モードで1周期に記録する回収の数（tick = max(CONTINUOUS_TICK_MS, T / CONTINUOUS_STEPS)） */
+export const CONTINUOUS_STEPS = 12;
+
+/**
+ * periods 周期分の回収をまとめた実効 γ = 1 − (1 − γ)^periods
+ * @param {number} gamma 周期あたりの γ
+ * @param {number} periods 周期の数（端数も可）
+ * @returns {number} 0 ≤ γ_eff ≤ 1
+ */
+export function compoundGamma(gamma, periods) {
+  if (!(periods > 0)) return 0;
+  return periods === 1 ? gamma : -Math.expm1(periods * Math.log1p(-gamma));
+}
+
+/**
+ * 経過時間に応じた実効 γ
+ * @param {number} gamma 周期 T あたりの γ
+ * @param {number} elapsedMs 前回の回収からの経過時間
+ * @param {number} periodMs 周期 T
+ * @returns {number} 0 ≤ γ_eff ≤ 1
+ */
+export function effectiveGamma(gamma, elapsedMs, periodMs) {
+  if (!(elapsedMs > 0) || !(periodMs > 0)) return 0;
+  return compoundGamma(gamma, elapsedMs / periodMs);
+}
+
+/**
+ * continuous モードで回収を記録する間隔
+ * @param {number} periodMs
+ * @returns {number}
+ */
+export const continuousTickMs = (periodMs) => Math.max(CONTINUOUS_TICK_MS, periodMs / CONTINUOUS_STEPS);
+
+/**
+ * ログ上の最後の回収イベントが減衰を適用した時刻（upTo、無ければ記録時刻。回収が無ければ null）
+ * @param {{type:string, at:number, upTo?:number}[]} events
+ * @returns {number|null}
+ */
+export function lastRecoveryAt(events) {
+  for (let k = events.length - 1; k >= 0; k--) if (events[k].type === "recovery") return events[k].upTo ?? events[k].at;
+  return null;
+}
+
+/**
+ * @typedef {{mode:string, gamma:number, periodMs:number, anchorAt:number, now:number}} RecoverySchedule
+ *   anchorAt: 前回の回収（またはスケジューラ開始）の時刻
+ */
+
+/**
+ * 次に回収を記録する時刻（manual なら null）
+ * @param {RecoverySchedule} s now は使わない
+ * @returns {number|null}
+ */
+export function nextRecoveryAt({ mode, periodMs, anchorAt }) {
+  if (mode === "periodic") return anchorAt + periodMs;
+  if (mode === "continuous") return anchorAt + continuousTickMs(periodMs);
+  return null;
+}
+
+/**
+ * スケジューラが今回収すべきなら、たまっている周期の数と適用し終える時刻を返す（不要なら null）
+ * periodic は整数の周期、continuous は経過時間 / T（tick に満たなければ null）。
+ * @param {RecoverySchedule} s
+ * @returns {{gamma:number, periods:number, elapsedMs:number, upTo:number} | null} gamma: 周期あたりの γ
+ */
+export function dueRecovery({ mode, gamma, periodMs, anchorAt, now }) {
+  const next = periodMs > 0 ? nextRecoveryAt({ mode, periodMs, anchorAt }) : null;
+  if (next === null || now < next) return null;
+  const elapsedMs = now - anchorAt;
+  if (mode === "periodic") {
+    const n = Math.floor(elapsedMs / periodMs);
+    return { gamma, periods: n, elapsedMs: n * periodMs, upTo: anchorAt + n * periodMs };
+  }
+  return { gamma, periods: elapsedMs / periodMs, elapsedMs, upTo: now };
+}
+
+/**
+ * たまっている予定の回収の draft（events.js の recordScheduled で独立した tx として記録する。不要なら null）
+ * @param {RecoverySchedule} s
+ * @returns {{type:"recovery", gamma:number, periods:number, scheduled:string, elapsedMs:number, upTo:number} | null}
+ */
+export function scheduledRecovery(s) {
+  const due = dueRecovery(s);
+  return due && { type: "recovery", gamma: due.gamma, periods: due.periods, scheduled: s.mode, elapsedMs: due.elapsedMs, upTo: due.upTo };
+}
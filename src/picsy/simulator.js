@@ -0,0 +1,205 @@
+/**
+ * Seeded agent simulator (framework-free)
+ * ------------------------------------------------------
+ * 1ステップで buyer を1人選び、その buyer の戦略が Like する投稿と δ を決める。
+ * 乱数はシード付きの mulberry32 で、状態は数値1つ（rngState）なので、同じシード・同じ初期状態・同じ戦略なら
+ * 何度実行しても同じ like の列になる。1ステップの乱数は buyer → δ → 投稿（多くても1回）の順に引き、
+ * 重みがすべて 0 のときの一様な選び直しも同じ1回の乱数で行う（どの戦略も投稿の選択で2回以上は引かない）。
+ *
+ * 戦略は SIM_STRATEGIES に名前で登録する（choose が候補の投稿から1つ選ぶ。null ならスキップ）。
+ * ユーザーごとの like の方針（policies.js）を渡すと、戦略の δ を方針で決め直し、制限に触れた like はその理由でスキップする。
+ */
+
+import { maxDelta, memberIndex, PicsyError } from "./economy.js";
+import { likesBy, planLike, policyLookup } from "./policies.js";
+import { matrixDiag } from "./sparse.js";
+
+// ---------- RNG ----------
+/**
+ * 文字列・数値のシードを 32bit の初期状態にする
+ * @param {string|number} seed
+ * @returns {number}
+ */
+export function seedState(seed) {
+  if (typeof seed === "number" && Number.isFinite(seed)) return seed >>> 0;
+  let h = 2166136261;
+  for (const ch of String(seed)) h = Math.imul(h ^ ch.codePointAt(0), 16777619);
+  return h >>> 0;
+}
+
+/**
+ * mulberry32。state を進めながら [0, 1) を返す。
+ * @param {number} state
+ */
+export function createRng(state) {
+  let a = state >>> 0;
+  const next = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    int: (n) => Math.floor(next() * n),
+    pick: (arr) => arr[Math.floor(next() * arr.length)],
+    /**
+     * 重みに比例して選ぶ（重みの合計が 0 なら null。uniform なら同じ乱数で一様に選ぶ）
+     * @param {object[]} arr
+     * @param {number[]} weights
+     * @param {{uniform?:boolean}} [opts]
+     */
+    weighted: (arr, weights, { uniform = false } = {}) => {
+      const total = weights.reduce((s, w) => s + w, 0);
+      const u = next();
+      if (!(total > 0)) return uniform ? arr[Math.floor(u * arr.length)] : null;
+      const r = u * total;
+      let acc = 0;
+      for (let k = 0; k < arr.length; k++) {
+        acc += weights[k];
+        if (r < acc) return arr[k];
+      }
+      return arr.at(-1);
+    },
+    get state() {
+      return a;
+    },
+  };
+}
+
+// ---------- Strategies ----------
+/** budget-hoarding はこの予算（diag E）を下回ると Like しない */
+export const HOARD_MIN_BUDGET = 0.6;
+
+/**
+ * @typedef {{buyerId:number, b:number, economy:import("./economy.js").Economy, posts:object[],
+ *   candidates:object[], strategyOf:(id:number) => string}} StrategyContext
+ *   candidates: buyer 以外の現メンバーが書いた、削除されていない投稿
+ * @typedef {{label:string, description:string, choose:(ctx:StrategyContext, rng:ReturnType<typeof createRng>) => object|null,
+ *   delta?:(range:{min:number, max:number}, draw:number) => number, skip?:(ctx:StrategyContext) => string|null}} Strategy
+ *   delta: 既定は [min, max] の一様乱数（draw は [0,1) の乱数）
+ */
+
+const cOf = (economy, id) => economy.c[memberIndex(economy, id)] ?? 0;
+
+/** @type {Record<string, Strategy>} */
+export const SIM_STRATEGIES = {
+  uniform: {
+    label: "Uniform random",
+    description: "Likes a random post by another member.",
+    choose: ({ candidates }, rng) => rng.pick(candidates),
+  },
+  preferential: {
+    label: "Preferential attachment",
+    description: "Likes posts with probability proportional to the author's c.",
+    choose: ({ candidates, economy }, rng) => rng.weighted(candidates, candidates.map((p) => cOf(economy, p.author))),
+  },
+  reciprocity: {
+    label: "Reciprocity",
+    description: "Likes back whoever liked their posts or comments, in proportion to the δ received; otherwise random.",
+    choose: ({ candidates, posts, buyerId }, rng) => {
+      const received = new Map();
+      const add = (lk) => lk.to === buyerId && received.set(lk.from, (received.get(lk.from) ?? 0) + lk.delta);
+      for (const p of posts) {
+        p.likes.forEach(add);
+        for (const cm of p.comments) cm.likes.forEach(add);
+      }
+      return rng.weighted(candidates, candidates.map((p) => received.get(p.author) ?? 0), { uniform: true });
+    },
+  },
+  tagAffinity: {
+    label: "Tag affinity",
+    description: "Likes posts sharing tags with what they wrote or liked before; otherwise random.",
+    choose: ({ candidates, posts, buyerId }, rng) => {
+      const own = new Set();
+      for (const p of posts) if (p.author === buyerId || p.likes.some((lk) => lk.from === buyerId)) p.tags.forEach((t) => own.add(t.toLowerCase()));
+      const overlap = (p) => p.tags.filter((t) => own.has(t.toLowerCase())).length;
+      return rng.weighted(candidates, candidates.map(overlap), { uniform: true });
+    },
+  },
+  hoarder: {
+    label: "Budget-hoarding",
+    description: `Only likes while their budget is at least ${HOARD_MIN_BUDGET}, and always with the minimum δ.`,
+    choose: ({ candidates }, rng) => rng.pick(candidates),
+    delta: ({ min }) => min,
+    skip: ({ economy, b }) => (matrixDiag(economy.E, b) < HOARD_MIN_BUDGET ? "hoarding budget" : null),
+  },
+  ring: {
+    label: "Colluding ring",
+    description: "Only likes posts by other members using this strategy, always with the maximum δ.",
+    choose: ({ candidates, strategyOf }, rng) => {
+      const ring = candidates.filter((p) => strategyOf(p.author) === "ring");
+      return ring.length > 0 ? rng.pick(ring) : null;
+    },
+    delta: ({ max }) => max,
+  },
+};
+
+export const DEFAULT_STRATEGY = "uniform";
+
+/**
+ * @typedef {{default:string, byUser:Record<number, string>}} StrategyAssignment
+ */
+
+/**
+ * @param {StrategyAssignment} strategies
+ * @returns {(id:number) => string}
+ */
+export const strategyLookup = (strategies) => (id) => {
+  const name = strategies?.byUser?.[id] ?? strategies?.default;
+  return SIM_STRATEGIES[name] ? name : DEFAULT_STRATEGY;
+};
+
+/**
+ * シミュレータを1ステップ進める。like の draft（dispatch にそのまま渡せる）か、スキップの理由を返す。
+ * @param {{economy:import("./economy.js").Economy, posts:object[]}} state
+ * @param {number} rngState
+ * @param {{strategies:StrategyAssignment, deltaMin:number, deltaMax:number,
+ *   policies?:import("./policies.js").PolicyAssignment, at?:number}} opts
+ *   policies: ユーザーごとの like の方針（省略時は制限なし）。at: この like の時刻（cooldown・日次上限の判定に使う）
+ * @returns {{draft:object|null, reason:string|null, rngState:number, buyer:number|null, strategy:string|null}}
+ */
+export function simulateStep({ economy, posts }, rngState, { strategies, deltaMin, deltaMax, policies, at = 0 }) {
+  const rng = createRng(rngState);
+  const N = economy.members.length;
+  if (N < 2) return { draft: null, reason: "fewer than two members", rngState: rng.state, buyer: null, strategy: null };
+  // 乱数の消費順を固定する: buyer → δ → 投稿
+  const b = rng.int(N);
+  const draw = rng.next();
+  const buyerId = economy.members[b].id;
+  const strategyOf = strategyLookup(strategies);
+  const name = strategyOf(buyerId);
+  const strategy = SIM_STRATEGIES[name];
+  const memberIds = new Set(economy.members.map((m) => m.id));
+  const candidates = posts.filter((p) => p.author !== buyerId && memberIds.has(p.author) && p.deletedAt === undefined);
+  const ctx = { buyerId, b, economy, posts, candidates, strategyOf };
+  const skip = (reason) => ({ draft: null, reason, rngState: rng.state, buyer: buyerId, strategy: name });
+
+  const post = candidates.length > 0 ? strategy.choose(ctx, rng) : null;
+  const skipReason = strategy.skip?.(ctx);
+  if (skipReason) return skip(skipReason);
+  if (!post) return skip("no post to like");
+  const range = { min: deltaMin, max: Math.max(deltaMin, deltaMax) };
+  const delta0 = strategy.delta ? strategy.delta(range, draw) : range.min + draw * (range.max - range.min);
+  let delta = Math.max(0, Math.min(delta0, maxDelta(economy, b)));
+  if (policies) {
+    const policy = policyLookup(policies)(buyerId);
+    const limited = policy.sellerCooldownMs > 0 || policy.dailyAlphaCap !== null;
+    try {
+      ({ delta } = planLike(policy, { economy, b, to: post.author, at, history: limited ? likesBy(posts, buyerId) : [], fallbackDelta: delta }));
+    } catch (e) {
+      if (!(e instanceof PicsyError)) throw e;
+      return skip(e.message);
+    }
+    if (delta > maxDelta(economy, b) + 1e-12) return skip("insufficient budget");
+  }
+  if (delta < 1e-6) return skip("insufficient budget");
+  return {
+    draft: { type: "like", from: buyerId, to: post.author, postId: post.id, delta },
+    reason: null,
+    rngState: rng.state,
+    buyer: buyerId,
+    strategy: name,
+  };
+}
@@ -0,0 +1,231 @@
+/**
+ * JSON export/import of a complete PICSY economy (framework-free)
+ * ------------------------------------------------------
+ * エクスポート文書は人が読める値（users, members, posts, E, c, budgets, ledger）と、
+ * 状態を再構築するための genesis + events を両方含む。
+ * users は退出者を含む名簿（users[id]）、members は E の行順に並んだ現メンバー。
+ * members が無い文書（退出機能より前のもの）は users 全員がメンバーとみなす。
+ * E は密行列（number[][]）か疎行列 {sparse, n, rows}（sparse.js）のどちらか。
+ * 添付画像の中身は images（id → {thumb, full} の data URL）に1回だけ入れ、events・posts は id で参照する。
+ * 画像を events に埋め込んでいた以前の文書も読み込める（snapshotImages が中身を取り出す）。
+ * インポート時は値そのものの検証に加えて、events の再生結果が E・c・ledger と一致することも確かめる。
+ */
+
+import { l1Diff, sum } from "./math.js";
+import { isSparse, matrixDiag, matrixSize, maxRowL1Diff } from "./sparse.js";
+import { recomputeContributions } from "./economy.js";
+import { EVENT_TYPES, ledgerOf, replay, splitImageData } from "./events.js";
+
+export const SNAPSHOT_FORMAT = "picsy-note/economy";
+export const SNAPSHOT_VERSION = 1;
+
+const TOL = 1e-6;
+
+/**
+ * @param {import("./events.js").World} world
+ * @param {number} [exportedAt]
+ * @param {Record<string, {thumb:string, full:string}>} [images] 参照されている添付画像の data URL
+ * @returns {object}
+ */
+export function exportSnapshot(world, exportedAt = Date.now(), images = {}) {
+  const { economy, users, posts } = world.state;
+  const n = matrixSize(economy.E);
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    exportedAt: new Date(exportedAt).toISOString(),
+    users,
+    members: economy.members,
+    posts,
+    E: economy.E,
+    c: economy.stale ? recomputeContributions(economy.E, economy.c) : economy.c,
+    budgets: Array.from({ length: n }, (_, i) => matrixDiag(economy.E, i)),
+    ledger: ledgerOf(world.events).log,
+    genesis: world.genesis,
+    events: world.events,
+    images,
+  };
+}
+
+const isNum = (x) => typeof x === "number" && Number.isFinite(x);
+const isObject = (x) => x !== null && typeof x === "object";
+const isImageUrl = (x) => typeof x === "string" && x.startsWith("data:image/");
+
+/** ledger の項目のうち、再生したイベントと一致すべき欄 */
+const LEDGER_FIELDS = ["id", "type", "from", "to", "postId", "commentId", "likeId", "delta", "alpha", "at"];
+
+/**
+ * 行列が n×n の row-stochastic（非負・行和1）かを検証し、問題点を errors に追加する
+ * @param {string} name
+ * @param {unknown} E
+ * @param {number} n
+ * @param {string[]} errors
+ */
+export function checkStochastic(name, E, n, errors) {
+  if (isSparse(E)) {
+    if (E.n !== n || !Array.isArray(E.rows) || E.rows.length !== n) {
+      errors.push(`${name} must have ${n} rows.`);
+      return;
+    }
+    E.rows.forEach((row, i) => {
+      const entries = row && typeof row === "object" ? Object.entries(row) : null;
+      if (!entries) errors.push(`${name} row ${i + 1} must be an object of column → value.`);
+      else if (entries.some(([j]) => !(Number.isInteger(Number(j)) && Number(j) >= 0 && Number(j) < n)))
+        errors.push(`${name} row ${i + 1} has a column outside 1..${n}.`);
+      else if (!entries.every(([, x]) => isNum(x))) errors.push(`${name} row ${i + 1} contains non-numeric values.`);
+      else if (entries.some(([, x]) => x < -TOL)) errors.push(`${name} row ${i + 1} contains negative entries.`);
+      else if (Math.abs(sum(entries.map(([, x]) => x)) - 1) > TOL)
+        errors.push(`${name} row ${i + 1} sums to ${sum(entries.map(([, x]) => x))} instead of 1.`);
+    });
+    return;
+  }
+  if (!Array.isArray(E) || E.length !== n) {
+    errors.push(`${name} must have ${n} rows (got ${Array.isArray(E) ? E.length : typeof E}).`);
+    return;
+  }
+  E.forEach((row, i) => {
+    if (!Array.isArray(row) || row.length !== n) errors.push(`${name} row ${i + 1} must have ${n} columns.`);
+    else if (!row.every(isNum)) errors.push(`${name} row ${i + 1} contains non-numeric values.`);
+    else if (row.some((x) => x < -TOL)) errors.push(`${name} row ${i + 1} contains negative entries.`);
+    else if (Math.abs(sum(row) - 1) > TOL) errors.push(`${name} row ${i + 1} sums to ${sum(row)} instead of 1.`);
+  });
+}
+
+/**
+ * 文書を検証し、通れば再生した world も返す
+ * @param {any} doc
+ * @param {import("./events.js").ReplayOptions} opts
+ * @returns {{errors:string[], world:import("./events.js").World|null}}
+ */
+function checkSnapshot(doc, opts) {
+  const errors = [];
+  const invalid = (list) => ({ errors: list, world: null });
+  if (!isObject(doc)) return invalid(["File is not a JSON object."]);
+  if (doc.format !== SNAPSHOT_FORMAT) errors.push(`Unknown format "${doc.format}" (expected "${SNAPSHOT_FORMAT}").`);
+  if (doc.version !== SNAPSHOT_VERSION) errors.push(`Unsupported version ${doc.version} (expected ${SNAPSHOT_VERSION}).`);
+  if (!Array.isArray(doc.users)) return invalid([...errors, "users must be an array."]);
+  const members = doc.members ?? doc.users;
+  if (!Array.isArray(members)) return invalid([...errors, "members must be an array."]);
+
+  const n = members.length;
+  if (n < 1) errors.push("members must not be empty.");
+  const validUser = (id) => Number.isInteger(id) && id >= 0 && id < doc.users.length;
+  doc.users.forEach((u, id) => u?.id !== id && errors.push(`users[${id}] must have id ${id}.`));
+  members.forEach((m, i) => {
+    if (!validUser(m?.id)) errors.push(`member ${i + 1} has an invalid user id.`);
+    else if (doc.users[m.id]?.leftAt !== undefined) errors.push(`member ${i + 1} (@${m.handle}) has left but is still listed as a member.`);
+  });
+  checkStochastic("E", doc.E, n, errors);
+  if (!Array.isArray(doc.c) || doc.c.length !== n || !doc.c.every(isNum)) {
+    errors.push(`c must be ${n} numbers.`);
+  } else if (Math.abs(sum(doc.c) - n) > TOL) {
+    errors.push(`sum(c) is ${sum(doc.c)} but must equal N=${n}.`);
+  }
+  if (doc.budgets !== undefined && (Array.isArray(doc.E) || isSparse(doc.E)) && matrixSize(doc.E) === n) {
+    if (!Array.isArray(doc.budgets) || doc.budgets.some((b, i) => !isNum(b) || !(Math.abs(b - matrixDiag(doc.E, i)) <= TOL))) {
+      errors.push("budgets must equal diag(E).");
+    }
+  }
+
+  const ledger = Array.isArray(doc.ledger) ? doc.ledger : [];
+  if (doc.ledger !== undefined && !Array.isArray(doc.ledger)) errors.push("ledger must be an array.");
+  ledger.forEach((e, k) => {
+    if (!isObject(e)) errors.push(`ledger entry ${k + 1} must be an object.`);
+    else if (!validUser(e.from) || !validUser(e.to)) errors.push(`ledger entry ${k + 1} references an invalid user id.`);
+    else if (e.from === e.to) errors.push(`ledger entry ${k + 1} is a self-like.`);
+  });
+  if (!Array.isArray(doc.posts)) errors.push("posts must be an array.");
+  else {
+    doc.posts.forEach((p, k) => {
+      if (!isObject(p)) errors.push(`post ${k + 1} must be an object.`);
+      else if (!validUser(p.author)) errors.push(`post #${p.id} has an invalid author id.`);
+    });
+  }
+
+  const g = doc.genesis;
+  if (!isObject(g) || !Array.isArray(g.members) || !Array.isArray(g.posts)) {
+    errors.push("genesis must contain members, E and posts.");
+  } else {
+    checkStochastic("genesis.E", g.E, g.members.length, errors);
+  }
+  if (!Array.isArray(doc.events)) errors.push("events must be an array.");
+  else {
+    doc.events.forEach((e, k) => {
+      if (!isObject(e)) {
+        errors.push(`event ${k + 1} must be an object.`);
+        return;
+      }
+      if (e.id !== k + 1) errors.push(`event ${k + 1} has id ${e.id}; ids must be consecutive from 1.`);
+      if (!EVENT_TYPES.includes(e.type)) errors.push(`event ${k + 1} has unknown type "${e.type}".`);
+    });
+  }
+
+  if (doc.images !== undefined) {
+    if (!isObject(doc.images) || Array.isArray(doc.images)) errors.push("images must be an object of id → {thumb, full}.");
+    else {
+      for (const [id, im] of Object.entries(doc.images)) {
+        if (!isObject(im) || !isImageUrl(im.thumb) || !isImageUrl(im.full)) errors.push(`image ${id} must have thumb and full image data URLs.`);
+      }
+    }
+  }
+
+  // 値の検証が通ったときだけ、events の再生結果と E・c・ledger を照合する
+  if (errors.length > 0) return invalid(errors);
+  const { events } = splitImageData(doc.events);
+  let state;
+  try {
+    state = replay(g, events, opts);
+  } catch (e) {
+    return invalid([`Replaying events failed: ${e.message}`]);
+  }
+  const { E, stale } = state.economy;
+  // 大きい economy の c は再生中に解かれないので、ここで解いてから反復の収束誤差の範囲で比べる
+  const c = stale ? recomputeContributions(E, state.economy.c) : state.economy.c;
+  if (matrixSize(E) !== n) errors.push(`Replaying events yields N=${matrixSize(E)}, but members has ${n}.`);
+  else if (state.users.length !== doc.users.length) errors.push(`Replaying events yields ${state.users.length} users, but users has ${doc.users.length}.`);
+  else {
+    const dE = maxRowL1Diff(E, doc.E);
+    if (dE > TOL) errors.push(`E does not match the replayed events (max row |ΔE|=${dE.toExponential(2)}).`);
+    if (l1Diff(c, doc.c) > (stale ? TOL * n : TOL)) errors.push("c does not match the replayed events.");
+  }
+  if (doc.ledger !== undefined) {
+    const log = ledgerOf(doc.events).log;
+    const k = log.findIndex((e, j) => !LEDGER_FIELDS.every((f) => ledger[j]?.[f] === e[f]));
+    if (ledger.length !== log.length) errors.push(`ledger has ${ledger.length} entries, but the events contain ${log.length} likes and unlikes.`);
+    else if (k >= 0) errors.push(`ledger entry ${k + 1} does not match event #${log[k].id}.`);
+  }
+  return errors.length > 0 ? invalid(errors) : { errors, world: { genesis: g, events, state, redo: [] } };
+}
+
+/**
+ * インポートする文書を検証する
+ * @param {any} doc
+ * @param {import("./events.js").ReplayOptions} [opts]
+ * @returns {string[]} 失敗した検証項目（空なら有効）
+ */
+export function validateSnapshot(doc, opts = {}) {
+  return checkSnapshot(doc, opts).errors;
+}
+
+/**
+ * 文書を検証して world を作る。不正なら失敗項目を列挙した Error を投げる。
+ * @param {any} doc
+ * @param {import("./events.js").ReplayOptions} [opts]
+ * @returns {import("./events.js").World}
+ */
+export function importSnapshot(doc, opts = {}) {
+  const { errors, world } = checkSnapshot(doc, opts);
+  if (errors.length > 0) {
+    const err = new Error(`Invalid economy file:\n- ${errors.join("\n- ")}`);
+    err.errors = errors;
+    throw err;
+  }
+  return world;
+}
+
+/**
+ * 文書に入っている添付画像の中身（images と、以前の文書で events に埋め込まれていたもの）
+ * @param {any} doc importSnapshot を通った文書
+ * @returns {Record<string, {thumb:string, full:string}>}
+ */
+export const snapshotImages = (doc) => ({ ...splitImageData(doc.events).images, ...doc.images });
@@ -0,0 +1,128 @@
+/**
+ * Eigenvector solvers for c (framework-free)
+ * ------------------------------------------------------
+ * c·E' = c, sum(c) = N を解く方法を選べるようにする。どの方法も反復回数・最後の残差・収束したかを返す。
+ * 残差は方法によらず ‖vE' − v‖₁（v = c/N、和 1）で測るので、方法どうしで比べられる。
+ *
+ * - power:       べき乗法 v ← vE'。E がほぼ可約だと収束が遅く、maxIter で打ち切られることがある
+ * - gaussSeidel: c_j ← Σ_i c_i E'_ij を j の順に、更新済みの値を使って解く。べき乗法より少ない反復で済むことが多い
+ * - direct:      (E'ᵀ − I)c = 0 の1行を Σc = N に置き換えてガウスの消去法で解く。O(N³) なので N ≤ DIRECT_MAX_N
+ *                （大きい・特異なときはべき乗法に切り替え、fallback に理由を書く）
+ */
+
+import { directSolveLeft, l1Diff, leftMultiplyEPrime, normalizeToSum, powerIteration } from "./math.js";
+import { isSparse, matrixDiag, matrixEntries, matrixSize, sparseLeftMultiplyEPrime, toDense } from "./sparse.js";
+
+export const SOLVE_TOL = 1e-10;
+export const SOLVE_MAX_ITER = 1000;
+export const DIRECT_MAX_N = 400;
+export const DEFAULT_SOLVER = "power";
+
+/**
+ * @typedef {{method:string, iterations:number, residual:number, converged:boolean, ms:number, tol:number, fallback?:string}} SolveDiagnostics
+ *   method: 実際に使った方法（direct から切り替えたときは power）。iterations: direct は 0
+ * @typedef {{warmStart?:number[], tol?:number, maxIter?:number, onProgress?:(iter:number, residual:number) => void}} SolveOptions
+ */
+
+const multiplyFor = (E) => (isSparse(E) ? sparseLeftMultiplyEPrime : leftMultiplyEPrime);
+
+/**
+ * c が c·E' = c をどれだけ満たしているか（‖vE' − v‖₁、v = c/sum(c)）
+ * @param {number[][]|import("./sparse.js").SparseMatrix} E
+ * @param {number[]} c
+ * @returns {number}
+ */
+export function stationaryResidual(E, c) {
+  const v = normalizeToSum(c, 1);
+  return l1Diff(multiplyFor(E)(v, E), v);
+}
+
+const startVector = (n, warmStart) => normalizeToSum(warmStart && warmStart.length === n ? warmStart : Array(n).fill(1), 1);
+
+function power(E, { warmStart, tol, maxIter, onProgress }) {
+  const n = matrixSize(E);
+  return powerIteration(E, { warmStart, tol, maxIter, onProgress, n, multiply: multiplyFor(E) });
+}
+
+/**
+ * E'_jj = 0 なので c_j = Σ_{i≠j} c_i E_ij + Σ_{i≠j} c_i E_ii/(N−1)。
+ * 後ろの項は S = Σ_i c_i E_ii を持ち回して O(1) で出し、前の項は列ごとの非零要素だけを足す。
+ */
+function gaussSeidel(E, { warmStart, tol, maxIter, onProgress }) {
+  const n = matrixSize(E);
+  if (n <= 1) return { c: Array(n).fill(1), iterations: 0, residual: 0, converged: true };
+  const multiply = multiplyFor(E);
+  const cols = Array.from({ length: n }, () => []);
+  for (const { i, j, v } of matrixEntries(E)) if (i !== j) cols[j].push(i, v);
+  const budget = Array.from({ length: n }, (_, i) => matrixDiag(E, i));
+  const inv = 1 / (n - 1);
+  let v = startVector(n, warmStart);
+  let iterations = 0;
+  let residual = Infinity;
+  for (let k = 0; k < maxIter; k++) {
+    let S = 0;
+    for (let i = 0; i < n; i++) S += v[i] * budget[i];
+    for (let j = 0; j < n; j++) {
+      const col = cols[j];
+      let x = 0;
+      for (let t = 0; t < col.length; t += 2) x += v[col[t]] * col[t + 1];
+      x += (S - v[j] * budget[j]) * inv;
+      S += (x - v[j]) * budget[j];
+      v[j] = x;
+    }
+    v = normalizeToSum(v, 1);
+    residual = l1Diff(multiply(v, E), v);
+    iterations = k + 1;
+    onProgress?.(iterations, residual);
+    if (residual < tol) break;
+  }
+  return { c: v.map((x) => x * n), iterations, residual, converged: residual < tol };
+}
+
+function direct(E, opts) {
+  const n = matrixSize(E);
+  if (n > DIRECT_MAX_N) return { ...power(E, opts), fallback: `Direct solve is limited to N ≤ ${DIRECT_MAX_N}; used power iteration.` };
+  let c;
+  try {
+    c = directSolveLeft(isSparse(E) ? toDense(E) : E);
+  } catch (e) {
+    return { ...power(E, opts), fallback: `${e.message} Used power iteration.` };
+  }
+  const residual = stationaryResidual(E, c);
+  opts.onProgress?.(1, residual);
+  return { c, iterations: 0, residual, converged: residual < opts.tol };
+}
+
+/** @type {Record<string, {label:string, description:string, solve:Function}>} */
+export const SOLVERS = {
+  power: {
+    label: "Power iteration",
+    description: "Repeats v ← vE'. Simple and cheap per step, but slow when E is nearly reducible.",
+    solve: power,
+  },
+  gaussSeidel: {
+    label: "Gauss–Seidel",
+    description: "Updates c_j in place using the newest values; usually needs fewer sweeps than power iteration.",
+    solve: gaussSeidel,
+  },
+  direct: {
+    label: "Direct solve",
+    description: `Gaussian elimination on the stationary system (O(N³), N ≤ ${DIRECT_MAX_N}).`,
+    solve: direct,
+  },
+};
+
+/**
+ * 選んだ方法で c を解く
+ * @param {number[][]|import("./sparse.js").SparseMatrix} E
+ * @param {SolveOptions & {method?:string}} [opts]
+ * @returns {{c:number[], diagnostics:SolveDiagnostics}}
+ */
+export function solveContributions(E, { method = DEFAULT_SOLVER, tol = SOLVE_TOL, maxIter = SOLVE_MAX_ITER, warmStart, onProgress } = {}) {
+  const name = SOLVERS[method] ? method : DEFAULT_SOLVER;
+  const t0 = globalThis.performance?.now() ?? Date.now();
+  const { c, iterations, residual, converged, fallback } = SOLVERS[name].solve(E, { warmStart, tol, maxIter, onProgress });
+  const ms = (globalThis.performance?.now() ?? Date.now()) - t0;
+  const used = fallback ? DEFAULT_SOLVER : name;
+  return { c, diagnostics: { method: used, iterations, residual, converged, ms, tol, ...(fallback ? { fallback } : {}) } };
+}
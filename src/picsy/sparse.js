@@ -0,0 +1,289 @@
+/**
+ * Sparse evaluation matrix (framework-free)
+ * ------------------------------------------------------
+ * 大きなコミュニティでは各行の非ゼロ評価は数個しかないため、E を行ごとの
+ * { 列index: 値 } で持つ。JSON / structured clone でそのまま保存・転送できる。
+ *
+ *   S = { sparse: true, n, rows: Array<Record<number, number>> }
+ *
+ * 行列の読み出しは matrixSize / matrixEntry / matrixDiag を使う。これらは密行列（number[][]）、
+ * 疎行列、遅延評価の行列 { n, get(i, j) } のどれでも動く（E' は疎にならないので遅延評価で表示する）。
+ *
+ * 演算は math.js の密行列版と同じ規則で、計算量は O(nnz)。ただし addMember は新しい行（c/N）と
+ * 列（x(1−E_ii)）が密になり、removeMember は退出者を評価していた行が密になる。
+ */
+
+import { normalizeToSum, powerIterationLeft, sum } from "./math.js";
+
+/** @typedef {{sparse:true, n:number, rows:Array<Record<number, number>>}} SparseMatrix */
+/** @typedef {{n:number, get:(i:number, j:number) => number}} LazyMatrix */
+
+export const isSparse = (M) => Boolean(M && M.sparse === true);
+
+/** @returns {number} */
+export const matrixSize = (M) => (Array.isArray(M) ? M.length : M.n);
+
+/** @returns {number} M[i][j]（範囲外は undefined） */
+export function matrixEntry(M, i, j) {
+  if (Array.isArray(M)) return M[i]?.[j];
+  if (isSparse(M)) return i < M.n && j < M.n ? M.rows[i][j] ?? 0 : undefined;
+  return i < M.n && j < M.n ? M.get(i, j) : undefined;
+}
+
+export const matrixDiag = (M, i) => matrixEntry(M, i, i);
+
+/** @returns {number} i 行目の和 */
+export function matrixRowSum(M, i) {
+  if (Array.isArray(M)) return sum(M[i]);
+  if (isSparse(M)) return sum(Object.values(M.rows[i]));
+  let s = 0;
+  for (let j = 0; j < M.n; j++) s += M.get(i, j);
+  return s;
+}
+
+/**
+ * 非ゼロ要素を列挙する（密行列・疎行列）
+ * @returns {{i:number, j:number, v:number}[]}
+ */
+export function matrixEntries(M) {
+  const out = [];
+  if (isSparse(M)) {
+    M.rows.forEach((r, i) => {
+      for (const j in r) if (r[j] !== 0) out.push({ i, j: Number(j), v: r[j] });
+    });
+  } else {
+    M.forEach((row, i) => row.forEach((v, j) => v !== 0 && out.push({ i, j, v })));
+  }
+  return out;
+}
+
+/**
+ * @param {number[][]} E
+ * @returns {SparseMatrix}
+ */
+export function toSparse(E) {
+  return {
+    sparse: true,
+    n: E.length,
+    rows: E.map((row) => {
+      const r = {};
+      row.forEach((x, j) => {
+        if (x !== 0) r[j] = x;
+      });
+      return r;
+    }),
+  };
+}
+
+/** @returns {number[][]} */
+export function toDense(M) {
+  if (Array.isArray(M)) return M;
+  const n = matrixSize(M);
+  return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => matrixEntry(M, i, j)));
+}
+
+/**
+ * 二つの行列の行ごとの L1 差の最大値（サイズが違えば Infinity）
+ * @returns {number}
+ */
+export function maxRowL1Diff(A, B) {
+  const n = matrixSize(A);
+  if (matrixSize(B) !== n) return Infinity;
+  let max = 0;
+  for (let i = 0; i < n; i++) {
+    let d = 0;
+    if (isSparse(A) && isSparse(B)) {
+      for (const j in A.rows[i]) d += Math.abs(A.rows[i][j] - (B.rows[i][j] ?? 0));
+      for (const j in B.rows[i]) if (!(j in A.rows[i])) d += Math.abs(B.rows[i][j]);
+    } else {
+      for (let j = 0; j < n; j++) d += Math.abs(matrixEntry(A, i, j) - matrixEntry(B, i, j));
+    }
+    max = Math.max(max, d);
+  }
+  return max;
+}
+
+const copyRows = (S) => S.rows.map((r) => ({ ...r }));
+
+/**
+ * 各行を行和1にした行列（S は変更しない。直す行だけ新しいオブジェクトにし、他の行は S と共有する）
+ * @param {SparseMatrix} S
+ * @returns {SparseMatrix}
+ */
+export function sparseEnsureRowStochastic(S) {
+  const { n } = S;
+  const rows = S.rows.slice();
+  for (let i = 0; i < n; i++) {
+    const rowSum = sum(Object.values(rows[i]));
+    if (rowSum === 0) {
+      const r = {};
+      for (let j = 0; j < n; j++) r[j] = 1 / n;
+      rows[i] = r;
+    } else if (Math.abs(rowSum - 1) > 1e-10) {
+      const r = {};
+      for (const j in rows[i]) r[j] = rows[i][j] / rowSum;
+      rows[i] = r;
+    }
+  }
+  return { ...S, rows };
+}
+
+/**
+ * v E'（math.js の leftMultiplyEPrime と同じ式を O(nnz) で）
+ * @param {number[]} v
+ * @param {SparseMatrix} S
+ */
+export function sparseLeftMultiplyEPrime(v, S) {
+  const { n, rows } = S;
+  if (n <= 1) return v.slice();
+  const vE = new Array(n).fill(0);
+  const vB = new Array(n).fill(0);
+  let total = 0;
+  for (let i = 0; i < n; i++) {
+    const vi = v[i];
+    const r = rows[i];
+    for (const j in r) vE[j] += vi * r[j];
+    vB[i] = vi * (r[i] ?? 0);
+    total += vB[i];
+  }
+  const inv = 1 / (n - 1);
+  const out = new Array(n);
+  for (let j = 0; j < n; j++) out[j] = vE[j] - vB[j] + inv * (total - vB[j]);
+  return out;
+}
+
+/**
+ * @param {SparseMatrix} S
+ * @param {object} [opts] powerIterationLeft と同じ
+ */
+export const sparsePowerIterationLeft = (S, opts = {}) =>
+  powerIterationLeft(S, { ...opts, n: S.n, multiply: sparseLeftMultiplyEPrime });
+
+export function sparseApplyNaturalRecovery(S, gamma) {
+  const rows = copyRows(S);
+  for (let i = 0; i < S.n; i++) {
+    const r = rows[i];
+    for (const j in r) if (Number(j) !== i) r[j] *= 1 - gamma;
+    const d = r[i] ?? 0;
+    r[i] = d + gamma * (1 - d);
+  }
+  return sparseEnsureRowStochastic({ sparse: true, n: S.n, rows });
+}
+
+export function sparseApplyLike(S, c, b, s, delta, alpha = delta / c[b]) {
+  if (b === s) throw new Error("Self-like is not allowed.");
+  if (alpha < 0) throw new Error("Negative alpha.");
+  if (alpha > (S.rows[b][b] ?? 0) + 1e-12) throw new Error("Insufficient budget.");
+  const rows = S.rows.slice();
+  const r = { ...rows[b] };
+  r[b] = (r[b] ?? 0) - alpha;
+  r[s] = (r[s] ?? 0) + alpha;
+  rows[b] = r;
+  return sparseEnsureRowStochastic({ sparse: true, n: S.n, rows });
+}
+
+/** math.js の applyUnlike と同じ（E[b][s] が 0 になれば要素を消す） */
+export function sparseApplyUnlike(S, b, s, alpha) {
+  if (alpha < 0) throw new Error("Negative alpha.");
+  if (alpha > (S.rows[b][s] ?? 0) + 1e-12) throw new Error("Cannot return more than E[b][s].");
+  const rows = S.rows.slice();
+  const r = { ...rows[b] };
+  r[b] = (r[b] ?? 0) + alpha;
+  r[s] = (r[s] ?? 0) - alpha;
+  if (r[s] <= 1e-15) delete r[s];
+  rows[b] = r;
+  return sparseEnsureRowStochastic({ sparse: true, n: S.n, rows });
+}
+
+/**
+ * math.js の addMember と同じ規則。既存の c は不変・新規 c=1 になるので c は解き直さずに返す。
+ */
+export function sparseAddMember(S, c, name) {
+  const N = S.n;
+  const x = 1 / N;
+  const rows = copyRows(S);
+  for (let i = 0; i < N; i++) {
+    const r = rows[i];
+    for (const j in r) if (Number(j) !== i) r[j] *= 1 - x;
+    const v = x * (1 - (r[i] ?? 0));
+    if (v !== 0) r[N] = v;
+  }
+  const newRow = {};
+  for (let j = 0; j < N; j++) if (c[j] !== 0) newRow[j] = c[j] / N;
+  rows.push(newRow);
+  const E = sparseEnsureRowStochastic({ sparse: true, n: N + 1, rows });
+  return { E, c: normalizeToSum([...c, 1], N + 1), addedName: name };
+}
+
+/**
+ * math.js の removeMember と同じ規則（E[i][k] を E'[k][j] に沿って転送し、行と列を詰める）。
+ * c は残ったメンバーの値を N−1 に正規化した近似を返す（呼び出し側で解き直す）。
+ */
+export function sparseRemoveMember(S, c, k) {
+  const N = S.n;
+  if (N <= 2) throw new Error("At least two members must remain.");
+  const rk = S.rows[k];
+  const spread = (rk[k] ?? 0) / (N - 1);
+  const shift = (j) => (j > k ? j - 1 : j);
+  const rows = [];
+  for (let i = 0; i < N; i++) {
+    if (i === k) continue;
+    const src = S.rows[i];
+    const w = src[k] ?? 0;
+    const r = {};
+    for (const key in src) {
+      const j = Number(key);
+      if (j !== k) r[shift(j)] = src[key];
+    }
+    if (w !== 0) {
+      if (spread !== 0) {
+        for (let j = 0; j < N; j++) if (j !== k) r[shift(j)] = (r[shift(j)] ?? 0) + w * spread;
+      }
+      for (const key in rk) {
+        const j = Number(key);
+        if (j !== k) r[shift(j)] = (r[shift(j)] ?? 0) + w * rk[key];
+      }
+    }
+    rows.push(r);
+  }
+  const E = sparseEnsureRowStochastic({ sparse: true, n: N - 1, rows });
+  return { E, c: normalizeToSum(c.filter((_, i) => i !== k), N - 1) };
+}
+
+/**
+ * E' を遅延評価の行列として返す（疎行列の E' は密になるため、表示する範囲だけ計算する）
+ * @param {SparseMatrix} S
+ * @returns {LazyMatrix}
+ */
+export function sparseEffectiveMatrix(S) {
+  const n = S.n;
+  if (n <= 1) return { n: 1, get: () => 1 };
+  return { n, get: (i, j) => (i === j ? 0 : (S.rows[i][j] ?? 0) + (S.rows[i][i] ?? 0) / (n - 1)) };
+}
+
+/**
+ * 各メンバーが予算 budget を持ち、残りを k 人にランダムに配分した疎な row-stochastic 行列
+ * @param {number} n
+ * @param {number} k 1行あたりの評価先の数
+ * @param {number} [budget] 対角
+ * @param {() => number} [rand]
+ * @returns {SparseMatrix}
+ */
+export function randomSparseStochastic(n, k, budget = 0.2, rand = Math.random) {
+  const rows = [];
+  for (let i = 0; i < n; i++) {
+    const r = { [i]: budget };
+    const targets = new Set();
+    while (targets.size < Math.min(k, n - 1)) {
+      const j = Math.floor(rand() * n);
+      if (j !== i) targets.add(j);
+    }
+    const w = [...targets].map(() => 0.5 + rand());
+    const total = sum(w);
+    [...targets].forEach((j, t) => {
+      r[j] = ((1 - budget) * w[t]) / total;
+    });
+    rows.push(r);
+  }
+  return sparseEnsureRowStochastic({ sparse: true, n, rows });
+}
@@ -0,0 +1,91 @@
+import fc from "fast-check";
+import { describe, expect, it } from "vitest";
+import { makePost } from "../../picsy/events.js";
+import { buildIndex, highlight, normalize, parseQuery, search, tokenize } from "../searchIndex.js";
+
+const users = ["alice", "bob", "carol"].map((handle, id) => ({ id, handle }));
+const comment = (id, author, text) => ({ id, author, text, at: 0, parentId: null, likes: [] });
+const posts = [
+  makePost(1, 0, "On PICSY", "固有ベクトルで貢献度を計算する。Eigenvectors explained.", "", ["math", "picsy"], 0),
+  makePost(2, 1, "Power iteration", "A quick demo of the power\niteration method.", "", ["math", "draft"], 0),
+  makePost(3, 0, "読書会", "今月の本を決めましょう。", "", ["books"], 0),
+  { ...makePost(4, 2, "Lab notes", "Simulation results.", "", ["notes"], 0), comments: [comment(10, 0, "固有値の話も聞きたいです")] },
+  { ...makePost(5, 1, "Old draft", "eigenvectors again", "", ["math", "picsy"], 0), deletedAt: 5 },
+];
+const index = buildIndex(posts, users);
+const ids = (q) => search(index, q).hits.map((h) => h.postId);
+
+describe("tokenize", () => {
+  it("splits English into words and Japanese into 1- and 2-grams", () => {
+    expect(tokenize("PICSYの固有")).toEqual(["picsy", "の", "の固", "固", "固有", "有"]);
+    expect(tokenize("Ｅｉｇｅｎ vectors")).toEqual(["eigen", "vectors"]);
+  });
+});
+
+describe("parseQuery", () => {
+  it("reads fields, negation, phrases and OR", () => {
+    expect(parseQuery('tag:math AND tag:picsy -tag:draft author:@Alice "Power  Iteration" OR 固有')).toEqual([
+      [
+        { kind: "tag", value: "math", negate: false },
+        { kind: "tag", value: "picsy", negate: false },
+        { kind: "tag", value: "draft", negate: true },
+        { kind: "author", value: "alice", negate: false },
+        { kind: "text", value: "power iteration", negate: false },
+      ],
+      [{ kind: "text", value: "固有", negate: false }],
+    ]);
+  });
+});
+
+describe("search", () => {
+  it("finds Japanese words without matching scattered n-grams", () => {
+    expect(ids("固有ベクトル")).toEqual([1]);
+    expect(ids("固有")).toEqual([1, 4]);
+    expect(ids("有ベク")).toEqual([1]);
+    expect(ids("ベクトル固有")).toEqual([]);
+  });
+
+  it("matches English words by prefix, phrases across line breaks, and ignores deleted posts", () => {
+    expect(ids("eigen")).toEqual([1]);
+    expect(ids('"power iteration"')).toEqual([2]);
+    expect(ids("iteration demo")).toEqual([2]);
+  });
+
+  it("combines tags, authors and negation", () => {
+    expect(ids("tag:math AND tag:picsy -tag:draft author:alice")).toEqual([1]);
+    expect(ids("tag:math")).toEqual([1, 2]);
+    expect(ids("tag:math -tag:draft")).toEqual([1]);
+    expect(ids("author:bob OR tag:books")).toEqual([2, 3]);
+  });
+
+  it("ranks title matches above body and comment matches, and reports matching comments", () => {
+    const extra = [...posts, makePost(6, 2, "Notes on iteration", "", "", [], 0)];
+    const r = search(buildIndex(extra, users), "iteration");
+    expect(r.hits.map((h) => h.postId)).toEqual([2, 6]);
+    expect(search(index, "固有値").hits).toEqual([{ postId: 4, score: expect.any(Number), comments: [10] }]);
+    expect(search(index, "tag:math 固有")).toMatchObject({ terms: ["固有"], tags: ["math"] });
+  });
+});
+
+describe("highlight", () => {
+  it("marks matches in the original text regardless of case and width", () => {
+    expect(highlight("Eigenvectors and ＥＩＧＥＮ", ["eigen"])).toEqual([
+      { text: "Eigen", hit: true },
+      { text: "vectors and ", hit: false },
+      { text: "ＥＩＧＥＮ", hit: true },
+    ]);
+    expect(highlight("固有ベクトル", ["ベクトル"])).toEqual([
+      { text: "固有", hit: false },
+      { text: "ベクトル", hit: true },
+    ]);
+  });
+
+  it("keeps the text intact", () => {
+    fc.assert(
+      fc.property(fc.string(), fc.array(fc.string({ minLength: 1, maxLength: 3 }), { maxLength: 3 }), (text, terms) => {
+        const parts = highlight(text, terms.map(normalize));
+        expect(parts.map((p) => p.text).join("")).toBe(text);
+      })
+    );
+  });
+});
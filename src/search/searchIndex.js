@@ -0,0 +1,293 @@
+/**
+ * Full-text search over posts and comments (framework-free)
+ * ------------------------------------------------------
+ * 投稿（タイトル・本文・タグ・コメント）の転置インデックス。日本語と英語が混ざった文章を
+ * - 英数字の連なりは単語（小文字・NFKC 正規化）
+ * - 漢字・ひらがな・カタカナの連なりは 1-gram と 2-gram
+ * に分けて索引し、クエリも同じ規則で分けて候補を絞る。候補は正規化した本文に語がそのまま含まれるかで確かめるので、
+ * 日本語の語が 2-gram の寄せ集めで誤って当たることはない。並びは BM25 風のスコア（フィールドの重み付き）。
+ *
+ * クエリ:
+ *   固有 eigen            空白区切りの語はすべて含む（AND。"AND" と書いてもよい）
+ *   "power iteration"     引用符で囲むと語句
+ *   tag:math author:alice タグ（完全一致）・作者（@ は省略可）
+ *   -tag:draft -spam      先頭の - は除外
+ *   a OR b                OR で区切ったまとまりのどれかに当たる投稿
+ */
+
+const CJK = "\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}ー々〆";
+const TOKEN_RE = new RegExp(`([${CJK}]+)|((?:(?![${CJK}])[\\p{L}\\p{N}])+)`, "gu");
+const WORD_RE = new RegExp(`^(?:(?![${CJK}])[\\p{L}\\p{N}])+$`, "u");
+
+/** フィールドの重み（タイトルに当たった投稿を上に） */
+export const FIELD_WEIGHTS = { title: 3, tags: 2, body: 1, comments: 0.5 };
+
+/** 語の前方一致（"eigen" → "eigenvectors"）で当たったときの重み */
+const PREFIX_WEIGHT = 0.5;
+
+/**
+ * 検索用の正規化（全角英数→半角、大文字→小文字）
+ * @param {string} s
+ * @returns {string}
+ */
+export const normalize = (s) => String(s ?? "").normalize("NFKC").toLowerCase();
+
+/** 語句の確認用: 正規化し、改行を含む空白の連なりを1つの空白にする */
+const flat = (s) => normalize(s).replace(/\s+/g, " ");
+
+/**
+ * 正規化済みの文字列を索引語にする（英語は単語、日本語は 1-gram と 2-gram）
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  const out = [];
+  for (const m of normalize(text).matchAll(TOKEN_RE)) {
+    if (m[2]) {
+      out.push(m[2]);
+      continue;
+    }
+    const chars = Array.from(m[1]);
+    chars.forEach((ch, k) => {
+      out.push(ch);
+      if (k + 1 < chars.length) out.push(ch + chars[k + 1]);
+    });
+  }
+  return out;
+}
+
+// 同じ文字列の分割を使い回す（like のたびに投稿の配列が変わり、索引を作り直すため）
+const tokenCache = new Map();
+const TOKEN_CACHE_MAX = 20000;
+
+function cachedTokens(text) {
+  let tokens = tokenCache.get(text);
+  if (!tokens) {
+    if (tokenCache.size >= TOKEN_CACHE_MAX) tokenCache.clear();
+    tokens = tokenize(text);
+    tokenCache.set(text, tokens);
+  }
+  return tokens;
+}
+
+const countTokens = (texts) => {
+  const tf = new Map();
+  for (const t of texts) for (const tok of cachedTokens(t)) tf.set(tok, (tf.get(tok) ?? 0) + 1);
+  return tf;
+};
+
+/**
+ * @typedef {{postId:number, author:string, tags:Set<string>, fields:Record<string, Map<string, number>>, text:string,
+ *   comments:{id:number, text:string}[]}} SearchDoc
+ *   author: 作者のハンドル（正規化済み）。text: 全フィールドを正規化して連ねたもの（語の確認用）
+ * @typedef {{docs:SearchDoc[], postings:Map<string, Set<number>>, vocabulary:string[]}} SearchIndex
+ *   postings: 索引語 → その語を含む docs の位置。vocabulary: 英単語の索引語（前方一致用に整列）
+ */
+
+/**
+ * 削除されていない投稿の索引を作る
+ * @param {import("../picsy/events.js").Post[]} posts
+ * @param {{handle:string}[]} users users[id]
+ * @returns {SearchIndex}
+ */
+export function buildIndex(posts, users) {
+  const docs = [];
+  const postings = new Map();
+  for (const p of posts) {
+    if (p.deletedAt !== undefined) continue;
+    const comments = p.comments.map((c) => ({ id: c.id, text: flat(c.text) }));
+    const fields = {
+      title: countTokens([p.title]),
+      tags: countTokens(p.tags),
+      body: countTokens([p.body]),
+      comments: countTokens(p.comments.map((c) => c.text)),
+    };
+    const k = docs.length;
+    docs.push({
+      postId: p.id,
+      author: normalize(users[p.author]?.handle),
+      tags: new Set(p.tags.map(normalize)),
+      fields,
+      text: [p.title, p.body, p.tags.join(" "), ...p.comments.map((c) => c.text)].map(flat).join("\n"),
+      comments,
+    });
+    for (const tf of Object.values(fields)) {
+      for (const tok of tf.keys()) {
+        let set = postings.get(tok);
+        if (!set) postings.set(tok, (set = new Set()));
+        set.add(k);
+      }
+    }
+  }
+  const vocabulary = [...postings.keys()].filter((t) => WORD_RE.test(t)).sort();
+  return { docs, postings, vocabulary };
+}
+
+/**
+ * @typedef {{kind:"text"|"tag"|"author", value:string, negate:boolean}} Clause
+ *   value は正規化済み（text は語・語句）
+ */
+
+/**
+ * クエリを OR で区切ったまとまり（それぞれは AND の条件の列）にする
+ * @param {string} query
+ * @returns {Clause[][]}
+ */
+export function parseQuery(query) {
+  const groups = [[]];
+  for (const m of String(query).matchAll(/(-?)(?:(tag|author):)?(?:"([^"]*)"?|(\S+))/gi)) {
+    const [, minus, field, quoted, bare] = m;
+    const raw = quoted ?? bare;
+    if (!field && quoted === undefined && !minus) {
+      if (raw === "OR") {
+        if (groups.at(-1).length > 0) groups.push([]);
+        continue;
+      }
+      if (raw === "AND") continue;
+    }
+    const kind = field ? field.toLowerCase() : "text";
+    const value = flat(kind === "author" ? raw.replace(/^@/, "") : raw).trim();
+    if (value) groups.at(-1).push({ kind, value, negate: minus === "-" });
+  }
+  return groups.filter((g) => g.length > 0);
+}
+
+/** 前方一致する英単語（整列済みの vocabulary を二分探索） */
+function prefixMatches(vocabulary, prefix) {
+  let lo = 0;
+  let hi = vocabulary.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (vocabulary[mid] < prefix) lo = mid + 1;
+    else hi = mid;
+  }
+  const out = [];
+  for (let k = lo; k < vocabulary.length && vocabulary[k].startsWith(prefix); k++) out.push(vocabulary[k]);
+  return out;
+}
+
+/**
+ * 語・語句を含みうる文書（索引語ごとの候補の積）と、スコアに使う索引語（重み付き）
+ * @param {SearchIndex} index
+ * @param {string} value
+ * @returns {{candidates:Set<number>|null, terms:{token:string, weight:number}[]}} candidates: null なら全文書
+ */
+function textCandidates(index, value) {
+  let candidates = null;
+  const terms = [];
+  for (const tok of new Set(tokenize(value))) {
+    const matches = WORD_RE.test(tok) ? prefixMatches(index.vocabulary, tok) : index.postings.has(tok) ? [tok] : [];
+    const docs = new Set();
+    for (const m of matches) {
+      for (const k of index.postings.get(m)) docs.add(k);
+      terms.push({ token: m, weight: m === tok ? 1 : PREFIX_WEIGHT });
+    }
+    candidates = candidates ? new Set([...candidates].filter((k) => docs.has(k))) : docs;
+  }
+  return { candidates, terms };
+}
+
+/**
+ * 文書が条件を満たすか（text は候補の中で、正規化した全文に語がそのまま含まれるか確かめる）
+ * @param {SearchDoc} doc
+ * @param {number} k
+ * @param {Clause} clause
+ * @param {Set<number>|null} candidates
+ */
+function satisfies(doc, k, clause, candidates) {
+  if (clause.kind === "tag") return doc.tags.has(clause.value);
+  if (clause.kind === "author") return doc.author === clause.value;
+  return (candidates === null || candidates.has(k)) && doc.text.includes(clause.value);
+}
+
+/**
+ * @typedef {{postId:number, score:number, comments:number[]}} SearchHit comments: 語を含むコメントの id
+ * @typedef {{hits:SearchHit[], terms:string[], tags:string[]}} SearchResult
+ *   hits はスコアの高い順（同点は索引の順）。terms / tags: 強調表示する語と、条件に使ったタグ
+ */
+
+/**
+ * @param {SearchIndex} index
+ * @param {string} query
+ * @returns {SearchResult}
+ */
+export function search(index, query) {
+  const groups = parseQuery(query);
+  const N = index.docs.length;
+  const scores = new Map();
+  const texts = new Set();
+  const tags = new Set();
+  for (const group of groups) {
+    const plans = group.map((clause) => ({ clause, ...(clause.kind === "text" ? textCandidates(index, clause.value) : { candidates: null, terms: [] }) }));
+    for (const { clause } of plans) {
+      if (clause.negate) continue;
+      if (clause.kind === "text") texts.add(clause.value);
+      if (clause.kind === "tag") tags.add(clause.value);
+    }
+    // 肯定の text 条件があれば、その候補から始める（全文書を見ない）
+    const seed = plans.find((pl) => !pl.clause.negate && pl.candidates !== null);
+    const pool = seed ? seed.candidates : index.docs.keys();
+    for (const k of pool) {
+      const doc = index.docs[k];
+      if (!plans.every((pl) => satisfies(doc, k, pl.clause, pl.candidates) !== pl.clause.negate)) continue;
+      let score = 0;
+      for (const pl of plans) {
+        if (pl.clause.negate) continue;
+        for (const { token, weight } of pl.terms) {
+          const df = index.postings.get(token).size;
+          const idf = Math.log(1 + (N - df + 0.5) / (df + 0.5));
+          for (const [field, w] of Object.entries(FIELD_WEIGHTS)) {
+            const tf = doc.fields[field].get(token) ?? 0;
+            if (tf > 0) score += weight * w * idf * (tf / (tf + 1.2));
+          }
+        }
+      }
+      scores.set(k, Math.max(scores.get(k) ?? 0, score));
+    }
+  }
+  const terms = [...texts];
+  const hits = [...scores]
+    .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+    .map(([k, score]) => {
+      const doc = index.docs[k];
+      return { postId: doc.postId, score, comments: doc.comments.filter((c) => terms.some((t) => c.text.includes(t))).map((c) => c.id) };
+    });
+  return { hits, terms, tags: [...tags] };
+}
+
+/**
+ * 表示する文字列を、語に当たる部分とそれ以外に分ける（大文字小文字・全角半角を区別しない）
+ * @param {string} text
+ * @param {string[]} terms 正規化済みの語
+ * @returns {{text:string, hit:boolean}[]}
+ */
+export function highlight(text, terms) {
+  if (!text || terms.length === 0) return [{ text, hit: false }];
+  // 正規化後の各文字が元の文字列のどこから来たか
+  let norm = "";
+  const origin = [];
+  let pos = 0;
+  for (const ch of text) {
+    const n = normalize(ch);
+    norm += n;
+    for (let j = 0; j < n.length; j++) origin.push(pos);
+    pos += ch.length;
+  }
+  origin.push(text.length);
+  const marked = new Uint8Array(text.length);
+  for (const term of terms) {
+    for (let at = norm.indexOf(term); at >= 0; at = norm.indexOf(term, at + 1)) {
+      const end = origin[at + term.length] ?? text.length;
+      for (let j = origin[at]; j < end; j++) marked[j] = 1;
+    }
+  }
+  const out = [];
+  let start = 0;
+  for (let j = 1; j <= text.length; j++) {
+    if (j === text.length || marked[j] !== marked[start]) {
+      out.push({ text: text.slice(start, j), hit: marked[start] === 1 });
+      start = j;
+    }
+  }
+  return out;
+}
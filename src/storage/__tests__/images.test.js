@@ -0,0 +1,43 @@
+import fc from "fast-check";
+import { describe, expect, it } from "vitest";
+import { blobOfDataUrl, dataUrlOf, fitWithin, imageFiles } from "../images.js";
+
+describe("fitWithin", () => {
+  it("scales the long edge down and never up", () => {
+    expect(fitWithin(4000, 3000, 1600)).toEqual({ width: 1600, height: 1200 });
+    expect(fitWithin(300, 1200, 320)).toEqual({ width: 80, height: 320 });
+    expect(fitWithin(200, 100, 1600)).toEqual({ width: 200, height: 100 });
+  });
+
+  it("keeps the aspect ratio within rounding", () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 1, max: 10000 }), fc.integer({ min: 1, max: 10000 }), fc.integer({ min: 16, max: 2000 }), (w, h, edge) => {
+        const r = fitWithin(w, h, edge);
+        expect(Math.max(r.width, r.height)).toBeLessThanOrEqual(Math.max(edge, 1));
+        expect(r.width).toBeGreaterThanOrEqual(1);
+        expect(r.height).toBeGreaterThanOrEqual(1);
+        if (Math.min(r.width, r.height) > 10) expect(Math.abs(r.width / r.height - w / h) / (w / h)).toBeLessThan(0.1);
+      })
+    );
+  });
+});
+
+describe("imageFiles", () => {
+  it("keeps only images", () => {
+    const files = [{ name: "a.png", type: "image/png" }, { name: "notes.txt", type: "text/plain" }, { name: "b.jpg", type: "image/jpeg" }];
+    expect(imageFiles(files).map((f) => f.name)).toEqual(["a.png", "b.jpg"]);
+    expect(imageFiles(null)).toEqual([]);
+  });
+});
+
+describe("data URLs", () => {
+  it("round-trip a blob", async () => {
+    const bytes = Uint8Array.from({ length: 70_000 }, (_, k) => (k * 31) % 256);
+    const url = await dataUrlOf(new Blob([bytes], { type: "image/webp" }));
+    expect(url.startsWith("data:image/webp;base64,")).toBe(true);
+    const blob = blobOfDataUrl(url);
+    expect(blob.type).toBe("image/webp");
+    expect(new Uint8Array(await blob.arrayBuffer())).toEqual(bytes);
+    expect(() => blobOfDataUrl("https://example.com/a.png")).toThrow("Not a data URL.");
+  });
+});
@@ -0,0 +1,23 @@
+/**
+ * ブラウザでテキストをファイルとしてダウンロードさせる
+ * @param {string} filename
+ * @param {string} text
+ * @param {string} [mime]
+ */
+export function downloadText(filename, text, mime = "text/plain") {
+  const url = URL.createObjectURL(new Blob([text], { type: `${mime};charset=utf-8` }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * ユーザーが選んだファイルをテキストとして読む
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+export const readFileText = (file) => file.text();
@@ -0,0 +1,193 @@
+/**
+ * Client-side image resizing for post attachments
+ * ------------------------------------------------------
+ * ユーザーが選んだ・ドロップした・貼り付けた画像をブラウザ内で縮小・圧縮し、サムネイルと表示用の2つの Blob にする。
+ * イベント・版・投稿には画像の id と大きさ（PostImage）だけを入れ、Blob は id ごとに1回だけ保存する
+ * （IndexedDB の images、JSON の書き出しでは images の data URL）。版やスナップショットが増えても画像は複製されない。
+ * 表示用の object URL はこのモジュールの registry が id ごとに持つ（registerImages / imageSrc）。
+ *
+ * 形式は WebP（透過を保てる）。ブラウザが WebP を書き出せなければ白背景の JPEG にする。
+ */
+
+/** 1つの投稿に付けられる画像の数 */
+export const MAX_IMAGES_PER_POST = 6;
+
+/** 読み込む元画像の最大サイズ（縮小前） */
+export const MAX_SOURCE_BYTES = 20 * 1024 * 1024;
+
+export const THUMB = { maxEdge: 320, quality: 0.7 };
+export const FULL = { maxEdge: 1600, quality: 0.82 };
+
+/**
+ * @typedef {{id:string, name:string, width:number, height:number}} PostImage イベント・投稿に入る画像の参照
+ *   width / height: full の大きさ
+ * @typedef {{id:string, thumb:Blob, full:Blob}} ImageBlobs 画像の中身（id ごとに1つ）
+ * @typedef {"thumb"|"full"} ImageSize
+ */
+
+/**
+ * 縦横比を保って長辺を maxEdge 以下にした大きさ（拡大はしない）
+ * @param {number} width
+ * @param {number} height
+ * @param {number} maxEdge
+ * @returns {{width:number, height:number}}
+ */
+export function fitWithin(width, height, maxEdge) {
+  const scale = Math.min(1, maxEdge / Math.max(width, height));
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+}
+
+/**
+ * クリップボード・ドロップ・ファイル選択の File の中から画像だけを取り出す
+ * @param {Iterable<File>|ArrayLike<File>} files
+ * @returns {File[]}
+ */
+export const imageFiles = (files) => Array.from(files ?? []).filter((f) => f.type.startsWith("image/"));
+
+/**
+ * Blob を data URL にする（JSON の書き出し用）
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export async function dataUrlOf(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = "";
+  for (let k = 0; k < bytes.length; k += 0x8000) binary += String.fromCharCode(...bytes.subarray(k, k + 0x8000));
+  return `data:${blob.type || "application/octet-stream"};base64,${btoa(binary)}`;
+}
+
+/**
+ * data URL を Blob に戻す（JSON の読み込み・古い保存データの移行用）
+ * @param {string} url
+ * @returns {Blob}
+ */
+export function blobOfDataUrl(url) {
+  const m = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(url);
+  if (!m) throw new Error("Not a data URL.");
+  const body = m[2] ? atob(m[3]) : decodeURIComponent(m[3]);
+  const bytes = new Uint8Array(body.length);
+  for (let k = 0; k < body.length; k++) bytes[k] = body.charCodeAt(k);
+  return new Blob([bytes], { type: m[1] });
+}
+
+/**
+ * id → {thumb, full} の data URL を Blob に戻す
+ * @param {Record<string, {thumb:string, full:string}>} dataUrls
+ * @returns {ImageBlobs[]}
+ */
+export const blobsOfDataUrls = (dataUrls) =>
+  Object.entries(dataUrls).map(([id, im]) => ({ id, thumb: blobOfDataUrl(im.thumb), full: blobOfDataUrl(im.full) }));
+
+const canvasToBlob = (canvas, type, quality) =>
+  canvas.convertToBlob
+    ? canvas.convertToBlob({ type, quality })
+    : new Promise((resolve) => canvas.toBlob(resolve, type, quality));
+
+function makeCanvas(width, height) {
+  if (typeof OffscreenCanvas !== "undefined") return new OffscreenCanvas(width, height);
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * bitmap を長辺 maxEdge 以下に縮小して Blob にする
+ * @param {ImageBitmap} bitmap
+ * @param {{maxEdge:number, quality:number}} opts
+ * @returns {Promise<{blob:Blob, width:number, height:number}>}
+ */
+async function encode(bitmap, { maxEdge, quality }) {
+  const { width, height } = fitWithin(bitmap.width, bitmap.height, maxEdge);
+  const draw = (background) => {
+    const canvas = makeCanvas(width, height);
+    const ctx = canvas.getContext("2d");
+    if (background) {
+      ctx.fillStyle = background;
+      ctx.fillRect(0, 0, width, height);
+    }
+    ctx.imageSmoothingQuality = "high";
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    return canvas;
+  };
+  let blob = await canvasToBlob(draw(null), "image/webp", quality);
+  // WebP を書き出せないブラウザは PNG を返すので、JPEG で作り直す
+  if (!blob || blob.type !== "image/webp") blob = await canvasToBlob(draw("#fff"), "image/jpeg", quality);
+  return { blob, width, height };
+}
+
+/**
+ * 画像ファイルを投稿用のサムネイルと表示用の画像にする（registry には登録しない）
+ * @param {File} file
+ * @returns {Promise<{image:PostImage, blobs:ImageBlobs}>}
+ */
+export async function prepareImage(file) {
+  if (!file.type.startsWith("image/")) throw new Error(`${file.name || "The file"} is not an image.`);
+  if (file.size > MAX_SOURCE_BYTES) throw new Error(`${file.name || "The image"} is larger than ${MAX_SOURCE_BYTES / 1024 / 1024} MB.`);
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch {
+    throw new Error(`${file.name || "The image"} could not be decoded.`);
+  }
+  try {
+    const full = await encode(bitmap, FULL);
+    const thumb = await encode(bitmap, THUMB);
+    const id = crypto.randomUUID();
+    return {
+      image: { id, name: file.name || "pasted image", width: full.width, height: full.height },
+      blobs: { id, thumb: thumb.blob, full: full.blob },
+    };
+  } finally {
+    bitmap.close();
+  }
+}
+
+// ---------- Registry ----------
+// 読み込んだ・縮小した画像の Blob と object URL（id → {blobs, urls}）。変わるたびに version を進めて購読者に知らせる
+const registry = new Map();
+const listeners = new Set();
+let version = 0;
+
+/**
+ * 画像を登録する（登録済みの id はそのまま）
+ * @param {ImageBlobs[]} list
+ */
+export function registerImages(list) {
+  let added = 0;
+  for (const blobs of list) {
+    if (registry.has(blobs.id)) continue;
+    registry.set(blobs.id, { blobs, urls: { thumb: URL.createObjectURL(blobs.thumb), full: URL.createObjectURL(blobs.full) } });
+    added++;
+  }
+  if (added === 0) return;
+  version++;
+  listeners.forEach((fn) => fn());
+}
+
+/**
+ * @param {string} id
+ * @returns {ImageBlobs|undefined}
+ */
+export const imageBlobs = (id) => registry.get(id)?.blobs;
+
+/**
+ * 表示用の URL（まだ読み込んでいなければ null）
+ * @param {string} id
+ * @param {ImageSize} size
+ * @returns {string|null}
+ */
+export const imageSrc = (id, size) => registry.get(id)?.urls[size] ?? null;
+
+/**
+ * registry が変わったら fn を呼ぶ（useSyncExternalStore 用）
+ * @param {() => void} fn
+ * @returns {() => void} 購読をやめる
+ */
+export function subscribeImages(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/** registry の版（登録のたびに増える） */
+export const imagesVersion = () => version;
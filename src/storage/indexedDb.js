@@ -0,0 +1,257 @@
+/**
+ * IndexedDB persistence for the PICSY world
+ * ------------------------------------------------------
+ * 1つの localStorage blob ではなく、イベントを1件ずつ object store に追記する。
+ * 長いシミュレーションでも復元が速いよう、一定件数ごとに state のスナップショットを保存し、
+ * 読み込み時は「スナップショット + それ以降のイベント」だけを再生する。
+ *
+ * コミュニティごとに別のデータベースを使う（既定のコミュニティは以前からの "picsy-note"、
+ * それ以外は "picsy-note:<id>"）。コミュニティの一覧は既定のデータベースの communities に置く。
+ *
+ * object stores (DB_VERSION 3):
+ * - meta:        key/value（"genesis", "controls", "schemaVersion"。既定のデータベースでは "activeCommunity" も）
+ * - events:      keyPath "id"（イベント id = ログ上の位置 + 1）
+ * - snapshots:   keyPath "eventCount"（最新のものだけを残す）
+ * - communities: keyPath "id"（既定のデータベースだけで使う）
+ * - images:      keyPath "id"（添付画像の Blob {id, thumb, full}。イベントは id で参照する）
+ *
+ * 保存データの形式が変わったら SCHEMA_VERSION を上げ、DATA_MIGRATIONS に変換を追加する。
+ */
+
+import { DEFAULT_COMMUNITY_ID } from "../picsy/communities.js";
+import { splitImageData } from "../picsy/events.js";
+import { blobsOfDataUrls } from "./images.js";
+
+const DB_NAME = "picsy-note";
+const DB_VERSION = 3;
+export const SCHEMA_VERSION = 5;
+export const SNAPSHOT_EVERY = 100;
+
+/** IndexedDB の構造（object store / index）の移行。oldVersion → index のステップを順に実行する */
+const DB_MIGRATIONS = [
+  // 0 → 1
+  (db) => {
+    db.createObjectStore("meta");
+    db.createObjectStore("events", { keyPath: "id" });
+    db.createObjectStore("snapshots", { keyPath: "eventCount" });
+  },
+  // 1 → 2
+  (db) => {
+    db.createObjectStore("communities", { keyPath: "id" });
+  },
+  // 2 → 3
+  (db) => {
+    db.createObjectStore("images", { keyPath: "id" });
+  },
+];
+
+/**
+ * 保存データの形式の移行。キー n は schemaVersion n-1 → n の変換で、
+ * {genesis, events, snapshot, controls, images} を受け取り同じ形で返す。
+ * @type {Record<number, (data: object) => object>}
+ */
+const DATA_MIGRATIONS = {
+  // v2: state に users 名簿が加わった。古いスナップショットは捨て、ログの再生で作り直す
+  2: (data) => ({ ...data, snapshot: null }),
+  // v3: コメントに parentId（返信先）と likes が加わった。同じくスナップショットを作り直す
+  3: (data) => ({ ...data, snapshot: null }),
+  // v4: state に decayLog / lastEconomyEventId が、like に id / decayLog が加わった（unlike 用）
+  4: (data) => ({ ...data, snapshot: null }),
+  // v5: 添付画像の中身をイベントから外し、images に id ごとに1回だけ置く（スナップショットにも複製されていたので作り直す）
+  5: (data) => {
+    const { events, images } = splitImageData(data.events);
+    return { ...data, events, snapshot: null, images: [...data.images, ...blobsOfDataUrls(images)] };
+  },
+};
+
+const req = (r) =>
+  new Promise((resolve, reject) => {
+    r.onsuccess = () => resolve(r.result);
+    r.onerror = () => reject(r.error);
+  });
+
+const done = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+const dbName = (communityId) => (communityId === DEFAULT_COMMUNITY_ID ? DB_NAME : `${DB_NAME}:${communityId}`);
+
+/** @type {Map<string, Promise<IDBDatabase>>} */
+const dbPromises = new Map();
+
+/**
+ * @param {string} [communityId]
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDb(communityId = DEFAULT_COMMUNITY_ID) {
+  const name = dbName(communityId);
+  if (dbPromises.has(name)) return dbPromises.get(name);
+  const dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available."));
+      return;
+    }
+    const r = indexedDB.open(name, DB_VERSION);
+    r.onupgradeneeded = (e) => {
+      for (let v = e.oldVersion; v < DB_VERSION; v++) DB_MIGRATIONS[v](r.result, r.transaction);
+    };
+    r.onsuccess = () => resolve(r.result);
+    r.onerror = () => reject(r.error);
+  });
+  dbPromises.set(name, dbPromise);
+  return dbPromise;
+}
+
+/**
+ * 保存済みのデータを読み込む。未保存なら null。
+ * @param {string} [communityId]
+ * @returns {Promise<null | {genesis:object, events:object[], snapshot:object|null, controls:object|null, images:import("./images.js").ImageBlobs[]}>}
+ */
+export async function loadSaved(communityId = DEFAULT_COMMUNITY_ID) {
+  const db = await openDb(communityId);
+  const tx = db.transaction(["meta", "events", "snapshots", "images"], "readonly");
+  const meta = tx.objectStore("meta");
+  const [genesis, controls, schemaVersion, events, snapshots, images] = await Promise.all([
+    req(meta.get("genesis")),
+    req(meta.get("controls")),
+    req(meta.get("schemaVersion")),
+    req(tx.objectStore("events").getAll()),
+    req(tx.objectStore("snapshots").getAll()),
+    req(tx.objectStore("images").getAll()),
+  ]);
+  if (!genesis) return null;
+  let data = { genesis, events, snapshot: snapshots.at(-1) ?? null, controls: controls ?? null, images };
+  const from = schemaVersion ?? 1;
+  if (from > SCHEMA_VERSION) throw new Error(`Saved data has a newer schema (v${from}) than this app (v${SCHEMA_VERSION}).`);
+  for (let v = from + 1; v <= SCHEMA_VERSION; v++) data = DATA_MIGRATIONS[v](data);
+  if (from < SCHEMA_VERSION) await saveAll(data, communityId);
+  return data;
+}
+
+/**
+ * 全データを書き直す（初回保存・リセット・マイグレーション後）
+ * @param {{genesis:object, events:object[], snapshot?:object|null, controls?:object|null, images?:import("./images.js").ImageBlobs[]}} data
+ *   images: events と genesis が参照する添付画像（それ以外の保存済みの画像は消す）
+ * @param {string} [communityId]
+ */
+export async function saveAll({ genesis, events, snapshot = null, controls = null, images = [] }, communityId = DEFAULT_COMMUNITY_ID) {
+  const db = await openDb(communityId);
+  const tx = db.transaction(["meta", "events", "snapshots", "images"], "readwrite");
+  const meta = tx.objectStore("meta");
+  const evStore = tx.objectStore("events");
+  const snapStore = tx.objectStore("snapshots");
+  const imageStore = tx.objectStore("images");
+  evStore.clear();
+  snapStore.clear();
+  imageStore.clear();
+  meta.put(SCHEMA_VERSION, "schemaVersion");
+  meta.put(genesis, "genesis");
+  if (controls) meta.put(controls, "controls");
+  for (const ev of events) evStore.put(ev);
+  if (snapshot) snapStore.put(snapshot);
+  for (const im of images) imageStore.put(im);
+  await done(tx);
+}
+
+/**
+ * イベントログを同期する。先頭 keepCount 件は保存済みのまま変わっていないものとして、それより後を書き直す。
+ * keepCount より後の保存済みのイベントとスナップショット（undo・redo などで変わった、またはもう無い位置）は消す。
+ * 新しいイベントが参照する添付画像は images で渡す（undo で参照されなくなった画像は redo に備えて残す）。
+ * @param {object[]} events
+ * @param {number} keepCount
+ * @param {object} [snapshot] {eventCount, state}
+ * @param {string} [communityId]
+ * @param {import("./images.js").ImageBlobs[]} [images]
+ */
+export async function syncEvents(events, keepCount, snapshot, communityId = DEFAULT_COMMUNITY_ID, images = []) {
+  const db = await openDb(communityId);
+  const tx = db.transaction(["events", "snapshots", "images"], "readwrite");
+  const evStore = tx.objectStore("events");
+  const snapStore = tx.objectStore("snapshots");
+  evStore.delete(IDBKeyRange.lowerBound(keepCount + 1));
+  snapStore.delete(IDBKeyRange.lowerBound(keepCount + 1));
+  for (let i = keepCount; i < events.length; i++) evStore.put(events[i]);
+  if (snapshot) {
+    snapStore.clear();
+    snapStore.put(snapshot);
+  }
+  const imageStore = tx.objectStore("images");
+  for (const im of images) imageStore.put(im);
+  await done(tx);
+}
+
+/**
+ * @param {object} controls
+ * @param {string} [communityId]
+ */
+export async function saveControls(controls, communityId = DEFAULT_COMMUNITY_ID) {
+  const db = await openDb(communityId);
+  const tx = db.transaction("meta", "readwrite");
+  tx.objectStore("meta").put(controls, "controls");
+  await done(tx);
+}
+
+/**
+ * 保存データをすべて消す
+ * @param {string} [communityId]
+ */
+export async function clearAll(communityId = DEFAULT_COMMUNITY_ID) {
+  const db = await openDb(communityId);
+  const stores = ["meta", "events", "snapshots", "images"];
+  const tx = db.transaction(stores, "readwrite");
+  for (const name of stores) tx.objectStore(name).clear();
+  await done(tx);
+}
+
+// ---------- Communities ----------
+
+/**
+ * コミュニティの一覧と、最後に開いていたコミュニティの id を読み込む
+ * @returns {Promise<{communities: import("../picsy/communities.js").Community[], activeId: string|null}>}
+ */
+export async function loadCommunities() {
+  const db = await openDb();
+  const tx = db.transaction(["meta", "communities"], "readonly");
+  const [communities, activeId] = await Promise.all([
+    req(tx.objectStore("communities").getAll()),
+    req(tx.objectStore("meta").get("activeCommunity")),
+  ]);
+  communities.sort((a, b) => a.createdAt - b.createdAt);
+  return { communities, activeId: activeId ?? null };
+}
+
+/** @param {import("../picsy/communities.js").Community} community */
+export async function putCommunity(community) {
+  const db = await openDb();
+  const tx = db.transaction("communities", "readwrite");
+  tx.objectStore("communities").put(community);
+  await done(tx);
+}
+
+/** @param {string} communityId */
+export async function saveActiveCommunity(communityId) {
+  const db = await openDb();
+  const tx = db.transaction("meta", "readwrite");
+  tx.objectStore("meta").put(communityId, "activeCommunity");
+  await done(tx);
+}
+
+/**
+ * コミュニティを一覧から外し、そのデータベースを消す（既定のコミュニティは消せない）
+ * @param {string} communityId
+ */
+export async function deleteCommunity(communityId) {
+  if (communityId === DEFAULT_COMMUNITY_ID) throw new Error("The default community cannot be deleted.");
+  const db = await openDb();
+  const tx = db.transaction("communities", "readwrite");
+  tx.objectStore("communities").delete(communityId);
+  await done(tx);
+  const name = dbName(communityId);
+  const open = dbPromises.get(name);
+  dbPromises.delete(name);
+  if (open) (await open).close();
+  await req(indexedDB.deleteDatabase(name));
+}
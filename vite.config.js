@@ -5,5 +5,9 @@ import tailwindcss from '@tailwindcss/vite'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react(), tailwindcss()],
-  base: "/picsy-protp-chatgpt/"
+  base: "/picsy-protp-chatgpt/",
+  test: {
+    include: ['src/**/*.test.js'],
+    environment: 'node',
+  },
 })